@@ -0,0 +1,71 @@
+/**
+ * Testes unitários do ActivityPlanner
+ */
+
+import { ActivityPlanner } from '../src/js/services/ActivityPlanner.js';
+import { AirQualityService, AirQualityDataError } from '../src/js/services/AirQualityService.js';
+
+const START = Date.parse('2025-08-11T00:00:00Z');
+
+// Série horária processada com um sub-índice de ozônio e outro de PM2.5 por hora
+const buildHours = (ozone, pm2_5) => ozone.map((value, index) => ({
+    metadata: { timestamp: new Date(START + index * 3600 * 1000).toISOString().slice(0, 16) },
+    quality: { observedAt: new Date(START + index * 3600 * 1000).toISOString() },
+    aqi: {
+        subIndices: {
+            ozone: { value },
+            pm2_5: { value: pm2_5[index] }
+        }
+    }
+}));
+
+describe('ActivityPlanner', () => {
+    let planner;
+
+    beforeEach(() => {
+        planner = new ActivityPlanner({ airQualityService: new AirQualityService(), healthAdvisor: { getProfile: () => [] } });
+    });
+
+    test('should pick the cleanest contiguous windows without overlap', () => {
+        const hours = buildHours(
+            [80, 70, 20, 25, 30, 90, 40, 45],
+            [30, 30, 30, 30, 30, 30, 30, 30]
+        );
+
+        const windows = planner.findWindows(hours, { durationHours: 2, limit: 2, now: START });
+
+        expect(windows[0]).toEqual(expect.objectContaining({
+            start: '2025-08-11T02:00:00.000Z',
+            end: '2025-08-11T04:00:00.000Z',
+            durationHours: 2,
+            maxIndex: 30,
+            suitable: true
+        }));
+        expect(windows[1].start).toBe('2025-08-11T06:00:00.000Z');
+    });
+
+    test('should ignore past hours', () => {
+        const hours = buildHours([10, 90, 90, 90], [10, 10, 10, 10]);
+
+        const windows = planner.findWindows(hours, { now: START + 90 * 60 * 1000 });
+
+        expect(windows[0].start).toBe('2025-08-11T01:00:00.000Z');
+    });
+
+    test('should weight pollutants by profile and apply stricter limits', () => {
+        // Hora 0: ozônio alto; hora 1: PM2.5 um pouco mais alto
+        const hours = buildHours([95, 40], [40, 98]);
+
+        const general = planner.findWindows(hours, { now: START, limit: 1 });
+        const athlete = planner.findWindows(hours, { now: START, limit: 1, profile: ['outdoor-athletes'] });
+
+        expect(general[0].start).toBe('2025-08-11T00:00:00.000Z');
+        expect(athlete[0].start).toBe('2025-08-11T01:00:00.000Z');
+        expect(planner.findWindows(buildHours([120], [10]), { now: START, profile: ['children'] })[0].suitable).toBe(false);
+    });
+
+    test('should validate duration and horizon', () => {
+        expect(() => planner.findWindows([], { horizonHours: 96 })).toThrow(AirQualityDataError);
+        expect(() => planner.findWindows([], { durationHours: 0 })).toThrow(AirQualityDataError);
+    });
+});
@@ -0,0 +1,357 @@
+/**
+ * Testes unitários do AirQualityController
+ * O APIFacade usa GeocodingService, AirQualityService, CacheService e EventManager como
+ * globais (como no navegador); os testes os instalam e substituem as consultas do facade.
+ * A camada de view é substituída: os testes verificam os eventos publicados para ela
+ */
+
+import AirQualityController from '../src/js/controllers/AirQualityController.js';
+import { GeocodingService } from '../src/js/services/GeocodingService.js';
+import { AirQualityService } from '../src/js/services/AirQualityService.js';
+import CacheService from '../src/js/services/CacheService.js';
+import EventManager from '../src/js/utils/EventManager.js';
+import { HealthAdvisor } from '../src/js/services/HealthAdvisor.js';
+
+jest.mock('../src/js/views/ViewManager.js', () => jest.fn().mockImplementation(() => ({
+    components: new Map(),
+    initialize: jest.fn()
+})));
+
+const searchResult = {
+    location: {
+        city: 'Campinas',
+        state: 'SP',
+        country: 'BR',
+        coordinates: { lat: -22.9056, lon: -47.0608 }
+    },
+    airQuality: { aqi: 42 },
+    timestamp: '2024-05-01T12:00:00.000Z'
+};
+
+// Coordenadas digitadas sem geocodificação reversa: a localização não tem cidade
+const coordinateResult = {
+    location: {
+        city: null,
+        state: null,
+        country: null,
+        coordinates: { lat: -22.9056, lon: -47.0608 },
+        displayName: '-22.9056, -47.0608'
+    },
+    airQuality: { aqi: 42 },
+    timestamp: '2024-05-01T12:00:00.000Z'
+};
+
+const activityWindows = {
+    windows: [{ start: '2024-05-01T06:00', end: '2024-05-01T07:00', level: 'good', suitable: true }],
+    profile: []
+};
+
+const exposure = {
+    pollutants: { pm2_5: { dose: 120, doseUnit: 'µg' } },
+    concentrations: { date: '2024-05-01', hours: [] }
+};
+
+// Deixa as consultas complementares disparadas pelo controller terminarem
+const flushPromises = () => new Promise(resolve => setTimeout(resolve, 0));
+
+describe('AirQualityController', () => {
+    let controller;
+    let published;
+    let shownExposure;
+
+    beforeAll(() => {
+        Object.assign(global, { GeocodingService, AirQualityService, CacheService, EventManager });
+    });
+
+    beforeEach(() => {
+        localStorage.clear();
+        jest.spyOn(console, 'log').mockImplementation(() => {});
+        jest.spyOn(console, 'warn').mockImplementation(() => {});
+        jest.spyOn(AirQualityController.prototype, '_performHealthCheck').mockResolvedValue();
+
+        controller = new AirQualityController();
+        published = [];
+        shownExposure = [];
+        controller.eventManager.subscribe(EventManager.EVENTS.UI_SHOW_ACTIVITY_WINDOWS, data => published.push(data));
+        controller.eventManager.subscribe(EventManager.EVENTS.UI_SHOW_EXPOSURE, data => shownExposure.push(data));
+        jest.spyOn(controller.apiFacade, 'getExposureEstimate').mockResolvedValue({ location: searchResult.location, exposure });
+    });
+
+    afterEach(() => {
+        controller.apiFacade.destroy();
+        controller.destroy();
+        jest.restoreAllMocks();
+    });
+
+    describe('services shared with the facade', () => {
+        test('should keep one air quality service across providers and detail queries', () => {
+            const { airQualityService } = controller.apiFacade;
+            const [{ provider }] = controller.apiFacade.providerManager.providers.values();
+
+            expect(provider.service).toBe(airQualityService);
+            expect(controller.apiFacade.activityPlanner.airQualityService).toBe(airQualityService);
+            expect(controller.apiFacade.exposureEstimator.airQualityService).toBe(airQualityService);
+            expect(controller.apiFacade.areaSampler.airQualityService).toBe(airQualityService);
+        });
+
+        test('should apply the gas unit picked on the display to the service', () => {
+            controller.eventManager.publish(EventManager.EVENTS.AQI_UNIT_CHANGED, { gasUnit: 'ppb' });
+
+            expect(controller.apiFacade.airQualityService.unitPreferences).toEqual(expect.objectContaining({
+                ozone: 'ppb',
+                nitrogen_dioxide: 'ppb',
+                sulphur_dioxide: 'ppb',
+                carbon_monoxide: 'ppb'
+            }));
+
+            controller.eventManager.publish(EventManager.EVENTS.AQI_UNIT_CHANGED, { gasUnit: 'mass' });
+
+            expect(controller.apiFacade.airQualityService.unitPreferences).toEqual({});
+        });
+
+        test('should start with the gas unit saved by the display', () => {
+            localStorage.setItem('air_quality_unit_preference', 'ppm');
+
+            const restored = new AirQualityController();
+
+            expect(restored.apiFacade.airQualityService.unitPreferences.ozone).toBe('ppm');
+            restored.apiFacade.destroy();
+            restored.destroy();
+        });
+    });
+
+    describe('activity windows after a search', () => {
+        test('should request the windows for the found location and show them', async () => {
+            const getActivityWindows = jest.spyOn(controller.apiFacade, 'getActivityWindows')
+                .mockResolvedValue({ location: searchResult.location, activityWindows });
+
+            controller.eventManager.publish(EventManager.EVENTS.SEARCH_SUCCESS, searchResult);
+            await flushPromises();
+
+            expect(getActivityWindows).toHaveBeenCalledWith(searchResult.location);
+            expect(published).toEqual([activityWindows]);
+        });
+
+        test('should drop windows of a search superseded by a newer one', async () => {
+            let resolveFirst;
+            jest.spyOn(controller.apiFacade, 'getActivityWindows')
+                .mockImplementationOnce(() => new Promise(resolve => { resolveFirst = resolve; }))
+                .mockResolvedValueOnce({ location: searchResult.location, activityWindows });
+
+            controller.eventManager.publish(EventManager.EVENTS.SEARCH_SUCCESS, { ...searchResult, location: { city: 'Santos' } });
+            controller.eventManager.publish(EventManager.EVENTS.SEARCH_SUCCESS, searchResult);
+            resolveFirst({ activityWindows: { windows: [] } });
+            await flushPromises();
+
+            expect(published).toEqual([activityWindows]);
+        });
+
+        test('should show the windows of a location without a city', async () => {
+            const findBestWindows = jest.spyOn(controller.apiFacade.activityPlanner, 'findBestWindows').mockResolvedValue(activityWindows);
+
+            controller.eventManager.publish(EventManager.EVENTS.SEARCH_SUCCESS, coordinateResult);
+            await flushPromises();
+
+            expect(findBestWindows).toHaveBeenCalledWith(
+                expect.objectContaining({ lat: -22.9056, lon: -47.0608 }),
+                expect.any(Object)
+            );
+            expect(published).toEqual([activityWindows]);
+        });
+
+        test('should keep the search result when the windows fail', async () => {
+            const showError = jest.fn();
+            controller.eventManager.subscribe(EventManager.EVENTS.UI_SHOW_ERROR, showError);
+            jest.spyOn(controller.apiFacade.activityPlanner, 'findBestWindows').mockRejectedValue(new Error('HTTP 500'));
+            controller.apiFacade.configure({ retryAttempts: 1, cacheEnabled: false });
+
+            controller.eventManager.publish(EventManager.EVENTS.SEARCH_SUCCESS, searchResult);
+            await flushPromises();
+            await flushPromises();
+
+            expect(showError).not.toHaveBeenCalled();
+            expect(published).toEqual([]);
+            expect(controller.getState().searchHistory).toEqual([]);
+        });
+    });
+
+    describe('exposure estimate after a search', () => {
+        beforeEach(() => {
+            jest.spyOn(controller.apiFacade, 'getActivityWindows').mockResolvedValue({ location: searchResult.location, activityWindows });
+        });
+
+        test('should estimate the exposure for the found location and show it', async () => {
+            controller.eventManager.publish(EventManager.EVENTS.SEARCH_SUCCESS, searchResult);
+            await flushPromises();
+
+            expect(controller.apiFacade.getExposureEstimate).toHaveBeenCalledWith(searchResult.location);
+            expect(shownExposure).toEqual([exposure]);
+        });
+
+        test('should estimate the exposure of a location without a city', async () => {
+            controller.apiFacade.getExposureEstimate.mockRestore();
+            const estimateDaily = jest.spyOn(controller.apiFacade.exposureEstimator, 'estimateDaily').mockResolvedValue(exposure);
+
+            controller.eventManager.publish(EventManager.EVENTS.SEARCH_SUCCESS, coordinateResult);
+            await flushPromises();
+
+            expect(estimateDaily).toHaveBeenCalledWith(
+                expect.objectContaining({ lat: -22.9056, lon: -47.0608 }),
+                expect.any(Object)
+            );
+            expect(shownExposure).toEqual([exposure]);
+        });
+
+        test('should still show the activity windows when the estimate fails', async () => {
+            controller.apiFacade.getExposureEstimate.mockRejectedValue(new Error('Sem previsão'));
+
+            controller.eventManager.publish(EventManager.EVENTS.SEARCH_SUCCESS, searchResult);
+            await flushPromises();
+
+            expect(shownExposure).toEqual([]);
+            expect(published).toEqual([activityWindows]);
+        });
+
+        test('should use the schedule edited on the display in the next estimates', () => {
+            const schedule = [{ start: '12:00', end: '13:00', activity: 'outdoor-intense' }];
+
+            controller.eventManager.publish(EventManager.EVENTS.AQI_EXPOSURE_SCHEDULE_CHANGED, { schedule });
+
+            expect(controller.apiFacade.exposureEstimator.getSchedule()).toEqual(schedule);
+        });
+
+        test('should ignore an invalid schedule', () => {
+            const before = controller.apiFacade.exposureEstimator.getSchedule();
+
+            controller.eventManager.publish(EventManager.EVENTS.AQI_EXPOSURE_SCHEDULE_CHANGED, {
+                schedule: [{ start: '13:00', end: '12:00', activity: 'outdoor-intense' }]
+            });
+
+            expect(controller.apiFacade.exposureEstimator.getSchedule()).toEqual(before);
+        });
+    });
+
+    describe('health profile changes', () => {
+        test('should drop results cached under the previous profile and replan the windows', async () => {
+            const params = { city: 'Campinas', state: 'SP', country: 'BR' };
+            jest.spyOn(controller.apiFacade.geocodingService, 'geocode').mockResolvedValue({ lat: -22.9056, lon: -47.0608, display_name: 'Campinas' });
+            const getAirQuality = jest.spyOn(controller.apiFacade.providerManager, 'getAirQuality').mockResolvedValue({ aqi: 42 });
+            const findBestWindows = jest.spyOn(controller.apiFacade.activityPlanner, 'findBestWindows').mockResolvedValue(activityWindows);
+
+            const first = await controller.apiFacade.getAirQualityData(params);
+            controller.eventManager.publish(EventManager.EVENTS.SEARCH_SUCCESS, first);
+            await flushPromises();
+            expect((await controller.apiFacade.getAirQualityData(params)).source).toBe('cache');
+
+            // O display salva o perfil com a própria instância do HealthAdvisor
+            new HealthAdvisor().setProfile(['children']);
+            controller.eventManager.publish(EventManager.EVENTS.AQI_HEALTH_PROFILE_CHANGED, { profile: ['children'] });
+            await flushPromises();
+
+            expect(findBestWindows).toHaveBeenLastCalledWith(expect.any(Object), expect.objectContaining({ profile: ['children'] }));
+            expect(published).toEqual([activityWindows, activityWindows]);
+            expect((await controller.apiFacade.getAirQualityData(params)).source).toBe('api');
+            expect(getAirQuality).toHaveBeenCalledTimes(2);
+        });
+    });
+
+    describe('current location without a city', () => {
+        test('should load the activity windows and the exposure after reverse geocoding fails', async () => {
+            controller.apiFacade.getExposureEstimate.mockRestore();
+            controller.apiFacade.configure({ retryDelay: 0 });
+            jest.spyOn(controller.apiFacade.geocodingService, 'reverseGeocode').mockRejectedValue(new Error('Nominatim indisponível'));
+            jest.spyOn(controller.apiFacade.providerManager, 'getAirQuality').mockResolvedValue({ aqi: 42 });
+            const findBestWindows = jest.spyOn(controller.apiFacade.activityPlanner, 'findBestWindows').mockResolvedValue(activityWindows);
+            const estimateDaily = jest.spyOn(controller.apiFacade.exposureEstimator, 'estimateDaily').mockResolvedValue(exposure);
+            const results = [];
+            controller.eventManager.subscribe(EventManager.EVENTS.SEARCH_SUCCESS, result => results.push(result));
+
+            controller.eventManager.publish(EventManager.EVENTS.FORM_CURRENT_LOCATION, {
+                coordinates: { lat: -22.9056, lon: -47.0608, accuracy: 30 }
+            });
+            await flushPromises();
+            await flushPromises();
+
+            expect(results[0].location.city).toBeNull();
+            expect(findBestWindows).toHaveBeenCalledWith(expect.objectContaining({ lat: -22.9056 }), expect.any(Object));
+            expect(estimateDaily).toHaveBeenCalledWith(expect.objectContaining({ lat: -22.9056 }), expect.any(Object));
+            expect(published).toEqual([activityWindows]);
+            expect(shownExposure).toEqual([exposure]);
+        });
+    });
+
+    describe('area mode', () => {
+        const area = { grid: { rows: 3, cols: 3, points: 9, sampled: 9 }, aqi: { min: 20, mean: 35, max: 61 }, pollutants: {} };
+        let shownArea;
+
+        beforeEach(() => {
+            shownArea = [];
+            controller.eventManager.subscribe(EventManager.EVENTS.UI_SHOW_AREA_SUMMARY, data => shownArea.push(data));
+            jest.spyOn(controller.apiFacade, 'getActivityWindows').mockResolvedValue({ location: searchResult.location, activityWindows });
+            jest.spyOn(controller.apiFacade, 'getAreaAirQualityData').mockResolvedValue({ location: searchResult.location, area });
+        });
+
+        test('should not sample the area while the mode is off', async () => {
+            controller.eventManager.publish(EventManager.EVENTS.SEARCH_SUCCESS, searchResult);
+            await flushPromises();
+
+            expect(controller.apiFacade.getAreaAirQualityData).not.toHaveBeenCalled();
+            expect(shownArea).toEqual([]);
+        });
+
+        test('should summarize the displayed location when the mode is turned on', async () => {
+            controller.eventManager.publish(EventManager.EVENTS.SEARCH_SUCCESS, searchResult);
+            await flushPromises();
+
+            controller.eventManager.publish(EventManager.EVENTS.AQI_AREA_MODE_CHANGED, { enabled: true });
+            await flushPromises();
+
+            expect(controller.apiFacade.getAreaAirQualityData).toHaveBeenCalledWith(searchResult.location);
+            expect(shownArea).toEqual([area]);
+        });
+
+        test('should summarize the area of every search while the mode is on', async () => {
+            controller.eventManager.publish(EventManager.EVENTS.AQI_AREA_MODE_CHANGED, { enabled: true });
+            controller.eventManager.publish(EventManager.EVENTS.SEARCH_SUCCESS, searchResult);
+            await flushPromises();
+
+            expect(controller.apiFacade.getAreaAirQualityData).toHaveBeenCalledTimes(1);
+            expect(shownArea).toEqual([area]);
+            expect(published).toEqual([activityWindows]);
+        });
+
+        test('should tell the display why the area is unavailable', async () => {
+            controller.apiFacade.getAreaAirQualityData.mockRestore();
+
+            controller.eventManager.publish(EventManager.EVENTS.AQI_AREA_MODE_CHANGED, { enabled: true });
+            controller.eventManager.publish(EventManager.EVENTS.SEARCH_SUCCESS, searchResult);
+            await flushPromises();
+
+            expect(shownArea).toEqual([{ unavailable: 'Limites da área não disponíveis para esta localização' }]);
+        });
+
+        test('should not show internal errors in the area panel', async () => {
+            controller.apiFacade.getAreaAirQualityData.mockRejectedValue(new TypeError("Cannot read properties of null (reading 'toLowerCase')"));
+
+            controller.eventManager.publish(EventManager.EVENTS.AQI_AREA_MODE_CHANGED, { enabled: true });
+            controller.eventManager.publish(EventManager.EVENTS.SEARCH_SUCCESS, searchResult);
+            await flushPromises();
+
+            expect(shownArea).toEqual([{ unavailable: 'Resumo da área indisponível no momento' }]);
+        });
+
+        test('should summarize the area of a location without a city', async () => {
+            controller.apiFacade.getAreaAirQualityData.mockRestore();
+            const boundingBox = { south: -23.0, north: -22.8, west: -47.2, east: -46.9 };
+            const sample = jest.spyOn(controller.apiFacade.areaSampler, 'sample').mockResolvedValue(area);
+            const location = { ...coordinateResult.location, coordinates: { ...coordinateResult.location.coordinates, boundingBox } };
+
+            controller.eventManager.publish(EventManager.EVENTS.AQI_AREA_MODE_CHANGED, { enabled: true });
+            controller.eventManager.publish(EventManager.EVENTS.SEARCH_SUCCESS, { ...coordinateResult, location });
+            await flushPromises();
+
+            expect(sample).toHaveBeenCalledWith(boundingBox, expect.any(Object));
+            expect(shownArea).toEqual([area]);
+        });
+    });
+});
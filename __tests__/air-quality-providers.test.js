@@ -0,0 +1,116 @@
+/**
+ * Testes unitários dos provedores de qualidade do ar
+ */
+
+import { AirQualityProvider, AirQualityProviderError } from '../src/js/services/providers/AirQualityProvider.js';
+import { AirQualityProviderManager } from '../src/js/services/providers/AirQualityProviderManager.js';
+import { OpenAQProvider } from '../src/js/services/providers/OpenAQProvider.js';
+import { WAQIProvider } from '../src/js/services/providers/WAQIProvider.js';
+
+const jsonResponse = (body) => ({ ok: true, status: 200, json: () => Promise.resolve(body) });
+
+const stubProvider = (id, getAirQuality, capabilities = {}) => {
+    const provider = new AirQualityProvider({ id, capabilities });
+    provider.getAirQuality = jest.fn(getAirQuality);
+    return provider;
+};
+
+describe('AirQualityProviderManager', () => {
+    test('should fall back to the next provider when one fails', async () => {
+        const failing = stubProvider('primary', () => Promise.reject(new Error('timeout')));
+        const backup = stubProvider('backup', () => Promise.resolve({ metadata: { provider: 'backup' } }));
+        const manager = new AirQualityProviderManager([failing, backup]);
+
+        const data = await manager.getAirQuality({ lat: 0, lon: 0 });
+
+        expect(failing.getAirQuality).toHaveBeenCalled();
+        expect(data.metadata.provider).toBe('backup');
+    });
+
+    test('should honor per-request preference, capabilities and coverage', () => {
+        const europe = stubProvider('europe', jest.fn(), {
+            forecast: true,
+            coverage: { minLat: 35, maxLat: 72, minLon: -25, maxLon: 45 }
+        });
+        const worldwide = stubProvider('global', jest.fn());
+        const manager = new AirQualityProviderManager([europe, worldwide]);
+
+        expect(manager.rank('current', { lat: 52.5, lon: 13.4 }, ['global']).map(p => p.id)).toEqual(['global', 'europe']);
+        expect(manager.rank('current', { lat: -23.5, lon: -46.6 }).map(p => p.id)).toEqual(['global']);
+        expect(manager.rank('forecast', { lat: 52.5, lon: 13.4 }).map(p => p.id)).toEqual(['europe']);
+    });
+
+    test('should report every failure when all providers fail', async () => {
+        const manager = new AirQualityProviderManager([
+            stubProvider('a', () => Promise.reject(new Error('down'))),
+            stubProvider('b', () => Promise.reject(new Error('quota')))
+        ]);
+
+        const error = await manager.getAirQuality({ lat: 0, lon: 0 }).catch(e => e);
+
+        expect(error).toBeInstanceOf(AirQualityProviderError);
+        expect(error.errors.map(({ provider }) => provider)).toEqual(['a', 'b']);
+    });
+});
+
+describe('station providers', () => {
+    test('should normalize OpenAQ readings into the standard shape', async () => {
+        global.fetch = jest.fn()
+            .mockResolvedValueOnce(jsonResponse({
+                results: [{
+                    id: 42,
+                    name: 'Pinheiros',
+                    timezone: 'America/Sao_Paulo',
+                    coordinates: { latitude: -23.56, longitude: -46.70 },
+                    sensors: [
+                        { id: 1, parameter: { name: 'pm25', units: 'µg/m³' } },
+                        { id: 2, parameter: { name: 'o3', units: 'ppm' } }
+                    ]
+                }]
+            }))
+            .mockResolvedValueOnce(jsonResponse({
+                results: [
+                    { sensorsId: 1, value: 35.4, datetime: { utc: '2025-08-11T12:00:00Z' } },
+                    { sensorsId: 2, value: 0.03, datetime: { utc: '2025-08-11T11:00:00Z' } }
+                ]
+            }));
+
+        const data = await new OpenAQProvider({ apiKey: 'key' }).getAirQuality({ lat: -23.55, lon: -46.63 });
+
+        expect(global.fetch.mock.calls[0][1].headers['X-API-Key']).toBe('key');
+        expect(data.pollutants.pm2_5.value).toBe(35.4);
+        expect(data.pollutants.ozone.unit).toBe('ppm');
+        expect(data.aqi.value).toBe(100);
+        expect(data.aqi.type).toBe('us');
+        expect(data.metadata).toEqual(expect.objectContaining({ provider: 'openaq', timestamp: '2025-08-11T12:00:00Z' }));
+        expect(data.healthRecommendation).toEqual(expect.any(Object));
+    });
+
+    test('should convert WAQI sub-indices back to concentrations', async () => {
+        global.fetch = jest.fn().mockResolvedValue(jsonResponse({
+            status: 'ok',
+            data: {
+                aqi: 100,
+                idx: 7,
+                city: { geo: [-23.55, -46.63], name: 'São Paulo' },
+                time: { iso: '2025-08-11T12:00:00-03:00', tz: '-03:00' },
+                iaqi: { pm25: { v: 100 }, pm10: { v: 50 } }
+            }
+        }));
+
+        const data = await new WAQIProvider({ token: 'abc' }).getAirQuality({ lat: -23.55, lon: -46.63 });
+
+        expect(global.fetch.mock.calls[0][0]).toContain('/feed/geo:-23.55;-46.63/?token=abc');
+        expect(data.pollutants.pm2_5.value).toBeCloseTo(35.4);
+        expect(data.pollutants.pm10.value).toBeCloseTo(54);
+        expect(data.aqi.subIndices.pm2_5.value).toBe(100);
+        expect(data.metadata.provider).toBe('waqi');
+    });
+
+    test('should fail with AirQualityProviderError on WAQI error status', async () => {
+        global.fetch = jest.fn().mockResolvedValue(jsonResponse({ status: 'error', data: 'Invalid key' }));
+
+        await expect(new WAQIProvider().getAirQuality({ lat: 0, lon: 0 }))
+            .rejects.toBeInstanceOf(AirQualityProviderError);
+    });
+});
@@ -0,0 +1,421 @@
+/**
+ * Testes unitários do AirQualityService
+ * Cobrem o processamento das respostas da API Open-Meteo
+ */
+
+import { AirQualityService, AirQualityDataError } from '../src/js/services/AirQualityService.js';
+
+const mockFetchResponse = (body, ok = true) => {
+    global.fetch = jest.fn().mockResolvedValue({
+        ok,
+        status: ok ? 200 : 500,
+        statusText: ok ? 'OK' : 'Internal Server Error',
+        json: () => Promise.resolve(body)
+    });
+};
+
+const hourlyResponse = {
+    latitude: -23.55,
+    longitude: -46.63,
+    timezone: 'America/Sao_Paulo',
+    elevation: 760,
+    hourly_units: { pm2_5: 'μg/m³', ozone: 'μg/m³' },
+    hourly: {
+        time: ['2025-08-11T00:00', '2025-08-11T01:00'],
+        european_aqi: [18, 45],
+        us_aqi: [30, 80],
+        pm2_5: [8, 22],
+        ozone: [40, 95]
+    }
+};
+
+describe('AirQualityService', () => {
+    let service;
+
+    beforeEach(() => {
+        service = new AirQualityService();
+    });
+
+    describe('getForecast', () => {
+        test('should request hourly variables for the given number of days', async () => {
+            mockFetchResponse(hourlyResponse);
+
+            await service.getForecast({ lat: -23.55, lon: -46.63 }, { days: 2 });
+
+            const url = new URL(global.fetch.mock.calls[0][0]);
+            expect(url.searchParams.get('hourly')).toContain('pm2_5');
+            expect(url.searchParams.get('forecast_days')).toBe('2');
+            expect(url.searchParams.has('current')).toBe(false);
+        });
+
+        test('should process each hour through the standard pipeline', async () => {
+            mockFetchResponse(hourlyResponse);
+
+            const forecast = await service.getForecast({ lat: -23.55, lon: -46.63 });
+
+            expect(forecast.hours).toHaveLength(2);
+            expect(forecast.hours[0].metadata.timestamp).toBe('2025-08-11T00:00');
+            expect(forecast.hours[0].aqi.classification).toBe('good');
+            expect(forecast.hours[1].aqi.classification).toBe('moderate');
+            expect(forecast.hours[1].pollutants.pm2_5.value).toBe(22);
+            expect(forecast.hours[0].raw).toBeUndefined();
+            expect(forecast.metadata.timezone).toBe('America/Sao_Paulo');
+        });
+
+        test('should reject an out-of-range number of days', async () => {
+            mockFetchResponse(hourlyResponse);
+
+            await expect(service.getForecast({ lat: 0, lon: 0 }, { days: 10 }))
+                .rejects.toBeInstanceOf(AirQualityDataError);
+            expect(global.fetch).not.toHaveBeenCalled();
+        });
+
+        test('should fail with AirQualityDataError when no hourly data is returned', async () => {
+            mockFetchResponse({ ...hourlyResponse, hourly: { time: [] } });
+
+            await expect(service.getForecast({ lat: 0, lon: 0 }))
+                .rejects.toBeInstanceOf(AirQualityDataError);
+        });
+    });
+
+    describe('getHistory', () => {
+        test('should request an explicit date range', async () => {
+            mockFetchResponse(hourlyResponse);
+
+            await service.getHistory({ lat: -23.55, lon: -46.63 }, {
+                startDate: '2025-08-10',
+                endDate: '2025-08-11'
+            });
+
+            const url = new URL(global.fetch.mock.calls[0][0]);
+            expect(url.searchParams.get('start_date')).toBe('2025-08-10');
+            expect(url.searchParams.get('end_date')).toBe('2025-08-11');
+            expect(url.searchParams.has('past_days')).toBe(false);
+        });
+
+        test('should return one processed entry per past hour', async () => {
+            const future = new Date(Date.now() + 48 * 3600 * 1000).toISOString().slice(0, 13) + ':00';
+            mockFetchResponse({
+                ...hourlyResponse,
+                utc_offset_seconds: 0,
+                hourly: {
+                    time: [...hourlyResponse.hourly.time, future],
+                    european_aqi: [18, 45, 60],
+                    pm2_5: [8, 22, 30]
+                }
+            });
+
+            const history = await service.getHistory({ lat: -23.55, lon: -46.63 }, { pastDays: 3 });
+
+            expect(history.hours).toHaveLength(2);
+            expect(history.hours[1]).toEqual(expect.objectContaining({
+                aqi: expect.objectContaining({ value: 45 }),
+                pollutants: expect.objectContaining({ pm2_5: expect.any(Object) }),
+                healthRecommendation: expect.any(Object)
+            }));
+            expect(history.metadata.pastDays).toBe(3);
+        });
+
+        test.each([
+            [{ startDate: '2025-08-11' }],
+            [{ startDate: '2025-08-12', endDate: '2025-08-11' }],
+            [{ startDate: '11/08/2025', endDate: '12/08/2025' }],
+            [{ pastDays: 0 }],
+            [{ pastDays: 2, startDate: '2025-08-10', endDate: '2025-08-11' }]
+        ])('should reject invalid range %j', async (range) => {
+            mockFetchResponse(hourlyResponse);
+
+            await expect(service.getHistory({ lat: 0, lon: 0 }, range))
+                .rejects.toBeInstanceOf(AirQualityDataError);
+            expect(global.fetch).not.toHaveBeenCalled();
+        });
+    });
+
+    describe('AQI standards', () => {
+        test('should compute configured standards from raw concentrations', async () => {
+            const brazilService = new AirQualityService({ standards: ['conama', 'us-epa'] });
+            mockFetchResponse({
+                ...hourlyResponse,
+                hourly: undefined,
+                current_units: { pm2_5: 'μg/m³', pm10: 'μg/m³' },
+                current: { time: '2025-08-11T12:00', european_aqi: 30, pm2_5: 35, pm10: 60 }
+            });
+
+            const data = await brazilService.getAirQuality({ lat: -23.55, lon: -46.63 });
+
+            expect(Object.keys(data.indices)).toEqual(['conama', 'us-epa']);
+            expect(data.indices.conama.dominantPollutant).toBe('pm2_5');
+            expect(data.indices.conama.category.description).toBe('Moderada');
+            expect(data.indices['us-epa'].value).toBe(99);
+        });
+
+        test('should keep the API index classification for european and us scales', () => {
+            expect(service._classifyAQI(35, 'european').level).toBe('fair');
+            expect(service._classifyAQI(120, 'us').level).toBe('unhealthy-sensitive');
+            expect(service._classifyAQI(null).level).toBe('unknown');
+        });
+    });
+
+    describe('EPA sub-indices and NowCast', () => {
+        test('should request trailing hourly PM data with current values', async () => {
+            mockFetchResponse({ ...hourlyResponse, current: { time: '2025-08-11T01:00', pm2_5: 22 } });
+
+            await service.getAirQuality({ lat: -23.55, lon: -46.63 });
+
+            const url = new URL(global.fetch.mock.calls[0][0]);
+            expect(url.searchParams.get('hourly')).toBe('pm2_5,pm10');
+            expect(url.searchParams.get('past_days')).toBe('1');
+        });
+
+        test('should weight recent hours with the NowCast formula', () => {
+            expect(service._calculateNowCast([10, 10, 10, 10])).toBeCloseTo(10);
+            // Variação alta: peso mínimo de 0.5
+            expect(service._calculateNowCast([40, 20])).toBeCloseTo(33.33, 2);
+            // Peso = min/max = 0.8
+            expect(service._calculateNowCast([10, 8, null])).toBeCloseTo((10 + 8 * 0.8) / 1.8, 5);
+            // Menos de 2 das 3 horas mais recentes
+            expect(service._calculateNowCast([null, 20, null, 30])).toBeNull();
+        });
+
+        test('should use NowCast for PM and report the driving pollutant', () => {
+            const hourly = {
+                time: ['2025-08-11T10:00', '2025-08-11T11:00', '2025-08-11T12:00', '2025-08-11T13:00'],
+                pm2_5: [20, 20, 40, 99]
+            };
+
+            const epa = service.calculateEPAAQI(
+                { time: '2025-08-11T12:15', pm2_5: 40, nitrogen_dioxide: 20 },
+                hourly
+            );
+
+            // Horas 12h, 11h, 10h → w = 0.5 → (40 + 10 + 5) / 1.75
+            expect(epa.nowCast.pm2_5).toBeCloseTo(31.43, 2);
+            expect(epa.subIndices.pm2_5.concentration).toBeCloseTo(31.43, 2);
+            expect(epa.dominantPollutant).toBe('pm2_5');
+            expect(epa.value).toBe(epa.subIndices.pm2_5.value);
+        });
+
+        test('should find the trailing hours up to the reference time', () => {
+            const hourly = {
+                time: ['2025-08-11T10:00', '2025-08-11T11:00', '2025-08-11T12:00', '2025-08-11T13:00'],
+                pm2_5: [1, 2, 3, 4]
+            };
+
+            expect(service._getTrailingHours(hourly, 'pm2_5', '2025-08-11T12:15', 12)).toEqual([3, 2, 1]);
+            expect(service._getTrailingHours(hourly, 'pm2_5', '2025-08-11T13:00', 2)).toEqual([4, 3]);
+            expect(service._getTrailingHours(hourly, 'pm2_5', '2025-08-12T00:00', 1)).toEqual([4]);
+            expect(service._getTrailingHours(hourly, 'pm2_5', '2025-08-11T09:59', 12)).toBeNull();
+        });
+
+        test('should slide the NowCast window along an hourly series', async () => {
+            const hours = 72;
+            const time = Array.from({ length: hours }, (_, hour) => new Date(Date.UTC(2025, 7, 11, hour)).toISOString().slice(0, 16));
+            const pm2_5 = time.map((_, hour) => (hour % 5 === 4 ? null : 10 + ((hour * 7) % 23)));
+            const pm10 = time.map((_, hour) => 20 + ((hour * 11) % 31));
+            mockFetchResponse({ ...hourlyResponse, hourly_units: {}, hourly: { time, pm2_5, pm10 } });
+            const getTrailingHours = jest.spyOn(service, '_getTrailingHours');
+
+            const forecast = await service.getForecast({ lat: -23.55, lon: -46.63 });
+
+            // A série não procura a janela de cada hora em hourly
+            expect(getTrailingHours).not.toHaveBeenCalled();
+            getTrailingHours.mockRestore();
+
+            forecast.hours.forEach((entry, index) => {
+                const expected = service.calculateEPAAQI({ time: time[index], pm2_5: pm2_5[index], pm10: pm10[index] }, { time, pm2_5, pm10 });
+                expect(entry.aqi.subIndices.pm2_5).toEqual(expected.subIndices.pm2_5);
+                expect(entry.aqi.subIndices.pm10).toEqual(expected.subIndices.pm10);
+                expect(entry.aqi.subIndices.pm10.concentration).toBe(expected.nowCast.pm10 ?? pm10[index]);
+            });
+        });
+
+        test('should pick the dominant pollutant by sub-index', async () => {
+            mockFetchResponse({
+                ...hourlyResponse,
+                hourly: undefined,
+                current: { time: '2025-08-11T12:00', pm2_5: 5, ozone: 200, carbon_monoxide: 300 }
+            });
+
+            const data = await service.getAirQuality({ lat: -23.55, lon: -46.63 });
+
+            expect(data.dominantPollutant.key).toBe('ozone');
+            expect(data.dominantPollutant.subIndex).toBe(data.aqi.subIndices.ozone.value);
+            expect(data.dominantPollutant.exceedsLimit).toBe(true);
+            expect(data.aqi.dominantPollutant).toBe('ozone');
+        });
+    });
+
+    describe('allergens', () => {
+        test('should request pollen variables with current data', async () => {
+            mockFetchResponse({ ...hourlyResponse, current: { time: '2025-08-11T12:00', pm2_5: 5 } });
+
+            await service.getAirQuality({ lat: 52.52, lon: 13.41 });
+
+            const url = new URL(global.fetch.mock.calls[0][0]);
+            expect(url.searchParams.get('current')).toContain('birch_pollen');
+            expect(url.searchParams.get('current')).toContain('ragweed_pollen');
+        });
+
+        test('should build an allergen category with levels and recommendation', () => {
+            const allergens = service._processAllergens(
+                { birch_pollen: 120, grass_pollen: 12, ragweed_pollen: null },
+                { birch_pollen: 'grains/m³' }
+            );
+
+            expect(Object.keys(allergens.items)).toEqual(['birch_pollen', 'grass_pollen']);
+            expect(allergens.items.birch_pollen.level).toBe('very-high');
+            expect(allergens.items.grass_pollen.level).toBe('moderate');
+            expect(allergens.dominant).toBe('birch_pollen');
+            expect(allergens.recommendation.allergic).toEqual(expect.any(String));
+        });
+
+        test('should return null when the location has no pollen data', () => {
+            expect(service._processAllergens({ pm2_5: 10, birch_pollen: null }, {})).toBeNull();
+        });
+    });
+
+    describe('unit preferences', () => {
+        test('should convert gases to the preferred unit and keep the source value', () => {
+            service.setUnitPreferences({ ozone: 'ppb', pm2_5: 'ppb' });
+
+            const pollutants = service._processPollutants(
+                { ozone: 98.1, pm2_5: 12 },
+                { ozone: 'μg/m³', pm2_5: 'μg/m³' }
+            );
+
+            expect(pollutants.ozone.unit).toBe('ppb');
+            expect(pollutants.ozone.value).toBeCloseTo(50, 0);
+            expect(pollutants.ozone.sourceValue).toBe(98.1);
+            expect(pollutants.ozone.sourceUnit).toBe('µg/m³');
+            // Material particulado não tem razão de mistura
+            expect(pollutants.pm2_5.unit).toBe('µg/m³');
+            expect(pollutants.pm2_5.value).toBe(12);
+        });
+
+        test('should keep the AQI math on API units regardless of preferences', async () => {
+            const ppbService = new AirQualityService({ unitPreferences: { ozone: 'ppm' } });
+            mockFetchResponse({
+                ...hourlyResponse,
+                hourly: undefined,
+                current_units: { ozone: 'μg/m³' },
+                current: { time: '2025-08-11T12:00', ozone: 200 }
+            });
+
+            const data = await ppbService.getAirQuality({ lat: -23.55, lon: -46.63 });
+
+            expect(data.pollutants.ozone.unit).toBe('ppm');
+            expect(data.aqi.subIndices.ozone.value).toBe(service.calculateEPAAQI({ ozone: 200 }).subIndices.ozone.value);
+        });
+    });
+
+    describe('getAirQualityBatch', () => {
+        const locationResponse = (pm2_5) => ({
+            ...hourlyResponse,
+            hourly: undefined,
+            current: { time: '2025-08-11T12:00', european_aqi: 20, pm2_5 }
+        });
+
+        test('should send comma-separated coordinates and split the response per location', async () => {
+            global.fetch = jest.fn().mockResolvedValue({
+                ok: true,
+                json: () => Promise.resolve([locationResponse(5), { ...locationResponse(0), current: undefined }])
+            });
+
+            const results = await service.getAirQualityBatch([
+                { lat: -23.55, lon: -46.63 },
+                { lat: -22.91, lon: -43.17 }
+            ]);
+
+            const url = new URL(global.fetch.mock.calls[0][0]);
+            expect(url.searchParams.get('latitude')).toBe('-23.55,-22.91');
+            expect(url.searchParams.get('longitude')).toBe('-46.63,-43.17');
+            expect(results[0].coordinates).toEqual({ lat: -23.55, lon: -46.63 });
+            expect(results[0].data.pollutants.pm2_5.value).toBe(5);
+            expect(results[1].data).toBeNull();
+            expect(results[1].error).toBeInstanceOf(AirQualityDataError);
+        });
+
+        test('should chunk large coordinate lists', async () => {
+            const chunkedService = new AirQualityService({ maxBatchSize: 2 });
+            global.fetch = jest.fn()
+                .mockResolvedValueOnce({ ok: true, json: () => Promise.resolve([locationResponse(1), locationResponse(2)]) })
+                .mockResolvedValueOnce({ ok: true, json: () => Promise.resolve(locationResponse(3)) });
+
+            const results = await chunkedService.getAirQualityBatch([
+                { lat: 1, lon: 1 }, { lat: 2, lon: 2 }, { lat: 3, lon: 3 }
+            ]);
+
+            expect(global.fetch).toHaveBeenCalledTimes(2);
+            expect(results.map(result => result.data.pollutants.pm2_5.value)).toEqual([1, 2, 3]);
+        });
+
+        test('should reject an empty coordinate list', async () => {
+            await expect(service.getAirQualityBatch([])).rejects.toBeInstanceOf(AirQualityDataError);
+        });
+    });
+
+    describe('extended dataset', () => {
+        test('should only request extended variables when enabled', async () => {
+            mockFetchResponse({ ...hourlyResponse, current: { time: '2025-08-11T12:00', pm2_5: 5 } });
+
+            await service.getAirQuality({ lat: -23.55, lon: -46.63 });
+            await service.getAirQuality({ lat: -23.55, lon: -46.63 }, { extended: true });
+
+            const [defaultURL, extendedURL] = global.fetch.mock.calls.map(([url]) => new URL(url));
+            expect(defaultURL.searchParams.get('current')).not.toContain('uv_index');
+            expect(extendedURL.searchParams.get('current')).toContain('uv_index,dust,aerosol_optical_depth,ammonia');
+        });
+
+        test('should classify UV with WHO categories and flag dust events', () => {
+            const extended = service._processExtended(
+                { uv_index: 7.6, dust: 620, aerosol_optical_depth: 0.12, ammonia: 4 },
+                { dust: 'μg/m³', ammonia: 'μg/m³' }
+            );
+
+            expect(extended.items.uv_index.level).toBe('very-high');
+            expect(extended.items.dust.level).toBe('very-high');
+            expect(extended.items.dust.unit).toBe('µg/m³');
+            expect(extended.items.aerosol_optical_depth.level).toBe('moderate');
+            expect(extended.items.ammonia.level).toBe('low');
+            expect(extended.recommendations).toHaveLength(2);
+            expect(service._processExtended({ pm2_5: 10 }, {})).toBeNull();
+        });
+    });
+
+    describe('data quality', () => {
+        test('should report observation age using the response UTC offset', () => {
+            const observedAt = new Date(Date.now() - 5 * 3600 * 1000);
+            // Horário local de São Paulo (UTC-3), sem fuso, como retornado pela API
+            const localTime = new Date(observedAt.getTime() - 3 * 3600 * 1000).toISOString().slice(0, 16);
+
+            const quality = service._assessDataQuality(
+                { time: localTime, pm2_5: 10, pm10: 20, ozone: 30 },
+                { utc_offset_seconds: -3 * 3600 }
+            );
+
+            expect(quality.observationAge).toBeGreaterThan(4.9 * 3600 * 1000);
+            expect(quality.observationAge).toBeLessThan(5.1 * 3600 * 1000);
+            expect(quality.isObservationStale).toBe(true);
+            expect(quality.completeness.missing).toEqual(['nitrogen_dioxide', 'sulphur_dioxide', 'carbon_monoxide']);
+            expect(quality.completeness.ratio).toBe(0.5);
+            expect(quality.completeness.isComplete).toBe(false);
+        });
+
+        test('should attach quality flags to processed results', async () => {
+            mockFetchResponse({
+                ...hourlyResponse,
+                hourly: undefined,
+                utc_offset_seconds: 0,
+                current: {
+                    time: new Date().toISOString().slice(0, 16),
+                    pm2_5: 5, pm10: 10, ozone: 40, nitrogen_dioxide: 8, sulphur_dioxide: 2, carbon_monoxide: 150
+                }
+            });
+
+            const data = await service.getAirQuality({ lat: -23.55, lon: -46.63 });
+
+            expect(data.quality.isObservationStale).toBe(false);
+            expect(data.quality.completeness.isComplete).toBe(true);
+        });
+    });
+});
@@ -0,0 +1,187 @@
+/**
+ * Testes unitários do APIFacade
+ * O facade usa GeocodingService, AirQualityService, CacheService e EventManager como
+ * globais (como no navegador); os testes os instalam e substituem as chamadas de rede
+ */
+
+import { APIFacade } from '../src/js/services/APIFacade.js';
+import { GeocodingService } from '../src/js/services/GeocodingService.js';
+import { AirQualityService } from '../src/js/services/AirQualityService.js';
+import CacheService from '../src/js/services/CacheService.js';
+import EventManager from '../src/js/utils/EventManager.js';
+import { HealthAdvisor } from '../src/js/services/HealthAdvisor.js';
+import { RequestCancelledError } from '../src/js/utils/RequestSignal.js';
+
+const paulista = {
+    lat: -23.5614,
+    lon: -46.6559,
+    display_name: 'Avenida Paulista, São Paulo, Brasil',
+    address: { city: 'São Paulo', state: 'São Paulo', countryCode: 'BR', postcode: '01310-100' },
+    source: 'nominatim'
+};
+
+// Operação que só termina quando o sinal é cancelado, rejeitando com o motivo (como o fetch)
+const untilAborted = signal => new Promise((resolve, reject) => {
+    signal.addEventListener('abort', () => reject(signal.reason), { once: true });
+});
+
+const campinas = {
+    city: 'Campinas',
+    coordinates: { lat: -22.9056, lon: -47.0608, boundingBox: { south: -23.0, north: -22.8, west: -47.2, east: -46.9 } }
+};
+
+describe('APIFacade', () => {
+    let facade;
+    let eventManager;
+
+    beforeAll(() => {
+        Object.assign(global, { GeocodingService, AirQualityService, CacheService, EventManager });
+    });
+
+    beforeEach(() => {
+        localStorage.clear();
+        eventManager = { publish: jest.fn() };
+        facade = new APIFacade(eventManager);
+        facade.configure({ retryDelay: 0 });
+        jest.spyOn(facade.providerManager, 'getAirQuality').mockResolvedValue({ aqi: 42 });
+    });
+
+    afterEach(() => {
+        facade.destroy();
+        jest.restoreAllMocks();
+    });
+
+    describe('postal codes typed in the city field', () => {
+        test.each(['01310100', '01310-100'])('should search CEP %s as a postal code', async (cep) => {
+            const geocodePostalCode = jest.spyOn(facade.geocodingService, 'geocodePostalCode').mockResolvedValue(paulista);
+            const geocode = jest.spyOn(facade.geocodingService, 'geocode');
+
+            const result = await facade.getAirQualityData({ city: cep, state: '', country: 'BR' });
+
+            expect(geocodePostalCode).toHaveBeenCalledWith(cep, 'BR', expect.any(Object));
+            expect(geocode).not.toHaveBeenCalled();
+            expect(result.location).toEqual(expect.objectContaining({ city: 'São Paulo', postalCode: '01310-100' }));
+            expect(facade.providerManager.getAirQuality).toHaveBeenCalledWith(
+                expect.objectContaining({ lat: paulista.lat, lon: paulista.lon }),
+                expect.any(Object)
+            );
+        });
+
+        test('should search a US ZIP code as a postal code instead of a geohash', async () => {
+            const geocodePostalCode = jest.spyOn(facade.geocodingService, 'geocodePostalCode')
+                .mockResolvedValue({ ...paulista, lat: 34.09, lon: -118.41, address: { city: 'Beverly Hills', countryCode: 'US', postcode: '90210' } });
+
+            const result = await facade.getAirQualityData({ city: '90210', state: '', country: null });
+
+            expect(geocodePostalCode).toHaveBeenCalledWith('90210', null, expect.any(Object));
+            expect(result.location.coordinates).toEqual(expect.objectContaining({ lat: 34.09, lon: -118.41 }));
+        });
+    });
+
+    describe('coordinates typed in the city field', () => {
+        beforeEach(() => {
+            jest.spyOn(console, 'warn').mockImplementation(() => {});
+            jest.spyOn(facade.geocodingService, 'reverseGeocode').mockRejectedValue(new Error('Nominatim indisponível'));
+        });
+
+        test('should cache a location without a city under its coordinates', async () => {
+            const first = await facade.getAirQualityData({ city: '-22.9056, -47.0608', state: '', country: null });
+            const second = await facade.getAirQualityData({ city: '-22.90561, -47.06082', state: '', country: null });
+
+            expect(first.location.city).toBeNull();
+            expect(second.source).toBe('cache');
+            expect(facade.providerManager.getAirQuality).toHaveBeenCalledTimes(1);
+            expect(facade._locationCacheKey(first.location)).toBe('coords_-22.906_-47.061');
+        });
+
+        test('should publish the query events when the coordinate is invalid', async () => {
+            await expect(facade.getAirQualityData({ city: '95, -47', state: '', country: null })).rejects.toThrow('Latitude');
+
+            const events = eventManager.publish.mock.calls.map(([event]) => event);
+            expect(events).toEqual([
+                EventManager.EVENTS.API_LOADING_START,
+                EventManager.EVENTS.API_ERROR,
+                EventManager.EVENTS.API_LOADING_END
+            ]);
+        });
+
+        test('should publish the query events when the plus code reference is not found', async () => {
+            facade.configure({ retryAttempts: 1 });
+            jest.spyOn(facade.geocodingService, 'geocode').mockRejectedValue(new Error('Localização não encontrada'));
+
+            await expect(facade.getAirQualityData({ city: 'C9X8+QQ Cidade Inexistente', state: '', country: null }))
+                .rejects.toThrow('Localização não encontrada');
+
+            expect(eventManager.publish).toHaveBeenCalledWith(EventManager.EVENTS.API_ERROR, expect.objectContaining({ query: 'airQuality' }));
+            expect(eventManager.publish).toHaveBeenLastCalledWith(EventManager.EVENTS.API_LOADING_END);
+        });
+    });
+
+    describe('health profile', () => {
+        test('should plan activity windows with the profile saved by the display', async () => {
+            const findBestWindows = jest.spyOn(facade.activityPlanner, 'findBestWindows').mockResolvedValue({ windows: [] });
+
+            // O display tem a própria instância do HealthAdvisor
+            new HealthAdvisor().setProfile(['asthma-copd']);
+            await facade.getActivityWindows({ city: 'Campinas', coordinates: { lat: -22.9, lon: -47.06 } });
+
+            expect(findBestWindows).toHaveBeenCalledWith(
+                expect.objectContaining({ lat: -22.9 }),
+                expect.objectContaining({ profile: ['asthma-copd'] })
+            );
+        });
+
+        test('should tailor service recommendations to the profile saved by the display', () => {
+            new HealthAdvisor().setProfile(['children']);
+
+            const recommendation = facade.airQualityService._getHealthRecommendation({ level: 'poor' }, 'european');
+
+            expect(recommendation.profiles.map(({ profile }) => profile)).toEqual(['children']);
+        });
+    });
+
+    describe('cancellation of the secondary queries', () => {
+        // Cada consulta e a chamada de serviço que deve receber o sinal da tentativa
+        const queries = [
+            ['getForecastData', facade => facade.providerManager, 'getForecast', (facade, options) => facade.getForecastData(campinas, options)],
+            ['getHistoricalData', facade => facade.providerManager, 'getHistory', (facade, options) => facade.getHistoricalData(campinas, { pastDays: 2, ...options })],
+            ['getActivityWindows', facade => facade.airQualityService, 'getForecast', (facade, options) => facade.getActivityWindows(campinas, options)],
+            ['getExposureEstimate', facade => facade.airQualityService, 'getForecast', (facade, options) => facade.getExposureEstimate(campinas, options)],
+            ['getAreaAirQualityData', facade => facade.airQualityService, 'getAirQualityBatch', (facade, options) => facade.getAreaAirQualityData(campinas, options)],
+            ['getAirQualityDataForLocations', facade => facade.airQualityService, 'getAirQualityBatch', (facade, options) => facade.getAirQualityDataForLocations([{ city: 'Campinas', state: 'SP', country: 'BR' }], options)]
+        ];
+
+        beforeEach(() => {
+            jest.spyOn(console, 'warn').mockImplementation(() => {});
+            jest.spyOn(facade.geocodingService, 'geocode').mockResolvedValue({ lat: -22.9056, lon: -47.0608, display_name: 'Campinas' });
+        });
+
+        test.each(queries)('%s should abort the service call when the caller cancels', async (name, getTarget, method, run) => {
+            let serviceSignal;
+            jest.spyOn(getTarget(facade), method).mockImplementation((...args) => {
+                serviceSignal = args[args.length - 1].signal;
+                return untilAborted(serviceSignal);
+            });
+            const controller = new AbortController();
+
+            const result = run(facade, { signal: controller.signal });
+            await new Promise(resolve => setTimeout(resolve, 0));
+            controller.abort(new RequestCancelledError('Busca substituída'));
+
+            await expect(result).rejects.toBeInstanceOf(RequestCancelledError);
+            expect(serviceSignal.aborted).toBe(true);
+            expect(eventManager.publish).not.toHaveBeenCalledWith(EventManager.EVENTS.API_ERROR, expect.anything());
+        });
+
+        test.each(queries)('%s should apply the per-attempt timeout', async (name, getTarget, method, run) => {
+            facade.configure({ retryAttempts: 1 });
+            jest.spyOn(getTarget(facade), method).mockImplementation((...args) => untilAborted(args[args.length - 1].signal));
+
+            const outcome = await run(facade, { timeout: 10 }).catch(error => error);
+            const error = Array.isArray(outcome) ? outcome[0].error : outcome;
+
+            expect(error.message).toContain('excedeu o tempo limite');
+            expect(error).not.toBeInstanceOf(RequestCancelledError);
+        });
+    });
+});
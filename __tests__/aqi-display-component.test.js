@@ -0,0 +1,365 @@
+/**
+ * Testes unitários do AQIDisplayComponent
+ * Cada seção é renderizada no jsdom a partir dos dados que o controller entrega
+ */
+
+import AQIDisplayComponent from '../src/js/views/components/AQIDisplayComponent.js';
+import { ExposureEstimator } from '../src/js/services/ExposureEstimator.js';
+import { HealthAdvisor } from '../src/js/services/HealthAdvisor.js';
+import EventManager from '../src/js/utils/EventManager.js';
+
+const concentrations = {
+    date: '2024-05-01',
+    hours: Array.from({ length: 24 }, (_, hour) => ({ hour, pm2_5: 22, ozone: 60 }))
+};
+
+describe('AQIDisplayComponent', () => {
+    let element;
+    let eventManager;
+    let display;
+
+    beforeEach(() => {
+        localStorage.clear();
+        jest.spyOn(console, 'log').mockImplementation(() => {});
+
+        element = document.createElement('div');
+        document.body.appendChild(element);
+        eventManager = { publish: jest.fn(), subscribe: jest.fn() };
+        display = new AQIDisplayComponent(element, { eventManager });
+    });
+
+    afterEach(() => {
+        element.remove();
+        jest.restoreAllMocks();
+    });
+
+    describe('allergens', () => {
+        test('should render a card per pollen type and the allergy advice', () => {
+            display.updateDisplay({
+                allergens: {
+                    items: {
+                        grass_pollen: { name: 'Gramíneas', description: 'Pólen de gramíneas', value: 42.6, unit: 'grãos/m³', level: 'high' },
+                        birch_pollen: { name: 'Bétula', description: 'Pólen de bétula', value: 0, unit: 'grãos/m³', level: 'none' }
+                    },
+                    recommendation: { allergic: 'Mantenha as janelas fechadas.' }
+                }
+            });
+
+            const cards = element.querySelectorAll('.allergen-card');
+            expect(Array.from(cards, card => card.dataset.allergen)).toEqual(['grass_pollen', 'birch_pollen']);
+            expect(cards[0].classList.contains('high')).toBe(true);
+            expect(cards[0].querySelector('.allergen-value').textContent).toBe('43 grãos/m³');
+            expect(cards[0].querySelector('.allergen-status').textContent).toBe('Alto');
+            expect(cards[1].querySelector('.allergen-status').textContent).toBe('Ausente');
+            expect(element.querySelector('.allergen-recommendation').textContent).toBe('🤧 Mantenha as janelas fechadas.');
+        });
+
+        test('should hide the section without pollen data', () => {
+            display.updateDisplay({ allergens: null });
+
+            expect(element.querySelector('.aqi-allergens').style.display).toBe('none');
+            expect(element.querySelector('.allergen-card')).toBeNull();
+        });
+    });
+
+    describe('data quality badge', () => {
+        const badge = () => element.querySelector('.data-quality-badge');
+
+        test('should flag a stale cache fallback with the cache age', () => {
+            display.updateDisplay({
+                quality: { isStale: true, staleFallback: true, observationAge: 3 * 3600000, cacheAge: 90 * 60000, isIncomplete: false }
+            });
+
+            expect(badge().style.display).toBe('');
+            expect(badge().classList.contains('stale')).toBe(true);
+            expect(badge().textContent).toBe('⚠️ Dados desatualizados do cache: a API não respondeu (observação de 3 h atrás)');
+            expect(badge().title).toBe('Cache de 2 h atrás');
+        });
+
+        test('should name the pollutants missing from an incomplete result', () => {
+            display.updateDisplay({
+                quality: { isObservationStale: false, completeness: { missing: ['ozone', 'pm10'] } }
+            });
+
+            expect(badge().classList.contains('incomplete')).toBe(true);
+            expect(badge().textContent).toMatch(/^⚠️ Dados incompletos: sem .+, .+$/);
+        });
+
+        test('should hide the badge for fresh and complete data', () => {
+            display.updateDisplay({ quality: { isStale: false, isIncomplete: false } });
+            expect(badge().style.display).toBe('none');
+
+            display.updateDisplay({});
+            expect(badge().style.display).toBe('none');
+        });
+    });
+
+    describe('WHO guidelines', () => {
+        const report = {
+            pollutants: {
+                pm2_5: { name: 'PM2.5', concentration: 37.5, unit: 'µg/m³', guideline: 15, period: '24h', exceeds: true, percentAbove: 150, targetMet: 'IT-3' },
+                carbon_monoxide: { name: 'CO', concentration: 0.456, unit: 'mg/m³', guideline: 4, period: '24h', exceeds: false, percentAbove: 0, targetMet: null },
+                ozone: { name: 'O₃', concentration: 250, unit: 'µg/m³', guideline: 100, period: '8h', exceeds: true, percentAbove: 150, targetMet: null }
+            },
+            source: 'OMS 2021'
+        };
+
+        const cellsOf = pollutant => Array.from(
+            element.querySelectorAll(`.guidelines-table tr[data-pollutant="${pollutant}"] td`),
+            cell => cell.textContent
+        );
+
+        test('should list each pollutant against its guideline', () => {
+            display.updateDisplay({ guidelines: report });
+
+            expect(cellsOf('pm2_5')).toEqual(['PM2.5', '37.5 µg/m³', '15 µg/m³ (24h)', '150% acima · atende meta IT-3']);
+            expect(cellsOf('carbon_monoxide')).toEqual(['CO', '0.46 mg/m³', '4 mg/m³ (24h)', 'Dentro da diretriz']);
+            expect(cellsOf('ozone')[3]).toBe('150% acima · acima de todas as metas');
+            expect(element.querySelectorAll('.guidelines-table tr.exceeds')).toHaveLength(2);
+            expect(element.querySelectorAll('.guidelines-table tr.within')).toHaveLength(1);
+            expect(element.querySelector('.guidelines-source').textContent).toMatch(/^Fonte: OMS 2021\./);
+        });
+
+        test('should hide the report without evaluated pollutants', () => {
+            display.updateDisplay({ guidelines: { pollutants: {}, source: 'OMS 2021' } });
+
+            expect(element.querySelector('.aqi-guidelines').style.display).toBe('none');
+            expect(element.querySelector('.guidelines-table')).toBeNull();
+        });
+    });
+
+    describe('extended variables', () => {
+        test('should render UV, dust and aerosol cards with their precision', () => {
+            display.updateDisplay({
+                extended: {
+                    items: {
+                        uv_index: { name: 'Índice UV', value: 7.26, unit: '', level: 'high', description: 'Radiação ultravioleta' },
+                        dust: { name: 'Poeira', value: 48.4, unit: 'µg/m³', level: 'moderate', description: 'Poeira mineral' },
+                        aerosol_optical_depth: { name: 'Profundidade óptica', value: 0.314, unit: '', level: 'low', description: 'Aerossóis na coluna' }
+                    },
+                    recommendations: ['Use protetor solar.']
+                }
+            });
+
+            const valueOf = key => element.querySelector(`.extended-card[data-variable="${key}"] .extended-value`).textContent;
+            expect(valueOf('uv_index')).toBe('7.3');
+            expect(valueOf('dust')).toBe('48 µg/m³');
+            expect(valueOf('aerosol_optical_depth')).toBe('0.31');
+            expect(element.querySelector('.extended-card[data-variable="uv_index"] .extended-status').textContent).toBe('Alto');
+            expect(element.querySelector('.extended-recommendation').textContent).toBe('☀️ Use protetor solar.');
+        });
+
+        test('should show a placeholder for a missing value', () => {
+            display.updateDisplay({
+                extended: { items: { uv_index: { name: 'Índice UV', value: null, unit: '', level: null } } }
+            });
+
+            expect(element.querySelector('.extended-value').textContent).toBe('--');
+            expect(element.querySelector('.extended-status').textContent).toBe('N/D');
+        });
+
+        test('should hide the section when the extended dataset was not requested', () => {
+            display.updateDisplay({});
+
+            expect(element.querySelector('.aqi-extended').style.display).toBe('none');
+        });
+    });
+
+    describe('gas unit selector', () => {
+        const data = {
+            pollutants: {
+                ozone: { value: 100, unit: 'µg/m³' },
+                pm2_5: { value: 12, unit: 'µg/m³' }
+            }
+        };
+
+        const valueOf = pollutant => element.querySelector(`.pollutant-card[data-pollutant="${pollutant}"] .pollutant-value`).textContent;
+        const unitOf = pollutant => element.querySelector(`.pollutant-card[data-pollutant="${pollutant}"] .pollutant-unit`).textContent;
+
+        test('should convert gases to the selected unit and leave particles in mass', () => {
+            display.updateDisplay(data);
+            expect(valueOf('ozone')).toBe('100');
+
+            const select = element.querySelector('select.unit-select');
+            select.value = 'ppb';
+            select.dispatchEvent(new Event('change'));
+
+            expect(valueOf('ozone')).toBe('51');
+            expect(unitOf('ozone')).toBe('ppb');
+            expect(valueOf('pm2_5')).toBe('12');
+            expect(eventManager.publish).toHaveBeenCalledWith(EventManager.EVENTS.AQI_UNIT_CHANGED, { gasUnit: 'ppb' });
+        });
+
+        test('should restore the saved unit in a new display', () => {
+            display.setGasUnit('ppm');
+
+            const other = new AQIDisplayComponent(document.createElement('div'), { eventManager });
+            other.updateDisplay(data);
+
+            expect(other.element.querySelector('select.unit-select').value).toBe('ppm');
+            expect(other.element.querySelector('.pollutant-card[data-pollutant="ozone"] .pollutant-value').textContent).toBe('0.05');
+        });
+
+        test('should ignore unknown units', () => {
+            display.setGasUnit('ppt');
+
+            expect(display.config.gasUnit).toBe('mass');
+            expect(eventManager.publish).not.toHaveBeenCalledWith(EventManager.EVENTS.AQI_UNIT_CHANGED, expect.anything());
+        });
+    });
+
+    describe('health profile selector', () => {
+        const data = { aqi: { value: 160, classification: 'unhealthy', type: 'us', dominantPollutant: 'ozone' } };
+        const checkbox = id => element.querySelector(`fieldset.health-profile input[value="${id}"]`);
+        const recommendationTexts = () => Array.from(element.querySelectorAll('.recommendation-text'), item => item.textContent);
+
+        test('should offer every profile group checked as saved', () => {
+            new HealthAdvisor().setProfile(['children']);
+            display.updateDisplay(data);
+
+            const options = element.querySelectorAll('fieldset.health-profile input[type="checkbox"]');
+            expect(options).toHaveLength(HealthAdvisor.getAvailableProfiles().length);
+            expect(checkbox('children').checked).toBe(true);
+            expect(checkbox('asthma-copd').checked).toBe(false);
+        });
+
+        test('should save the selection, publish it and tailor the recommendations', () => {
+            display.updateDisplay(data);
+            const before = recommendationTexts();
+
+            checkbox('asthma-copd').checked = true;
+            checkbox('asthma-copd').dispatchEvent(new Event('change'));
+
+            expect(new HealthAdvisor().getProfile()).toEqual(['asthma-copd']);
+            expect(eventManager.publish).toHaveBeenCalledWith(EventManager.EVENTS.AQI_HEALTH_PROFILE_CHANGED, { profile: ['asthma-copd'] });
+            expect(recommendationTexts()).toHaveLength(before.length + 1);
+            expect(checkbox('asthma-copd').checked).toBe(true);
+        });
+    });
+
+    describe('area mode', () => {
+        const area = {
+            grid: { rows: 3, cols: 3, points: 9, sampled: 8 },
+            aqi: { min: 21, mean: 38.5, max: 87, count: 8, worst: { row: 2, col: 0, lat: -23.51234, lon: -46.70111, value: 87, type: 'us', classification: 'moderate' } },
+            pollutants: {
+                pm2_5: { name: 'PM2.5', unit: 'µg/m³', min: 4.2, mean: 9.64, max: 21.8, count: 8 }
+            }
+        };
+        const section = () => element.querySelector('.aqi-area');
+
+        beforeEach(() => {
+            display.updateDisplay({ location: { city: 'São Paulo' } });
+        });
+
+        test('should stay hidden until the mode is turned on', () => {
+            display.showAreaSummary(area);
+
+            expect(section().style.display).toBe('none');
+            expect(element.querySelector('.area-table')).toBeNull();
+        });
+
+        test('should publish the toggle and wait for the samples', () => {
+            const toggle = element.querySelector('.area-mode-toggle input');
+            toggle.checked = true;
+            toggle.dispatchEvent(new Event('change'));
+
+            expect(eventManager.publish).toHaveBeenCalledWith(EventManager.EVENTS.AQI_AREA_MODE_CHANGED, { enabled: true });
+            expect(section().style.display).toBe('');
+            expect(element.querySelector('.area-loading')).not.toBeNull();
+        });
+
+        test('should render min, mean and max and point to the worst sub-area', () => {
+            display.setAreaMode(true);
+            display.showAreaSummary(area);
+
+            const cellsOf = key => Array.from(element.querySelectorAll(`.area-table tr[data-pollutant="${key}"] td`), cell => cell.textContent);
+            expect(cellsOf('aqi')).toEqual(['AQI', '21', '39', '87']);
+            expect(cellsOf('pm2_5')).toEqual(['PM2.5', '4 µg/m³', '10 µg/m³', '22 µg/m³']);
+            expect(element.querySelector('.area-coverage').textContent).toBe('8 de 9 pontos com dados (grade 3 × 3)');
+            expect(element.querySelector('.area-worst').textContent).toBe('📍 Pior sub-área: AQI 87 em -23.5123, -46.7011');
+            expect(element.querySelector('.area-worst').classList.contains('moderate')).toBe(true);
+        });
+
+        test('should explain why the area could not be sampled', () => {
+            display.setAreaMode(true);
+            display.showAreaSummary({ unavailable: 'Limites da área não disponíveis para esta localização' });
+
+            expect(element.querySelector('.area-unavailable').textContent).toBe('⚠️ Limites da área não disponíveis para esta localização');
+        });
+
+        test('should hide the summary when the mode is turned off', () => {
+            display.setAreaMode(true);
+            display.showAreaSummary(area);
+            display.setAreaMode(false);
+
+            expect(section().style.display).toBe('none');
+            expect(eventManager.publish).toHaveBeenLastCalledWith(EventManager.EVENTS.AQI_AREA_MODE_CHANGED, { enabled: false });
+        });
+    });
+
+    describe('activity windows', () => {
+        test('should list the windows handed over after a search', () => {
+            display.showActivityWindows({
+                windows: [
+                    { start: '2024-05-01T06:00', end: '2024-05-01T07:00', level: 'good', suitable: true, averageIndex: 30, maxIndex: 35, description: 'Boa' },
+                    { start: '2024-05-01T18:00', end: '2024-05-01T19:00', level: 'unhealthy_sensitive', suitable: false, averageIndex: 110, maxIndex: 120, description: 'Insalubre para grupos sensíveis' }
+                ]
+            });
+
+            const items = element.querySelectorAll('.activity-windows-list li.activity-window');
+            expect(items).toHaveLength(2);
+            expect(items[0].classList.contains('good')).toBe(true);
+            expect(items[0].querySelector('.activity-window-details').textContent).toBe('AQI médio 30 (máx. 35, Boa)');
+            expect(items[0].querySelector('.activity-window-warning')).toBeNull();
+            expect(items[1].classList.contains('unsuitable')).toBe(true);
+            expect(items[1].querySelector('.activity-window-warning')).not.toBeNull();
+        });
+
+        test('should tell when the forecast has no window', () => {
+            display.showActivityWindows({ windows: [] });
+
+            expect(element.querySelector('.activity-windows-empty').textContent).toBe('Nenhuma janela disponível na previsão.');
+            expect(element.querySelector('.aqi-activity-windows').style.display).toBe('');
+        });
+    });
+
+    describe('exposure summary', () => {
+        let estimator;
+
+        beforeEach(() => {
+            estimator = new ExposureEstimator({ airQualityService: {} });
+            display.exposureEstimator = estimator;
+            display.showExposureSummary(estimator.estimate(concentrations));
+        });
+
+        test('should render the doses and the schedule editor', () => {
+            const items = element.querySelectorAll('.exposure-summary .exposure-item[data-pollutant]');
+
+            expect(Array.from(items, item => item.dataset.pollutant)).toEqual(['pm2_5', 'ozone']);
+            expect(element.querySelectorAll('.exposure-schedule-row')).toHaveLength(estimator.getSchedule().length);
+            expect(element.querySelector('.exposure-cigarettes')).not.toBeNull();
+        });
+
+        test('should publish the edited schedule and recalculate with the loaded concentrations', () => {
+            const before = element.querySelector('[data-pollutant="pm2_5"] .exposure-dose').textContent;
+
+            element.querySelector('.exposure-schedule-add').click();
+            element.querySelector('.exposure-schedule-apply').click();
+
+            const schedule = estimator.getSchedule();
+            expect(schedule).toHaveLength(3);
+            expect(eventManager.publish).toHaveBeenCalledWith(EventManager.EVENTS.AQI_EXPOSURE_SCHEDULE_CHANGED, { schedule });
+            expect(element.querySelector('[data-pollutant="pm2_5"] .exposure-dose').textContent).not.toBe(before);
+        });
+
+        test('should keep the schedule and show why an invalid one was rejected', () => {
+            const [row] = element.querySelectorAll('.exposure-schedule-row');
+            row.querySelector('.schedule-end').value = '06:00';
+
+            element.querySelector('.exposure-schedule-apply').click();
+
+            expect(element.querySelector('.exposure-schedule-error').textContent).toMatch(/^⚠️ /);
+            expect(eventManager.publish).not.toHaveBeenCalledWith(EventManager.EVENTS.AQI_EXPOSURE_SCHEDULE_CHANGED, expect.anything());
+        });
+    });
+});
@@ -0,0 +1,98 @@
+/**
+ * Testes unitários do AQIStandardsRegistry
+ */
+
+import { AQIStandardsRegistry, AQIStandardError } from '../src/js/services/AQIStandardsRegistry.js';
+
+describe('AQIStandardsRegistry', () => {
+    let registry;
+
+    beforeEach(() => {
+        registry = new AQIStandardsRegistry();
+    });
+
+    test('should register the built-in standards', () => {
+        const ids = registry.list().map(standard => standard.id);
+        expect(ids).toEqual(expect.arrayContaining(['us-epa', 'eea', 'conama', 'in-naqi', 'uk-daqi']));
+    });
+
+    test('should interpolate US EPA sub-indices and pick the dominant pollutant', () => {
+        const result = registry.calculate('us-epa', { pm2_5: 35.4, pm10: 20 });
+
+        expect(result.subIndices.pm2_5.value).toBe(100);
+        expect(result.subIndices.pm10.value).toBe(19);
+        expect(result.value).toBe(100);
+        expect(result.dominantPollutant).toBe('pm2_5');
+        expect(result.category.level).toBe('moderate');
+    });
+
+    test('should convert µg/m³ gases to ppb/ppm for US EPA', () => {
+        // 100 µg/m³ de NO₂ ≈ 53 ppb → limite da faixa "boa"
+        const result = registry.calculate('us-epa', { nitrogen_dioxide: { value: 100, unit: 'μg/m³' } });
+
+        expect(result.subIndices.nitrogen_dioxide.unit).toBe('ppb');
+        expect(result.subIndices.nitrogen_dioxide.concentration).toBeCloseTo(53.14, 1);
+        expect(result.value).toBe(50);
+    });
+
+    test.each([
+        [0.200, 300],
+        [0.201, 301],
+        [0.604, 500]
+    ])('should keep US EPA ozone %s ppm at index %s across the end of the 8-hour table', (ozone, expected) => {
+        const result = registry.calculate('us-epa', { ozone: { value: ozone, unit: 'ppm' } });
+
+        expect(result.subIndices.ozone.value).toBe(expected);
+    });
+
+    test('should never lower the US EPA ozone index as the concentration rises', () => {
+        let previous = 0;
+
+        for (let ppb = 0; ppb <= 604; ppb++) {
+            const value = registry.calculate('us-epa', { ozone: { value: ppb / 1000, unit: 'ppm' } }).subIndices.ozone.value;
+
+            expect(value).toBeGreaterThanOrEqual(previous);
+            previous = value;
+        }
+    });
+
+    test('should classify CONAMA 491/2018 index', () => {
+        const result = registry.calculate('conama', { pm10: 120, pm2_5: 20 });
+
+        expect(result.dominantPollutant).toBe('pm10');
+        expect(result.value).toBe(96);
+        expect(result.category.description).toBe('Ruim');
+        expect(result.category.health).toContain('Toda a população');
+    });
+
+    test('should use integer bands for UK DAQI', () => {
+        const result = registry.calculate('uk-daqi', { pm2_5: 50, ozone: 90 });
+
+        expect(result.value).toBe(6);
+        expect(result.category.level).toBe('moderate');
+    });
+
+    test('should report unknown category when no pollutant is available', () => {
+        const result = registry.calculate('in-naqi', { pm2_5: null });
+
+        expect(result.value).toBeNull();
+        expect(result.category.level).toBe('unknown');
+    });
+
+    test('should accept custom standards', () => {
+        registry.register({
+            id: 'custom',
+            name: 'Custom',
+            interpolation: 'linear',
+            categories: [{ level: 'ok', min: 0, max: Infinity, color: '#000', description: 'OK' }],
+            pollutants: { pm10: { unit: 'µg/m³', breakpoints: [[0, 100, 0, 10]] } }
+        });
+
+        expect(registry.calculate('custom', { pm10: 50 }).value).toBe(5);
+    });
+
+    test('should throw for unregistered or invalid standards', () => {
+        expect(() => registry.get('who')).toThrow(AQIStandardError);
+        expect(() => registry.register({ id: 'broken', categories: [] })).toThrow(AQIStandardError);
+    });
+});
@@ -0,0 +1,95 @@
+/**
+ * Testes unitários do AreaSampler
+ */
+
+import { AreaSampler } from '../src/js/services/AreaSampler.js';
+import { AirQualityDataError } from '../src/js/services/AirQualityService.js';
+
+// Bounding box aproximado do município de São Paulo
+const SAO_PAULO = { south: -24.0, north: -23.35, west: -46.83, east: -46.36 };
+
+// Resultado processado com PM2.5 e AQI proporcionais ao valor informado
+const processed = (pm2_5) => ({
+    aqi: { value: pm2_5 * 2, type: 'european', classification: pm2_5 > 20 ? 'poor' : 'fair' },
+    pollutants: {
+        pm2_5: { name: 'PM2.5', value: pm2_5, unit: 'µg/m³', level: pm2_5 > 20 ? 'high' : 'moderate' }
+    },
+    metadata: { timestamp: '2025-08-11T12:00' }
+});
+
+describe('AreaSampler', () => {
+    test('should place one point at the center of each grid cell', () => {
+        const sampler = new AreaSampler({ airQualityService: {} });
+
+        const cells = sampler.buildGrid({ south: 0, north: 0.3, west: 10, east: 10.3 });
+
+        expect(cells).toHaveLength(9);
+        expect(cells[0]).toEqual({
+            row: 0,
+            col: 0,
+            lat: 0.05,
+            lon: 10.05,
+            bounds: { south: 0, north: 0.1, west: 10, east: 10.1 }
+        });
+        expect(cells[8]).toEqual(expect.objectContaining({ row: 2, col: 2, lat: 0.25, lon: 10.25 }));
+    });
+
+    test('should use fewer cells for small areas and handle the antimeridian', () => {
+        const sampler = new AreaSampler({ airQualityService: {} });
+
+        expect(sampler.buildGrid({ south: 0, north: 0.02, west: 0, east: 0.02 })).toHaveLength(1);
+        expect(sampler.buildGrid({ south: 0, north: 0.3, west: 179.9, east: -179.9 }, { gridSize: 2 }).map(cell => cell.lon))
+            .toEqual([179.95, -179.95, 179.95, -179.95]);
+    });
+
+    test('should reject missing bounds and invalid grid sizes', () => {
+        const sampler = new AreaSampler({ airQualityService: {} });
+
+        expect(() => sampler.buildGrid(null)).toThrow(AirQualityDataError);
+        expect(() => sampler.buildGrid(SAO_PAULO, { gridSize: 10 })).toThrow(AirQualityDataError);
+    });
+
+    test('should summarize min, mean, max and the worst sub-area per pollutant', async () => {
+        const values = [8, 12, 10, 15, 35, 14, 9, 11, 13];
+        const airQualityService = {
+            getAirQualityBatch: jest.fn(points => Promise.resolve(points.map((coordinates, index) => (
+                index === 7
+                    ? { coordinates, data: null, error: new AirQualityDataError('sem dados') }
+                    : { coordinates, data: processed(values[index]), error: null }
+            ))))
+        };
+        const sampler = new AreaSampler({ airQualityService });
+
+        const area = await sampler.sample(SAO_PAULO);
+
+        expect(airQualityService.getAirQualityBatch).toHaveBeenCalledTimes(1);
+        expect(airQualityService.getAirQualityBatch.mock.calls[0][0]).toHaveLength(9);
+        expect(area.grid).toEqual({ rows: 3, cols: 3, points: 9, sampled: 8 });
+        expect(area.pollutants.pm2_5).toEqual(expect.objectContaining({
+            name: 'PM2.5',
+            unit: 'µg/m³',
+            min: 8,
+            mean: 14.5,
+            max: 35,
+            count: 8
+        }));
+        expect(area.pollutants.pm2_5.worst).toEqual(expect.objectContaining({ row: 1, col: 1, value: 35, level: 'high' }));
+        expect(area.aqi).toEqual(expect.objectContaining({ max: 70 }));
+        expect(area.aqi.worst).toEqual(expect.objectContaining({ type: 'european', classification: 'poor' }));
+        expect(area.samples[7]).toEqual(expect.objectContaining({ aqi: null, error: 'sem dados' }));
+    });
+
+    test('should fail when no point returns data', async () => {
+        const sampler = new AreaSampler({
+            airQualityService: {
+                getAirQualityBatch: jest.fn(points => Promise.resolve(points.map(coordinates => ({
+                    coordinates,
+                    data: null,
+                    error: new AirQualityDataError('sem dados')
+                }))))
+            }
+        });
+
+        await expect(sampler.sample(SAO_PAULO)).rejects.toThrow('Nenhum ponto da área');
+    });
+});
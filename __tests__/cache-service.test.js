@@ -0,0 +1,46 @@
+/**
+ * Testes unitários do CacheService
+ */
+
+import CacheService from '../src/js/services/CacheService.js';
+
+describe('CacheService', () => {
+    let cache;
+
+    beforeEach(() => {
+        localStorage.clear();
+        cache = new CacheService({ autoCleanup: false, staleRetention: 60 * 1000 });
+    });
+
+    afterEach(() => {
+        cache.destroy();
+        jest.restoreAllMocks();
+    });
+
+    test('should expose entry age alongside the data', async () => {
+        await cache.set('sp', { aqi: 42 }, 1000);
+
+        const entry = await cache.getEntry('sp');
+
+        expect(entry.data).toEqual({ aqi: 42 });
+        expect(entry.expired).toBe(false);
+        expect(entry.age).toBeGreaterThanOrEqual(0);
+    });
+
+    test('should keep expired entries as stale fallback within the retention period', async () => {
+        const now = Date.now();
+        jest.spyOn(Date, 'now').mockReturnValue(now);
+        await cache.set('sp', { aqi: 42 }, 1000);
+
+        Date.now.mockReturnValue(now + 5000);
+        expect(await cache.get('sp')).toBeNull();
+        expect(await cache.getEntry('sp', { allowStale: true })).toEqual(expect.objectContaining({
+            data: { aqi: 42 },
+            expired: true,
+            age: 5000
+        }));
+
+        Date.now.mockReturnValue(now + 2 * 60 * 1000);
+        expect(await cache.getEntry('sp', { allowStale: true })).toBeNull();
+    });
+});
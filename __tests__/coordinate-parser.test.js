@@ -0,0 +1,113 @@
+/**
+ * Testes unitários do CoordinateParser
+ */
+
+import { CoordinateParser, CoordinateParseError } from '../src/js/utils/CoordinateParser.js';
+
+describe('CoordinateParser', () => {
+    describe('decimal degrees', () => {
+        test('should parse signed pairs with comma, semicolon or space', () => {
+            expect(CoordinateParser.parse('-23.55, -46.63')).toEqual({ lat: -23.55, lon: -46.63, format: 'decimal' });
+            expect(CoordinateParser.parse('-23.55;-46.63')).toEqual(expect.objectContaining({ lat: -23.55, lon: -46.63 }));
+            expect(CoordinateParser.parse('40.7128 -74.006')).toEqual(expect.objectContaining({ lat: 40.7128, lon: -74.006 }));
+        });
+
+        test('should accept decimal commas when the values are separated by spaces', () => {
+            expect(CoordinateParser.parse('-23,55 -46,63')).toEqual(expect.objectContaining({ lat: -23.55, lon: -46.63 }));
+        });
+
+        test('should apply hemisphere letters, including L and O', () => {
+            expect(CoordinateParser.parse('23.55 S 46.63 W')).toEqual(expect.objectContaining({ lat: -23.55, lon: -46.63 }));
+            expect(CoordinateParser.parse('23.55°S, 46.63°O')).toEqual(expect.objectContaining({ lat: -23.55, lon: -46.63 }));
+            expect(CoordinateParser.parse('N 48.85 L 2.35')).toEqual(expect.objectContaining({ lat: 48.85, lon: 2.35 }));
+        });
+
+        test('should reject values out of range', () => {
+            expect(() => CoordinateParser.parse('95, 10')).toThrow(CoordinateParseError);
+            expect(() => CoordinateParser.parse('10, 190')).toThrow(/Longitude/);
+        });
+    });
+
+    describe('degrees, minutes and seconds', () => {
+        test('should parse degrees and minutes', () => {
+            const result = CoordinateParser.parse("23°33'S 46°38'W");
+            expect(result.format).toBe('dms');
+            expect(result.lat).toBeCloseTo(-23.55, 6);
+            expect(result.lon).toBeCloseTo(-46.633333, 6);
+        });
+
+        test('should parse seconds and longitude-first input', () => {
+            const result = CoordinateParser.parse(`46°38'10"W, 23°33'12.5"S`);
+            expect(result.lat).toBeCloseTo(-23.553472, 6);
+            expect(result.lon).toBeCloseTo(-46.636111, 6);
+        });
+
+        test('should reject minutes of 60 or more', () => {
+            expect(() => CoordinateParser.parse("23°75'S 46°38'W")).toThrow(CoordinateParseError);
+        });
+
+        test('should reject two latitudes', () => {
+            expect(() => CoordinateParser.parse("23°33'S 46°38'N")).toThrow(/latitude/);
+        });
+    });
+
+    describe('plus codes', () => {
+        test('should decode full codes to the cell center', () => {
+            const result = CoordinateParser.parse('8FVC9G8F+6X');
+            expect(result.format).toBe('plus-code');
+            expect(result.lat).toBeCloseTo(47.365563, 5);
+            expect(result.lon).toBeCloseTo(8.524938, 5);
+        });
+
+        test('should decode padded codes', () => {
+            expect(CoordinateParser.parse('9C3XGV00+')).toEqual({ lat: 51.525, lon: -0.125, format: 'plus-code' });
+        });
+
+        test('should return short codes with their locality when there is no reference', () => {
+            expect(CoordinateParser.parse('9G8F+6X Zurich')).toEqual({
+                format: 'plus-code',
+                shortCode: '9G8F+6X',
+                locality: 'Zurich'
+            });
+        });
+
+        test('should recover short codes from a nearby reference', () => {
+            const result = CoordinateParser.parse('9G8F+6X', { reference: { lat: 47.4, lon: 8.6 } });
+            expect(result.lat).toBeCloseTo(47.365563, 5);
+            expect(result.lon).toBeCloseTo(8.524938, 5);
+        });
+
+        test('should reject malformed codes', () => {
+            expect(() => CoordinateParser.parse('8FVC9G8+6X')).toThrow(CoordinateParseError);
+        });
+    });
+
+    describe('geohashes', () => {
+        test('should decode hashes containing digits', () => {
+            const result = CoordinateParser.parse('6gyf4bf');
+            expect(result.format).toBe('geohash');
+            expect(result.lat).toBeCloseTo(-23.5499, 3);
+            expect(result.lon).toBeCloseTo(-46.6335, 3);
+        });
+
+        test('should require the prefix for hashes made only of letters', () => {
+            expect(CoordinateParser.parse('utrecht')).toBeNull();
+            expect(CoordinateParser.parse('gh:ezs42')).toEqual(expect.objectContaining({ format: 'geohash' }));
+        });
+
+        test('should not read ZIP codes and CEPs as geohashes', () => {
+            ['90210', '01310100', '10115', '75001', '2000'].forEach(code => {
+                expect(CoordinateParser.parse(code)).toBeNull();
+                expect(CoordinateParser.isCoordinate(code)).toBe(false);
+            });
+            expect(CoordinateParser.parse('geohash:90210')).toEqual(expect.objectContaining({ format: 'geohash' }));
+        });
+    });
+
+    test('should return null for place names', () => {
+        expect(CoordinateParser.parse('São Paulo')).toBeNull();
+        expect(CoordinateParser.parse('')).toBeNull();
+        expect(CoordinateParser.isCoordinate('Rio de Janeiro')).toBe(false);
+        expect(CoordinateParser.isCoordinate('95, 10')).toBe(true);
+    });
+});
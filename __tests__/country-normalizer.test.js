@@ -0,0 +1,48 @@
+/**
+ * Testes unitários do CountryNormalizer
+ */
+
+import { CountryNormalizer } from '../src/js/utils/CountryNormalizer.js';
+
+describe('CountryNormalizer', () => {
+    test('should map ISO codes in any case', () => {
+        expect(CountryNormalizer.toCode('br')).toBe('BR');
+        expect(CountryNormalizer.toCode('BRA')).toBe('BR');
+        expect(CountryNormalizer.toCode(' us ')).toBe('US');
+    });
+
+    test('should map English, Portuguese and Spanish names ignoring accents', () => {
+        expect(CountryNormalizer.toCode('Brazil')).toBe('BR');
+        expect(CountryNormalizer.toCode('Alemanha')).toBe('DE');
+        expect(CountryNormalizer.toCode('españa')).toBe('ES');
+        expect(CountryNormalizer.toCode('Mexico')).toBe('MX');
+        expect(CountryNormalizer.toCode('Costa do Marfim')).toBe('CI');
+    });
+
+    test('should map aliases and legacy names', () => {
+        expect(CountryNormalizer.toCode('EUA')).toBe('US');
+        expect(CountryNormalizer.toCode('EE.UU.')).toBe('US');
+        expect(CountryNormalizer.toCode('UK')).toBe('GB');
+        expect(CountryNormalizer.toCode('Holanda')).toBe('NL');
+        expect(CountryNormalizer.toCode('Swaziland')).toBe('SZ');
+    });
+
+    test('should return null for unknown or empty values', () => {
+        expect(CountryNormalizer.toCode('Atlântida')).toBeNull();
+        expect(CountryNormalizer.toCode('')).toBeNull();
+        expect(CountryNormalizer.toCode(null)).toBeNull();
+        expect(CountryNormalizer.isKnown('Narnia')).toBe(false);
+    });
+
+    test('should return localized names', () => {
+        expect(CountryNormalizer.getName('US')).toBe('Estados Unidos');
+        expect(CountryNormalizer.getName('Germany', 'es')).toBe('Alemania');
+        expect(CountryNormalizer.getName('xx')).toBeNull();
+    });
+
+    test('should list every ISO 3166-1 country', () => {
+        const countries = CountryNormalizer.getCountries('en');
+        expect(countries).toHaveLength(249);
+        expect(countries[0]).toEqual({ code: 'AF', name: 'Afghanistan' });
+    });
+});
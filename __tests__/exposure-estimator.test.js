@@ -0,0 +1,104 @@
+/**
+ * Testes unitários do ExposureEstimator
+ */
+
+import { ExposureEstimator } from '../src/js/services/ExposureEstimator.js';
+import { AirQualityDataError } from '../src/js/services/AirQualityService.js';
+
+// Série horária processada com concentrações constantes em µg/m³
+const buildHours = (pm2_5, ozone, date = '2025-08-11', count = 24) => Array.from({ length: count }, (_, hour) => ({
+    metadata: { timestamp: `${date}T${String(hour).padStart(2, '0')}:00` },
+    pollutants: {
+        pm2_5: { value: pm2_5, unit: 'µg/m³', sourceValue: pm2_5, sourceUnit: 'µg/m³' },
+        ozone: { value: ozone, unit: 'µg/m³', sourceValue: ozone, sourceUnit: 'µg/m³' }
+    }
+}));
+
+describe('ExposureEstimator', () => {
+    let estimator;
+
+    beforeEach(() => {
+        localStorage.clear();
+        estimator = new ExposureEstimator({ airQualityService: {}, schedule: [] });
+    });
+
+    test('should apply infiltration factors and resting ventilation indoors', () => {
+        const concentrations = estimator.extractConcentrations(buildHours(22, 100));
+
+        const result = estimator.estimate(concentrations, []);
+
+        expect(result.date).toBe('2025-08-11');
+        expect(result.totalVolume).toBe(12);
+        expect(result.pollutants.pm2_5).toEqual(expect.objectContaining({
+            dose: 132,
+            averageExposure: 11,
+            averageAmbient: 22,
+            hoursCovered: 24
+        }));
+        expect(result.pollutants.ozone.dose).toBe(360);
+        expect(result.cigaretteEquivalent).toBe(0.5);
+    });
+
+    test('should increase the dose for outdoor activity blocks', () => {
+        const concentrations = estimator.extractConcentrations(buildHours(22, 100));
+
+        const result = estimator.estimate(concentrations, [
+            { start: '18:00', end: '19:00', activity: 'outdoor-intense' }
+        ]);
+
+        expect(result.byActivity['outdoor-intense']).toEqual({ hours: 1, volume: 2.5, doses: { pm2_5: 55, ozone: 250 } });
+        expect(result.byActivity.indoor.hours).toBe(23);
+        expect(result.pollutants.pm2_5.dose).toBe(181.5);
+        expect(result.pollutants.pm2_5.averageExposure).toBe(11.5);
+    });
+
+    test('should split partial hours between blocks and indoor time', () => {
+        const timeline = estimator._buildTimeline([{ start: '07:30', end: '08:00', activity: 'outdoor-light' }]);
+
+        expect(timeline[7]).toEqual({ 'outdoor-light': 30, indoor: 30 });
+        expect(timeline[8]).toEqual({ indoor: 60 });
+    });
+
+    test('should only use the first local day and skip missing hours', () => {
+        const hours = [...buildHours(10, 50, '2025-08-11', 12), ...buildHours(90, 200, '2025-08-12')];
+
+        const concentrations = estimator.extractConcentrations(hours);
+        const result = estimator.estimate(concentrations, []);
+
+        expect(concentrations.hours[11].pm2_5).toBe(10);
+        expect(concentrations.hours[12].pm2_5).toBeNull();
+        expect(result.pollutants.pm2_5.hoursCovered).toBe(12);
+        expect(result.pollutants.pm2_5.averageAmbient).toBe(10);
+    });
+
+    test('should validate schedule blocks', () => {
+        expect(() => estimator.setSchedule([{ start: '09:00', end: '08:00', activity: 'indoor' }])).toThrow(AirQualityDataError);
+        expect(() => estimator.setSchedule([{ start: '09:00', end: '10:00', activity: 'swimming' }])).toThrow(AirQualityDataError);
+        expect(() => estimator.setSchedule([
+            { start: '09:00', end: '10:00', activity: 'outdoor-light' },
+            { start: '09:30', end: '11:00', activity: 'outdoor-intense' }
+        ])).toThrow(AirQualityDataError);
+        expect(() => estimator.estimate({ date: null, hours: [] }, [])).toThrow(AirQualityDataError);
+    });
+
+    test('should persist the schedule', () => {
+        estimator.setSchedule([{ start: '20:00', end: '24:00', activity: 'outdoor-light' }]);
+
+        const reloaded = new ExposureEstimator({ airQualityService: {} });
+
+        expect(reloaded.getSchedule()).toEqual([{ start: '20:00', end: '24:00', activity: 'outdoor-light' }]);
+    });
+
+    test('should estimate from a one-day forecast', async () => {
+        const airQualityService = {
+            getForecast: jest.fn().mockResolvedValue({ hours: buildHours(44, 80), metadata: { timezone: 'UTC' } })
+        };
+        estimator = new ExposureEstimator({ airQualityService, schedule: [] });
+
+        const result = await estimator.estimateDaily({ lat: -23.55, lon: -46.63 });
+
+        expect(airQualityService.getForecast).toHaveBeenCalledWith({ lat: -23.55, lon: -46.63 }, { days: 1 });
+        expect(result.cigaretteEquivalent).toBe(1);
+        expect(result.metadata.timezone).toBe('UTC');
+    });
+});
@@ -0,0 +1,288 @@
+/**
+ * Testes unitários do FormComponent
+ * Cobrem o autocomplete de localização e a busca por coordenadas
+ */
+
+import FormComponent from '../src/js/views/components/FormComponent.js';
+
+const candidates = [
+    {
+        lat: 39.78, lon: -89.65, rank: 1, place_id: 1,
+        display_name: 'Springfield, Sangamon County, Illinois, United States',
+        address: { city: 'Springfield', state: 'Illinois', countryCode: 'US' }
+    },
+    {
+        lat: 42.1, lon: -72.59, rank: 2, place_id: 2,
+        display_name: 'Springfield, Hampden County, Massachusetts, United States',
+        address: { city: 'Springfield', state: 'Massachusetts', countryCode: 'US' }
+    }
+];
+
+const buildForm = () => {
+    const element = document.createElement('div');
+    element.innerHTML = `
+        <form>
+            <input type="text" id="city" name="city">
+            <input type="text" id="state" name="state">
+            <input type="text" id="country" name="country">
+            <button type="submit">Verificar</button>
+        </form>
+    `;
+    document.body.appendChild(element);
+    return element;
+};
+
+const type = (field, value) => {
+    field.value = value;
+    field.dispatchEvent(new Event('input', { bubbles: true }));
+};
+
+const press = (field, key) => {
+    field.dispatchEvent(new KeyboardEvent('keydown', { key, bubbles: true }));
+};
+
+describe('FormComponent autocomplete', () => {
+    let element;
+    let form;
+    let searchLocations;
+    let eventManager;
+
+    beforeEach(() => {
+        jest.useFakeTimers();
+        document.body.innerHTML = '';
+        element = buildForm();
+        searchLocations = jest.fn().mockResolvedValue(candidates);
+        eventManager = { publish: jest.fn(), subscribe: jest.fn() };
+        form = new FormComponent(element, { eventManager, searchLocations, autoFocus: false });
+    });
+
+    afterEach(() => {
+        jest.useRealTimers();
+    });
+
+    test('should debounce the search while typing', async () => {
+        const city = element.querySelector('#city');
+
+        type(city, 'Spr');
+        type(city, 'Spri');
+        type(city, 'Springfield');
+        jest.advanceTimersByTime(300);
+        await Promise.resolve();
+
+        expect(searchLocations).toHaveBeenCalledTimes(1);
+        expect(searchLocations).toHaveBeenCalledWith('Springfield', { limit: 5 });
+        expect(element.querySelectorAll('.autocomplete-item')).toHaveLength(2);
+        expect(city.getAttribute('aria-expanded')).toBe('true');
+    });
+
+    test('should pass a known country as a filter', async () => {
+        type(element.querySelector('#country'), 'Estados Unidos');
+        type(element.querySelector('#city'), 'Springfield');
+        jest.advanceTimersByTime(300);
+        await Promise.resolve();
+
+        expect(searchLocations).toHaveBeenCalledWith('Springfield', { limit: 5, country: 'US' });
+    });
+
+    test('should reject an unknown country', async () => {
+        type(element.querySelector('#city'), 'Springfield');
+        type(element.querySelector('#state'), 'Illinois');
+        type(element.querySelector('#country'), 'Freedonia');
+
+        const validation = await form._validateForm(form._collectFormData());
+
+        expect(validation.errors.country[0]).toMatch(/País não reconhecido/);
+    });
+
+    test('should select a candidate with the keyboard and submit its coordinates', async () => {
+        const city = element.querySelector('#city');
+
+        type(city, 'Springfield');
+        jest.advanceTimersByTime(300);
+        await Promise.resolve();
+
+        press(city, 'ArrowDown');
+        press(city, 'ArrowDown');
+        expect(city.getAttribute('aria-activedescendant')).toBe('citySuggestions-1');
+
+        press(city, 'Enter');
+
+        expect(element.querySelector('#state').value).toBe('Massachusetts');
+        expect(element.querySelector('.autocomplete-list').hidden).toBe(true);
+        expect(eventManager.publish).not.toHaveBeenCalledWith('form:submit', expect.anything());
+
+        const formData = form._collectFormData();
+        expect(formData).toEqual(expect.objectContaining({ city: 'Springfield', state: 'Massachusetts', country: 'US' }));
+        expect(formData.coordinates).toEqual(expect.objectContaining({ lat: 42.1, lon: -72.59, place_id: 2 }));
+    });
+
+    test('should drop the selected candidate when the location is edited', async () => {
+        const city = element.querySelector('#city');
+
+        type(city, 'Springfield');
+        jest.advanceTimersByTime(300);
+        await Promise.resolve();
+        press(city, 'ArrowDown');
+        press(city, 'Enter');
+
+        type(element.querySelector('#state'), 'Ohio');
+
+        expect(form._collectFormData().coordinates).toBeUndefined();
+    });
+
+    test('should ignore responses from superseded searches', async () => {
+        let resolveFirst;
+        searchLocations.mockImplementationOnce(() => new Promise(resolve => { resolveFirst = resolve; }));
+        const city = element.querySelector('#city');
+
+        type(city, 'Springfield');
+        jest.advanceTimersByTime(300);
+        type(city, 'Springfield, Illinois');
+        jest.advanceTimersByTime(300);
+        await Promise.resolve();
+
+        resolveFirst([candidates[1]]);
+        await Promise.resolve();
+
+        expect(element.querySelectorAll('.autocomplete-item')).toHaveLength(2);
+    });
+
+    test('should accept coordinates in the city field without state or autocomplete', async () => {
+        const city = element.querySelector('#city');
+
+        type(city, "23°33'S 46°38'W");
+        jest.advanceTimersByTime(300);
+        await Promise.resolve();
+
+        expect(searchLocations).not.toHaveBeenCalled();
+
+        const validation = await form._validateForm(form._collectFormData());
+        expect(validation.isValid).toBe(true);
+    });
+
+    test('should accept ZIP codes and CEPs in the city field as postal codes', async () => {
+        const city = element.querySelector('#city');
+
+        type(city, '01310100');
+        jest.advanceTimersByTime(300);
+        await Promise.resolve();
+
+        expect(searchLocations).not.toHaveBeenCalled();
+        expect(form._isCoordinateInput('01310100')).toBe(false);
+        expect((await form._validateForm(form._collectFormData())).isValid).toBe(true);
+
+        type(city, '90210');
+        type(element.querySelector('#country'), 'BR');
+        const validation = await form._validateForm(form._collectFormData());
+        expect(validation.isValid).toBe(false);
+        expect(validation.errors.city[0]).toMatch(/CEP/);
+    });
+
+    test('should reject coordinates out of range', async () => {
+        type(element.querySelector('#city'), '95.1, -46.6');
+
+        const validation = await form._validateForm(form._collectFormData());
+        expect(validation.isValid).toBe(false);
+        expect(validation.errors.city[0]).toMatch(/Latitude/);
+    });
+
+    test('should close the list with Escape', async () => {
+        const city = element.querySelector('#city');
+
+        type(city, 'Springfield');
+        jest.advanceTimersByTime(300);
+        await Promise.resolve();
+        press(city, 'Escape');
+
+        expect(element.querySelector('.autocomplete-list').hidden).toBe(true);
+    });
+});
+
+describe('FormComponent postal code mode', () => {
+    let element;
+    let form;
+    let eventManager;
+
+    beforeEach(() => {
+        document.body.innerHTML = '';
+        element = buildForm();
+        eventManager = { publish: jest.fn(), subscribe: jest.fn() };
+        form = new FormComponent(element, { eventManager, autoFocus: false, currentLocation: false });
+    });
+
+    test('should swap the city fields for the postal code field', () => {
+        const [cityButton, postalButton] = element.querySelectorAll('.search-mode-btn');
+        const postalGroup = element.querySelector('#postalCode').closest('.form-group');
+        expect(postalGroup.hidden).toBe(true);
+
+        postalButton.click();
+
+        expect(postalGroup.hidden).toBe(false);
+        expect(element.querySelector('#city').hidden).toBe(true);
+        expect(postalButton.getAttribute('aria-pressed')).toBe('true');
+        expect(cityButton.getAttribute('aria-pressed')).toBe('false');
+        expect(eventManager.publish).toHaveBeenCalledWith('form:mode:changed', { mode: 'postalCode' });
+    });
+
+    test('should submit only the postal code and the country', async () => {
+        form.setMode('postalCode');
+        type(element.querySelector('#city'), 'Campinas');
+        type(element.querySelector('#postalCode'), '01310-100');
+
+        await form._handleSubmit();
+
+        expect(eventManager.publish).toHaveBeenCalledWith('form:submit', { postalCode: '01310-100', country: '' });
+    });
+
+    test('should validate the CEP format', async () => {
+        form.setMode('postalCode');
+        type(element.querySelector('#postalCode'), '0131-100');
+        type(element.querySelector('#country'), 'BR');
+
+        const validation = await form._validateForm(form._collectFormData());
+
+        expect(validation.isValid).toBe(false);
+        expect(validation.errors.postalCode[0]).toBe('CEP inválido para BR: use o formato 01310-100');
+    });
+});
+
+describe('FormComponent current location', () => {
+    let element;
+    let eventManager;
+
+    beforeEach(() => {
+        document.body.innerHTML = '';
+        element = buildForm();
+        eventManager = { publish: jest.fn(), subscribe: jest.fn() };
+    });
+
+    test('should publish the browser position', async () => {
+        const position = { lat: -22.9, lon: -47.06, accuracy: 35 };
+        const geolocationService = { isSupported: () => true, getCurrentPosition: jest.fn().mockResolvedValue(position) };
+        const form = new FormComponent(element, { eventManager, geolocationService, autoFocus: false });
+
+        await form._handleUseCurrentLocation();
+
+        expect(element.querySelector('#useLocationButton')).not.toBeNull();
+        expect(eventManager.publish).toHaveBeenCalledWith('form:current-location', { coordinates: position });
+    });
+
+    test('should show geolocation errors next to the button', async () => {
+        const error = Object.assign(new Error('Permissão de localização negada.'), { code: 'permission-denied' });
+        const geolocationService = { isSupported: () => true, getCurrentPosition: jest.fn().mockRejectedValue(error) };
+        const form = new FormComponent(element, { eventManager, geolocationService, autoFocus: false });
+
+        await form._handleUseCurrentLocation();
+
+        expect(element.querySelector('#locationError').textContent).toBe('Permissão de localização negada.');
+        expect(element.querySelector('#useLocationButton').disabled).toBe(false);
+        expect(eventManager.publish).toHaveBeenCalledWith('form:current-location:error', { error });
+    });
+
+    test('should hide the button without browser support', () => {
+        const geolocationService = { isSupported: () => false };
+        new FormComponent(element, { eventManager, geolocationService, autoFocus: false });
+
+        expect(element.querySelector('#useLocationButton').hidden).toBe(true);
+    });
+});
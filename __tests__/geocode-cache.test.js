@@ -0,0 +1,72 @@
+/**
+ * Testes unitários do GeocodeCache
+ */
+
+import { GeocodeCache } from '../src/js/services/GeocodeCache.js';
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+const campinas = {
+    lat: -22.91,
+    lon: -47.06,
+    display_name: 'Campinas, São Paulo, Brasil',
+    address: { city: 'Campinas', state: 'São Paulo', countryCode: 'BR' },
+    source: 'nominatim'
+};
+
+describe('GeocodeCache', () => {
+    let cache;
+
+    beforeEach(() => {
+        localStorage.clear();
+        cache = new GeocodeCache({ autoCleanup: false });
+    });
+
+    afterEach(() => {
+        cache.destroy();
+        jest.restoreAllMocks();
+    });
+
+    test('should share entries across case, accents, spacing and country aliases', async () => {
+        await cache.set({ city: 'São  José dos Campos', state: 'SP', country: 'Brasil' }, campinas);
+
+        expect(await cache.get({ city: 'sao jose dos campos', state: 'sp', country: 'BRA' })).toEqual(campinas);
+        expect(await cache.get({ city: 'São José dos Campos', state: 'SP', country: 'PT' })).toBeNull();
+        expect(GeocodeCache.key({ city: 'Nova York', country: 'EUA' })).toBe(GeocodeCache.key({ city: 'nova york', country: 'US' }));
+    });
+
+    test('should key postal codes separately from places', () => {
+        expect(GeocodeCache.key({ postalCode: '01.310-100', country: 'Brasil' })).toBe('postal_01310100_BR');
+        expect(GeocodeCache.key({ postalCode: '10115' })).toBe('postal_10115_any');
+    });
+
+    test('should keep coordinates for the configured number of days', async () => {
+        const now = Date.now();
+        jest.spyOn(Date, 'now').mockReturnValue(now);
+        cache.destroy();
+        cache = new GeocodeCache({ ttlDays: 7, autoCleanup: false });
+        await cache.set({ city: 'Campinas', country: 'BR' }, campinas);
+
+        Date.now.mockReturnValue(now + 6 * DAY_MS);
+        expect(await cache.get({ city: 'Campinas', country: 'BR' })).toEqual(campinas);
+
+        Date.now.mockReturnValue(now + 8 * DAY_MS);
+        expect(await cache.get({ city: 'Campinas', country: 'BR' })).toBeNull();
+    });
+
+    test('should not keep offline gazetteer approximations', async () => {
+        await cache.set({ city: 'Campinas', country: 'BR' }, { ...campinas, source: 'offline-gazetteer' });
+
+        expect(await cache.get({ city: 'Campinas', country: 'BR' })).toBeNull();
+    });
+
+    test('should persist in localStorage under its own prefix', async () => {
+        await cache.set({ city: 'Campinas', country: 'BR' }, campinas);
+
+        expect(localStorage.getItem('geocode_cache_place_campinas__BR')).not.toBeNull();
+
+        const reloaded = new GeocodeCache({ autoCleanup: false });
+        expect(await reloaded.get({ city: 'CAMPINAS', country: 'brasil' })).toEqual(campinas);
+        reloaded.destroy();
+    });
+});
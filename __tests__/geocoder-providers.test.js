@@ -0,0 +1,171 @@
+/**
+ * Testes unitários dos provedores de geocodificação e da cadeia de fallback
+ */
+
+import { GeocoderProvider, GeocoderProviderError, GeocoderNotFoundError } from '../src/js/services/geocoders/GeocoderProvider.js';
+import { GeocoderChain } from '../src/js/services/geocoders/GeocoderChain.js';
+import { PhotonGeocoder } from '../src/js/services/geocoders/PhotonGeocoder.js';
+import { OpenMeteoGeocoder } from '../src/js/services/geocoders/OpenMeteoGeocoder.js';
+import { GeocodingService, LocationNotFoundError } from '../src/js/services/GeocodingService.js';
+
+const jsonResponse = (body) => ({ ok: true, status: 200, json: () => Promise.resolve(body) });
+
+const stubGeocoder = (id, geocode) => {
+    const provider = new GeocoderProvider({ id });
+    provider.geocode = jest.fn(geocode);
+    return provider;
+};
+
+describe('GeocoderChain', () => {
+    test('should fall back to the next provider when one fails or finds nothing', async () => {
+        const down = stubGeocoder('down', () => Promise.reject(new Error('timeout')));
+        const empty = stubGeocoder('empty', () => Promise.reject(new GeocoderNotFoundError('sem resultado', 'empty')));
+        const backup = stubGeocoder('backup', () => Promise.resolve({ lat: 1, lon: 2, source: 'backup' }));
+        const chain = new GeocoderChain([down, empty, backup]);
+
+        const result = await chain.geocode({ city: 'Campinas' });
+
+        expect(down.geocode).toHaveBeenCalled();
+        expect(empty.geocode).toHaveBeenCalled();
+        expect(result.source).toBe('backup');
+    });
+
+    test('should report not found only when every provider answered without results', async () => {
+        const notFound = new GeocoderChain([
+            stubGeocoder('a', () => Promise.reject(new GeocoderNotFoundError('sem resultado', 'a'))),
+            stubGeocoder('b', () => Promise.reject(new GeocoderNotFoundError('sem resultado', 'b')))
+        ]);
+        const failing = new GeocoderChain([
+            stubGeocoder('a', () => Promise.reject(new GeocoderNotFoundError('sem resultado', 'a'))),
+            stubGeocoder('b', () => Promise.reject(new Error('down')))
+        ]);
+
+        const notFoundError = await notFound.geocode({ city: 'Xyz' }).catch(e => e);
+        const failingError = await failing.geocode({ city: 'Xyz' }).catch(e => e);
+
+        expect(notFoundError).toBeInstanceOf(GeocoderNotFoundError);
+        expect(failingError).not.toBeInstanceOf(GeocoderNotFoundError);
+        expect(failingError).toBeInstanceOf(GeocoderProviderError);
+        expect(failingError.errors.map(({ provider }) => provider)).toEqual(['a', 'b']);
+    });
+
+    test('should skip providers without the capability and honor priority', () => {
+        const chain = new GeocoderChain([new OpenMeteoGeocoder(), new PhotonGeocoder()]);
+        chain.register(stubGeocoder('custom', jest.fn()), { priority: -1 });
+
+        expect(chain.list().map(({ id }) => id)).toEqual(['custom', 'open-meteo', 'photon']);
+        expect(() => chain.register({ id: 'broken' })).toThrow(GeocoderProviderError);
+        return expect(new GeocoderChain([new OpenMeteoGeocoder()]).reverseGeocode(0, 0)).rejects.toThrow(GeocoderProviderError);
+    });
+});
+
+describe('PhotonGeocoder', () => {
+    const feature = (properties, coordinates = [-47.06, -22.91]) => ({
+        type: 'Feature',
+        geometry: { type: 'Point', coordinates },
+        properties: { osm_type: 'R', osm_id: 298164, type: 'city', ...properties }
+    });
+
+    test('should map GeoJSON features and filter by country locally', async () => {
+        const fetchMock = jest.fn().mockResolvedValue(jsonResponse({
+            features: [
+                feature({ name: 'Campinas', state: 'Goiás', country: 'Brasil', countrycode: 'BR' }, [-49.3, -16.7]),
+                feature({ name: 'Campinas', state: 'São Paulo', country: 'Brasil', countrycode: 'BR', extent: [-47.2, -22.7, -46.9, -23.1] }),
+                feature({ name: 'Campinas', country: 'Portugal', countrycode: 'PT' })
+            ]
+        }));
+        const photon = new PhotonGeocoder({ baseURL: 'http://localhost:2322', fetch: fetchMock });
+
+        const result = await photon.geocode({ city: 'Campinas', state: 'São Paulo', country: 'Brasil' });
+
+        const url = new URL(fetchMock.mock.calls[0][0]);
+        expect(url.origin).toBe('http://localhost:2322');
+        expect(url.pathname).toBe('/api');
+        expect(url.searchParams.get('q')).toBe('Campinas, São Paulo');
+        expect(result).toEqual(expect.objectContaining({
+            lat: -22.91,
+            lon: -47.06,
+            display_name: 'Campinas, São Paulo, Brasil',
+            boundingBox: { south: -23.1, north: -22.7, west: -47.2, east: -46.9 },
+            source: 'photon'
+        }));
+        expect(result.address).toEqual(expect.objectContaining({ city: 'Campinas', state: 'São Paulo', countryCode: 'BR' }));
+    });
+
+    test('should report empty responses as not found', async () => {
+        const photon = new PhotonGeocoder({ fetch: jest.fn().mockResolvedValue(jsonResponse({ features: [] })) });
+
+        await expect(photon.geocode({ city: 'Xyz' })).rejects.toThrow(GeocoderNotFoundError);
+    });
+});
+
+describe('OpenMeteoGeocoder', () => {
+    test('should map results and use the native country filter', async () => {
+        const fetchMock = jest.fn().mockResolvedValue(jsonResponse({
+            results: [{
+                id: 3467865,
+                name: 'Campinas',
+                latitude: -22.90556,
+                longitude: -47.06083,
+                country_code: 'BR',
+                country: 'Brasil',
+                admin1: 'São Paulo',
+                admin2: 'Campinas',
+                postcodes: ['13000-000']
+            }]
+        }));
+        const openMeteo = new OpenMeteoGeocoder({ fetch: fetchMock });
+
+        const result = await openMeteo.geocode({ city: 'Campinas', state: 'SP', country: 'BR' });
+
+        const url = new URL(fetchMock.mock.calls[0][0]);
+        expect(url.href.startsWith('https://geocoding-api.open-meteo.com/v1/search')).toBe(true);
+        expect(url.searchParams.get('name')).toBe('Campinas');
+        expect(url.searchParams.get('countryCode')).toBe('BR');
+        expect(result).toEqual(expect.objectContaining({
+            lat: -22.90556,
+            lon: -47.06083,
+            display_name: 'Campinas, São Paulo, Brasil',
+            boundingBox: null,
+            place_id: 3467865,
+            source: 'open-meteo'
+        }));
+        expect(result.address.postcode).toBe('13000-000');
+    });
+
+    test('should treat a missing results field as not found', async () => {
+        const openMeteo = new OpenMeteoGeocoder({ fetch: jest.fn().mockResolvedValue(jsonResponse({ generationtime_ms: 0.3 })) });
+
+        await expect(openMeteo.geocodePostalCode('01310-100', 'BR')).rejects.toThrow(GeocoderNotFoundError);
+    });
+});
+
+describe('GeocodingService provider chain', () => {
+    test('should record which provider answered after Nominatim fails', async () => {
+        const requestQueue = { request: jest.fn().mockRejectedValue(new Error('HTTP 503')) };
+        global.fetch = jest.fn().mockResolvedValue(jsonResponse({
+            features: [{
+                geometry: { coordinates: [13.39, 52.52] },
+                properties: { name: 'Berlin', type: 'city', country: 'Deutschland', countrycode: 'DE' }
+            }]
+        }));
+        const service = new GeocodingService({
+            requestQueue,
+            gazetteer: false,
+            baseURLs: { photon: 'http://photon.test' }
+        });
+
+        const result = await service.geocode({ city: 'Berlin', country: 'DE' });
+
+        expect(requestQueue.request).toHaveBeenCalled();
+        expect(global.fetch.mock.calls[0][0].startsWith('http://photon.test/api')).toBe(true);
+        expect(result.source).toBe('photon');
+    });
+
+    test('should keep LocationNotFoundError when no provider finds the place', async () => {
+        const notFound = id => stubGeocoder(id, () => Promise.reject(new GeocoderNotFoundError('sem resultado', id)));
+        const service = new GeocodingService({ providers: [notFound('a'), notFound('b')] });
+
+        await expect(service.geocode({ city: 'Xyz' })).rejects.toThrow(LocationNotFoundError);
+    });
+});
@@ -0,0 +1,241 @@
+/**
+ * Testes unitários do GeocodingService
+ * Cobrem a geocodificação estruturada e a busca de candidatos e de códigos postais no Nominatim
+ */
+
+import { GeocodingService, GeocodingError, LocationNotFoundError } from '../src/js/services/GeocodingService.js';
+
+const mockFetchResponse = (body, ok = true) => {
+    global.fetch = jest.fn().mockResolvedValue({
+        ok,
+        status: ok ? 200 : 500,
+        statusText: ok ? 'OK' : 'Internal Server Error',
+        json: () => Promise.resolve(body)
+    });
+};
+
+const nominatimResult = (overrides) => ({
+    lat: '-23.18',
+    lon: '-45.88',
+    display_name: 'São José dos Campos, São Paulo, Brasil',
+    boundingbox: ['-23.4', '-22.8', '-46.1', '-45.7'],
+    importance: 0.6,
+    place_id: 1,
+    address: { city: 'São José dos Campos', state: 'São Paulo', country: 'Brasil', country_code: 'br' },
+    ...overrides
+});
+
+describe('GeocodingService', () => {
+    let service;
+
+    beforeEach(() => {
+        service = new GeocodingService();
+    });
+
+    describe('search', () => {
+        test('should request several candidates with address details', async () => {
+            mockFetchResponse([]);
+
+            await service.search('São José', { limit: 8 });
+
+            const url = new URL(global.fetch.mock.calls[0][0]);
+            expect(url.pathname).toBe('/search');
+            expect(url.searchParams.get('q')).toBe('São José');
+            expect(url.searchParams.get('limit')).toBe('8');
+            expect(url.searchParams.get('addressdetails')).toBe('1');
+        });
+
+        test('should return candidates ranked by importance', async () => {
+            mockFetchResponse([
+                nominatimResult({ place_id: 1, importance: 0.4, display_name: 'São José, Santa Catarina, Brasil' }),
+                nominatimResult({ place_id: 2, importance: 0.6 })
+            ]);
+
+            const candidates = await service.search('São José');
+
+            expect(candidates.map(candidate => candidate.place_id)).toEqual([2, 1]);
+            expect(candidates[0]).toEqual(expect.objectContaining({
+                lat: -23.18,
+                lon: -45.88,
+                rank: 1,
+                importance: 0.6,
+                boundingBox: { south: -23.4, north: -22.8, west: -46.1, east: -45.7 }
+            }));
+            expect(candidates[0].address).toEqual(expect.objectContaining({ state: 'São Paulo', countryCode: 'BR' }));
+        });
+
+        test('should restrict candidates to a known country', async () => {
+            mockFetchResponse([]);
+
+            await service.search('Springfield', { country: 'Estados Unidos' });
+
+            const url = new URL(global.fetch.mock.calls[0][0]);
+            expect(url.searchParams.get('countrycodes')).toBe('us');
+        });
+
+        test('should skip the request for short queries', async () => {
+            global.fetch = jest.fn();
+
+            await expect(service.search(' a ')).resolves.toEqual([]);
+            expect(global.fetch).not.toHaveBeenCalled();
+        });
+
+        test('should wrap API failures and invalid limits', async () => {
+            mockFetchResponse({}, false);
+            await expect(service.search('Springfield')).rejects.toThrow(GeocodingError);
+
+            await expect(service.search('Springfield', { limit: 100 })).rejects.toThrow(GeocodingError);
+        });
+    });
+
+    describe('geocode', () => {
+        test('should send a structured query restricted to the normalized country', async () => {
+            mockFetchResponse([nominatimResult()]);
+
+            await service.geocode({ city: 'São José dos Campos', state: 'SP', country: 'Brasil' });
+
+            const url = new URL(global.fetch.mock.calls[0][0]);
+            expect(url.searchParams.get('city')).toBe('São José dos Campos');
+            expect(url.searchParams.get('state')).toBe('SP');
+            expect(url.searchParams.get('countrycodes')).toBe('br');
+            expect(url.searchParams.has('q')).toBe(false);
+            expect(url.searchParams.has('country')).toBe(false);
+        });
+
+        test('should search every country when none is given', async () => {
+            mockFetchResponse([nominatimResult()]);
+
+            await service.geocode({ city: 'Campinas', state: 'SP' });
+
+            const url = new URL(global.fetch.mock.calls[0][0]);
+            expect(url.searchParams.has('countrycodes')).toBe(false);
+        });
+
+        test('should retry as free text in the same country when the structured query finds nothing', async () => {
+            service = new GeocodingService({ requestQueue: { request: jest.fn() } });
+            service.requestQueue.request
+                .mockResolvedValueOnce([])
+                .mockResolvedValueOnce([nominatimResult()]);
+
+            const result = await service.geocode({ city: 'São José dos Campos', state: 'SP', country: 'EUA' });
+
+            const url = new URL(service.requestQueue.request.mock.calls[1][0]);
+            expect(url.searchParams.get('q')).toBe('São José dos Campos, SP');
+            expect(url.searchParams.get('countrycodes')).toBe('us');
+            expect(result.lat).toBe(-23.18);
+        });
+
+        test('should pass unknown countries as structured text', async () => {
+            mockFetchResponse([nominatimResult()]);
+
+            await service.geocode({ city: 'Springfield', state: 'Illinois', country: 'Freedonia' });
+
+            const url = new URL(global.fetch.mock.calls[0][0]);
+            expect(url.searchParams.get('country')).toBe('Freedonia');
+            expect(url.searchParams.has('countrycodes')).toBe(false);
+        });
+    });
+
+    describe('postal code search', () => {
+        test('should send a structured postalcode query restricted to the country', async () => {
+            mockFetchResponse([nominatimResult({ address: { city: 'São Paulo', country_code: 'br' } })]);
+
+            const result = await service.geocodePostalCode('01.310100');
+
+            const url = new URL(global.fetch.mock.calls[0][0]);
+            expect(url.searchParams.get('postalcode')).toBe('01310-100');
+            expect(url.searchParams.get('countrycodes')).toBe('br');
+            expect(url.searchParams.has('q')).toBe(false);
+            expect(result.address.postcode).toBe('01310-100');
+        });
+
+        test('should search every country when the format is ambiguous', async () => {
+            mockFetchResponse([nominatimResult()]);
+
+            await service.geocodePostalCode('10115');
+
+            const url = new URL(global.fetch.mock.calls[0][0]);
+            expect(url.searchParams.get('postalcode')).toBe('10115');
+            expect(url.searchParams.has('countrycodes')).toBe(false);
+        });
+
+        test('should validate the format before calling the API', async () => {
+            mockFetchResponse([]);
+
+            await expect(service.geocodePostalCode('1234', 'BR')).rejects.toThrow('CEP inválido para BR');
+            expect(global.fetch).not.toHaveBeenCalled();
+        });
+
+        test('should report unknown postal codes', async () => {
+            mockFetchResponse([]);
+
+            await expect(service.geocodePostalCode('99999-999')).rejects.toThrow(LocationNotFoundError);
+        });
+    });
+
+    describe('offline gazetteer fallback', () => {
+        test('should geocode from the gazetteer when Nominatim is unreachable', async () => {
+            global.fetch = jest.fn().mockRejectedValue(new TypeError('Failed to fetch'));
+
+            const result = await service.geocode({ city: 'Campinas', state: 'SP', country: 'BR' });
+
+            expect(result).toEqual(expect.objectContaining({ lat: -22.91, lon: -47.06, source: 'offline-gazetteer' }));
+        });
+
+        test('should return gazetteer candidates for the autocomplete', async () => {
+            mockFetchResponse({}, false);
+
+            const candidates = await service.search('Campinas, SP');
+
+            expect(candidates[0].source).toBe('offline-gazetteer');
+        });
+
+        test('should not hide a location Nominatim did not find', async () => {
+            mockFetchResponse([]);
+
+            await expect(service.geocode({ city: 'Campinas', state: 'SP', country: 'BR' })).rejects.toThrow(LocationNotFoundError);
+        });
+
+        test('should be optional', async () => {
+            service = new GeocodingService({ gazetteer: false });
+            global.fetch = jest.fn().mockRejectedValue(new TypeError('Failed to fetch'));
+
+            await expect(service.geocode({ city: 'Campinas', state: 'SP', country: 'BR' })).rejects.toThrow(GeocodingError);
+        });
+    });
+
+    describe('healthCheck', () => {
+        afterEach(() => {
+            jest.restoreAllMocks();
+        });
+
+        test('should check the Nominatim status through the request queue', async () => {
+            service = new GeocodingService({ requestQueue: { request: jest.fn().mockResolvedValue({ status: 0, message: 'OK' }) } });
+            global.fetch = jest.fn();
+
+            await expect(service.healthCheck()).resolves.toBe(true);
+
+            expect(service.requestQueue.request).toHaveBeenCalledWith(
+                `${service.baseURL}/status?format=json`,
+                expect.objectContaining({ signal: expect.any(AbortSignal) })
+            );
+            expect(global.fetch).not.toHaveBeenCalled();
+        });
+
+        test('should report the service down when the status is not OK', async () => {
+            service = new GeocodingService({ requestQueue: { request: jest.fn().mockResolvedValue({ status: 700, message: 'Database connection failed' }) } });
+            jest.spyOn(console, 'warn').mockImplementation(() => {});
+
+            await expect(service.healthCheck()).resolves.toBe(false);
+        });
+
+        test('should send the contact email with the status request', async () => {
+            service = new GeocodingService({ email: 'contato@example.com' });
+            mockFetchResponse({ status: 0, message: 'OK' });
+
+            await service.healthCheck();
+
+            expect(new URL(global.fetch.mock.calls[0][0]).searchParams.get('email')).toBe('contato@example.com');
+        });
+    });
+});
@@ -0,0 +1,61 @@
+/**
+ * Testes unitários do GeolocationService
+ */
+
+import { GeolocationService, GeolocationError } from '../src/js/services/GeolocationService.js';
+
+// Simula navigator.geolocation respondendo com sucesso ou erro
+const mockGeolocation = ({ coords, error }) => ({
+    getCurrentPosition: jest.fn((success, failure) => {
+        if (error) {
+            failure({ code: error, message: 'mock error' });
+        } else {
+            success({ coords, timestamp: Date.parse('2025-08-11T12:00:00Z') });
+        }
+    })
+});
+
+describe('GeolocationService', () => {
+    test('should resolve the current position', async () => {
+        const geolocation = mockGeolocation({ coords: { latitude: -22.9, longitude: -47.06, accuracy: 35 } });
+        const service = new GeolocationService({ geolocation });
+
+        await expect(service.getCurrentPosition()).resolves.toEqual({
+            lat: -22.9,
+            lon: -47.06,
+            accuracy: 35,
+            timestamp: '2025-08-11T12:00:00.000Z'
+        });
+        expect(geolocation.getCurrentPosition.mock.calls[0][2]).toEqual(expect.objectContaining({ timeout: 10000 }));
+    });
+
+    test.each([
+        [1, 'permission-denied'],
+        [2, 'position-unavailable'],
+        [3, 'timeout']
+    ])('should map position error %i to %s', async (code, expected) => {
+        const service = new GeolocationService({ geolocation: mockGeolocation({ error: code }) });
+
+        await expect(service.getCurrentPosition()).rejects.toMatchObject({
+            name: 'GeolocationError',
+            code: expected,
+            userFriendly: true
+        });
+    });
+
+    test('should reject low-accuracy positions', async () => {
+        const geolocation = mockGeolocation({ coords: { latitude: -22.9, longitude: -47.06, accuracy: 25000 } });
+        const service = new GeolocationService({ geolocation });
+
+        await expect(service.getCurrentPosition()).rejects.toMatchObject({ code: 'low-accuracy', details: { accuracy: 25000 } });
+        await expect(service.getCurrentPosition({ maxAccuracy: 50000 })).resolves.toEqual(expect.objectContaining({ accuracy: 25000 }));
+    });
+
+    test('should report missing browser support', async () => {
+        const service = new GeolocationService({ geolocation: null });
+        service.geolocation = null;
+
+        expect(service.isSupported()).toBe(false);
+        await expect(service.getCurrentPosition()).rejects.toThrow(GeolocationError);
+    });
+});
@@ -0,0 +1,75 @@
+/**
+ * Testes unitários do HealthAdvisor
+ */
+
+import { HealthAdvisor } from '../src/js/services/HealthAdvisor.js';
+
+describe('HealthAdvisor', () => {
+    beforeEach(() => {
+        localStorage.clear();
+    });
+
+    test('should map each scale to its own severity', () => {
+        const advisor = new HealthAdvisor();
+
+        expect(advisor.getSeverity('moderate', 'european')).toBe(2);
+        expect(advisor.getSeverity('moderate', 'us')).toBe(1);
+        expect(advisor.getSeverityFromValue(175)).toBe(3);
+        expect(advisor.getSeverityFromValue(null)).toBe(0);
+    });
+
+    test('should tailor advice to the dominant pollutant', () => {
+        const advisor = new HealthAdvisor({ profile: [] });
+
+        const ozone = advisor.getRecommendations({ level: 'poor', scale: 'european', pollutant: 'ozone' });
+        const particles = advisor.getRecommendations({ level: 'poor', scale: 'european', pollutant: 'pm2_5' });
+
+        expect(ozone.pollutant).toContain('manhã');
+        expect(particles.pollutant).toContain('HEPA');
+        expect(advisor.getRecommendations({ level: 'good', pollutant: 'ozone' }).pollutant).toBeNull();
+    });
+
+    test('should add advice for every stored profile group', () => {
+        new HealthAdvisor().setProfile(['asthma-copd', 'children', 'unknown']);
+        const advisor = new HealthAdvisor();
+
+        const recommendations = advisor.getRecommendations({ level: 'unhealthy', scale: 'us', pollutant: 'ozone' });
+
+        expect(advisor.getProfile()).toEqual(['asthma-copd', 'children']);
+        expect(recommendations.profiles.map(({ profile }) => profile)).toEqual(['asthma-copd', 'children']);
+        expect(recommendations.profiles[0].text).toContain('broncodilatador');
+        expect(recommendations.items).toHaveLength(5);
+    });
+
+    test('should follow a profile changed by another instance', () => {
+        const service = new HealthAdvisor();
+        const display = new HealthAdvisor();
+
+        display.setProfile(['pregnancy']);
+
+        expect(service.getProfile()).toEqual(['pregnancy']);
+        expect(service.getRecommendations({ level: 'unhealthy', scale: 'us' }).profiles.map(({ profile }) => profile))
+            .toEqual(['pregnancy']);
+    });
+
+    test('should keep a profile passed in the options', () => {
+        const advisor = new HealthAdvisor({ profile: ['children'] });
+
+        new HealthAdvisor().setProfile(['asthma-copd']);
+
+        expect(advisor.getProfile()).toEqual(['children']);
+    });
+
+    test('should keep the last known profile when storage is unavailable', () => {
+        const advisor = new HealthAdvisor();
+        advisor.setProfile(['older-adults']);
+        jest.spyOn(console, 'warn').mockImplementation(() => {});
+        jest.spyOn(Storage.prototype, 'getItem').mockImplementation(() => {
+            throw new Error('SecurityError');
+        });
+
+        expect(advisor.getProfile()).toEqual(['older-adults']);
+
+        jest.restoreAllMocks();
+    });
+});
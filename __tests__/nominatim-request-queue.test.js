@@ -0,0 +1,156 @@
+/**
+ * Testes unitários do NominatimRequestQueue
+ * Usam timers falsos para verificar o intervalo entre requisições
+ */
+
+import { NominatimRequestQueue, NominatimRequestError } from '../src/js/services/NominatimRequestQueue.js';
+import { RequestCancelledError } from '../src/js/utils/RequestSignal.js';
+
+const jsonResponse = (body, status = 200, headers = {}) => ({
+    ok: status >= 200 && status < 300,
+    status,
+    statusText: status === 429 ? 'Too Many Requests' : 'OK',
+    headers: { get: name => headers[name] ?? null },
+    json: () => Promise.resolve(body)
+});
+
+// Executa microtarefas pendentes entre avanços do relógio
+const flush = async () => {
+    for (let i = 0; i < 5; i++) {
+        await Promise.resolve();
+    }
+};
+
+describe('NominatimRequestQueue', () => {
+    let fetchMock;
+    let queue;
+
+    beforeEach(() => {
+        jest.useFakeTimers();
+        fetchMock = jest.fn(url => Promise.resolve(jsonResponse({ url })));
+        queue = new NominatimRequestQueue({ fetch: fetchMock });
+    });
+
+    afterEach(() => {
+        jest.useRealTimers();
+    });
+
+    test('should space requests at least one second apart', async () => {
+        queue.request('https://nominatim.test/search?q=a');
+        queue.request('https://nominatim.test/search?q=b');
+        queue.request('https://nominatim.test/search?q=c');
+
+        await flush();
+        expect(fetchMock).toHaveBeenCalledTimes(1);
+
+        jest.advanceTimersByTime(999);
+        await flush();
+        expect(fetchMock).toHaveBeenCalledTimes(1);
+
+        jest.advanceTimersByTime(1);
+        await flush();
+        expect(fetchMock).toHaveBeenCalledTimes(2);
+
+        jest.advanceTimersByTime(1000);
+        await flush();
+        expect(fetchMock).toHaveBeenCalledTimes(3);
+    });
+
+    test('should coalesce identical pending queries', async () => {
+        const first = queue.request('https://nominatim.test/search?q=Campinas');
+        const second = queue.request('https://nominatim.test/search?q=Campinas');
+
+        expect(second).toBe(first);
+        await flush();
+
+        await expect(first).resolves.toEqual({ url: 'https://nominatim.test/search?q=Campinas' });
+        expect(fetchMock).toHaveBeenCalledTimes(1);
+    });
+
+    test('should honor Retry-After on 429 responses', async () => {
+        fetchMock.mockImplementationOnce(() => Promise.resolve(jsonResponse({}, 429, { 'Retry-After': '3' })));
+
+        const result = queue.request('https://nominatim.test/search?q=a');
+        await flush();
+        expect(fetchMock).toHaveBeenCalledTimes(1);
+
+        jest.advanceTimersByTime(2999);
+        await flush();
+        expect(fetchMock).toHaveBeenCalledTimes(1);
+
+        jest.advanceTimersByTime(1);
+        await flush();
+        expect(fetchMock).toHaveBeenCalledTimes(2);
+        await expect(result).resolves.toEqual({ url: 'https://nominatim.test/search?q=a' });
+    });
+
+    test('should give up after the retry limit', async () => {
+        queue = new NominatimRequestQueue({ fetch: fetchMock, maxRetries: 0 });
+        fetchMock.mockImplementationOnce(() => Promise.resolve(jsonResponse({}, 429, { 'Retry-After': '1' })));
+
+        const result = queue.request('https://nominatim.test/search?q=a');
+        await flush();
+
+        await expect(result).rejects.toThrow(NominatimRequestError);
+        await expect(result).rejects.toMatchObject({ status: 429 });
+    });
+
+    test('should drop queued requests abandoned by every caller', async () => {
+        const controller = new AbortController();
+
+        queue.request('https://nominatim.test/search?q=a');
+        const cancelled = queue.request('https://nominatim.test/search?q=b', { signal: controller.signal });
+        const shared = queue.request('https://nominatim.test/search?q=c', { signal: controller.signal });
+        const keeper = queue.request('https://nominatim.test/search?q=c');
+        await flush();
+
+        controller.abort(new RequestCancelledError());
+        const results = await Promise.allSettled([cancelled, shared]);
+        expect(results.map(({ reason }) => reason)).toEqual([expect.any(RequestCancelledError), expect.any(RequestCancelledError)]);
+        expect(queue.size).toBe(1);
+
+        jest.advanceTimersByTime(1000);
+        await flush();
+
+        await expect(keeper).resolves.toEqual({ url: 'https://nominatim.test/search?q=c' });
+        expect(fetchMock.mock.calls.map(([url]) => url)).toEqual([
+            'https://nominatim.test/search?q=a',
+            'https://nominatim.test/search?q=c'
+        ]);
+    });
+
+    test('should keep draining when the only pending job is cancelled during the wait', async () => {
+        const drainErrors = [];
+        const drain = queue._drain.bind(queue);
+        queue._drain = () => drain().catch(error => drainErrors.push(error));
+        const controller = new AbortController();
+
+        await queue.request('https://nominatim.test/search?q=a');
+        const cancelled = queue.request('https://nominatim.test/search?q=b', { signal: controller.signal });
+        await flush();
+
+        controller.abort(new RequestCancelledError());
+        await expect(cancelled).rejects.toThrow(RequestCancelledError);
+
+        jest.advanceTimersByTime(1000);
+        await flush();
+
+        expect(drainErrors).toEqual([]);
+        expect(fetchMock).toHaveBeenCalledTimes(1);
+        expect(queue.isDraining).toBe(false);
+
+        await expect(queue.request('https://nominatim.test/search?q=c')).resolves.toEqual({ url: 'https://nominatim.test/search?q=c' });
+    });
+
+    test('should send the configured contact email and referer', async () => {
+        queue = new NominatimRequestQueue({ fetch: fetchMock, email: 'dev@example.org', referer: 'https://app.example.org/' });
+
+        queue.request('https://nominatim.test/search?q=a');
+        await flush();
+
+        const [url, init] = fetchMock.mock.calls[0];
+        expect(new URL(url).searchParams.get('email')).toBe('dev@example.org');
+        expect(init.referrer).toBe('https://app.example.org/');
+        expect(init.headers['User-Agent']).toBeUndefined();
+    });
+});
@@ -0,0 +1,61 @@
+/**
+ * Testes unitários do OfflineGazetteer
+ */
+
+import { OfflineGazetteer } from '../src/js/services/OfflineGazetteer.js';
+
+describe('OfflineGazetteer', () => {
+    let gazetteer;
+
+    beforeEach(() => {
+        gazetteer = new OfflineGazetteer();
+    });
+
+    test('should normalize accents, case and punctuation', () => {
+        expect(OfflineGazetteer.normalize('  São   José-dos CAMPOS ')).toBe('sao jose dos campos');
+        expect(OfflineGazetteer.normalize('İstanbul')).toBe('istanbul');
+    });
+
+    test('should resolve a city with its admin-1 code', () => {
+        const [result] = gazetteer.search('Campinas, SP');
+
+        expect(result).toEqual(expect.objectContaining({
+            lat: -22.91,
+            lon: -47.06,
+            display_name: 'Campinas, São Paulo, BR',
+            source: 'offline-gazetteer'
+        }));
+        expect(result.address).toEqual(expect.objectContaining({ stateCode: 'SP', countryCode: 'BR' }));
+    });
+
+    test('should match without accents and by name variants', () => {
+        expect(gazetteer.search('sao jose dos campos')[0].address.city).toBe('São José dos Campos');
+        expect(gazetteer.search('Nova York')[0].address.city).toBe('New York');
+        expect(gazetteer.search('munique, alemanha')[0].address.city).toBe('München');
+    });
+
+    test('should rank exact names before prefixes and larger cities first', () => {
+        const results = gazetteer.search('San');
+
+        expect(results[0].address.city).toBe('Santiago');
+        expect(gazetteer.search('Santo André')[0].address.city).toBe('Santo André');
+    });
+
+    test('should filter by state and country', () => {
+        expect(gazetteer.search('Serra, ES')).toHaveLength(1);
+        expect(gazetteer.search('Campinas, RJ')).toEqual([]);
+        expect(gazetteer.search('Córdoba, Argentina')[0].address.countryCode).toBe('AR');
+    });
+
+    test('should relax the default country when geocoding', () => {
+        expect(gazetteer.geocode({ city: 'Campinas', state: 'São Paulo', country: 'US' }).lat).toBe(-22.91);
+        expect(gazetteer.geocode({ city: 'Atlantis', state: 'XX', country: 'US' })).toBeNull();
+    });
+
+    test('should apply the population threshold', () => {
+        const large = new OfflineGazetteer({ minPopulation: 1000000 });
+
+        expect(large.search('Palmas')).toEqual([]);
+        expect(large.search('Campinas')).toHaveLength(1);
+    });
+});
@@ -0,0 +1,52 @@
+/**
+ * Testes unitários do PostalCodeParser
+ */
+
+import { PostalCodeParser, PostalCodeError } from '../src/js/utils/PostalCodeParser.js';
+
+describe('PostalCodeParser', () => {
+    test('should normalize Brazilian CEPs and detect the country', () => {
+        expect(PostalCodeParser.parse('01310100')).toEqual({ postalCode: '01310-100', country: 'BR', candidates: ['BR'] });
+        expect(PostalCodeParser.parse(' 01.310-100 ').postalCode).toBe('01310-100');
+    });
+
+    test('should validate the format of the given country', () => {
+        expect(PostalCodeParser.parse('k1a0b1', 'ca').postalCode).toBe('K1A 0B1');
+        expect(PostalCodeParser.parse('sw1a1aa', 'GB').postalCode).toBe('SW1A 1AA');
+        expect(PostalCodeParser.parse('1000001', 'jp').postalCode).toBe('100-0001');
+        expect(() => PostalCodeParser.parse('01310-10', 'BR')).toThrow(PostalCodeError);
+        expect(() => PostalCodeParser.parse('1234', 'BR')).toThrow('CEP inválido para BR: use o formato 01310-100');
+    });
+
+    test('should leave the country open when several formats match', () => {
+        const result = PostalCodeParser.parse('10115');
+        expect(result.country).toBeNull();
+        expect(result.candidates).toEqual(expect.arrayContaining(['US', 'DE', 'FR', 'MX']));
+    });
+
+    test('should accept generic codes for countries without a registered format', () => {
+        expect(PostalCodeParser.parse('SE-123 45', 'SE')).toEqual(expect.objectContaining({ postalCode: 'SE-123 45', country: 'SE' }));
+    });
+
+    test('should reject empty and unrecognized codes', () => {
+        expect(() => PostalCodeParser.parse('')).toThrow('Informe o código postal');
+        expect(() => PostalCodeParser.parse('ABC')).toThrow(PostalCodeError);
+        expect(PostalCodeParser.isValid('01310-100')).toBe(true);
+        expect(PostalCodeParser.isValid('01310-100', 'PT')).toBe(false);
+    });
+
+    test('should recognize digit-only input typed in the city field', () => {
+        ['90210', '01310100', '01.310-100', '10115', '2000'].forEach(code => {
+            expect(PostalCodeParser.looksLikePostalCode(code)).toBe(true);
+        });
+        ['São Paulo', 'SW1A 1AA', '42', '-23.55, -46.63', ''].forEach(text => {
+            expect(PostalCodeParser.looksLikePostalCode(text)).toBe(false);
+        });
+    });
+
+    test('should expose examples for placeholders', () => {
+        expect(PostalCodeParser.getExample('br')).toBe('01310-100');
+        expect(PostalCodeParser.getExample('XX')).toBeNull();
+        expect(PostalCodeParser.getSupportedCountries()).toContain('BR');
+    });
+});
@@ -0,0 +1,98 @@
+/**
+ * Testes unitários do RequestSignal e do cancelamento de buscas no SearchCommand
+ */
+
+import { RequestSignal, RequestCancelledError, RequestTimeoutError } from '../src/js/utils/RequestSignal.js';
+import { SearchCommand } from '../src/js/utils/CommandManager.js';
+
+// Operação que só termina quando o sinal é cancelado, rejeitando com o motivo (como o fetch)
+const untilAborted = signal => new Promise((resolve, reject) => {
+    signal.addEventListener('abort', () => reject(signal.reason), { once: true });
+});
+
+describe('RequestSignal', () => {
+    test('should resolve with the operation result', async () => {
+        await expect(RequestSignal.run(() => Promise.resolve('ok'), { timeout: 1000 })).resolves.toBe('ok');
+    });
+
+    test('should reject with RequestTimeoutError and abort the operation signal', async () => {
+        let operationSignal;
+        const result = RequestSignal.run(signal => {
+            operationSignal = signal;
+            return untilAborted(signal);
+        }, { timeout: 20, label: 'Teste' });
+
+        await expect(result).rejects.toThrow(RequestTimeoutError);
+        await expect(result).rejects.toThrow('Teste excedeu o tempo limite de 0.02s');
+        expect(operationSignal.aborted).toBe(true);
+    });
+
+    test('should reject with the caller reason even if the operation ignores the signal', async () => {
+        const controller = new AbortController();
+        const result = RequestSignal.run(() => new Promise(() => {}), { signal: controller.signal });
+
+        controller.abort(new RequestCancelledError('Busca substituída'));
+
+        await expect(result).rejects.toThrow('Busca substituída');
+        await expect(result).rejects.toBeInstanceOf(RequestCancelledError);
+    });
+
+    test('should not start when the signal is already aborted', async () => {
+        const controller = new AbortController();
+        controller.abort();
+        const operation = jest.fn();
+
+        await expect(RequestSignal.run(operation, { signal: controller.signal })).rejects.toBeInstanceOf(Error);
+        expect(operation).not.toHaveBeenCalled();
+    });
+
+    test('should tell cancellations apart from timeouts', () => {
+        expect(RequestSignal.isCancellation(new RequestCancelledError())).toBe(true);
+        expect(RequestSignal.isCancellation(new DOMException('Aborted', 'AbortError'))).toBe(true);
+        expect(RequestSignal.isCancellation(new RequestTimeoutError('Tempo esgotado', 1000))).toBe(false);
+        expect(RequestSignal.isCancellation(new Error('HTTP 500'))).toBe(false);
+    });
+});
+
+describe('SearchCommand cancellation', () => {
+    beforeEach(() => {
+        jest.spyOn(console, 'log').mockImplementation(() => {});
+        jest.spyOn(console, 'error').mockImplementation(() => {});
+    });
+
+    afterEach(() => {
+        jest.restoreAllMocks();
+    });
+
+    test('should cancel the search it supersedes on the same facade', async () => {
+        const apiFacade = {
+            getAirQualityData: jest.fn((params, { signal }) => params.city === 'Campinas'
+                ? untilAborted(signal)
+                : Promise.resolve({ city: params.city }))
+        };
+
+        const first = new SearchCommand({ city: 'Campinas', state: 'SP' }, apiFacade);
+        const second = new SearchCommand({ city: 'Santos', state: 'SP' }, apiFacade);
+
+        const firstResult = first.execute();
+        expect(first.isRunning()).toBe(true);
+
+        await expect(second.execute()).resolves.toEqual({ city: 'Santos' });
+        await expect(firstResult).rejects.toThrow('Busca substituída por uma mais recente');
+        expect(first.executed).toBe(false);
+        expect(first.isRunning()).toBe(false);
+    });
+
+    test('should not cancel searches running on another facade', async () => {
+        const slowFacade = { getAirQualityData: jest.fn((params, { signal }) => untilAborted(signal)) };
+        const otherFacade = { getAirQualityData: jest.fn(() => Promise.resolve({})) };
+
+        const first = new SearchCommand({ city: 'Campinas' }, slowFacade);
+        first.execute().catch(() => {});
+        await new SearchCommand({ city: 'Santos' }, otherFacade).execute();
+
+        expect(first.isRunning()).toBe(true);
+        expect(first.cancel()).toBe(true);
+        expect(first.cancel()).toBe(false);
+    });
+});
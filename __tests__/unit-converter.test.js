@@ -0,0 +1,34 @@
+/**
+ * Testes unitários do UnitConverter
+ */
+
+import { UnitConverter, UnitConversionError } from '../src/js/utils/UnitConverter.js';
+
+describe('UnitConverter', () => {
+    test('should convert between mass units and between mixing ratios', () => {
+        expect(UnitConverter.convert(1500, 'µg/m³', 'mg/m³')).toBeCloseTo(1.5);
+        expect(UnitConverter.convert(0.07, 'ppm', 'ppb')).toBeCloseTo(70);
+    });
+
+    test('should convert gases using molecular weight at 25°C and 1 atm', () => {
+        // 1 ppb de O₃ ≈ 1.96 µg/m³
+        expect(UnitConverter.convert(1, 'ppb', 'μg/m³', { pollutant: 'o3' })).toBeCloseTo(1.962, 2);
+        expect(UnitConverter.convert(1145, 'ug/m3', 'ppm', { pollutant: 'carbon_monoxide' })).toBeCloseTo(1, 2);
+    });
+
+    test('should account for temperature and pressure', () => {
+        const reference = UnitConverter.convert(100, 'µg/m³', 'ppb', { pollutant: 'nitrogen_dioxide' });
+        const hot = UnitConverter.convert(100, 'µg/m³', 'ppb', { pollutant: 'nitrogen_dioxide', temperature: 35 });
+        const highAltitude = UnitConverter.convert(100, 'µg/m³', 'ppb', { pollutant: 'nitrogen_dioxide', pressure: 800 });
+
+        expect(hot).toBeGreaterThan(reference);
+        expect(highAltitude).toBeCloseTo(reference * 1013.25 / 800, 5);
+    });
+
+    test('should reject conversions without a known gas', () => {
+        expect(() => UnitConverter.convert(10, 'µg/m³', 'ppb', { pollutant: 'pm2_5' })).toThrow(UnitConversionError);
+        expect(() => UnitConverter.convert(10, 'grains/m³', 'ppb')).toThrow(UnitConversionError);
+        expect(UnitConverter.canConvert('pm10', 'µg/m³', 'mg/m³')).toBe(true);
+        expect(UnitConverter.canConvert('pm10', 'µg/m³', 'ppb')).toBe(false);
+    });
+});
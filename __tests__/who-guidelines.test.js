@@ -0,0 +1,50 @@
+/**
+ * Testes unitários das diretrizes da OMS (2021)
+ */
+
+import { WHOGuidelines } from '../src/js/services/WHOGuidelines.js';
+
+describe('WHOGuidelines', () => {
+    let guidelines;
+
+    beforeEach(() => {
+        guidelines = new WHOGuidelines();
+    });
+
+    test('should report how far above the guideline and which interim target is met', () => {
+        const report = guidelines.evaluate({ pm2_5: 30, pm10: 40 });
+
+        expect(report.pollutants.pm2_5).toEqual(expect.objectContaining({
+            guideline: 15,
+            period: '24h',
+            exceeds: true,
+            ratio: 2,
+            percentAbove: 100,
+            targetMet: 'IT-3'
+        }));
+        expect(report.pollutants.pm10.targetMet).toBe('AQG');
+        expect(report.exceedances).toEqual(['pm2_5']);
+        expect(report.worst).toBe('pm2_5');
+        expect(report.meetsAllGuidelines).toBe(false);
+    });
+
+    test('should flag concentrations above every interim target', () => {
+        const report = guidelines.evaluate({ pm2_5: 90 });
+
+        expect(report.pollutants.pm2_5.targetMet).toBeNull();
+    });
+
+    test('should convert units and support other averaging periods', () => {
+        const report = guidelines.evaluate(
+            { carbon_monoxide: 5000, pm2_5: 12 },
+            { carbon_monoxide: 'μg/m³' },
+            { periods: { pm2_5: 'annual' } }
+        );
+
+        expect(report.pollutants.carbon_monoxide.concentration).toBeCloseTo(5);
+        expect(report.pollutants.carbon_monoxide.unit).toBe('mg/m³');
+        expect(report.pollutants.carbon_monoxide.targetMet).toBe('IT-1');
+        expect(report.pollutants.pm2_5.guideline).toBe(5);
+        expect(report.pollutants.pm2_5.targetMet).toBe('IT-3');
+    });
+});
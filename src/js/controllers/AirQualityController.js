@@ -4,11 +4,16 @@
  */
 import EventManager from '../utils/EventManager.js';
 import { APIFacade } from '../services/APIFacade.js';
-import { GeocodingService } from '../services/GeocodingService.js';
-import { AirQualityService } from '../services/AirQualityService.js';
 import CacheService from '../services/CacheService.js';
 import ViewManager from '../views/ViewManager.js';
 import { SearchCommand } from '../utils/CommandManager.js';
+import { CoordinateParser } from '../utils/CoordinateParser.js';
+import { PostalCodeParser } from '../utils/PostalCodeParser.js';
+import { RequestSignal } from '../utils/RequestSignal.js';
+import { MOLECULAR_WEIGHTS } from '../utils/UnitConverter.js';
+
+// Mesma chave em que o AQIDisplayComponent salva a unidade escolhida para os gases
+const UNIT_PREFERENCE_KEY = 'air_quality_unit_preference';
 
 class AirQualityController {
     constructor() {
@@ -27,6 +32,8 @@ class AirQualityController {
             isLoading: false,
             currentSearch: null,
             lastResult: null,
+            currentLocation: null,
+            areaMode: false,
             searchHistory: [],
             errors: []
         };
@@ -43,10 +50,11 @@ class AirQualityController {
      * Inicializa os serviços com o EventManager
      */
     _initializeServices() {
-        // Injeta dependências nos serviços
-        this.apiFacade.geocodingService = new GeocodingService();
-        this.apiFacade.airQualityService = new AirQualityService();
+        // Injeta dependências nos serviços; geocodificação e qualidade do ar ficam com as
+        // instâncias do facade, já compartilhadas com provedores, planner, estimador e amostrador
         this.apiFacade.cacheService = this.cacheService;
+
+        this._applyUnitPreference(this._loadUnitPreference());
         
         // Configura debug em desenvolvimento
         if (process.env.NODE_ENV === 'development') {
@@ -71,6 +79,10 @@ class AirQualityController {
             this._handleFormClear();
         });
 
+        this.eventManager.subscribe(EventManager.EVENTS.FORM_CURRENT_LOCATION, (data) => {
+            this._handleCurrentLocation(data);
+        });
+
         // API events
         this.eventManager.subscribe(EventManager.EVENTS.API_LOADING_START, () => {
             this._handleLoadingStart();
@@ -110,6 +122,22 @@ class AirQualityController {
             this._handleToggleDetails(data);
         });
 
+        this.eventManager.subscribe(EventManager.EVENTS.AQI_UNIT_CHANGED, (data) => {
+            this._applyUnitPreference(data.gasUnit);
+        });
+
+        this.eventManager.subscribe(EventManager.EVENTS.AQI_HEALTH_PROFILE_CHANGED, () => {
+            this._handleHealthProfileChange();
+        });
+
+        this.eventManager.subscribe(EventManager.EVENTS.AQI_EXPOSURE_SCHEDULE_CHANGED, (data) => {
+            this._handleScheduleChange(data);
+        });
+
+        this.eventManager.subscribe(EventManager.EVENTS.AQI_AREA_MODE_CHANGED, (data) => {
+            this._handleAreaModeChange(data);
+        });
+
         // Cache events
         this.eventManager.subscribe(EventManager.EVENTS.DATA_CACHED, (data) => {
             console.log('💾 Data cached:', data);
@@ -193,6 +221,26 @@ class AirQualityController {
         }
     }
 
+    /**
+     * Manipula busca pela localização atual do navegador
+     * @param {Object} data - Objeto com coordinates (lat, lon, accuracy)
+     */
+    async _handleCurrentLocation({ coordinates }) {
+        try {
+            console.log('📍 Current location search:', coordinates);
+
+            const searchParams = { coordinates, currentLocation: true };
+            this._addCommand(new SearchCommand(searchParams, this.apiFacade));
+
+            this.state.currentSearch = searchParams;
+            await this._executeCurrentCommand();
+
+        } catch (error) {
+            console.error('❌ Error handling current location:', error);
+            this.eventManager.publish(EventManager.EVENTS.SEARCH_ERROR, error);
+        }
+    }
+
     /**
      * Executa o comando atual
      */
@@ -211,6 +259,11 @@ class AirQualityController {
             this.eventManager.publish(EventManager.EVENTS.SEARCH_SUCCESS, result);
             
         } catch (error) {
+            // Busca substituída por outra mais recente: o resultado dela é o que importa
+            if (RequestSignal.isCancellation(error)) {
+                return;
+            }
+
             this.eventManager.publish(EventManager.EVENTS.SEARCH_ERROR, error);
         }
     }
@@ -242,6 +295,36 @@ class AirQualityController {
      */
     _validateFormData(formData) {
         const errors = [];
+
+        // Busca por código postal: cidade e estado não se aplicam
+        if (formData.postalCode !== undefined) {
+            try {
+                PostalCodeParser.parse(formData.postalCode, formData.country || null);
+            } catch (error) {
+                errors.push(error.message);
+            }
+            return { isValid: errors.length === 0, errors };
+        }
+
+        // Coordenadas no campo cidade dispensam estado e validação de caracteres
+        if (formData.city && CoordinateParser.isCoordinate(formData.city)) {
+            try {
+                CoordinateParser.parse(formData.city);
+            } catch (error) {
+                errors.push(error.message);
+            }
+            return { isValid: errors.length === 0, errors };
+        }
+
+        // Só dígitos no campo cidade: buscado como código postal
+        if (PostalCodeParser.looksLikePostalCode(formData.city)) {
+            try {
+                PostalCodeParser.parse(formData.city, formData.country || null);
+            } catch (error) {
+                errors.push(error.message);
+            }
+            return { isValid: errors.length === 0, errors };
+        }
         
         if (!formData.city || formData.city.trim().length < 2) {
             errors.push('Cidade deve ter pelo menos 2 caracteres');
@@ -288,6 +371,11 @@ class AirQualityController {
      * @param {Object} data - Dados retornados da API
      */
     _handleAPISuccess(data) {
+        // Consultas complementares (janelas de atividade, exposição, área) não são buscas do usuário
+        if (!data.airQuality) {
+            return;
+        }
+
         this.state.lastResult = data;
         this.state.errors = [];
         
@@ -303,6 +391,13 @@ class AirQualityController {
      */
     _handleAPIError(errorData) {
         const error = errorData.error;
+
+        // Falha de consulta complementar não substitui o resultado já exibido
+        if (errorData.query && errorData.query !== 'airQuality') {
+            console.warn(`⚠️ ${errorData.query} unavailable:`, error.message);
+            return;
+        }
+
         this.state.errors.push(error);
         
         let userMessage = 'Erro ao buscar dados de qualidade do ar';
@@ -332,6 +427,82 @@ class AirQualityController {
     _handleSearchSuccess(result) {
         this.eventManager.publish(EventManager.EVENTS.UI_SHOW_RESULTS, result);
         this.eventManager.publish(EventManager.EVENTS.UI_CLEAR_RESULTS, { type: 'error' });
+
+        this._loadSearchDetails(result);
+    }
+
+    /**
+     * Busca as consultas complementares da localização encontrada
+     * Usa as coordenadas do resultado, dispensando nova geocodificação
+     * @param {Object} result - Resultado da busca
+     */
+    async _loadSearchDetails(result) {
+        const location = result?.location || null;
+        this.state.currentLocation = location;
+        if (!location) {
+            return;
+        }
+
+        const keys = ['activityWindows', 'exposure'];
+        if (this.state.areaMode) {
+            keys.push('area');
+        }
+
+        await this._loadDetails(location, keys);
+    }
+
+    /**
+     * Executa consultas complementares e publica cada resultado para a view
+     * @param {Object} location - Localização do resultado exibido
+     * @param {Array<string>} keys - Consultas (activityWindows, exposure, area)
+     */
+    async _loadDetails(location, keys) {
+        const details = {
+            activityWindows: { event: EventManager.EVENTS.UI_SHOW_ACTIVITY_WINDOWS, query: () => this.apiFacade.getActivityWindows(location) },
+            exposure: { event: EventManager.EVENTS.UI_SHOW_EXPOSURE, query: () => this.apiFacade.getExposureEstimate(location) },
+            // Sem limites da área (coordenadas digitadas, gazetteer) o display explica o motivo;
+            // erros internos não chegam ao usuário
+            area: {
+                event: EventManager.EVENTS.UI_SHOW_AREA_SUMMARY,
+                query: () => this.apiFacade.getAreaAirQualityData(location),
+                fallback: error => ({
+                    unavailable: error.userFriendly ? error.message : 'Resumo da área indisponível no momento'
+                })
+            }
+        };
+
+        await Promise.all(keys.map(async key => {
+            const { event, query, fallback } = details[key];
+
+            try {
+                const data = await query();
+
+                // Uma busca mais recente já trocou a localização exibida
+                if (this.state.currentLocation === location) {
+                    this.eventManager.publish(event, data[key]);
+                }
+            } catch (error) {
+                console.warn(`⚠️ ${key} unavailable:`, error.message);
+
+                if (fallback && this.state.currentLocation === location && !RequestSignal.isCancellation(error)) {
+                    this.eventManager.publish(event, fallback(error));
+                }
+            }
+        }));
+    }
+
+    /**
+     * Manipula a troca do modo área no display
+     * Ao ligar, resume a área da localização já exibida
+     * @param {Object} data - Dados do evento
+     * @param {boolean} data.enabled - Se o modo área está ligado
+     */
+    _handleAreaModeChange({ enabled }) {
+        this.state.areaMode = Boolean(enabled);
+
+        if (this.state.areaMode && this.state.currentLocation) {
+            this._loadDetails(this.state.currentLocation, ['area']);
+        }
     }
 
     /**
@@ -343,6 +514,61 @@ class AirQualityController {
         this.eventManager.publish(EventManager.EVENTS.API_ERROR, { error });
     }
 
+    /**
+     * Manipula a troca do perfil de saúde no display
+     * Resultados em cache trazem as recomendações do perfil anterior: o cache de resultados
+     * é descartado (as coordenadas continuam) e as janelas da localização exibida são refeitas
+     */
+    async _handleHealthProfileChange() {
+        await this.apiFacade.cacheService.clear();
+
+        if (this.state.currentLocation) {
+            await this._loadDetails(this.state.currentLocation, ['activityWindows']);
+        }
+    }
+
+    /**
+     * Aplica a unidade escolhida no display aos gases processados pelo serviço
+     * @param {string} gasUnit - mass, ppb ou ppm
+     */
+    _applyUnitPreference(gasUnit) {
+        const preferences = {};
+        if (gasUnit === 'ppb' || gasUnit === 'ppm') {
+            Object.keys(MOLECULAR_WEIGHTS).forEach(pollutant => {
+                preferences[pollutant] = gasUnit;
+            });
+        }
+
+        this.apiFacade.airQualityService.setUnitPreferences(preferences);
+    }
+
+    /**
+     * Carrega a unidade dos gases salva pelo display
+     * @returns {string|null} Preferência salva ou null
+     */
+    _loadUnitPreference() {
+        try {
+            return localStorage.getItem(UNIT_PREFERENCE_KEY);
+        } catch (error) {
+            console.warn('⚠️ Could not load unit preference:', error);
+            return null;
+        }
+    }
+
+    /**
+     * Manipula a edição da agenda de exposição no display
+     * Mantém a agenda do facade igual: as próximas buscas (e suas chaves de cache) usam a nova
+     * @param {Object} data - Dados do evento
+     * @param {Array<Object>} data.schedule - Blocos { start, end, activity }
+     */
+    _handleScheduleChange({ schedule }) {
+        try {
+            this.apiFacade.exposureEstimator.setSchedule(schedule);
+        } catch (error) {
+            console.warn('⚠️ Invalid exposure schedule:', error.message);
+        }
+    }
+
     /**
      * Adiciona busca ao histórico
      * @param {Object} data - Dados da busca bem-sucedida
@@ -459,6 +685,7 @@ class AirQualityController {
     _handleFormClear() {
         this.state.currentSearch = null;
         this.state.lastResult = null;
+        this.state.currentLocation = null;
         this.eventManager.publish(EventManager.EVENTS.UI_CLEAR_RESULTS, { type: 'all' });
     }
 
@@ -0,0 +1,258 @@
+/**
+ * Países ISO 3166-1 - Códigos alpha-2 e alpha-3 com nomes em inglês, português e espanhol
+ * aliases reúne grafias alternativas, siglas e nomes antigos ainda usados na digitação
+ */
+
+const COUNTRIES = [
+    { code: 'AD', alpha3: 'AND', en: 'Andorra', pt: 'Andorra', es: 'Andorra' },
+    { code: 'AE', alpha3: 'ARE', en: 'United Arab Emirates', pt: 'Emirados Árabes Unidos', es: 'Emiratos Árabes Unidos', aliases: ['UAE', 'EAU', 'Emirates', 'Emirados Árabes'] },
+    { code: 'AF', alpha3: 'AFG', en: 'Afghanistan', pt: 'Afeganistão', es: 'Afganistán' },
+    { code: 'AG', alpha3: 'ATG', en: 'Antigua and Barbuda', pt: 'Antígua e Barbuda', es: 'Antigua y Barbuda' },
+    { code: 'AI', alpha3: 'AIA', en: 'Anguilla', pt: 'Anguila', es: 'Anguila' },
+    { code: 'AL', alpha3: 'ALB', en: 'Albania', pt: 'Albânia', es: 'Albania' },
+    { code: 'AM', alpha3: 'ARM', en: 'Armenia', pt: 'Armênia', es: 'Armenia', aliases: ['Arménia'] },
+    { code: 'AO', alpha3: 'AGO', en: 'Angola', pt: 'Angola', es: 'Angola' },
+    { code: 'AQ', alpha3: 'ATA', en: 'Antarctica', pt: 'Antártida', es: 'Antártida', aliases: ['Antártica'] },
+    { code: 'AR', alpha3: 'ARG', en: 'Argentina', pt: 'Argentina', es: 'Argentina' },
+    { code: 'AS', alpha3: 'ASM', en: 'American Samoa', pt: 'Samoa Americana', es: 'Samoa Americana' },
+    { code: 'AT', alpha3: 'AUT', en: 'Austria', pt: 'Áustria', es: 'Austria', aliases: ['Österreich'] },
+    { code: 'AU', alpha3: 'AUS', en: 'Australia', pt: 'Austrália', es: 'Australia' },
+    { code: 'AW', alpha3: 'ABW', en: 'Aruba', pt: 'Aruba', es: 'Aruba' },
+    { code: 'AX', alpha3: 'ALA', en: 'Åland Islands', pt: 'Ilhas Åland', es: 'Islas Åland' },
+    { code: 'AZ', alpha3: 'AZE', en: 'Azerbaijan', pt: 'Azerbaijão', es: 'Azerbaiyán' },
+    { code: 'BA', alpha3: 'BIH', en: 'Bosnia and Herzegovina', pt: 'Bósnia e Herzegovina', es: 'Bosnia y Herzegovina', aliases: ['Bosnia'] },
+    { code: 'BB', alpha3: 'BRB', en: 'Barbados', pt: 'Barbados', es: 'Barbados' },
+    { code: 'BD', alpha3: 'BGD', en: 'Bangladesh', pt: 'Bangladesh', es: 'Bangladés', aliases: ['Bangladexe'] },
+    { code: 'BE', alpha3: 'BEL', en: 'Belgium', pt: 'Bélgica', es: 'Bélgica', aliases: ['België', 'Belgique'] },
+    { code: 'BF', alpha3: 'BFA', en: 'Burkina Faso', pt: 'Burkina Faso', es: 'Burkina Faso' },
+    { code: 'BG', alpha3: 'BGR', en: 'Bulgaria', pt: 'Bulgária', es: 'Bulgaria' },
+    { code: 'BH', alpha3: 'BHR', en: 'Bahrain', pt: 'Bahrein', es: 'Baréin', aliases: ['Barém'] },
+    { code: 'BI', alpha3: 'BDI', en: 'Burundi', pt: 'Burundi', es: 'Burundi' },
+    { code: 'BJ', alpha3: 'BEN', en: 'Benin', pt: 'Benin', es: 'Benín' },
+    { code: 'BL', alpha3: 'BLM', en: 'Saint Barthélemy', pt: 'São Bartolomeu', es: 'San Bartolomé' },
+    { code: 'BM', alpha3: 'BMU', en: 'Bermuda', pt: 'Bermudas', es: 'Bermudas' },
+    { code: 'BN', alpha3: 'BRN', en: 'Brunei', pt: 'Brunei', es: 'Brunéi', aliases: ['Brunei Darussalam'] },
+    { code: 'BO', alpha3: 'BOL', en: 'Bolivia', pt: 'Bolívia', es: 'Bolivia' },
+    { code: 'BQ', alpha3: 'BES', en: 'Caribbean Netherlands', pt: 'Países Baixos Caribenhos', es: 'Caribe Neerlandés', aliases: ['Bonaire'] },
+    { code: 'BR', alpha3: 'BRA', en: 'Brazil', pt: 'Brasil', es: 'Brasil' },
+    { code: 'BS', alpha3: 'BHS', en: 'Bahamas', pt: 'Bahamas', es: 'Bahamas' },
+    { code: 'BT', alpha3: 'BTN', en: 'Bhutan', pt: 'Butão', es: 'Bután' },
+    { code: 'BV', alpha3: 'BVT', en: 'Bouvet Island', pt: 'Ilha Bouvet', es: 'Isla Bouvet' },
+    { code: 'BW', alpha3: 'BWA', en: 'Botswana', pt: 'Botsuana', es: 'Botsuana' },
+    { code: 'BY', alpha3: 'BLR', en: 'Belarus', pt: 'Bielorrússia', es: 'Bielorrusia', aliases: ['Belarús'] },
+    { code: 'BZ', alpha3: 'BLZ', en: 'Belize', pt: 'Belize', es: 'Belice' },
+    { code: 'CA', alpha3: 'CAN', en: 'Canada', pt: 'Canadá', es: 'Canadá' },
+    { code: 'CC', alpha3: 'CCK', en: 'Cocos (Keeling) Islands', pt: 'Ilhas Cocos', es: 'Islas Cocos' },
+    { code: 'CD', alpha3: 'COD', en: 'Democratic Republic of the Congo', pt: 'República Democrática do Congo', es: 'República Democrática del Congo', aliases: ['DR Congo', 'RDC', 'Congo-Kinshasa', 'Zaire'] },
+    { code: 'CF', alpha3: 'CAF', en: 'Central African Republic', pt: 'República Centro-Africana', es: 'República Centroafricana' },
+    { code: 'CG', alpha3: 'COG', en: 'Republic of the Congo', pt: 'República do Congo', es: 'República del Congo', aliases: ['Congo', 'Congo-Brazzaville'] },
+    { code: 'CH', alpha3: 'CHE', en: 'Switzerland', pt: 'Suíça', es: 'Suiza', aliases: ['Schweiz', 'Suisse'] },
+    { code: 'CI', alpha3: 'CIV', en: 'Côte d\'Ivoire', pt: 'Costa do Marfim', es: 'Costa de Marfil', aliases: ['Ivory Coast'] },
+    { code: 'CK', alpha3: 'COK', en: 'Cook Islands', pt: 'Ilhas Cook', es: 'Islas Cook' },
+    { code: 'CL', alpha3: 'CHL', en: 'Chile', pt: 'Chile', es: 'Chile' },
+    { code: 'CM', alpha3: 'CMR', en: 'Cameroon', pt: 'Camarões', es: 'Camerún' },
+    { code: 'CN', alpha3: 'CHN', en: 'China', pt: 'China', es: 'China', aliases: ['República Popular da China', 'PRC'] },
+    { code: 'CO', alpha3: 'COL', en: 'Colombia', pt: 'Colômbia', es: 'Colombia' },
+    { code: 'CR', alpha3: 'CRI', en: 'Costa Rica', pt: 'Costa Rica', es: 'Costa Rica' },
+    { code: 'CU', alpha3: 'CUB', en: 'Cuba', pt: 'Cuba', es: 'Cuba' },
+    { code: 'CV', alpha3: 'CPV', en: 'Cabo Verde', pt: 'Cabo Verde', es: 'Cabo Verde', aliases: ['Cape Verde'] },
+    { code: 'CW', alpha3: 'CUW', en: 'Curaçao', pt: 'Curaçao', es: 'Curazao' },
+    { code: 'CX', alpha3: 'CXR', en: 'Christmas Island', pt: 'Ilha Christmas', es: 'Isla de Navidad' },
+    { code: 'CY', alpha3: 'CYP', en: 'Cyprus', pt: 'Chipre', es: 'Chipre' },
+    { code: 'CZ', alpha3: 'CZE', en: 'Czechia', pt: 'Tchéquia', es: 'Chequia', aliases: ['Czech Republic', 'República Tcheca', 'República Checa', 'Chéquia'] },
+    { code: 'DE', alpha3: 'DEU', en: 'Germany', pt: 'Alemanha', es: 'Alemania', aliases: ['Deutschland'] },
+    { code: 'DJ', alpha3: 'DJI', en: 'Djibouti', pt: 'Djibuti', es: 'Yibuti' },
+    { code: 'DK', alpha3: 'DNK', en: 'Denmark', pt: 'Dinamarca', es: 'Dinamarca', aliases: ['Danmark'] },
+    { code: 'DM', alpha3: 'DMA', en: 'Dominica', pt: 'Dominica', es: 'Dominica' },
+    { code: 'DO', alpha3: 'DOM', en: 'Dominican Republic', pt: 'República Dominicana', es: 'República Dominicana' },
+    { code: 'DZ', alpha3: 'DZA', en: 'Algeria', pt: 'Argélia', es: 'Argelia' },
+    { code: 'EC', alpha3: 'ECU', en: 'Ecuador', pt: 'Equador', es: 'Ecuador' },
+    { code: 'EE', alpha3: 'EST', en: 'Estonia', pt: 'Estônia', es: 'Estonia', aliases: ['Estónia'] },
+    { code: 'EG', alpha3: 'EGY', en: 'Egypt', pt: 'Egito', es: 'Egipto' },
+    { code: 'EH', alpha3: 'ESH', en: 'Western Sahara', pt: 'Saara Ocidental', es: 'Sahara Occidental' },
+    { code: 'ER', alpha3: 'ERI', en: 'Eritrea', pt: 'Eritreia', es: 'Eritrea' },
+    { code: 'ES', alpha3: 'ESP', en: 'Spain', pt: 'Espanha', es: 'España' },
+    { code: 'ET', alpha3: 'ETH', en: 'Ethiopia', pt: 'Etiópia', es: 'Etiopía' },
+    { code: 'FI', alpha3: 'FIN', en: 'Finland', pt: 'Finlândia', es: 'Finlandia', aliases: ['Suomi'] },
+    { code: 'FJ', alpha3: 'FJI', en: 'Fiji', pt: 'Fiji', es: 'Fiyi' },
+    { code: 'FK', alpha3: 'FLK', en: 'Falkland Islands', pt: 'Ilhas Malvinas', es: 'Islas Malvinas', aliases: ['Malvinas', 'Falklands'] },
+    { code: 'FM', alpha3: 'FSM', en: 'Micronesia', pt: 'Micronésia', es: 'Micronesia' },
+    { code: 'FO', alpha3: 'FRO', en: 'Faroe Islands', pt: 'Ilhas Feroé', es: 'Islas Feroe' },
+    { code: 'FR', alpha3: 'FRA', en: 'France', pt: 'França', es: 'Francia' },
+    { code: 'GA', alpha3: 'GAB', en: 'Gabon', pt: 'Gabão', es: 'Gabón' },
+    { code: 'GB', alpha3: 'GBR', en: 'United Kingdom', pt: 'Reino Unido', es: 'Reino Unido', aliases: ['UK', 'Great Britain', 'Grã-Bretanha', 'Gran Bretaña', 'England', 'Inglaterra', 'Scotland', 'Escócia', 'Wales', 'País de Gales'] },
+    { code: 'GD', alpha3: 'GRD', en: 'Grenada', pt: 'Granada', es: 'Granada' },
+    { code: 'GE', alpha3: 'GEO', en: 'Georgia', pt: 'Geórgia', es: 'Georgia' },
+    { code: 'GF', alpha3: 'GUF', en: 'French Guiana', pt: 'Guiana Francesa', es: 'Guayana Francesa' },
+    { code: 'GG', alpha3: 'GGY', en: 'Guernsey', pt: 'Guernsey', es: 'Guernsey' },
+    { code: 'GH', alpha3: 'GHA', en: 'Ghana', pt: 'Gana', es: 'Ghana' },
+    { code: 'GI', alpha3: 'GIB', en: 'Gibraltar', pt: 'Gibraltar', es: 'Gibraltar' },
+    { code: 'GL', alpha3: 'GRL', en: 'Greenland', pt: 'Groenlândia', es: 'Groenlandia' },
+    { code: 'GM', alpha3: 'GMB', en: 'Gambia', pt: 'Gâmbia', es: 'Gambia' },
+    { code: 'GN', alpha3: 'GIN', en: 'Guinea', pt: 'Guiné', es: 'Guinea' },
+    { code: 'GP', alpha3: 'GLP', en: 'Guadeloupe', pt: 'Guadalupe', es: 'Guadalupe' },
+    { code: 'GQ', alpha3: 'GNQ', en: 'Equatorial Guinea', pt: 'Guiné Equatorial', es: 'Guinea Ecuatorial' },
+    { code: 'GR', alpha3: 'GRC', en: 'Greece', pt: 'Grécia', es: 'Grecia' },
+    { code: 'GS', alpha3: 'SGS', en: 'South Georgia and the South Sandwich Islands', pt: 'Ilhas Geórgia do Sul e Sandwich do Sul', es: 'Islas Georgias del Sur y Sandwich del Sur' },
+    { code: 'GT', alpha3: 'GTM', en: 'Guatemala', pt: 'Guatemala', es: 'Guatemala' },
+    { code: 'GU', alpha3: 'GUM', en: 'Guam', pt: 'Guam', es: 'Guam' },
+    { code: 'GW', alpha3: 'GNB', en: 'Guinea-Bissau', pt: 'Guiné-Bissau', es: 'Guinea-Bisáu' },
+    { code: 'GY', alpha3: 'GUY', en: 'Guyana', pt: 'Guiana', es: 'Guyana' },
+    { code: 'HK', alpha3: 'HKG', en: 'Hong Kong', pt: 'Hong Kong', es: 'Hong Kong' },
+    { code: 'HM', alpha3: 'HMD', en: 'Heard Island and McDonald Islands', pt: 'Ilhas Heard e McDonald', es: 'Islas Heard y McDonald' },
+    { code: 'HN', alpha3: 'HND', en: 'Honduras', pt: 'Honduras', es: 'Honduras' },
+    { code: 'HR', alpha3: 'HRV', en: 'Croatia', pt: 'Croácia', es: 'Croacia', aliases: ['Hrvatska'] },
+    { code: 'HT', alpha3: 'HTI', en: 'Haiti', pt: 'Haiti', es: 'Haití' },
+    { code: 'HU', alpha3: 'HUN', en: 'Hungary', pt: 'Hungria', es: 'Hungría' },
+    { code: 'ID', alpha3: 'IDN', en: 'Indonesia', pt: 'Indonésia', es: 'Indonesia' },
+    { code: 'IE', alpha3: 'IRL', en: 'Ireland', pt: 'Irlanda', es: 'Irlanda', aliases: ['Éire'] },
+    { code: 'IL', alpha3: 'ISR', en: 'Israel', pt: 'Israel', es: 'Israel' },
+    { code: 'IM', alpha3: 'IMN', en: 'Isle of Man', pt: 'Ilha de Man', es: 'Isla de Man' },
+    { code: 'IN', alpha3: 'IND', en: 'India', pt: 'Índia', es: 'India' },
+    { code: 'IO', alpha3: 'IOT', en: 'British Indian Ocean Territory', pt: 'Território Britânico do Oceano Índico', es: 'Territorio Británico del Océano Índico' },
+    { code: 'IQ', alpha3: 'IRQ', en: 'Iraq', pt: 'Iraque', es: 'Irak' },
+    { code: 'IR', alpha3: 'IRN', en: 'Iran', pt: 'Irã', es: 'Irán', aliases: ['Irão'] },
+    { code: 'IS', alpha3: 'ISL', en: 'Iceland', pt: 'Islândia', es: 'Islandia' },
+    { code: 'IT', alpha3: 'ITA', en: 'Italy', pt: 'Itália', es: 'Italia' },
+    { code: 'JE', alpha3: 'JEY', en: 'Jersey', pt: 'Jersey', es: 'Jersey' },
+    { code: 'JM', alpha3: 'JAM', en: 'Jamaica', pt: 'Jamaica', es: 'Jamaica' },
+    { code: 'JO', alpha3: 'JOR', en: 'Jordan', pt: 'Jordânia', es: 'Jordania' },
+    { code: 'JP', alpha3: 'JPN', en: 'Japan', pt: 'Japão', es: 'Japón' },
+    { code: 'KE', alpha3: 'KEN', en: 'Kenya', pt: 'Quênia', es: 'Kenia', aliases: ['Quénia'] },
+    { code: 'KG', alpha3: 'KGZ', en: 'Kyrgyzstan', pt: 'Quirguistão', es: 'Kirguistán' },
+    { code: 'KH', alpha3: 'KHM', en: 'Cambodia', pt: 'Camboja', es: 'Camboya' },
+    { code: 'KI', alpha3: 'KIR', en: 'Kiribati', pt: 'Kiribati', es: 'Kiribati' },
+    { code: 'KM', alpha3: 'COM', en: 'Comoros', pt: 'Comores', es: 'Comoras' },
+    { code: 'KN', alpha3: 'KNA', en: 'Saint Kitts and Nevis', pt: 'São Cristóvão e Névis', es: 'San Cristóbal y Nieves' },
+    { code: 'KP', alpha3: 'PRK', en: 'North Korea', pt: 'Coreia do Norte', es: 'Corea del Norte' },
+    { code: 'KR', alpha3: 'KOR', en: 'South Korea', pt: 'Coreia do Sul', es: 'Corea del Sur', aliases: ['Korea', 'Coreia', 'Corea', 'Republic of Korea'] },
+    { code: 'KW', alpha3: 'KWT', en: 'Kuwait', pt: 'Kuwait', es: 'Kuwait', aliases: ['Kuweit'] },
+    { code: 'KY', alpha3: 'CYM', en: 'Cayman Islands', pt: 'Ilhas Cayman', es: 'Islas Caimán' },
+    { code: 'KZ', alpha3: 'KAZ', en: 'Kazakhstan', pt: 'Cazaquistão', es: 'Kazajistán' },
+    { code: 'LA', alpha3: 'LAO', en: 'Laos', pt: 'Laos', es: 'Laos' },
+    { code: 'LB', alpha3: 'LBN', en: 'Lebanon', pt: 'Líbano', es: 'Líbano' },
+    { code: 'LC', alpha3: 'LCA', en: 'Saint Lucia', pt: 'Santa Lúcia', es: 'Santa Lucía' },
+    { code: 'LI', alpha3: 'LIE', en: 'Liechtenstein', pt: 'Liechtenstein', es: 'Liechtenstein' },
+    { code: 'LK', alpha3: 'LKA', en: 'Sri Lanka', pt: 'Sri Lanka', es: 'Sri Lanka' },
+    { code: 'LR', alpha3: 'LBR', en: 'Liberia', pt: 'Libéria', es: 'Liberia' },
+    { code: 'LS', alpha3: 'LSO', en: 'Lesotho', pt: 'Lesoto', es: 'Lesoto' },
+    { code: 'LT', alpha3: 'LTU', en: 'Lithuania', pt: 'Lituânia', es: 'Lituania' },
+    { code: 'LU', alpha3: 'LUX', en: 'Luxembourg', pt: 'Luxemburgo', es: 'Luxemburgo' },
+    { code: 'LV', alpha3: 'LVA', en: 'Latvia', pt: 'Letônia', es: 'Letonia', aliases: ['Letónia'] },
+    { code: 'LY', alpha3: 'LBY', en: 'Libya', pt: 'Líbia', es: 'Libia' },
+    { code: 'MA', alpha3: 'MAR', en: 'Morocco', pt: 'Marrocos', es: 'Marruecos' },
+    { code: 'MC', alpha3: 'MCO', en: 'Monaco', pt: 'Mônaco', es: 'Mónaco' },
+    { code: 'MD', alpha3: 'MDA', en: 'Moldova', pt: 'Moldávia', es: 'Moldavia' },
+    { code: 'ME', alpha3: 'MNE', en: 'Montenegro', pt: 'Montenegro', es: 'Montenegro' },
+    { code: 'MF', alpha3: 'MAF', en: 'Saint Martin', pt: 'São Martinho', es: 'San Martín' },
+    { code: 'MG', alpha3: 'MDG', en: 'Madagascar', pt: 'Madagascar', es: 'Madagascar' },
+    { code: 'MH', alpha3: 'MHL', en: 'Marshall Islands', pt: 'Ilhas Marshall', es: 'Islas Marshall' },
+    { code: 'MK', alpha3: 'MKD', en: 'North Macedonia', pt: 'Macedônia do Norte', es: 'Macedonia del Norte', aliases: ['Macedonia', 'Macedônia'] },
+    { code: 'ML', alpha3: 'MLI', en: 'Mali', pt: 'Mali', es: 'Malí' },
+    { code: 'MM', alpha3: 'MMR', en: 'Myanmar', pt: 'Mianmar', es: 'Myanmar', aliases: ['Burma', 'Birmânia', 'Birmania'] },
+    { code: 'MN', alpha3: 'MNG', en: 'Mongolia', pt: 'Mongólia', es: 'Mongolia' },
+    { code: 'MO', alpha3: 'MAC', en: 'Macao', pt: 'Macau', es: 'Macao', aliases: ['Macau'] },
+    { code: 'MP', alpha3: 'MNP', en: 'Northern Mariana Islands', pt: 'Ilhas Marianas do Norte', es: 'Islas Marianas del Norte' },
+    { code: 'MQ', alpha3: 'MTQ', en: 'Martinique', pt: 'Martinica', es: 'Martinica' },
+    { code: 'MR', alpha3: 'MRT', en: 'Mauritania', pt: 'Mauritânia', es: 'Mauritania' },
+    { code: 'MS', alpha3: 'MSR', en: 'Montserrat', pt: 'Montserrat', es: 'Montserrat' },
+    { code: 'MT', alpha3: 'MLT', en: 'Malta', pt: 'Malta', es: 'Malta' },
+    { code: 'MU', alpha3: 'MUS', en: 'Mauritius', pt: 'Maurício', es: 'Mauricio', aliases: ['Ilhas Maurício'] },
+    { code: 'MV', alpha3: 'MDV', en: 'Maldives', pt: 'Maldivas', es: 'Maldivas' },
+    { code: 'MW', alpha3: 'MWI', en: 'Malawi', pt: 'Malawi', es: 'Malaui', aliases: ['Malaui'] },
+    { code: 'MX', alpha3: 'MEX', en: 'Mexico', pt: 'México', es: 'México' },
+    { code: 'MY', alpha3: 'MYS', en: 'Malaysia', pt: 'Malásia', es: 'Malasia' },
+    { code: 'MZ', alpha3: 'MOZ', en: 'Mozambique', pt: 'Moçambique', es: 'Mozambique' },
+    { code: 'NA', alpha3: 'NAM', en: 'Namibia', pt: 'Namíbia', es: 'Namibia' },
+    { code: 'NC', alpha3: 'NCL', en: 'New Caledonia', pt: 'Nova Caledônia', es: 'Nueva Caledonia' },
+    { code: 'NE', alpha3: 'NER', en: 'Niger', pt: 'Níger', es: 'Níger' },
+    { code: 'NF', alpha3: 'NFK', en: 'Norfolk Island', pt: 'Ilha Norfolk', es: 'Isla Norfolk' },
+    { code: 'NG', alpha3: 'NGA', en: 'Nigeria', pt: 'Nigéria', es: 'Nigeria' },
+    { code: 'NI', alpha3: 'NIC', en: 'Nicaragua', pt: 'Nicarágua', es: 'Nicaragua' },
+    { code: 'NL', alpha3: 'NLD', en: 'Netherlands', pt: 'Países Baixos', es: 'Países Bajos', aliases: ['Holland', 'Holanda', 'Nederland', 'The Netherlands'] },
+    { code: 'NO', alpha3: 'NOR', en: 'Norway', pt: 'Noruega', es: 'Noruega', aliases: ['Norge'] },
+    { code: 'NP', alpha3: 'NPL', en: 'Nepal', pt: 'Nepal', es: 'Nepal' },
+    { code: 'NR', alpha3: 'NRU', en: 'Nauru', pt: 'Nauru', es: 'Nauru' },
+    { code: 'NU', alpha3: 'NIU', en: 'Niue', pt: 'Niue', es: 'Niue' },
+    { code: 'NZ', alpha3: 'NZL', en: 'New Zealand', pt: 'Nova Zelândia', es: 'Nueva Zelanda' },
+    { code: 'OM', alpha3: 'OMN', en: 'Oman', pt: 'Omã', es: 'Omán' },
+    { code: 'PA', alpha3: 'PAN', en: 'Panama', pt: 'Panamá', es: 'Panamá' },
+    { code: 'PE', alpha3: 'PER', en: 'Peru', pt: 'Peru', es: 'Perú' },
+    { code: 'PF', alpha3: 'PYF', en: 'French Polynesia', pt: 'Polinésia Francesa', es: 'Polinesia Francesa' },
+    { code: 'PG', alpha3: 'PNG', en: 'Papua New Guinea', pt: 'Papua-Nova Guiné', es: 'Papúa Nueva Guinea' },
+    { code: 'PH', alpha3: 'PHL', en: 'Philippines', pt: 'Filipinas', es: 'Filipinas' },
+    { code: 'PK', alpha3: 'PAK', en: 'Pakistan', pt: 'Paquistão', es: 'Pakistán' },
+    { code: 'PL', alpha3: 'POL', en: 'Poland', pt: 'Polônia', es: 'Polonia', aliases: ['Polska', 'Polónia'] },
+    { code: 'PM', alpha3: 'SPM', en: 'Saint Pierre and Miquelon', pt: 'São Pedro e Miquelão', es: 'San Pedro y Miquelón' },
+    { code: 'PN', alpha3: 'PCN', en: 'Pitcairn Islands', pt: 'Ilhas Pitcairn', es: 'Islas Pitcairn' },
+    { code: 'PR', alpha3: 'PRI', en: 'Puerto Rico', pt: 'Porto Rico', es: 'Puerto Rico' },
+    { code: 'PS', alpha3: 'PSE', en: 'Palestine', pt: 'Palestina', es: 'Palestina' },
+    { code: 'PT', alpha3: 'PRT', en: 'Portugal', pt: 'Portugal', es: 'Portugal' },
+    { code: 'PW', alpha3: 'PLW', en: 'Palau', pt: 'Palau', es: 'Palaos' },
+    { code: 'PY', alpha3: 'PRY', en: 'Paraguay', pt: 'Paraguai', es: 'Paraguay' },
+    { code: 'QA', alpha3: 'QAT', en: 'Qatar', pt: 'Catar', es: 'Catar' },
+    { code: 'RE', alpha3: 'REU', en: 'Réunion', pt: 'Reunião', es: 'Reunión' },
+    { code: 'RO', alpha3: 'ROU', en: 'Romania', pt: 'Romênia', es: 'Rumania', aliases: ['Roménia', 'Rumanía'] },
+    { code: 'RS', alpha3: 'SRB', en: 'Serbia', pt: 'Sérvia', es: 'Serbia' },
+    { code: 'RU', alpha3: 'RUS', en: 'Russia', pt: 'Rússia', es: 'Rusia', aliases: ['Russian Federation', 'Federação Russa'] },
+    { code: 'RW', alpha3: 'RWA', en: 'Rwanda', pt: 'Ruanda', es: 'Ruanda' },
+    { code: 'SA', alpha3: 'SAU', en: 'Saudi Arabia', pt: 'Arábia Saudita', es: 'Arabia Saudita', aliases: ['Arabia Saudí'] },
+    { code: 'SB', alpha3: 'SLB', en: 'Solomon Islands', pt: 'Ilhas Salomão', es: 'Islas Salomón' },
+    { code: 'SC', alpha3: 'SYC', en: 'Seychelles', pt: 'Seicheles', es: 'Seychelles' },
+    { code: 'SD', alpha3: 'SDN', en: 'Sudan', pt: 'Sudão', es: 'Sudán' },
+    { code: 'SE', alpha3: 'SWE', en: 'Sweden', pt: 'Suécia', es: 'Suecia', aliases: ['Sverige'] },
+    { code: 'SG', alpha3: 'SGP', en: 'Singapore', pt: 'Singapura', es: 'Singapur' },
+    { code: 'SH', alpha3: 'SHN', en: 'Saint Helena', pt: 'Santa Helena', es: 'Santa Elena' },
+    { code: 'SI', alpha3: 'SVN', en: 'Slovenia', pt: 'Eslovênia', es: 'Eslovenia', aliases: ['Eslovénia'] },
+    { code: 'SJ', alpha3: 'SJM', en: 'Svalbard and Jan Mayen', pt: 'Svalbard e Jan Mayen', es: 'Svalbard y Jan Mayen' },
+    { code: 'SK', alpha3: 'SVK', en: 'Slovakia', pt: 'Eslováquia', es: 'Eslovaquia' },
+    { code: 'SL', alpha3: 'SLE', en: 'Sierra Leone', pt: 'Serra Leoa', es: 'Sierra Leona' },
+    { code: 'SM', alpha3: 'SMR', en: 'San Marino', pt: 'San Marino', es: 'San Marino' },
+    { code: 'SN', alpha3: 'SEN', en: 'Senegal', pt: 'Senegal', es: 'Senegal' },
+    { code: 'SO', alpha3: 'SOM', en: 'Somalia', pt: 'Somália', es: 'Somalia' },
+    { code: 'SR', alpha3: 'SUR', en: 'Suriname', pt: 'Suriname', es: 'Surinam' },
+    { code: 'SS', alpha3: 'SSD', en: 'South Sudan', pt: 'Sudão do Sul', es: 'Sudán del Sur' },
+    { code: 'ST', alpha3: 'STP', en: 'São Tomé and Príncipe', pt: 'São Tomé e Príncipe', es: 'Santo Tomé y Príncipe' },
+    { code: 'SV', alpha3: 'SLV', en: 'El Salvador', pt: 'El Salvador', es: 'El Salvador' },
+    { code: 'SX', alpha3: 'SXM', en: 'Sint Maarten', pt: 'São Martinho (Países Baixos)', es: 'San Martín (Países Bajos)' },
+    { code: 'SY', alpha3: 'SYR', en: 'Syria', pt: 'Síria', es: 'Siria' },
+    { code: 'SZ', alpha3: 'SWZ', en: 'Eswatini', pt: 'Essuatíni', es: 'Esuatini', aliases: ['Swaziland', 'Suazilândia', 'Suazilandia'] },
+    { code: 'TC', alpha3: 'TCA', en: 'Turks and Caicos Islands', pt: 'Ilhas Turcas e Caicos', es: 'Islas Turcas y Caicos' },
+    { code: 'TD', alpha3: 'TCD', en: 'Chad', pt: 'Chade', es: 'Chad' },
+    { code: 'TF', alpha3: 'ATF', en: 'French Southern Territories', pt: 'Terras Austrais Francesas', es: 'Territorios Australes Franceses' },
+    { code: 'TG', alpha3: 'TGO', en: 'Togo', pt: 'Togo', es: 'Togo' },
+    { code: 'TH', alpha3: 'THA', en: 'Thailand', pt: 'Tailândia', es: 'Tailandia' },
+    { code: 'TJ', alpha3: 'TJK', en: 'Tajikistan', pt: 'Tajiquistão', es: 'Tayikistán' },
+    { code: 'TK', alpha3: 'TKL', en: 'Tokelau', pt: 'Tokelau', es: 'Tokelau' },
+    { code: 'TL', alpha3: 'TLS', en: 'Timor-Leste', pt: 'Timor-Leste', es: 'Timor Oriental', aliases: ['East Timor'] },
+    { code: 'TM', alpha3: 'TKM', en: 'Turkmenistan', pt: 'Turcomenistão', es: 'Turkmenistán' },
+    { code: 'TN', alpha3: 'TUN', en: 'Tunisia', pt: 'Tunísia', es: 'Túnez' },
+    { code: 'TO', alpha3: 'TON', en: 'Tonga', pt: 'Tonga', es: 'Tonga' },
+    { code: 'TR', alpha3: 'TUR', en: 'Türkiye', pt: 'Turquia', es: 'Turquía', aliases: ['Turkey'] },
+    { code: 'TT', alpha3: 'TTO', en: 'Trinidad and Tobago', pt: 'Trinidad e Tobago', es: 'Trinidad y Tobago' },
+    { code: 'TV', alpha3: 'TUV', en: 'Tuvalu', pt: 'Tuvalu', es: 'Tuvalu' },
+    { code: 'TW', alpha3: 'TWN', en: 'Taiwan', pt: 'Taiwan', es: 'Taiwán' },
+    { code: 'TZ', alpha3: 'TZA', en: 'Tanzania', pt: 'Tanzânia', es: 'Tanzania' },
+    { code: 'UA', alpha3: 'UKR', en: 'Ukraine', pt: 'Ucrânia', es: 'Ucrania' },
+    { code: 'UG', alpha3: 'UGA', en: 'Uganda', pt: 'Uganda', es: 'Uganda' },
+    { code: 'UM', alpha3: 'UMI', en: 'United States Minor Outlying Islands', pt: 'Ilhas Menores Distantes dos Estados Unidos', es: 'Islas Ultramarinas Menores de los Estados Unidos' },
+    { code: 'US', alpha3: 'USA', en: 'United States', pt: 'Estados Unidos', es: 'Estados Unidos', aliases: ['United States of America', 'Estados Unidos da América', 'Estados Unidos de América', 'EUA', 'EE.UU.', 'EEUU'] },
+    { code: 'UY', alpha3: 'URY', en: 'Uruguay', pt: 'Uruguai', es: 'Uruguay' },
+    { code: 'UZ', alpha3: 'UZB', en: 'Uzbekistan', pt: 'Uzbequistão', es: 'Uzbekistán' },
+    { code: 'VA', alpha3: 'VAT', en: 'Vatican City', pt: 'Vaticano', es: 'Ciudad del Vaticano', aliases: ['Holy See', 'Santa Sé', 'Cidade do Vaticano'] },
+    { code: 'VC', alpha3: 'VCT', en: 'Saint Vincent and the Grenadines', pt: 'São Vicente e Granadinas', es: 'San Vicente y las Granadinas' },
+    { code: 'VE', alpha3: 'VEN', en: 'Venezuela', pt: 'Venezuela', es: 'Venezuela' },
+    { code: 'VG', alpha3: 'VGB', en: 'British Virgin Islands', pt: 'Ilhas Virgens Britânicas', es: 'Islas Vírgenes Británicas' },
+    { code: 'VI', alpha3: 'VIR', en: 'U.S. Virgin Islands', pt: 'Ilhas Virgens Americanas', es: 'Islas Vírgenes de los Estados Unidos' },
+    { code: 'VN', alpha3: 'VNM', en: 'Vietnam', pt: 'Vietnã', es: 'Vietnam', aliases: ['Viet Nam', 'Vietname'] },
+    { code: 'VU', alpha3: 'VUT', en: 'Vanuatu', pt: 'Vanuatu', es: 'Vanuatu' },
+    { code: 'WF', alpha3: 'WLF', en: 'Wallis and Futuna', pt: 'Wallis e Futuna', es: 'Wallis y Futuna' },
+    { code: 'WS', alpha3: 'WSM', en: 'Samoa', pt: 'Samoa', es: 'Samoa' },
+    { code: 'YE', alpha3: 'YEM', en: 'Yemen', pt: 'Iêmen', es: 'Yemen', aliases: ['Iémen'] },
+    { code: 'YT', alpha3: 'MYT', en: 'Mayotte', pt: 'Mayotte', es: 'Mayotte' },
+    { code: 'ZA', alpha3: 'ZAF', en: 'South Africa', pt: 'África do Sul', es: 'Sudáfrica' },
+    { code: 'ZM', alpha3: 'ZMB', en: 'Zambia', pt: 'Zâmbia', es: 'Zambia' },
+    { code: 'ZW', alpha3: 'ZWE', en: 'Zimbabwe', pt: 'Zimbábue', es: 'Zimbabue' }
+];
+
+export { COUNTRIES };
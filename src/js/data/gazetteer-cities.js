@@ -0,0 +1,129 @@
+/**
+ * Gazetteer offline - Cidades acima de 500 mil habitantes e todas as capitais estaduais brasileiras
+ * Coordenadas do centro urbano (2 casas decimais) e população aproximada; admin1 segue os
+ * códigos de subdivisão ISO 3166-2 (sem o prefixo do país)
+ */
+
+const GAZETTEER_CITIES = [
+    // Brasil
+    { name: 'São Paulo', admin1: 'SP', admin1Name: 'São Paulo', country: 'BR', lat: -23.55, lon: -46.63, population: 11451000, variants: ['Sampa'] },
+    { name: 'Rio de Janeiro', admin1: 'RJ', admin1Name: 'Rio de Janeiro', country: 'BR', lat: -22.91, lon: -43.17, population: 6211000, variants: ['Rio'] },
+    { name: 'Brasília', admin1: 'DF', admin1Name: 'Distrito Federal', country: 'BR', lat: -15.79, lon: -47.88, population: 2818000, variants: [] },
+    { name: 'Fortaleza', admin1: 'CE', admin1Name: 'Ceará', country: 'BR', lat: -3.73, lon: -38.53, population: 2428000, variants: [] },
+    { name: 'Salvador', admin1: 'BA', admin1Name: 'Bahia', country: 'BR', lat: -12.97, lon: -38.50, population: 2418000, variants: [] },
+    { name: 'Belo Horizonte', admin1: 'MG', admin1Name: 'Minas Gerais', country: 'BR', lat: -19.92, lon: -43.94, population: 2316000, variants: ['BH'] },
+    { name: 'Manaus', admin1: 'AM', admin1Name: 'Amazonas', country: 'BR', lat: -3.12, lon: -60.02, population: 2063000, variants: [] },
+    { name: 'Curitiba', admin1: 'PR', admin1Name: 'Paraná', country: 'BR', lat: -25.43, lon: -49.27, population: 1773000, variants: [] },
+    { name: 'Recife', admin1: 'PE', admin1Name: 'Pernambuco', country: 'BR', lat: -8.05, lon: -34.88, population: 1488000, variants: [] },
+    { name: 'Goiânia', admin1: 'GO', admin1Name: 'Goiás', country: 'BR', lat: -16.68, lon: -49.25, population: 1437000, variants: [] },
+    { name: 'Porto Alegre', admin1: 'RS', admin1Name: 'Rio Grande do Sul', country: 'BR', lat: -30.03, lon: -51.23, population: 1332000, variants: ['POA'] },
+    { name: 'Belém', admin1: 'PA', admin1Name: 'Pará', country: 'BR', lat: -1.46, lon: -48.50, population: 1303000, variants: [] },
+    { name: 'Guarulhos', admin1: 'SP', admin1Name: 'São Paulo', country: 'BR', lat: -23.46, lon: -46.53, population: 1291000, variants: [] },
+    { name: 'Campinas', admin1: 'SP', admin1Name: 'São Paulo', country: 'BR', lat: -22.91, lon: -47.06, population: 1139000, variants: [] },
+    { name: 'São Luís', admin1: 'MA', admin1Name: 'Maranhão', country: 'BR', lat: -2.53, lon: -44.30, population: 1037000, variants: [] },
+    { name: 'Maceió', admin1: 'AL', admin1Name: 'Alagoas', country: 'BR', lat: -9.67, lon: -35.74, population: 958000, variants: [] },
+    { name: 'Campo Grande', admin1: 'MS', admin1Name: 'Mato Grosso do Sul', country: 'BR', lat: -20.47, lon: -54.62, population: 898000, variants: [] },
+    { name: 'São Gonçalo', admin1: 'RJ', admin1Name: 'Rio de Janeiro', country: 'BR', lat: -22.83, lon: -43.05, population: 896000, variants: [] },
+    { name: 'Teresina', admin1: 'PI', admin1Name: 'Piauí', country: 'BR', lat: -5.09, lon: -42.80, population: 867000, variants: [] },
+    { name: 'João Pessoa', admin1: 'PB', admin1Name: 'Paraíba', country: 'BR', lat: -7.12, lon: -34.86, population: 833000, variants: [] },
+    { name: 'São Bernardo do Campo', admin1: 'SP', admin1Name: 'São Paulo', country: 'BR', lat: -23.69, lon: -46.56, population: 811000, variants: [] },
+    { name: 'Duque de Caxias', admin1: 'RJ', admin1Name: 'Rio de Janeiro', country: 'BR', lat: -22.79, lon: -43.31, population: 808000, variants: [] },
+    { name: 'Nova Iguaçu', admin1: 'RJ', admin1Name: 'Rio de Janeiro', country: 'BR', lat: -22.76, lon: -43.45, population: 786000, variants: [] },
+    { name: 'Natal', admin1: 'RN', admin1Name: 'Rio Grande do Norte', country: 'BR', lat: -5.79, lon: -35.21, population: 752000, variants: [] },
+    { name: 'Santo André', admin1: 'SP', admin1Name: 'São Paulo', country: 'BR', lat: -23.66, lon: -46.53, population: 748000, variants: [] },
+    { name: 'Osasco', admin1: 'SP', admin1Name: 'São Paulo', country: 'BR', lat: -23.53, lon: -46.79, population: 728000, variants: [] },
+    { name: 'Sorocaba', admin1: 'SP', admin1Name: 'São Paulo', country: 'BR', lat: -23.50, lon: -47.46, population: 723000, variants: [] },
+    { name: 'Uberlândia', admin1: 'MG', admin1Name: 'Minas Gerais', country: 'BR', lat: -18.92, lon: -48.28, population: 713000, variants: [] },
+    { name: 'Ribeirão Preto', admin1: 'SP', admin1Name: 'São Paulo', country: 'BR', lat: -21.18, lon: -47.81, population: 698000, variants: [] },
+    { name: 'São José dos Campos', admin1: 'SP', admin1Name: 'São Paulo', country: 'BR', lat: -23.18, lon: -45.89, population: 697000, variants: ['SJC'] },
+    { name: 'Cuiabá', admin1: 'MT', admin1Name: 'Mato Grosso', country: 'BR', lat: -15.60, lon: -56.10, population: 650000, variants: [] },
+    { name: 'Jaboatão dos Guararapes', admin1: 'PE', admin1Name: 'Pernambuco', country: 'BR', lat: -8.11, lon: -35.01, population: 644000, variants: ['Jaboatão'] },
+    { name: 'Contagem', admin1: 'MG', admin1Name: 'Minas Gerais', country: 'BR', lat: -19.93, lon: -44.05, population: 621000, variants: [] },
+    { name: 'Joinville', admin1: 'SC', admin1Name: 'Santa Catarina', country: 'BR', lat: -26.30, lon: -48.85, population: 617000, variants: [] },
+    { name: 'Feira de Santana', admin1: 'BA', admin1Name: 'Bahia', country: 'BR', lat: -12.27, lon: -38.97, population: 616000, variants: [] },
+    { name: 'Aracaju', admin1: 'SE', admin1Name: 'Sergipe', country: 'BR', lat: -10.91, lon: -37.07, population: 602000, variants: [] },
+    { name: 'Londrina', admin1: 'PR', admin1Name: 'Paraná', country: 'BR', lat: -23.31, lon: -51.16, population: 556000, variants: [] },
+    { name: 'Juiz de Fora', admin1: 'MG', admin1Name: 'Minas Gerais', country: 'BR', lat: -21.76, lon: -43.35, population: 540000, variants: [] },
+    { name: 'Florianópolis', admin1: 'SC', admin1Name: 'Santa Catarina', country: 'BR', lat: -27.60, lon: -48.55, population: 537000, variants: ['Floripa'] },
+    { name: 'Aparecida de Goiânia', admin1: 'GO', admin1Name: 'Goiás', country: 'BR', lat: -16.82, lon: -49.24, population: 527000, variants: [] },
+    { name: 'Serra', admin1: 'ES', admin1Name: 'Espírito Santo', country: 'BR', lat: -20.13, lon: -40.31, population: 521000, variants: [] },
+    { name: 'Porto Velho', admin1: 'RO', admin1Name: 'Rondônia', country: 'BR', lat: -8.76, lon: -63.90, population: 460000, variants: [] },
+    { name: 'Macapá', admin1: 'AP', admin1Name: 'Amapá', country: 'BR', lat: 0.03, lon: -51.07, population: 442000, variants: [] },
+    { name: 'Boa Vista', admin1: 'RR', admin1Name: 'Roraima', country: 'BR', lat: 2.82, lon: -60.67, population: 413000, variants: [] },
+    { name: 'Rio Branco', admin1: 'AC', admin1Name: 'Acre', country: 'BR', lat: -9.97, lon: -67.81, population: 364000, variants: [] },
+    { name: 'Vitória', admin1: 'ES', admin1Name: 'Espírito Santo', country: 'BR', lat: -20.32, lon: -40.34, population: 322000, variants: [] },
+    { name: 'Palmas', admin1: 'TO', admin1Name: 'Tocantins', country: 'BR', lat: -10.18, lon: -48.33, population: 303000, variants: [] },
+
+    // América do Norte
+    { name: 'New York', admin1: 'NY', admin1Name: 'New York', country: 'US', lat: 40.71, lon: -74.01, population: 8336000, variants: ['NYC', 'Nova York', 'Nueva York', 'New York City'] },
+    { name: 'Los Angeles', admin1: 'CA', admin1Name: 'California', country: 'US', lat: 34.05, lon: -118.24, population: 3898000, variants: ['LA'] },
+    { name: 'Chicago', admin1: 'IL', admin1Name: 'Illinois', country: 'US', lat: 41.88, lon: -87.63, population: 2746000, variants: [] },
+    { name: 'Houston', admin1: 'TX', admin1Name: 'Texas', country: 'US', lat: 29.76, lon: -95.37, population: 2304000, variants: [] },
+    { name: 'Phoenix', admin1: 'AZ', admin1Name: 'Arizona', country: 'US', lat: 33.45, lon: -112.07, population: 1608000, variants: [] },
+    { name: 'Philadelphia', admin1: 'PA', admin1Name: 'Pennsylvania', country: 'US', lat: 39.95, lon: -75.17, population: 1603000, variants: ['Filadélfia', 'Filadelfia'] },
+    { name: 'San Antonio', admin1: 'TX', admin1Name: 'Texas', country: 'US', lat: 29.42, lon: -98.49, population: 1434000, variants: [] },
+    { name: 'San Diego', admin1: 'CA', admin1Name: 'California', country: 'US', lat: 32.72, lon: -117.16, population: 1386000, variants: [] },
+    { name: 'Dallas', admin1: 'TX', admin1Name: 'Texas', country: 'US', lat: 32.78, lon: -96.80, population: 1304000, variants: [] },
+    { name: 'San Francisco', admin1: 'CA', admin1Name: 'California', country: 'US', lat: 37.77, lon: -122.42, population: 874000, variants: ['SF', 'São Francisco'] },
+    { name: 'Seattle', admin1: 'WA', admin1Name: 'Washington', country: 'US', lat: 47.61, lon: -122.33, population: 737000, variants: [] },
+    { name: 'Denver', admin1: 'CO', admin1Name: 'Colorado', country: 'US', lat: 39.74, lon: -104.99, population: 716000, variants: [] },
+    { name: 'Washington', admin1: 'DC', admin1Name: 'District of Columbia', country: 'US', lat: 38.91, lon: -77.04, population: 690000, variants: ['Washington DC', 'Washington D.C.'] },
+    { name: 'Boston', admin1: 'MA', admin1Name: 'Massachusetts', country: 'US', lat: 42.36, lon: -71.06, population: 676000, variants: [] },
+    { name: 'Toronto', admin1: 'ON', admin1Name: 'Ontario', country: 'CA', lat: 43.65, lon: -79.38, population: 2794000, variants: [] },
+    { name: 'Montréal', admin1: 'QC', admin1Name: 'Québec', country: 'CA', lat: 45.50, lon: -73.57, population: 1763000, variants: ['Montreal'] },
+    { name: 'Vancouver', admin1: 'BC', admin1Name: 'British Columbia', country: 'CA', lat: 49.28, lon: -123.12, population: 662000, variants: [] },
+    { name: 'Ciudad de México', admin1: 'CMX', admin1Name: 'Ciudad de México', country: 'MX', lat: 19.43, lon: -99.13, population: 9209000, variants: ['Mexico City', 'Cidade do México', 'CDMX'] },
+    { name: 'Guadalajara', admin1: 'JAL', admin1Name: 'Jalisco', country: 'MX', lat: 20.67, lon: -103.35, population: 1385000, variants: [] },
+    { name: 'Monterrey', admin1: 'NLE', admin1Name: 'Nuevo León', country: 'MX', lat: 25.67, lon: -100.31, population: 1142000, variants: [] },
+
+    // América do Sul
+    { name: 'Buenos Aires', admin1: 'C', admin1Name: 'Ciudad Autónoma de Buenos Aires', country: 'AR', lat: -34.60, lon: -58.38, population: 3121000, variants: ['CABA'] },
+    { name: 'Córdoba', admin1: 'X', admin1Name: 'Córdoba', country: 'AR', lat: -31.42, lon: -64.18, population: 1505000, variants: [] },
+    { name: 'Rosario', admin1: 'S', admin1Name: 'Santa Fe', country: 'AR', lat: -32.95, lon: -60.65, population: 1000000, variants: [] },
+    { name: 'Santiago', admin1: 'RM', admin1Name: 'Región Metropolitana de Santiago', country: 'CL', lat: -33.45, lon: -70.67, population: 6160000, variants: ['Santiago de Chile'] },
+    { name: 'Lima', admin1: 'LMA', admin1Name: 'Lima', country: 'PE', lat: -12.05, lon: -77.04, population: 9750000, variants: [] },
+    { name: 'Bogotá', admin1: 'DC', admin1Name: 'Bogotá D.C.', country: 'CO', lat: 4.71, lon: -74.07, population: 7413000, variants: [] },
+    { name: 'Medellín', admin1: 'ANT', admin1Name: 'Antioquia', country: 'CO', lat: 6.25, lon: -75.56, population: 2573000, variants: [] },
+    { name: 'Caracas', admin1: 'A', admin1Name: 'Distrito Capital', country: 'VE', lat: 10.49, lon: -66.88, population: 2082000, variants: [] },
+    { name: 'Montevideo', admin1: 'MO', admin1Name: 'Montevideo', country: 'UY', lat: -34.90, lon: -56.16, population: 1320000, variants: ['Montevidéu'] },
+    { name: 'Asunción', admin1: 'ASU', admin1Name: 'Asunción', country: 'PY', lat: -25.26, lon: -57.58, population: 520000, variants: ['Assunção'] },
+
+    // Europa
+    { name: 'London', admin1: 'ENG', admin1Name: 'England', country: 'GB', lat: 51.51, lon: -0.13, population: 8982000, variants: ['Londres'] },
+    { name: 'Paris', admin1: 'IDF', admin1Name: 'Île-de-France', country: 'FR', lat: 48.86, lon: 2.35, population: 2103000, variants: [] },
+    { name: 'Madrid', admin1: 'MD', admin1Name: 'Comunidad de Madrid', country: 'ES', lat: 40.42, lon: -3.70, population: 3332000, variants: [] },
+    { name: 'Barcelona', admin1: 'CT', admin1Name: 'Catalunya', country: 'ES', lat: 41.39, lon: 2.17, population: 1636000, variants: [] },
+    { name: 'Lisboa', admin1: '11', admin1Name: 'Lisboa', country: 'PT', lat: 38.72, lon: -9.14, population: 545000, variants: ['Lisbon', 'Lisbonne'] },
+    { name: 'Berlin', admin1: 'BE', admin1Name: 'Berlin', country: 'DE', lat: 52.52, lon: 13.40, population: 3755000, variants: ['Berlim', 'Berlín'] },
+    { name: 'Hamburg', admin1: 'HH', admin1Name: 'Hamburg', country: 'DE', lat: 53.55, lon: 9.99, population: 1892000, variants: ['Hamburgo'] },
+    { name: 'München', admin1: 'BY', admin1Name: 'Bayern', country: 'DE', lat: 48.14, lon: 11.58, population: 1512000, variants: ['Munich', 'Munique', 'Múnich'] },
+    { name: 'Roma', admin1: '62', admin1Name: 'Lazio', country: 'IT', lat: 41.90, lon: 12.50, population: 2750000, variants: ['Rome'] },
+    { name: 'Milano', admin1: '25', admin1Name: 'Lombardia', country: 'IT', lat: 45.46, lon: 9.19, population: 1371000, variants: ['Milan', 'Milão', 'Milán'] },
+    { name: 'Amsterdam', admin1: 'NH', admin1Name: 'Noord-Holland', country: 'NL', lat: 52.37, lon: 4.90, population: 918000, variants: ['Amsterdã', 'Ámsterdam'] },
+    { name: 'Moskva', admin1: 'MOW', admin1Name: 'Moskva', country: 'RU', lat: 55.76, lon: 37.62, population: 13010000, variants: ['Moscow', 'Moscou', 'Moscú'] },
+    { name: 'İstanbul', admin1: '34', admin1Name: 'İstanbul', country: 'TR', lat: 41.01, lon: 28.98, population: 15460000, variants: ['Istanbul', 'Istambul', 'Estambul'] },
+
+    // África
+    { name: 'Cairo', admin1: 'C', admin1Name: 'Al Qāhirah', country: 'EG', lat: 30.04, lon: 31.24, population: 9540000, variants: ['O Cairo', 'El Cairo'] },
+    { name: 'Lagos', admin1: 'LA', admin1Name: 'Lagos', country: 'NG', lat: 6.52, lon: 3.38, population: 8048000, variants: [] },
+    { name: 'Johannesburg', admin1: 'GP', admin1Name: 'Gauteng', country: 'ZA', lat: -26.20, lon: 28.05, population: 5635000, variants: ['Joanesburgo', 'Johannesburgo'] },
+
+    // Ásia e Oceania
+    { name: 'Delhi', admin1: 'DL', admin1Name: 'Delhi', country: 'IN', lat: 28.61, lon: 77.21, population: 16787000, variants: ['New Delhi', 'Nova Délhi', 'Nueva Delhi'] },
+    { name: 'Mumbai', admin1: 'MH', admin1Name: 'Maharashtra', country: 'IN', lat: 19.08, lon: 72.88, population: 12442000, variants: ['Bombay', 'Bombaim'] },
+    { name: 'Bengaluru', admin1: 'KA', admin1Name: 'Karnataka', country: 'IN', lat: 12.97, lon: 77.59, population: 8443000, variants: ['Bangalore'] },
+    { name: 'Kolkata', admin1: 'WB', admin1Name: 'West Bengal', country: 'IN', lat: 22.57, lon: 88.36, population: 4497000, variants: ['Calcutta', 'Calcutá'] },
+    { name: 'Karachi', admin1: 'SD', admin1Name: 'Sindh', country: 'PK', lat: 24.86, lon: 67.01, population: 14910000, variants: ['Carachi'] },
+    { name: 'Beijing', admin1: 'BJ', admin1Name: 'Beijing', country: 'CN', lat: 39.90, lon: 116.41, population: 21540000, variants: ['Pequim', 'Pekín', 'Peking'] },
+    { name: 'Shanghai', admin1: 'SH', admin1Name: 'Shanghai', country: 'CN', lat: 31.23, lon: 121.47, population: 24870000, variants: ['Xangai'] },
+    { name: 'Guangzhou', admin1: 'GD', admin1Name: 'Guangdong', country: 'CN', lat: 23.13, lon: 113.26, population: 18680000, variants: ['Cantão', 'Cantón', 'Canton'] },
+    { name: 'Tokyo', admin1: '13', admin1Name: 'Tokyo', country: 'JP', lat: 35.68, lon: 139.69, population: 13960000, variants: ['Tóquio', 'Tokio'] },
+    { name: 'Osaka', admin1: '27', admin1Name: 'Osaka', country: 'JP', lat: 34.69, lon: 135.50, population: 2750000, variants: [] },
+    { name: 'Seoul', admin1: '11', admin1Name: 'Seoul', country: 'KR', lat: 37.57, lon: 126.98, population: 9668000, variants: ['Seul'] },
+    { name: 'Jakarta', admin1: 'JK', admin1Name: 'DKI Jakarta', country: 'ID', lat: -6.21, lon: 106.85, population: 10560000, variants: ['Jacarta', 'Yakarta'] },
+    { name: 'Bangkok', admin1: '10', admin1Name: 'Krung Thep Maha Nakhon', country: 'TH', lat: 13.76, lon: 100.50, population: 10540000, variants: ['Banguecoque'] },
+    { name: 'Sydney', admin1: 'NSW', admin1Name: 'New South Wales', country: 'AU', lat: -33.87, lon: 151.21, population: 5312000, variants: ['Sídnei', 'Sídney'] },
+    { name: 'Melbourne', admin1: 'VIC', admin1Name: 'Victoria', country: 'AU', lat: -37.81, lon: 144.96, population: 5078000, variants: [] }
+];
+
+export { GAZETTEER_CITIES };
@@ -146,7 +146,8 @@ class ModernAirQualityApp {
                 eventManager: this.eventManager,
                 validation: true,
                 realTimeValidation: true,
-                autoFocus: true
+                autoFocus: true,
+                searchLocations: (query, options) => this.apiFacade.searchLocations(query, options)
             });
         }
 
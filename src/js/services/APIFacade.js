@@ -2,38 +2,511 @@
  * APIFacade - Facade Pattern Implementation
  * Simplifica e centraliza todas as interações com APIs externas
  */
+import { AirQualityProviderManager } from './providers/AirQualityProviderManager.js';
+import { OpenMeteoProvider } from './providers/OpenMeteoProvider.js';
+import { ActivityPlanner } from './ActivityPlanner.js';
+import { AreaSampler } from './AreaSampler.js';
+import { AirQualityDataError } from './AirQualityService.js';
+import { GeocodeCache } from './GeocodeCache.js';
+import { ExposureEstimator } from './ExposureEstimator.js';
+import { CoordinateParser } from '../utils/CoordinateParser.js';
+import { CountryNormalizer } from '../utils/CountryNormalizer.js';
+import { PostalCodeParser } from '../utils/PostalCodeParser.js';
+import { RequestSignal } from '../utils/RequestSignal.js';
+
 class APIFacade {
-    constructor(eventManager) {
+    /**
+     * @param {EventManager} eventManager - Barramento de eventos
+     * @param {Object} options - Opções dos serviços
+     * @param {Object} options.geocoding - Opções do GeocodingService (ex.: baseURLs dos geocodificadores)
+     * @param {Object} options.geocodeCache - Opções do cache de coordenadas (ex.: ttlDays)
+     */
+    constructor(eventManager, options = {}) {
         this.eventManager = eventManager;
-        this.geocodingService = new GeocodingService();
+        this.geocodingService = new GeocodingService(options.geocoding);
         this.airQualityService = new AirQualityService();
         this.cacheService = new CacheService();
+        // Coordenadas têm cache próprio, de dias: ao expirar a qualidade do ar, só ela é buscada de novo
+        this.geocodeCache = new GeocodeCache(options.geocodeCache);
+        // Provedores de qualidade do ar em ordem de prioridade (Open-Meteo como padrão)
+        this.providerManager = new AirQualityProviderManager([
+            new OpenMeteoProvider({ service: this.airQualityService })
+        ]);
+        this.activityPlanner = new ActivityPlanner({ airQualityService: this.airQualityService });
+        this.exposureEstimator = new ExposureEstimator({ airQualityService: this.airQualityService });
+        this.areaSampler = new AreaSampler({ airQualityService: this.airQualityService });
         
         // Configurações
         this.config = {
             cacheEnabled: true,
             cacheTTL: 15 * 60 * 1000, // 15 minutos
             retryAttempts: 3,
-            retryDelay: 1000 // 1 segundo
+            retryDelay: 1000, // 1 segundo
+            requestTimeout: 30000, // Tempo limite de cada tentativa (0 = sem limite)
+            batchConcurrency: 3, // Requisições simultâneas nas consultas em lote
+            staleFallback: true // Usa cache expirado quando a API falha
         };
     }
 
     /**
      * Busca dados completos de qualidade do ar para uma localização
-     * @param {Object} locationData - Dados da localização (city, state, country)
+     * Coordenadas digitadas no campo cidade (graus decimais, graus-minutos-segundos,
+     * plus code ou geohash) dispensam a geocodificação; só dígitos ("90210", "01310-100")
+     * são buscados como código postal
+     * @param {Object} locationData - Dados da localização (city, state, country, ou
+     * postalCode e country; opcionalmente, coordinates de um candidato de searchLocations)
+     * @param {Object} options - Opções da consulta
+     * @param {Array<string>} options.providers - Provedores preferidos, em ordem
+     * @param {boolean} options.extended - Inclui UV, poeira, aerossóis e amônia
+     * @param {boolean} options.reverseGeocode - Nomeia coordenadas digitadas (padrão: true)
+     * @param {AbortSignal} options.signal - Cancela a consulta (ex.: busca substituída)
+     * @param {number} options.timeout - Tempo limite de cada tentativa em ms
+     * (padrão: config.requestTimeout)
      * @returns {Promise<Object>} Dados completos de qualidade do ar
+     * @throws {CoordinateParseError} Se a coordenada digitada for inválida
+     * @throws {RequestCancelledError} Se o signal for cancelado
+     */
+    async getAirQualityData(locationData, { providers = [], extended = false, reverseGeocode = true, signal = null, timeout } = {}) {
+        const suffix = this._providerCacheSuffix(providers) + (extended ? '_extended' : '');
+        const operation = coordinates => this._getAirQualityWithRetry(coordinates, { providers, extended }, { signal, timeout });
+
+        if (!this._hasCoordinates(locationData.coordinates)) {
+            // A coordenada é interpretada dentro do fluxo da consulta: formato inválido e falha
+            // na referência de plus codes curtos publicam os mesmos eventos das demais falhas
+            if (CoordinateParser.isCoordinate(locationData.city)) {
+                return this._executeLocationQuery(
+                    { coordinateInput: locationData, reverseGeocode },
+                    resolved => this._locationCacheKey(resolved) + suffix,
+                    'airQuality',
+                    operation,
+                    { signal, timeout }
+                );
+            }
+
+            if (!locationData.postalCode && PostalCodeParser.looksLikePostalCode(locationData.city)) {
+                locationData = { postalCode: locationData.city.trim(), country: locationData.country || null };
+            }
+        }
+
+        return this._executeLocationQuery(
+            locationData,
+            this._locationCacheKey(locationData) + suffix,
+            'airQuality',
+            operation,
+            { signal, timeout }
+        );
+    }
+
+    /**
+     * Busca qualidade do ar para coordenadas brutas (ex.: GPS do navegador)
+     * O rótulo da localização vem da geocodificação reversa após a consulta
+     * @param {Object} position - Objeto com lat, lon e, opcionalmente, accuracy (m)
+     * @param {Object} options - Opções da consulta
+     * @param {Array<string>} options.providers - Provedores preferidos, em ordem
+     * @param {boolean} options.extended - Inclui UV, poeira, aerossóis e amônia
+     * @param {boolean} options.reverseGeocode - Busca nome da localização (padrão: true)
+     * @param {AbortSignal} options.signal - Cancela a consulta (opcional)
+     * @param {number} options.timeout - Tempo limite de cada tentativa em ms
+     * @returns {Promise<Object>} Dados completos de qualidade do ar
+     */
+    async getAirQualityForCoordinates(position, { providers = [], extended = false, reverseGeocode = true, signal = null, timeout } = {}) {
+        const { lat, lon, accuracy = null } = position;
+        if (!this._hasCoordinates({ lat, lon })) {
+            throw new APIError(`Coordenadas inválidas: ${lat}, ${lon}`, 'coordinates');
+        }
+
+        const cacheKey = this._locationCacheKey({ coordinates: { lat, lon } })
+            + this._providerCacheSuffix(providers)
+            + (extended ? '_extended' : '');
+
+        return this._executeLocationQuery(
+            { coordinates: { lat, lon, accuracy }, reverseGeocode },
+            cacheKey,
+            'airQuality',
+            coordinates => this._getAirQualityWithRetry(coordinates, { providers, extended }, { signal, timeout }),
+            { signal, timeout }
+        );
+    }
+
+    /**
+     * Interpreta o campo cidade como coordenadas
+     * Plus codes curtos ("C9X8+QQ Campinas") usam a localidade geocodificada como referência
+     * @param {Object} locationData - Dados da localização (city, state, country)
+     * @param {Object} requestOptions - signal e timeout da geocodificação da referência
+     * @returns {Promise<Object|null>} lat, lon e format, ou null se não for coordenada
+     */
+    async _parseCoordinateInput({ city, state, country }, requestOptions = {}) {
+        const parsed = CoordinateParser.parse(city);
+        if (!parsed || !parsed.shortCode) {
+            return parsed;
+        }
+
+        if (!parsed.locality) {
+            throw new APIError(
+                `Plus code curto ${parsed.shortCode} precisa de uma localidade de referência (ex.: "${parsed.shortCode} Campinas")`,
+                'coordinates'
+            );
+        }
+
+        const reference = await this._getCoordinatesWithRetry({ city: parsed.locality, state, country }, requestOptions);
+        return CoordinateParser.recoverPlusCode(parsed.shortCode, reference);
+    }
+
+    /**
+     * Busca candidatos de localização para o autocomplete
+     * @param {string} query - Texto digitado pelo usuário
+     * @param {Object} options - Opções da busca
+     * @param {number} options.limit - Número máximo de candidatos
+     * @returns {Promise<Array<Object>>} Candidatos ordenados com importância e endereço
+     */
+    async searchLocations(query, { limit = 5 } = {}) {
+        return this.geocodingService.search(query, { limit });
+    }
+
+    /**
+     * Busca dados de qualidade do ar para várias localizações
+     * Geocodifica com limite de concorrência e agrupa as coordenadas em
+     * requisições em lote ao serviço de qualidade do ar
+     * @param {Array<Object>} locations - Lista de localizações (city, state, country)
+     * @param {Object} options - Opções da consulta
+     * @param {number} options.concurrency - Máximo de requisições simultâneas
+     * @param {AbortSignal} options.signal - Cancela a consulta (opcional)
+     * @param {number} options.timeout - Tempo limite de cada tentativa em ms
+     * @returns {Promise<Array<Object>>} Um resultado por localização, na ordem de entrada;
+     * localizações que falharam trazem a propriedade error
+     * @throws {RequestCancelledError} Se o signal for cancelado
+     */
+    async getAirQualityDataForLocations(locations, { concurrency = this.config.batchConcurrency, signal = null, timeout } = {}) {
+        const requestOptions = { signal, timeout };
+        let cancelled = false;
+
+        try {
+            RequestSignal.throwIfAborted(signal);
+
+            this.eventManager.publish(EventManager.EVENTS.API_LOADING_START);
+
+            const results = new Array(locations.length).fill(null);
+            const pending = [];
+
+            // Verifica cache por localização (mesma chave da consulta individual)
+            for (const [index, locationData] of locations.entries()) {
+                const { city, state, country } = locationData;
+                const cacheKey = this._locationCacheKey({ city, state, country });
+                const cacheEntry = this.config.cacheEnabled ? await this.cacheService.getEntry(cacheKey) : null;
+
+                if (cacheEntry) {
+                    results[index] = this._attachQuality(cacheEntry.data, 'airQuality', 'cache', cacheEntry);
+                } else {
+                    pending.push({ index, locationData: { city, state, country }, cacheKey });
+                }
+            }
+
+            // Geocodifica as localizações pendentes
+            await this._runWithConcurrency(pending, concurrency, async (item) => {
+                try {
+                    item.coordinates = await this._getCoordinatesWithRetry(item.locationData, requestOptions);
+                } catch (error) {
+                    if (RequestSignal.isCancellation(error)) {
+                        throw error;
+                    }
+                    results[item.index] = { location: item.locationData, error };
+                }
+            });
+
+            // Busca qualidade do ar em lotes de coordenadas
+            const located = pending.filter(item => item.coordinates);
+            const chunks = [];
+            for (let start = 0; start < located.length; start += this.airQualityService.maxBatchSize) {
+                chunks.push(located.slice(start, start + this.airQualityService.maxBatchSize));
+            }
+
+            await this._runWithConcurrency(chunks, concurrency, async (chunk) => {
+                const coordinatesList = chunk.map(item => item.coordinates);
+
+                try {
+                    const batch = await this._retryOperation(
+                        requestSignal => this.airQualityService.getAirQualityBatch(coordinatesList, { signal: requestSignal }),
+                        'air-quality-batch',
+                        { locations: coordinatesList.length },
+                        requestOptions
+                    );
+
+                    for (const [position, item] of chunk.entries()) {
+                        results[item.index] = await this._buildBatchResult(item, batch[position]);
+                    }
+                } catch (error) {
+                    if (RequestSignal.isCancellation(error)) {
+                        throw error;
+                    }
+                    chunk.forEach(item => {
+                        results[item.index] = { location: item.locationData, error };
+                    });
+                }
+            });
+
+            // Resultado de uma consulta já cancelada não é publicado
+            RequestSignal.throwIfAborted(signal);
+
+            this.eventManager.publish(EventManager.EVENTS.API_SUCCESS, { results });
+            return results;
+
+        } catch (error) {
+            // Cancelamento pelo chamador não é falha: quem cancelou já cuida da interface
+            if (RequestSignal.isCancellation(error)) {
+                cancelled = true;
+                throw error;
+            }
+
+            this.eventManager.publish(EventManager.EVENTS.API_ERROR, {
+                error,
+                locations,
+                timestamp: new Date().toISOString()
+            });
+            throw error;
+        } finally {
+            if (!cancelled) {
+                this.eventManager.publish(EventManager.EVENTS.API_LOADING_END);
+            }
+        }
+    }
+
+    /**
+     * Monta e armazena em cache o resultado de uma localização da consulta em lote
+     * @param {Object} item - Localização pendente (locationData, coordinates, cacheKey)
+     * @param {Object} batchEntry - Resultado do serviço { data, error }
+     * @returns {Promise<Object>} Dados no mesmo formato de getAirQualityData
+     */
+    async _buildBatchResult(item, batchEntry) {
+        const { locationData, coordinates, cacheKey } = item;
+        const location = {
+            ...locationData,
+            coordinates,
+            displayName: coordinates.display_name
+        };
+
+        if (batchEntry.error) {
+            return { location, error: batchEntry.error };
+        }
+
+        const completeData = this._attachQuality({
+            location,
+            airQuality: batchEntry.data,
+            timestamp: new Date().toISOString()
+        }, 'airQuality', 'api');
+
+        if (this.config.cacheEnabled) {
+            await this.cacheService.set(cacheKey, completeData, this.config.cacheTTL);
+        }
+
+        return completeData;
+    }
+
+    /**
+     * Executa uma função assíncrona para cada item com limite de concorrência
+     * @param {Array} items - Itens a processar
+     * @param {number} limit - Máximo de execuções simultâneas
+     * @param {Function} worker - Função assíncrona chamada com (item, index)
+     * @returns {Promise<void>}
+     */
+    async _runWithConcurrency(items, limit, worker) {
+        let next = 0;
+        const runners = Array.from({ length: Math.min(Math.max(limit, 1), items.length) }, async () => {
+            while (next < items.length) {
+                const index = next++;
+                await worker(items[index], index);
+            }
+        });
+
+        await Promise.all(runners);
+    }
+
+    /**
+     * Busca previsão horária de qualidade do ar para uma localização
+     * @param {Object} locationData - Dados da localização (city, state, country)
+     * @param {Object} options - Opções da previsão
+     * @param {number} options.days - Número de dias de previsão (1 a 7)
+     * @param {Array<string>} options.providers - Provedores preferidos, em ordem
+     * @param {AbortSignal} options.signal - Cancela a consulta (opcional)
+     * @param {number} options.timeout - Tempo limite de cada tentativa em ms
+     * @returns {Promise<Object>} Localização e série temporal da previsão
+     */
+    async getForecastData(locationData, { days = 3, providers = [], signal = null, timeout } = {}) {
+        const cacheKey = `${this._locationCacheKey(locationData)}_forecast_${days}d${this._providerCacheSuffix(providers)}`;
+
+        return this._executeLocationQuery(
+            locationData,
+            cacheKey,
+            'forecast',
+            coordinates => this._retryOperation(
+                requestSignal => this.providerManager.getForecast(coordinates, { days, providers, signal: requestSignal }),
+                'forecast',
+                coordinates,
+                { signal, timeout }
+            ),
+            { signal, timeout }
+        );
+    }
+
+    /**
+     * Busca a qualidade do ar sobre a área da localização (modo área)
+     * Amostra uma grade dentro do bounding box da geocodificação e resume mínimo,
+     * média, máximo e a pior sub-área de cada poluente
+     * @param {Object} locationData - Dados da localização (city, state, country)
+     * @param {Object} options - Opções da amostragem
+     * @param {number} options.gridSize - Células por lado da grade (1 a 7, padrão: 3)
+     * @param {AbortSignal} options.signal - Cancela a consulta (opcional)
+     * @param {number} options.timeout - Tempo limite de cada tentativa em ms
+     * @returns {Promise<Object>} Localização e resumo da área
+     */
+    async getAreaAirQualityData(locationData, { gridSize = this.areaSampler.gridSize, signal = null, timeout } = {}) {
+        const cacheKey = `${this._locationCacheKey(locationData)}_area_${gridSize}x${gridSize}`;
+
+        return this._executeLocationQuery(
+            locationData,
+            cacheKey,
+            'area',
+            coordinates => {
+                // Sem limites (coordenadas digitadas, gazetteer) não há área para amostrar
+                if (!coordinates.boundingBox) {
+                    throw new AirQualityDataError('Limites da área não disponíveis para esta localização');
+                }
+
+                return this._retryOperation(
+                    requestSignal => this.areaSampler.sample(coordinates.boundingBox, { gridSize, signal: requestSignal }),
+                    'area',
+                    coordinates,
+                    { signal, timeout }
+                );
+            },
+            { signal, timeout }
+        );
+    }
+
+    /**
+     * Busca as melhores janelas para atividades ao ar livre na previsão
+     * @param {Object} locationData - Dados da localização (city, state, country)
+     * @param {Object} options - Opções do planejamento
+     * @param {number} options.durationHours - Duração da atividade em horas
+     * @param {number} options.horizonHours - Horas à frente consideradas (24 a 72)
+     * @param {Array<string>} options.profile - Grupos do perfil de saúde (padrão: perfil salvo)
+     * @param {AbortSignal} options.signal - Cancela a consulta (opcional)
+     * @param {number} options.timeout - Tempo limite de cada tentativa em ms
+     * @returns {Promise<Object>} Localização e janelas recomendadas
+     */
+    async getActivityWindows(locationData, { signal = null, timeout, ...options } = {}) {
+        const { durationHours = 1, horizonHours = 24 } = options;
+        const profile = options.profile || this.activityPlanner.healthAdvisor.getProfile();
+        const cacheKey = `${this._locationCacheKey(locationData)}_windows_${durationHours}h_${horizonHours}h_${profile.join('+') || 'general'}`;
+
+        return this._executeLocationQuery(
+            locationData,
+            cacheKey,
+            'activityWindows',
+            coordinates => this._retryOperation(
+                requestSignal => this.activityPlanner.findBestWindows(coordinates, { ...options, profile, signal: requestSignal }),
+                'activity-windows',
+                coordinates,
+                { signal, timeout }
+            ),
+            { signal, timeout }
+        );
+    }
+
+    /**
+     * Estima a dose diária inalada de PM2.5 e O₃ para uma agenda de atividades
+     * @param {Object} locationData - Dados da localização (city, state, country)
+     * @param {Object} options - Opções da estimativa
+     * @param {Array<Object>} options.schedule - Blocos { start, end, activity } (padrão: agenda salva)
+     * @param {AbortSignal} options.signal - Cancela a consulta (opcional)
+     * @param {number} options.timeout - Tempo limite de cada tentativa em ms
+     * @returns {Promise<Object>} Localização e estimativa de exposição
      */
-    async getAirQualityData(locationData) {
-        const { city, state, country = 'US' } = locationData;
-        const cacheKey = this._generateCacheKey(city, state, country);
+    async getExposureEstimate(locationData, { schedule: requested, signal = null, timeout } = {}) {
+        const schedule = requested || this.exposureEstimator.getSchedule();
+        const scheduleKey = schedule.map(block => `${block.start}-${block.end}-${block.activity}`).join('+') || 'indoor';
+        const cacheKey = `${this._locationCacheKey(locationData)}_exposure_${scheduleKey}`;
+
+        return this._executeLocationQuery(
+            locationData,
+            cacheKey,
+            'exposure',
+            coordinates => this._retryOperation(
+                requestSignal => this.exposureEstimator.estimateDaily(coordinates, { schedule, signal: requestSignal }),
+                'exposure',
+                coordinates,
+                { signal, timeout }
+            ),
+            { signal, timeout }
+        );
+    }
+
+    /**
+     * Busca histórico horário de qualidade do ar para uma localização
+     * @param {Object} locationData - Dados da localização (city, state, country)
+     * @param {Object} range - Período do histórico
+     * @param {string} range.startDate - Data inicial (YYYY-MM-DD)
+     * @param {string} range.endDate - Data final (YYYY-MM-DD)
+     * @param {number} range.pastDays - Número de dias passados (alternativa ao intervalo)
+     * @param {Array<string>} range.providers - Provedores preferidos, em ordem
+     * @param {AbortSignal} range.signal - Cancela a consulta (opcional)
+     * @param {number} range.timeout - Tempo limite de cada tentativa em ms
+     * @returns {Promise<Object>} Localização e série temporal do histórico
+     */
+    async getHistoricalData(locationData, { signal = null, timeout, ...range } = {}) {
+        const period = range.pastDays !== undefined
+            ? `past_${range.pastDays}d`
+            : `${range.startDate}_${range.endDate}`;
+        const cacheKey = `${this._locationCacheKey(locationData)}_history_${period}${this._providerCacheSuffix(range.providers)}`;
+
+        return this._executeLocationQuery(
+            locationData,
+            cacheKey,
+            'history',
+            coordinates => this._retryOperation(
+                requestSignal => this.providerManager.getHistory(coordinates, { ...range, signal: requestSignal }),
+                'history',
+                coordinates,
+                { signal, timeout }
+            ),
+            { signal, timeout }
+        );
+    }
+
+    /**
+     * Fluxo comum das consultas por localização: cache, geocodificação e eventos
+     * @param {Object} locationData - Dados da localização (city, state, country); com
+     * coordinateInput, o campo cidade é interpretado como coordenada antes da consulta
+     * @param {string|Function} cacheKey - Chave do cache para o resultado combinado, ou função
+     * que a monta a partir da localização com a coordenada já interpretada
+     * @param {string} resultKey - Propriedade que recebe os dados da operação
+     * @param {Function} operation - Recebe as coordenadas e retorna os dados
+     * @param {Object} requestOptions - signal e timeout das geocodificações
+     * @returns {Promise<Object>} Dados combinados de localização e resultado
+     * @throws {RequestCancelledError} Se o signal for cancelado (sem fallback nem API_ERROR)
+     */
+    async _executeLocationQuery(locationData, cacheKey, resultKey, operation, requestOptions = {}) {
+        const { city, state, country } = locationData;
+        let cacheEntry = null;
+        let cancelled = false;
         
         try {
+            RequestSignal.throwIfAborted(requestOptions.signal);
+
             this.eventManager.publish(EventManager.EVENTS.API_LOADING_START);
+
+            if (locationData.coordinateInput) {
+                const { lat, lon } = await this._parseCoordinateInput(locationData.coordinateInput, requestOptions);
+                locationData = { coordinates: { lat, lon, accuracy: null }, reverseGeocode: locationData.reverseGeocode };
+            }
+            if (typeof cacheKey === 'function') {
+                cacheKey = cacheKey(locationData);
+            }
             
-            // Verifica cache primeiro
+            // Verifica cache primeiro (entradas expiradas ficam como fallback)
             if (this.config.cacheEnabled) {
-                const cachedData = await this.cacheService.get(cacheKey);
-                if (cachedData) {
+                cacheEntry = await this.cacheService.getEntry(cacheKey, { allowStale: this.config.staleFallback });
+                if (cacheEntry && !cacheEntry.expired) {
+                    const cachedData = this._attachQuality(cacheEntry.data, resultKey, 'cache', cacheEntry);
                     this.eventManager.publish(EventManager.EVENTS.DATA_RETRIEVED, {
                         source: 'cache',
                         data: cachedData
@@ -43,29 +516,56 @@ class APIFacade {
                 }
             }
 
-            // Busca coordenadas
-            const coordinates = await this._getCoordinatesWithRetry({
-                city,
-                state,
-                country
-            });
+            // Busca coordenadas (um candidato já escolhido no autocomplete dispensa a geocodificação)
+            let coordinates;
+            if (this._hasCoordinates(locationData.coordinates)) {
+                coordinates = locationData.coordinates;
+            } else if (locationData.postalCode) {
+                coordinates = await this._getPostalCodeCoordinatesWithRetry(locationData, requestOptions);
+            } else {
+                coordinates = await this._getCoordinatesWithRetry({
+                    city,
+                    state,
+                    country
+                }, requestOptions);
+            }
 
-            // Busca dados de qualidade do ar
-            const airQualityData = await this._getAirQualityWithRetry(coordinates);
+            // Busca dados da operação solicitada
+            const resultData = await operation(coordinates);
 
-            // Combina todos os dados
-            const completeData = {
-                location: {
+            // Coordenadas brutas ganham nome por geocodificação reversa;
+            // códigos postais usam o endereço encontrado pelo Nominatim
+            let location;
+            if (locationData.reverseGeocode) {
+                location = { ...await this._describeCoordinates(coordinates, requestOptions), coordinates };
+            } else if (locationData.postalCode) {
+                location = {
+                    city: coordinates.address?.city || null,
+                    state: coordinates.address?.state || null,
+                    country: coordinates.address?.countryCode || locationData.country || null,
+                    postalCode: coordinates.address?.postcode || locationData.postalCode,
+                    coordinates,
+                    displayName: coordinates.display_name
+                };
+            } else {
+                location = {
                     city,
                     state,
-                    country,
+                    country: country || coordinates.address?.countryCode || null,
                     coordinates,
                     displayName: coordinates.display_name
-                },
-                airQuality: airQualityData,
-                timestamp: new Date().toISOString(),
-                source: 'api'
-            };
+                };
+            }
+
+            // Combina todos os dados
+            const completeData = this._attachQuality({
+                location,
+                [resultKey]: resultData,
+                timestamp: new Date().toISOString()
+            }, resultKey, 'api');
+
+            // Resultado de uma busca já cancelada não é publicado nem salvo
+            RequestSignal.throwIfAborted(requestOptions.signal);
 
             // Salva no cache
             if (this.config.cacheEnabled) {
@@ -77,57 +577,211 @@ class APIFacade {
             return completeData;
 
         } catch (error) {
+            // Cancelamento pelo chamador não é falha: quem cancelou já cuida da interface
+            if (RequestSignal.isCancellation(error)) {
+                cancelled = true;
+                throw error;
+            }
+
+            // Falha da API: serve o último resultado conhecido, sinalizado como desatualizado
+            if (cacheEntry) {
+                const staleData = this._attachQuality(cacheEntry.data, resultKey, 'stale-cache', cacheEntry);
+                this.eventManager.publish(EventManager.EVENTS.DATA_STALE, { error, data: staleData });
+                this.eventManager.publish(EventManager.EVENTS.DATA_RETRIEVED, {
+                    source: 'stale-cache',
+                    data: staleData
+                });
+                return staleData;
+            }
+
             this.eventManager.publish(EventManager.EVENTS.API_ERROR, {
                 error,
+                query: resultKey,
                 locationData,
                 timestamp: new Date().toISOString()
             });
             throw error;
         } finally {
-            this.eventManager.publish(EventManager.EVENTS.API_LOADING_END);
+            // A busca que substituiu esta já sinalizou o próprio carregamento
+            if (!cancelled) {
+                this.eventManager.publish(EventManager.EVENTS.API_LOADING_END);
+            }
+        }
+    }
+
+    /**
+     * Obtém o nome de uma localização por geocodificação reversa
+     * Falhas não interrompem a consulta: as próprias coordenadas viram o rótulo
+     * @param {Object} coordinates - Objeto com lat e lon
+     * @param {Object} requestOptions - signal e timeout
+     * @returns {Promise<Object>} city, state, country e displayName
+     * @throws {RequestCancelledError} Se o signal for cancelado
+     */
+    async _describeCoordinates({ lat, lon }, { signal = null, timeout = this.config.requestTimeout } = {}) {
+        try {
+            const place = await RequestSignal.run(
+                requestSignal => this.geocodingService.reverseGeocode(lat, lon, { signal: requestSignal }),
+                { signal, timeout, label: 'Geocodificação reversa' }
+            );
+            return {
+                city: place.address.city || null,
+                state: place.address.state || null,
+                country: place.address.countryCode || place.address.country || null,
+                displayName: place.display_name
+            };
+        } catch (error) {
+            if (RequestSignal.isCancellation(error)) {
+                throw error;
+            }
+
+            console.warn('⚠️ APIFacade: Reverse geocoding failed, using coordinates as label', error.message);
+            return {
+                city: null,
+                state: null,
+                country: null,
+                displayName: `${lat.toFixed(4)}, ${lon.toFixed(4)}`
+            };
         }
     }
 
+    /**
+     * Verifica se a localização já traz coordenadas válidas
+     * @param {Object} coordinates - Objeto com lat e lon
+     * @returns {boolean}
+     */
+    _hasCoordinates(coordinates) {
+        return Boolean(coordinates) && Number.isFinite(coordinates.lat) && Number.isFinite(coordinates.lon);
+    }
+
+    /**
+     * Calcula os indicadores de atualidade e completude do resultado
+     * A idade da observação é recalculada a cada leitura, inclusive do cache
+     * @param {Object} completeData - Dados combinados de localização e resultado
+     * @param {string} resultKey - Propriedade com os dados da operação
+     * @param {string} source - Origem: api, cache ou stale-cache
+     * @param {Object} cacheEntry - Entrada do cache (createdAt, age), se houver
+     * @returns {Object} Cópia dos dados com source e quality
+     */
+    _attachQuality(completeData, resultKey, source, cacheEntry = null) {
+        const baseQuality = completeData[resultKey]?.quality || null;
+        const observedAt = baseQuality?.observedAt ? Date.parse(baseQuality.observedAt) : null;
+        const observationAge = observedAt === null ? null : Date.now() - observedAt;
+        const staleFallback = source === 'stale-cache';
+        const observationStale = baseQuality !== null
+            && (observationAge === null || observationAge > this.airQualityService.qualityThresholds.maxObservationAge);
+        const isIncomplete = Boolean(baseQuality && !baseQuality.completeness.isComplete);
+
+        return {
+            ...completeData,
+            source,
+            quality: {
+                observedAt: baseQuality?.observedAt || null,
+                observationAge,
+                cachedAt: cacheEntry ? new Date(cacheEntry.createdAt).toISOString() : null,
+                cacheAge: cacheEntry ? cacheEntry.age : null,
+                fromCache: Boolean(cacheEntry),
+                staleFallback,
+                completeness: baseQuality?.completeness || null,
+                isStale: staleFallback || observationStale,
+                isIncomplete
+            }
+        };
+    }
+
     /**
      * Busca coordenadas com retry automático
      * @param {Object} location - Dados da localização
+     * @param {Object} requestOptions - signal e timeout (por tentativa)
      * @returns {Promise<Object>} Coordenadas e dados de localização
      */
-    async _getCoordinatesWithRetry(location) {
-        return this._retryOperation(
-            () => this.geocodingService.geocode(location),
+    async _getCoordinatesWithRetry(location, requestOptions = {}) {
+        return this._withGeocodeCache(location, () => this._retryOperation(
+            signal => this.geocodingService.geocode(location, { signal }),
             'geocoding',
-            location
-        );
+            location,
+            requestOptions
+        ));
+    }
+
+    /**
+     * Busca coordenadas de um código postal com retry automático
+     * @param {Object} location - Objeto com postalCode e country (opcional)
+     * @param {Object} requestOptions - signal e timeout (por tentativa)
+     * @returns {Promise<Object>} Coordenadas e dados de localização
+     */
+    async _getPostalCodeCoordinatesWithRetry({ postalCode, country = null }, requestOptions = {}) {
+        return this._withGeocodeCache({ postalCode, country }, () => this._retryOperation(
+            signal => this.geocodingService.geocodePostalCode(postalCode, country, { signal }),
+            'geocoding',
+            { postalCode, country },
+            requestOptions
+        ));
+    }
+
+    /**
+     * Reaproveita coordenadas do cache de geocodificação antes de consultar os provedores
+     * @param {Object} location - Consulta (city, state, country ou postalCode, country)
+     * @param {Function} lookup - Geocodificação executada quando não há cache
+     * @returns {Promise<Object>} Coordenadas e dados de localização
+     */
+    async _withGeocodeCache(location, lookup) {
+        if (this.config.cacheEnabled) {
+            const cached = await this.geocodeCache.get(location);
+            if (cached) {
+                console.log(`📍 APIFacade: Reusing cached coordinates for ${GeocodeCache.key(location)}`);
+                return cached;
+            }
+        }
+
+        const coordinates = await lookup();
+
+        if (this.config.cacheEnabled) {
+            await this.geocodeCache.set(location, coordinates);
+        }
+
+        return coordinates;
     }
 
     /**
      * Busca dados de qualidade do ar com retry automático
      * @param {Object} coordinates - Coordenadas (lat, lon)
+     * @param {Object} options - providers preferidos e extended
+     * @param {Object} requestOptions - signal e timeout (por tentativa)
      * @returns {Promise<Object>} Dados de qualidade do ar
      */
-    async _getAirQualityWithRetry(coordinates) {
+    async _getAirQualityWithRetry(coordinates, options = {}, requestOptions = {}) {
         return this._retryOperation(
-            () => this.airQualityService.getAirQuality(coordinates),
+            signal => this.providerManager.getAirQuality(coordinates, { ...options, signal }),
             'air-quality',
-            coordinates
+            coordinates,
+            requestOptions
         );
     }
 
     /**
      * Executa operação com retry automático
-     * @param {Function} operation - Operação a ser executada
+     * Cada tentativa tem tempo limite próprio; timeouts contam como falha e são repetidos,
+     * cancelamentos encerram imediatamente
+     * @param {Function} operation - Recebe o AbortSignal da tentativa e retorna a promessa
      * @param {string} operationType - Tipo da operação para logging
      * @param {Object} context - Contexto da operação
+     * @param {Object} options - Opções de cancelamento
+     * @param {AbortSignal} options.signal - Sinal do chamador (opcional)
+     * @param {number} options.timeout - Tempo limite por tentativa em ms (padrão: config.requestTimeout)
      * @returns {Promise<*>} Resultado da operação
+     * @throws {RequestCancelledError} Se o signal for cancelado
      */
-    async _retryOperation(operation, operationType, context) {
+    async _retryOperation(operation, operationType, context, { signal = null, timeout = this.config.requestTimeout } = {}) {
         let lastError;
         
         for (let attempt = 1; attempt <= this.config.retryAttempts; attempt++) {
             try {
-                return await operation();
+                return await RequestSignal.run(operation, { signal, timeout, label: operationType });
             } catch (error) {
+                if (RequestSignal.isCancellation(error)) {
+                    throw error;
+                }
+
                 lastError = error;
                 
                 console.warn(`🔄 APIFacade: ${operationType} attempt ${attempt}/${this.config.retryAttempts} failed`, {
@@ -141,7 +795,7 @@ class APIFacade {
                 }
 
                 // Aguarda antes do próximo attempt
-                await this._delay(this.config.retryDelay * attempt);
+                await this._delay(this.config.retryDelay * attempt, signal);
             }
         }
 
@@ -164,21 +818,86 @@ class APIFacade {
         return `air_quality_${city.toLowerCase()}_${state.toLowerCase()}_${country.toLowerCase()}`;
     }
 
+    /**
+     * Gera a chave de cache de uma localização (cidade, código postal ou coordenadas)
+     * O país entra como código ISO: "Brasil", "BR" e "BRA" compartilham a entrada.
+     * Localizações sem cidade (coordenadas digitadas, GPS sem geocodificação reversa)
+     * usam as coordenadas com ~100 m de resolução: posições vizinhas compartilham o cache
+     * @param {Object} locationData - city, state, country, postalCode e/ou coordinates
+     * @returns {string} Chave do cache
+     */
+    _locationCacheKey({ city, state, country, postalCode, coordinates }) {
+        const countryKey = CountryNormalizer.toCode(country) || country || 'any';
+        if (postalCode) {
+            const code = postalCode.replace(/[\s.-]/g, '').toLowerCase();
+            return `air_quality_postal_${code}_${countryKey.toLowerCase()}`;
+        }
+        if (!city && this._hasCoordinates(coordinates)) {
+            return `coords_${coordinates.lat.toFixed(3)}_${coordinates.lon.toFixed(3)}`;
+        }
+        return this._generateCacheKey(city || '', state || '', countryKey);
+    }
+
+    /**
+     * Sufixo da chave de cache quando a requisição escolhe provedores
+     * @param {Array<string>} providers - Provedores preferidos
+     * @returns {string} Sufixo (vazio para a ordem padrão)
+     */
+    _providerCacheSuffix(providers = []) {
+        return providers && providers.length ? `_via_${providers.join('+')}` : '';
+    }
+
+    /**
+     * Registra um provedor de qualidade do ar
+     * @param {AirQualityProvider} provider - Instância do provedor
+     * @param {Object} options - Opções do registro (priority)
+     */
+    registerProvider(provider, options) {
+        this.providerManager.register(provider, options);
+    }
+
+    /**
+     * Lista os provedores de qualidade do ar e suas capacidades
+     * @returns {Array<Object>} Provedores em ordem de prioridade
+     */
+    getProviders() {
+        return this.providerManager.list();
+    }
+
+    /**
+     * Registra um provedor de geocodificação na cadeia de fallback
+     * @param {GeocoderProvider} provider - Instância do provedor
+     * @param {Object} options - Opções do registro (priority)
+     */
+    registerGeocoder(provider, options) {
+        this.geocodingService.geocoders.register(provider, options);
+    }
+
+    /**
+     * Lista os provedores de geocodificação na ordem de tentativa
+     * @returns {Array<Object>} Provedores com baseURL e capacidades
+     */
+    getGeocoders() {
+        return this.geocodingService.geocoders.list();
+    }
+
     /**
      * Utilitário para delay
      * @param {number} ms - Milissegundos para aguardar
+     * @param {AbortSignal} signal - Encerra a espera se cancelado (opcional)
      * @returns {Promise<void>}
      */
-    _delay(ms) {
-        return new Promise(resolve => setTimeout(resolve, ms));
+    _delay(ms, signal = null) {
+        return RequestSignal.delay(ms, signal);
     }
 
     /**
-     * Limpa todo o cache
+     * Limpa todo o cache, inclusive as coordenadas já geocodificadas
      * @returns {Promise<void>}
      */
     async clearCache() {
         await this.cacheService.clear();
+        await this.geocodeCache.clear();
         this.eventManager.publish(EventManager.EVENTS.DATA_CACHED, { action: 'cleared' });
     }
 
@@ -190,6 +909,14 @@ class APIFacade {
         return await this.cacheService.getStats();
     }
 
+    /**
+     * Libera os timers de limpeza dos caches de resultados e de coordenadas
+     */
+    destroy() {
+        this.geocodeCache.destroy();
+        this.cacheService.destroy();
+    }
+
     /**
      * Configura opções da API
      * @param {Object} options - Novas configurações
@@ -0,0 +1,510 @@
+/**
+ * AQIStandardsRegistry - Registro de padrões de índice de qualidade do ar
+ * Cada padrão define breakpoints por poluente, categorias, cores e textos de saúde,
+ * permitindo calcular o índice a partir das concentrações brutas
+ */
+import { UnitConverter, UnitConversionError } from '../utils/UnitConverter.js';
+
+/**
+ * US EPA AQI (revisão de 2024 para PM2.5)
+ * Gases em ppb/ppm conforme a tabela regulatória
+ */
+const US_EPA = {
+    id: 'us-epa',
+    name: 'US EPA AQI',
+    region: 'Estados Unidos',
+    interpolation: 'linear',
+    categories: [
+        { level: 'good', min: 0, max: 50, color: '#00E400', description: 'Boa',
+            health: 'A qualidade do ar é satisfatória e a poluição apresenta pouco ou nenhum risco.' },
+        { level: 'moderate', min: 51, max: 100, color: '#FFFF00', description: 'Moderada',
+            health: 'Pessoas incomumente sensíveis à poluição podem ser afetadas.' },
+        { level: 'unhealthy-sensitive', min: 101, max: 150, color: '#FF7E00', description: 'Ruim para Grupos Sensíveis',
+            health: 'Grupos sensíveis podem sofrer efeitos na saúde; o público em geral é menos afetado.' },
+        { level: 'unhealthy', min: 151, max: 200, color: '#FF0000', description: 'Ruim',
+            health: 'Parte do público em geral pode sofrer efeitos; grupos sensíveis podem ter efeitos mais graves.' },
+        { level: 'very-unhealthy', min: 201, max: 300, color: '#8F3F97', description: 'Muito Ruim',
+            health: 'Alerta de saúde: o risco de efeitos na saúde aumenta para todos.' },
+        { level: 'hazardous', min: 301, max: Infinity, color: '#7E0023', description: 'Perigosa',
+            health: 'Aviso de emergência: toda a população tem maior probabilidade de ser afetada.' }
+    ],
+    pollutants: {
+        pm2_5: {
+            unit: 'µg/m³', averaging: '24h', precision: 1,
+            breakpoints: [
+                [0.0, 9.0, 0, 50], [9.1, 35.4, 51, 100], [35.5, 55.4, 101, 150],
+                [55.5, 125.4, 151, 200], [125.5, 225.4, 201, 300], [225.5, 325.4, 301, 500]
+            ]
+        },
+        pm10: {
+            unit: 'µg/m³', averaging: '24h', precision: 0,
+            breakpoints: [
+                [0, 54, 0, 50], [55, 154, 51, 100], [155, 254, 101, 150],
+                [255, 354, 151, 200], [355, 424, 201, 300], [425, 604, 301, 500]
+            ]
+        },
+        ozone: {
+            unit: 'ppm', averaging: '8h', precision: 3,
+            // A média de 8h não define índices acima de 300: o que passa de 0.200 ppm é "perigoso"
+            breakpoints: [
+                [0.000, 0.054, 0, 50], [0.055, 0.070, 51, 100], [0.071, 0.085, 101, 150],
+                [0.086, 0.105, 151, 200], [0.106, 0.200, 201, 300], [0.201, 0.604, 301, 500]
+            ]
+        },
+        carbon_monoxide: {
+            unit: 'ppm', averaging: '8h', precision: 1,
+            breakpoints: [
+                [0.0, 4.4, 0, 50], [4.5, 9.4, 51, 100], [9.5, 12.4, 101, 150],
+                [12.5, 15.4, 151, 200], [15.5, 30.4, 201, 300], [30.5, 50.4, 301, 500]
+            ]
+        },
+        sulphur_dioxide: {
+            unit: 'ppb', averaging: '1h', precision: 0,
+            breakpoints: [
+                [0, 35, 0, 50], [36, 75, 51, 100], [76, 185, 101, 150],
+                [186, 304, 151, 200], [305, 604, 201, 300], [605, 1004, 301, 500]
+            ]
+        },
+        nitrogen_dioxide: {
+            unit: 'ppb', averaging: '1h', precision: 0,
+            breakpoints: [
+                [0, 53, 0, 50], [54, 100, 51, 100], [101, 360, 101, 150],
+                [361, 649, 151, 200], [650, 1249, 201, 300], [1250, 2049, 301, 500]
+            ]
+        }
+    }
+};
+
+/**
+ * European Air Quality Index (EEA/CAMS), escala 0-100+ usada pela Open-Meteo
+ */
+const EEA = {
+    id: 'eea',
+    name: 'European AQI (EEA)',
+    region: 'União Europeia',
+    interpolation: 'linear',
+    categories: [
+        { level: 'good', min: 0, max: 20, color: '#00E400', description: 'Boa',
+            health: 'A qualidade do ar é boa. Aproveite as atividades ao ar livre.' },
+        { level: 'fair', min: 20, max: 40, color: '#FFFF00', description: 'Razoável',
+            health: 'Aproveite as atividades ao ar livre normalmente.' },
+        { level: 'moderate', min: 40, max: 60, color: '#FF7E00', description: 'Moderada',
+            health: 'Pessoas sensíveis devem considerar reduzir atividades intensas ao ar livre.' },
+        { level: 'poor', min: 60, max: 80, color: '#FF0000', description: 'Ruim',
+            health: 'Considere reduzir atividades intensas ao ar livre se sentir sintomas.' },
+        { level: 'very-poor', min: 80, max: 100, color: '#8F3F97', description: 'Muito Ruim',
+            health: 'Reduza atividades físicas ao ar livre.' },
+        { level: 'extremely-poor', min: 100, max: Infinity, color: '#7E0023', description: 'Extremamente Ruim',
+            health: 'Evite atividades ao ar livre.' }
+    ],
+    pollutants: {
+        pm2_5: {
+            unit: 'µg/m³', averaging: '24h',
+            breakpoints: [[0, 10, 0, 20], [10, 20, 20, 40], [20, 25, 40, 60], [25, 50, 60, 80], [50, 75, 80, 100], [75, 800, 100, 200]]
+        },
+        pm10: {
+            unit: 'µg/m³', averaging: '24h',
+            breakpoints: [[0, 20, 0, 20], [20, 40, 20, 40], [40, 50, 40, 60], [50, 100, 60, 80], [100, 150, 80, 100], [150, 1200, 100, 200]]
+        },
+        nitrogen_dioxide: {
+            unit: 'µg/m³', averaging: '1h',
+            breakpoints: [[0, 40, 0, 20], [40, 90, 20, 40], [90, 120, 40, 60], [120, 230, 60, 80], [230, 340, 80, 100], [340, 1000, 100, 200]]
+        },
+        ozone: {
+            unit: 'µg/m³', averaging: '1h',
+            breakpoints: [[0, 50, 0, 20], [50, 100, 20, 40], [100, 130, 40, 60], [130, 240, 60, 80], [240, 380, 80, 100], [380, 800, 100, 200]]
+        },
+        sulphur_dioxide: {
+            unit: 'µg/m³', averaging: '1h',
+            breakpoints: [[0, 100, 0, 20], [100, 200, 20, 40], [200, 350, 40, 60], [350, 500, 60, 80], [500, 750, 80, 100], [750, 1250, 100, 200]]
+        }
+    }
+};
+
+/**
+ * Índice de Qualidade do Ar brasileiro (Resolução CONAMA 491/2018, padrões finais)
+ */
+const CONAMA = {
+    id: 'conama',
+    name: 'IQAr CONAMA 491/2018',
+    region: 'Brasil',
+    interpolation: 'linear',
+    categories: [
+        { level: 'good', min: 0, max: 40, color: '#00CC00', description: 'Boa',
+            health: 'Sem riscos à saúde.' },
+        { level: 'moderate', min: 41, max: 80, color: '#FFFF00', description: 'Moderada',
+            health: 'Pessoas de grupos sensíveis (crianças, idosos e pessoas com doenças respiratórias e cardíacas) podem apresentar sintomas como tosse seca e cansaço. A população, em geral, não é afetada.' },
+        { level: 'poor', min: 81, max: 120, color: '#FF9900', description: 'Ruim',
+            health: 'Toda a população pode apresentar sintomas como tosse seca, cansaço, ardor nos olhos, nariz e garganta. Pessoas de grupos sensíveis podem apresentar efeitos mais sérios na saúde.' },
+        { level: 'very-poor', min: 121, max: 200, color: '#FF0000', description: 'Muito Ruim',
+            health: 'Toda a população pode apresentar agravamento dos sintomas, falta de ar e respiração ofegante. Efeitos ainda mais graves à saúde de grupos sensíveis.' },
+        { level: 'terrible', min: 201, max: Infinity, color: '#800080', description: 'Péssima',
+            health: 'Toda a população pode apresentar sérios riscos de manifestações de doenças respiratórias e cardiovasculares. Aumento de mortes prematuras em pessoas de grupos sensíveis.' }
+    ],
+    pollutants: {
+        pm10: {
+            unit: 'µg/m³', averaging: '24h', precision: 0,
+            breakpoints: [[0, 50, 0, 40], [51, 100, 41, 80], [101, 150, 81, 120], [151, 250, 121, 200], [251, 600, 201, 400]]
+        },
+        pm2_5: {
+            unit: 'µg/m³', averaging: '24h', precision: 0,
+            breakpoints: [[0, 25, 0, 40], [26, 50, 41, 80], [51, 75, 81, 120], [76, 125, 121, 200], [126, 300, 201, 400]]
+        },
+        ozone: {
+            unit: 'µg/m³', averaging: '8h', precision: 0,
+            breakpoints: [[0, 100, 0, 40], [101, 130, 41, 80], [131, 160, 81, 120], [161, 200, 121, 200], [201, 800, 201, 400]]
+        },
+        carbon_monoxide: {
+            unit: 'ppm', averaging: '8h', precision: 1,
+            breakpoints: [[0, 9, 0, 40], [9.1, 11, 41, 80], [11.1, 13, 81, 120], [13.1, 15, 121, 200], [15.1, 50, 201, 400]]
+        },
+        nitrogen_dioxide: {
+            unit: 'µg/m³', averaging: '1h', precision: 0,
+            breakpoints: [[0, 200, 0, 40], [201, 240, 41, 80], [241, 320, 81, 120], [321, 1130, 121, 200], [1131, 3750, 201, 400]]
+        },
+        sulphur_dioxide: {
+            unit: 'µg/m³', averaging: '24h', precision: 0,
+            breakpoints: [[0, 20, 0, 40], [21, 40, 41, 80], [41, 365, 81, 120], [366, 800, 121, 200], [801, 2620, 201, 400]]
+        }
+    }
+};
+
+/**
+ * National Air Quality Index da Índia (CPCB)
+ */
+const INDIA_NAQI = {
+    id: 'in-naqi',
+    name: 'India NAQI',
+    region: 'Índia',
+    interpolation: 'linear',
+    categories: [
+        { level: 'good', min: 0, max: 50, color: '#009933', description: 'Boa',
+            health: 'Impacto mínimo.' },
+        { level: 'satisfactory', min: 51, max: 100, color: '#58FF09', description: 'Satisfatória',
+            health: 'Pode causar desconforto respiratório leve em pessoas sensíveis.' },
+        { level: 'moderate', min: 101, max: 200, color: '#FFFF00', description: 'Moderada',
+            health: 'Pode causar desconforto respiratório em pessoas com doenças pulmonares, asma e doenças cardíacas.' },
+        { level: 'poor', min: 201, max: 300, color: '#FFA500', description: 'Ruim',
+            health: 'Pode causar desconforto respiratório na maioria das pessoas em exposição prolongada.' },
+        { level: 'very-poor', min: 301, max: 400, color: '#FF0000', description: 'Muito Ruim',
+            health: 'Pode causar doenças respiratórias em exposição prolongada.' },
+        { level: 'severe', min: 401, max: Infinity, color: '#990000', description: 'Severa',
+            health: 'Pode afetar pessoas saudáveis e impactar gravemente quem já tem doenças.' }
+    ],
+    pollutants: {
+        pm10: {
+            unit: 'µg/m³', averaging: '24h',
+            breakpoints: [[0, 50, 0, 50], [51, 100, 51, 100], [101, 250, 101, 200], [251, 350, 201, 300], [351, 430, 301, 400], [431, 600, 401, 500]]
+        },
+        pm2_5: {
+            unit: 'µg/m³', averaging: '24h',
+            breakpoints: [[0, 30, 0, 50], [31, 60, 51, 100], [61, 90, 101, 200], [91, 120, 201, 300], [121, 250, 301, 400], [251, 380, 401, 500]]
+        },
+        nitrogen_dioxide: {
+            unit: 'µg/m³', averaging: '24h',
+            breakpoints: [[0, 40, 0, 50], [41, 80, 51, 100], [81, 180, 101, 200], [181, 280, 201, 300], [281, 400, 301, 400], [401, 800, 401, 500]]
+        },
+        ozone: {
+            unit: 'µg/m³', averaging: '8h',
+            breakpoints: [[0, 50, 0, 50], [51, 100, 51, 100], [101, 168, 101, 200], [169, 208, 201, 300], [209, 748, 301, 400], [749, 1000, 401, 500]]
+        },
+        carbon_monoxide: {
+            unit: 'mg/m³', averaging: '8h',
+            breakpoints: [[0, 1.0, 0, 50], [1.1, 2.0, 51, 100], [2.1, 10, 101, 200], [10.1, 17, 201, 300], [17.1, 34, 301, 400], [34.1, 50, 401, 500]]
+        },
+        sulphur_dioxide: {
+            unit: 'µg/m³', averaging: '24h',
+            breakpoints: [[0, 40, 0, 50], [41, 80, 51, 100], [81, 380, 101, 200], [381, 800, 201, 300], [801, 1600, 301, 400], [1601, 2400, 401, 500]]
+        }
+    }
+};
+
+/**
+ * Daily Air Quality Index do Reino Unido (DEFRA), bandas inteiras de 1 a 10
+ */
+const UK_DAQI = {
+    id: 'uk-daqi',
+    name: 'UK DAQI',
+    region: 'Reino Unido',
+    interpolation: 'band',
+    categories: [
+        { level: 'low', min: 1, max: 3, color: '#31CF00', description: 'Baixa',
+            health: 'Aproveite suas atividades habituais ao ar livre.' },
+        { level: 'moderate', min: 4, max: 6, color: '#FFCF00', description: 'Moderada',
+            health: 'Adultos e crianças com problemas pulmonares e adultos com problemas cardíacos que sentirem sintomas devem considerar reduzir atividades intensas, principalmente ao ar livre.' },
+        { level: 'high', min: 7, max: 9, color: '#FF0000', description: 'Alta',
+            health: 'Qualquer pessoa com desconforto como dor nos olhos, tosse ou garganta irritada deve considerar reduzir atividades, principalmente ao ar livre.' },
+        { level: 'very-high', min: 10, max: Infinity, color: '#CE30FF', description: 'Muito Alta',
+            health: 'Reduza atividades físicas, principalmente ao ar livre, sobretudo se sentir sintomas como tosse ou garganta irritada.' }
+    ],
+    pollutants: {
+        ozone: {
+            unit: 'µg/m³', averaging: '8h',
+            breakpoints: [
+                [0, 33, 1, 1], [34, 66, 2, 2], [67, 100, 3, 3], [101, 120, 4, 4], [121, 140, 5, 5],
+                [141, 160, 6, 6], [161, 187, 7, 7], [188, 213, 8, 8], [214, 240, 9, 9], [241, Infinity, 10, 10]
+            ]
+        },
+        nitrogen_dioxide: {
+            unit: 'µg/m³', averaging: '1h',
+            breakpoints: [
+                [0, 67, 1, 1], [68, 134, 2, 2], [135, 200, 3, 3], [201, 267, 4, 4], [268, 334, 5, 5],
+                [335, 400, 6, 6], [401, 467, 7, 7], [468, 534, 8, 8], [535, 600, 9, 9], [601, Infinity, 10, 10]
+            ]
+        },
+        sulphur_dioxide: {
+            unit: 'µg/m³', averaging: '15min',
+            breakpoints: [
+                [0, 88, 1, 1], [89, 177, 2, 2], [178, 266, 3, 3], [267, 354, 4, 4], [355, 443, 5, 5],
+                [444, 532, 6, 6], [533, 710, 7, 7], [711, 887, 8, 8], [888, 1064, 9, 9], [1065, Infinity, 10, 10]
+            ]
+        },
+        pm2_5: {
+            unit: 'µg/m³', averaging: '24h',
+            breakpoints: [
+                [0, 11, 1, 1], [12, 23, 2, 2], [24, 35, 3, 3], [36, 41, 4, 4], [42, 47, 5, 5],
+                [48, 53, 6, 6], [54, 58, 7, 7], [59, 64, 8, 8], [65, 70, 9, 9], [71, Infinity, 10, 10]
+            ]
+        },
+        pm10: {
+            unit: 'µg/m³', averaging: '24h',
+            breakpoints: [
+                [0, 16, 1, 1], [17, 33, 2, 2], [34, 50, 3, 3], [51, 58, 4, 4], [59, 66, 5, 5],
+                [67, 75, 6, 6], [76, 83, 7, 7], [84, 91, 8, 8], [92, 100, 9, 9], [101, Infinity, 10, 10]
+            ]
+        }
+    }
+};
+
+/**
+ * Padrões registrados por padrão
+ */
+const BUILT_IN_STANDARDS = [US_EPA, EEA, CONAMA, INDIA_NAQI, UK_DAQI];
+
+class AQIStandardsRegistry {
+    constructor(standards = BUILT_IN_STANDARDS) {
+        this.standards = new Map();
+        standards.forEach(standard => this.register(standard));
+    }
+
+    /**
+     * Registra (ou substitui) um padrão de índice
+     * @param {Object} standard - Definição do padrão
+     * @returns {AQIStandardsRegistry} A própria instância, para encadeamento
+     */
+    register(standard) {
+        this._validateStandard(standard);
+        this.standards.set(standard.id, standard);
+        return this;
+    }
+
+    /**
+     * Obtém um padrão registrado
+     * @param {string} id - Identificador do padrão
+     * @returns {Object} Definição do padrão
+     */
+    get(id) {
+        const standard = this.standards.get(id);
+        if (!standard) {
+            throw new AQIStandardError(`Padrão de AQI não registrado: ${id}`);
+        }
+        return standard;
+    }
+
+    /**
+     * Verifica se um padrão está registrado
+     * @param {string} id - Identificador do padrão
+     * @returns {boolean}
+     */
+    has(id) {
+        return this.standards.has(id);
+    }
+
+    /**
+     * Lista os padrões registrados
+     * @returns {Array<Object>} Resumo de cada padrão
+     */
+    list() {
+        return Array.from(this.standards.values()).map(({ id, name, region }) => ({ id, name, region }));
+    }
+
+    /**
+     * Calcula o índice de um padrão a partir das concentrações brutas
+     * As concentrações são tomadas como representativas do período de média de cada poluente
+     * @param {string} id - Identificador do padrão
+     * @param {Object} concentrations - Concentrações por poluente: número (µg/m³) ou { value, unit }
+     * @returns {Object} Índice geral, categoria, sub-índices e poluente dominante
+     */
+    calculate(id, concentrations) {
+        const standard = this.get(id);
+        const subIndices = {};
+        let dominantPollutant = null;
+
+        Object.entries(standard.pollutants).forEach(([key, definition]) => {
+            const concentration = this._toStandardUnit(key, concentrations[key], definition.unit);
+            if (concentration === null) {
+                return;
+            }
+
+            const value = this.calculateSubIndex(standard, key, concentration);
+            subIndices[key] = {
+                value,
+                concentration,
+                unit: definition.unit,
+                averaging: definition.averaging
+            };
+
+            if (!dominantPollutant || value > subIndices[dominantPollutant].value) {
+                dominantPollutant = key;
+            }
+        });
+
+        const value = dominantPollutant ? subIndices[dominantPollutant].value : null;
+
+        return {
+            standard: standard.id,
+            name: standard.name,
+            value,
+            category: this.classify(id, value),
+            dominantPollutant,
+            subIndices
+        };
+    }
+
+    /**
+     * Calcula o sub-índice de um poluente já na unidade do padrão
+     * @param {Object} standard - Definição do padrão
+     * @param {string} pollutant - Chave do poluente
+     * @param {number} concentration - Concentração na unidade do padrão
+     * @returns {number} Sub-índice
+     */
+    calculateSubIndex(standard, pollutant, concentration) {
+        const { breakpoints, precision } = standard.pollutants[pollutant];
+        const truncated = precision === undefined
+            ? concentration
+            : Math.floor(concentration * 10 ** precision) / 10 ** precision;
+
+        // Primeira faixa cujo limite superior cobre o valor (tolera lacunas entre faixas)
+        const band = breakpoints.find(([, cHigh]) => truncated <= cHigh) || breakpoints[breakpoints.length - 1];
+        const [cLow, cHigh, iLow, iHigh] = band;
+
+        if (standard.interpolation === 'band' || cHigh === cLow || !isFinite(cHigh)) {
+            return iLow;
+        }
+
+        const clamped = Math.min(Math.max(truncated, cLow), cHigh);
+        return Math.round(((iHigh - iLow) / (cHigh - cLow)) * (clamped - cLow) + iLow);
+    }
+
+    /**
+     * Estima a concentração correspondente a um sub-índice (inverso da interpolação)
+     * Usado por fontes que publicam apenas sub-índices, como feeds no estilo WAQI
+     * @param {string} id - Identificador do padrão
+     * @param {string} pollutant - Chave do poluente
+     * @param {number} index - Sub-índice
+     * @returns {Object|null} Concentração { value, unit } na unidade do padrão ou null
+     */
+    calculateConcentration(id, pollutant, index) {
+        const standard = this.get(id);
+        const definition = standard.pollutants[pollutant];
+
+        if (!definition || index === null || index === undefined || isNaN(index)) {
+            return null;
+        }
+
+        const band = definition.breakpoints.find(([, , , iHigh]) => index <= iHigh)
+            || definition.breakpoints[definition.breakpoints.length - 1];
+        const [cLow, cHigh, iLow, iHigh] = band;
+
+        const value = iHigh === iLow || !isFinite(cHigh)
+            ? cLow
+            : ((cHigh - cLow) / (iHigh - iLow)) * (Math.min(Math.max(index, iLow), iHigh) - iLow) + cLow;
+
+        return { value, unit: definition.unit };
+    }
+
+    /**
+     * Classifica um valor de índice segundo as categorias do padrão
+     * @param {string} id - Identificador do padrão
+     * @param {number} value - Valor do índice
+     * @returns {Object} Categoria (level, color, description, health)
+     */
+    classify(id, value) {
+        const standard = this.get(id);
+
+        if (value === null || value === undefined || isNaN(value)) {
+            return {
+                level: 'unknown',
+                color: '#gray',
+                description: 'Dados não disponíveis',
+                health: null
+            };
+        }
+
+        const category = standard.categories.find(({ max }) => value <= max)
+            || standard.categories[standard.categories.length - 1];
+
+        return { ...category };
+    }
+
+    /**
+     * Converte concentração para a unidade usada pelo padrão
+     * @param {string} pollutant - Chave do poluente
+     * @param {number|Object} input - Número em µg/m³ ou { value, unit }
+     * @param {string} targetUnit - Unidade do padrão
+     * @returns {number|null} Concentração convertida ou null se indisponível
+     */
+    _toStandardUnit(pollutant, input, targetUnit) {
+        const { value, unit = 'µg/m³' } = typeof input === 'object' && input !== null ? input : { value: input };
+
+        if (value === undefined || value === null || isNaN(value)) {
+            return null;
+        }
+
+        // Padrões regulatórios usam as condições de referência (25°C, 1 atm)
+        try {
+            return UnitConverter.convert(value, unit, targetUnit, { pollutant });
+        } catch (error) {
+            if (error instanceof UnitConversionError) {
+                throw new AQIStandardError(`Conversão não suportada para ${pollutant}: ${unit} → ${targetUnit}`);
+            }
+            throw error;
+        }
+    }
+
+    /**
+     * Valida a estrutura mínima de um padrão
+     * @param {Object} standard - Definição do padrão
+     */
+    _validateStandard(standard) {
+        if (!standard || !standard.id) {
+            throw new AQIStandardError('Padrão de AQI deve ter um id');
+        }
+
+        if (!Array.isArray(standard.categories) || standard.categories.length === 0) {
+            throw new AQIStandardError(`Padrão ${standard.id} deve definir categorias`);
+        }
+
+        if (!standard.pollutants || Object.keys(standard.pollutants).length === 0) {
+            throw new AQIStandardError(`Padrão ${standard.id} deve definir breakpoints de poluentes`);
+        }
+
+        Object.entries(standard.pollutants).forEach(([key, definition]) => {
+            if (!Array.isArray(definition.breakpoints) || definition.breakpoints.length === 0) {
+                throw new AQIStandardError(`Padrão ${standard.id} sem breakpoints para ${key}`);
+            }
+        });
+    }
+}
+
+/**
+ * Erro de padrão de AQI inexistente ou inválido
+ */
+class AQIStandardError extends Error {
+    constructor(message) {
+        super(message);
+        this.name = 'AQIStandardError';
+    }
+}
+
+export { AQIStandardsRegistry, AQIStandardError, BUILT_IN_STANDARDS };
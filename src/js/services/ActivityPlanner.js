@@ -0,0 +1,196 @@
+/**
+ * ActivityPlanner - Melhores janelas para atividades ao ar livre
+ * Usa a previsão horária do AirQualityService para encontrar os períodos
+ * contínuos com o ar mais limpo, ponderando os poluentes pelo perfil de saúde
+ */
+import { AirQualityService, AirQualityDataError } from './AirQualityService.js';
+import { HealthAdvisor } from './HealthAdvisor.js';
+
+/**
+ * Peso extra dos poluentes mais relevantes para cada grupo sensível
+ */
+const PROFILE_POLLUTANT_WEIGHTS = {
+    'asthma-copd': { ozone: 1.25, sulphur_dioxide: 1.25, nitrogen_dioxide: 1.15, pm2_5: 1.15 },
+    'heart-disease': { pm2_5: 1.25, carbon_monoxide: 1.25 },
+    'pregnancy': { pm2_5: 1.2, nitrogen_dioxide: 1.1 },
+    'children': { pm2_5: 1.15, ozone: 1.15, nitrogen_dioxide: 1.15 },
+    'older-adults': { pm2_5: 1.2, ozone: 1.1 },
+    // Ventilação elevada durante o exercício aumenta a dose inalada de ozônio e partículas
+    'outdoor-athletes': { ozone: 1.25, pm2_5: 1.15 }
+};
+
+class ActivityPlanner {
+    constructor(options = {}) {
+        this.airQualityService = options.airQualityService || new AirQualityService();
+        this.healthAdvisor = options.healthAdvisor || this.airQualityService.healthAdvisor || new HealthAdvisor();
+        this.minHorizonHours = 24;
+        this.maxHorizonHours = 72;
+        // Maior índice US EPA aceitável em qualquer hora da janela
+        this.maxIndex = { general: 150, sensitive: 100 };
+    }
+
+    /**
+     * Busca a previsão e retorna as melhores janelas
+     * @param {Object} coordinates - Objeto com lat e lon
+     * @param {Object} options - Opções do planejamento
+     * @param {number} options.durationHours - Duração desejada da atividade
+     * @param {number} options.horizonHours - Horas à frente consideradas (24 a 72)
+     * @param {Array<string>} options.profile - Grupos do perfil (padrão: perfil salvo)
+     * @param {number} options.limit - Número máximo de janelas
+     * @param {AbortSignal} options.signal - Cancela a busca da previsão (opcional)
+     * @returns {Promise<Object>} Janelas ordenadas e metadados da previsão
+     */
+    async findBestWindows(coordinates, options = {}) {
+        const { horizonHours = this.minHorizonHours } = options;
+        this._validateOptions(options);
+
+        // A previsão começa à meia-noite local: um dia extra cobre o horizonte a partir de agora
+        const days = Math.min(Math.ceil(horizonHours / 24) + 1, this.airQualityService.maxForecastDays);
+        const forecast = await this.airQualityService.getForecast(coordinates, { days, signal: options.signal });
+
+        return {
+            windows: this.findWindows(forecast.hours, options),
+            metadata: {
+                ...forecast.metadata,
+                durationHours: options.durationHours || 1,
+                horizonHours,
+                profile: options.profile || this.healthAdvisor.getProfile()
+            }
+        };
+    }
+
+    /**
+     * Encontra as janelas contínuas mais limpas em uma série horária processada
+     * @param {Array<Object>} hours - Entradas de getForecast().hours
+     * @param {Object} options - Mesmas opções de findBestWindows
+     * @param {number} options.now - Timestamp de referência (padrão: agora)
+     * @returns {Array<Object>} Janelas sem sobreposição, da mais limpa para a menos limpa
+     */
+    findWindows(hours, options = {}) {
+        const {
+            durationHours = 1,
+            horizonHours = this.minHorizonHours,
+            profile = this.healthAdvisor.getProfile(),
+            limit = 3,
+            now = Date.now()
+        } = options;
+        this._validateOptions({ durationHours, horizonHours });
+
+        const horizonEnd = now + horizonHours * 3600 * 1000;
+        const maxIndex = profile.length > 0 ? this.maxIndex.sensitive : this.maxIndex.general;
+
+        // Horas futuras dentro do horizonte, incluindo a hora em andamento
+        const candidates = hours
+            .map(entry => ({ entry, time: Date.parse(entry.quality?.observedAt) }))
+            .filter(({ time }) => !isNaN(time) && time + 3600 * 1000 > now && time < horizonEnd)
+            .map(({ entry, time }) => ({ entry, time, ...this._scoreHour(entry, profile) }));
+
+        const windows = [];
+        for (let start = 0; start + durationHours <= candidates.length; start++) {
+            const slice = candidates.slice(start, start + durationHours);
+            if (!this._isContiguous(slice) || slice.some(hour => hour.score === null)) {
+                continue;
+            }
+            windows.push(this._buildWindow(slice, maxIndex));
+        }
+
+        windows.sort((a, b) => (b.suitable - a.suitable) || (a.score - b.score) || (a.startTime - b.startTime));
+
+        // Seleção gulosa de janelas sem sobreposição
+        const selected = [];
+        for (const window of windows) {
+            if (selected.length >= limit) break;
+            if (selected.every(other => window.endTime <= other.startTime || window.startTime >= other.endTime)) {
+                selected.push(window);
+            }
+        }
+
+        return selected.map(({ startTime, endTime, score, ...window }) => window);
+    }
+
+    /**
+     * Calcula a pontuação de uma hora (menor = melhor)
+     * @param {Object} entry - Hora processada
+     * @param {Array<string>} profile - Grupos do perfil
+     * @returns {Object} score ponderado, índice US EPA e poluente determinante
+     */
+    _scoreHour(entry, profile) {
+        const subIndices = entry.aqi?.subIndices || {};
+        let score = null;
+        let index = null;
+        let pollutant = null;
+
+        Object.entries(subIndices).forEach(([key, subIndex]) => {
+            const weight = profile.reduce(
+                (max, group) => Math.max(max, PROFILE_POLLUTANT_WEIGHTS[group]?.[key] || 1),
+                1
+            );
+            const weighted = subIndex.value * weight;
+
+            if (score === null || weighted > score) {
+                score = weighted;
+                pollutant = key;
+            }
+            index = index === null ? subIndex.value : Math.max(index, subIndex.value);
+        });
+
+        return { score, index, pollutant };
+    }
+
+    /**
+     * Monta o resumo de uma janela
+     * @param {Array<Object>} slice - Horas pontuadas da janela
+     * @param {number} maxIndex - Índice máximo aceitável
+     * @returns {Object} Janela com início, fim, índices e poluente determinante
+     */
+    _buildWindow(slice, maxIndex) {
+        const first = slice[0];
+        const last = slice[slice.length - 1];
+        const score = slice.reduce((sum, hour) => sum + hour.score, 0) / slice.length;
+        const worst = slice.reduce((max, hour) => (hour.index > max.index ? hour : max), first);
+        const averageIndex = Math.round(slice.reduce((sum, hour) => sum + hour.index, 0) / slice.length);
+        const category = this.airQualityService.standardsRegistry.classify('us-epa', worst.index);
+
+        return {
+            start: new Date(first.time).toISOString(),
+            end: new Date(last.time + 3600 * 1000).toISOString(),
+            startTime: first.time,
+            endTime: last.time + 3600 * 1000,
+            durationHours: slice.length,
+            averageIndex,
+            maxIndex: worst.index,
+            level: category.level,
+            description: category.description,
+            dominantPollutant: worst.pollutant,
+            suitable: worst.index <= maxIndex,
+            score
+        };
+    }
+
+    /**
+     * Verifica se as horas são consecutivas
+     * @param {Array<Object>} slice - Horas pontuadas
+     * @returns {boolean}
+     */
+    _isContiguous(slice) {
+        return slice.every((hour, index) => index === 0 || hour.time - slice[index - 1].time === 3600 * 1000);
+    }
+
+    /**
+     * Valida duração e horizonte
+     * @param {Object} options - durationHours e horizonHours
+     */
+    _validateOptions({ durationHours = 1, horizonHours = this.minHorizonHours }) {
+        if (!Number.isInteger(horizonHours) || horizonHours < this.minHorizonHours || horizonHours > this.maxHorizonHours) {
+            throw new AirQualityDataError(
+                `Horizonte inválido: ${horizonHours}h (permitido: ${this.minHorizonHours} a ${this.maxHorizonHours})`
+            );
+        }
+
+        if (!Number.isInteger(durationHours) || durationHours < 1 || durationHours > horizonHours) {
+            throw new AirQualityDataError(`Duração inválida: ${durationHours}h (permitido: 1 a ${horizonHours})`);
+        }
+    }
+}
+
+export { ActivityPlanner, PROFILE_POLLUTANT_WEIGHTS };
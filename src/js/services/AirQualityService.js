@@ -2,51 +2,121 @@
  * AirQualityService - Serviço para dados de qualidade do ar
  * Utiliza a API Open-Meteo Air Quality
  */
+import { AQIStandardsRegistry } from './AQIStandardsRegistry.js';
+import { UnitConverter } from '../utils/UnitConverter.js';
+import { WHOGuidelines } from './WHOGuidelines.js';
+import { HealthAdvisor } from './HealthAdvisor.js';
+import { RequestSignal } from '../utils/RequestSignal.js';
+
+/**
+ * Tipos de AQI retornados pela API e seus padrões no registro
+ */
+const AQI_TYPE_STANDARDS = {
+    european: 'eea',
+    us: 'us-epa'
+};
+
+/**
+ * Material particulado com NowCast da EPA e horas consideradas na média
+ */
+const NOWCAST_POLLUTANTS = ['pm2_5', 'pm10'];
+const NOWCAST_HOURS = 12;
+
 class AirQualityService {
-    constructor() {
+    constructor(options = {}) {
         this.baseURL = 'https://air-quality.open-meteo.com/v1/air-quality';
+        this.variables = [
+            'european_aqi',
+            'us_aqi',
+            'pm10',
+            'pm2_5',
+            'carbon_monoxide',
+            'nitrogen_dioxide',
+            'sulphur_dioxide',
+            'ozone'
+        ];
+        // Pólen (grãos/m³) - disponível apenas para a Europa, na estação de cada espécie
+        this.allergenVariables = [
+            'alder_pollen',
+            'birch_pollen',
+            'grass_pollen',
+            'mugwort_pollen',
+            'olive_pollen',
+            'ragweed_pollen'
+        ];
+        // Conjunto estendido opcional: radiação UV, poeira, aerossóis e amônia
+        this.extendedVariables = [
+            'uv_index',
+            'dust',
+            'aerosol_optical_depth',
+            'ammonia'
+        ];
+        this.includeExtended = options.extended || false;
         this.defaultParams = {
-            current: [
-                'european_aqi',
-                'us_aqi',
-                'pm10',
-                'pm2_5',
-                'carbon_monoxide',
-                'nitrogen_dioxide',
-                'sulphur_dioxide',
-                'ozone'
-            ].join(','),
+            current: [...this.variables, ...this.allergenVariables].join(','),
             timezone: 'auto'
         };
+        // Série horária de material particulado para o NowCast da EPA
+        this.nowCastParams = {
+            hourly: 'pm2_5,pm10',
+            past_days: 1,
+            forecast_days: 1
+        };
+        this.maxForecastDays = 7; // Limite da API Open-Meteo
+        this.maxPastDays = 92;    // Limite da API Open-Meteo
+        // Coordenadas por requisição em lote (limita o tamanho da URL)
+        this.maxBatchSize = options.maxBatchSize || 50;
+        // Tempo limite por requisição (ms); cada chamada pode informar o seu
+        this.timeout = options.timeout ?? 15000;
+        this.healthCheckTimeout = options.healthCheckTimeout ?? 5000;
+
+        // Padrões de índice calculados localmente a partir das concentrações
+        this.standardsRegistry = options.standardsRegistry || new AQIStandardsRegistry();
+        this.standards = options.standards || ['eea', 'us-epa'];
+        this.whoGuidelines = options.whoGuidelines || new WHOGuidelines();
+        // Recomendações por perfil de saúde (compartilhado com a UI)
+        this.healthAdvisor = options.healthAdvisor || new HealthAdvisor();
+
+        // Unidades preferidas por poluente (ex.: { ozone: 'ppb' }) e condições do ar para conversão
+        this.unitPreferences = options.unitPreferences || {};
+        this.referenceConditions = options.referenceConditions || null;
+
+        // Limites de qualidade dos dados: idade máxima da observação e poluentes esperados
+        this.qualityThresholds = {
+            maxObservationAge: 3 * 60 * 60 * 1000, // 3 horas
+            expectedPollutants: ['pm2_5', 'pm10', 'ozone', 'nitrogen_dioxide', 'sulphur_dioxide', 'carbon_monoxide'],
+            ...options.qualityThresholds
+        };
+    }
+
+    /**
+     * Define as unidades preferidas para exibição dos poluentes
+     * @param {Object} preferences - Mapa poluente → unidade (µg/m³, mg/m³, ppb, ppm)
+     */
+    setUnitPreferences(preferences = {}) {
+        this.unitPreferences = { ...preferences };
     }
 
     /**
      * Obtém dados de qualidade do ar para coordenadas específicas
      * @param {Object} coordinates - Objeto com lat e lon
+     * @param {Object} options - Opções da consulta
+     * @param {boolean} options.extended - Inclui UV, poeira, aerossóis e amônia
+     * @param {AbortSignal} options.signal - Cancela a requisição (opcional)
+     * @param {number} options.timeout - Tempo limite em ms (padrão: this.timeout)
      * @returns {Promise<Object>} Dados de qualidade do ar processados
      */
-    async getAirQuality({ lat, lon }) {
+    async getAirQuality({ lat, lon }, { extended = this.includeExtended, signal = null, timeout = this.timeout } = {}) {
         try {
-            const url = this._buildURL({
-                latitude: lat,
-                longitude: lon,
-                ...this.defaultParams
-            });
-
             console.log(`🌬️ AirQualityService: Fetching air quality for ${lat}, ${lon}`);
 
-            const response = await fetch(url, {
-                method: 'GET',
-                headers: {
-                    'Accept': 'application/json'
-                }
-            });
-
-            if (!response.ok) {
-                throw new Error(`Air Quality API returned ${response.status}: ${response.statusText}`);
-            }
-
-            const rawData = await response.json();
+            const rawData = await this._fetchData({
+                latitude: lat,
+                longitude: lon,
+                ...this.defaultParams,
+                ...(extended && { current: this._buildCurrentVariables(true) }),
+                ...this.nowCastParams
+            }, { signal, timeout });
             
             if (!rawData.current) {
                 throw new AirQualityDataError('Dados de qualidade do ar não disponíveis para esta localização');
@@ -63,7 +133,7 @@ class AirQualityService {
                 error: error.message
             });
             
-            if (error instanceof AirQualityDataError) {
+            if (error instanceof AirQualityDataError || RequestSignal.isCancellation(error)) {
                 throw error;
             }
             
@@ -71,12 +141,329 @@ class AirQualityService {
         }
     }
 
+    /**
+     * Monta a lista de variáveis do bloco current
+     * @param {boolean} extended - Inclui o conjunto estendido
+     * @returns {string} Variáveis separadas por vírgula
+     */
+    _buildCurrentVariables(extended) {
+        return [
+            ...this.variables,
+            ...this.allergenVariables,
+            ...(extended ? this.extendedVariables : [])
+        ].join(',');
+    }
+
+    /**
+     * Obtém dados de qualidade do ar para várias coordenadas em lote
+     * A API aceita listas de latitude/longitude separadas por vírgula e retorna
+     * um array com um objeto por localização, na mesma ordem
+     * @param {Array<Object>} coordinatesList - Lista de objetos com lat e lon
+     * @param {Object} options - signal e timeout (por requisição de lote)
+     * @returns {Promise<Array<Object>>} Um resultado { coordinates, data, error } por coordenada
+     */
+    async getAirQualityBatch(coordinatesList, { signal = null, timeout = this.timeout } = {}) {
+        if (!Array.isArray(coordinatesList) || coordinatesList.length === 0) {
+            throw new AirQualityDataError('Informe ao menos uma coordenada para a consulta em lote');
+        }
+
+        try {
+            console.log(`🌬️ AirQualityService: Fetching air quality batch for ${coordinatesList.length} locations`);
+
+            const results = [];
+            for (let start = 0; start < coordinatesList.length; start += this.maxBatchSize) {
+                const chunk = coordinatesList.slice(start, start + this.maxBatchSize);
+                results.push(...await this._fetchBatchChunk(chunk, { signal, timeout }));
+            }
+
+            return results;
+
+        } catch (error) {
+            console.error('❌ AirQualityService: Error fetching air quality batch', {
+                locations: coordinatesList.length,
+                error: error.message
+            });
+
+            if (error instanceof AirQualityDataError || RequestSignal.isCancellation(error)) {
+                throw error;
+            }
+
+            throw new AirQualityError(`Erro ao buscar dados de qualidade do ar em lote: ${error.message}`, error);
+        }
+    }
+
+    /**
+     * Busca um lote de coordenadas em uma única requisição e separa a resposta
+     * @param {Array<Object>} chunk - Coordenadas do lote (até maxBatchSize)
+     * @param {Object} options - signal e timeout
+     * @returns {Promise<Array<Object>>} Resultados por coordenada
+     */
+    async _fetchBatchChunk(chunk, options) {
+        const rawData = await this._fetchData({
+            latitude: chunk.map(({ lat }) => lat).join(','),
+            longitude: chunk.map(({ lon }) => lon).join(','),
+            ...this.defaultParams,
+            ...this.nowCastParams
+        }, options);
+
+        // Uma única coordenada retorna um objeto em vez de array
+        const locations = Array.isArray(rawData) ? rawData : [rawData];
+
+        if (locations.length !== chunk.length) {
+            throw new AirQualityDataError(
+                `Resposta em lote inconsistente: ${locations.length} localizações para ${chunk.length} coordenadas`
+            );
+        }
+
+        return locations.map((locationData, index) => {
+            const coordinates = chunk[index];
+
+            if (!locationData || !locationData.current) {
+                return {
+                    coordinates,
+                    data: null,
+                    error: new AirQualityDataError('Dados de qualidade do ar não disponíveis para esta localização')
+                };
+            }
+
+            return { coordinates, data: this._processAirQualityData(locationData), error: null };
+        });
+    }
+
+    /**
+     * Obtém previsão horária de qualidade do ar para coordenadas específicas
+     * @param {Object} coordinates - Objeto com lat e lon
+     * @param {Object} options - Opções da previsão
+     * @param {number} options.days - Número de dias de previsão (1 a 7)
+     * @param {AbortSignal} options.signal - Cancela a requisição (opcional)
+     * @param {number} options.timeout - Tempo limite em ms (padrão: this.timeout)
+     * @returns {Promise<Object>} Série temporal horária processada
+     */
+    async getForecast({ lat, lon }, { days = 3, signal = null, timeout = this.timeout } = {}) {
+        try {
+            if (!Number.isInteger(days) || days < 1 || days > this.maxForecastDays) {
+                throw new AirQualityDataError(
+                    `Número de dias de previsão inválido: ${days} (permitido: 1 a ${this.maxForecastDays})`
+                );
+            }
+
+            console.log(`🌬️ AirQualityService: Fetching ${days}-day forecast for ${lat}, ${lon}`);
+
+            const rawData = await this._fetchData({
+                latitude: lat,
+                longitude: lon,
+                hourly: this.variables.join(','),
+                forecast_days: days,
+                timezone: this.defaultParams.timezone
+            }, { signal, timeout });
+
+            if (!rawData.hourly || !Array.isArray(rawData.hourly.time) || rawData.hourly.time.length === 0) {
+                throw new AirQualityDataError('Previsão de qualidade do ar não disponível para esta localização');
+            }
+
+            const forecast = {
+                hours: this._processHourlyData(rawData),
+                metadata: {
+                    ...this._buildMetadata(rawData),
+                    days
+                },
+                raw: rawData
+            };
+
+            console.log(`✅ AirQualityService: Forecast retrieved (${forecast.hours.length} hours)`);
+            return forecast;
+
+        } catch (error) {
+            console.error('❌ AirQualityService: Error fetching air quality forecast', {
+                coordinates: { lat, lon },
+                error: error.message
+            });
+
+            if (error instanceof AirQualityDataError || RequestSignal.isCancellation(error)) {
+                throw error;
+            }
+
+            throw new AirQualityError(`Erro ao buscar previsão de qualidade do ar: ${error.message}`, error);
+        }
+    }
+
+    /**
+     * Obtém histórico horário de qualidade do ar para coordenadas específicas
+     * Aceita um intervalo explícito (startDate/endDate) ou os últimos N dias (pastDays)
+     * @param {Object} coordinates - Objeto com lat e lon
+     * @param {Object} options - Período do histórico
+     * @param {string} options.startDate - Data inicial (YYYY-MM-DD)
+     * @param {string} options.endDate - Data final (YYYY-MM-DD)
+     * @param {number} options.pastDays - Número de dias passados (1 a 92)
+     * @param {AbortSignal} options.signal - Cancela a requisição (opcional)
+     * @param {number} options.timeout - Tempo limite em ms (padrão: this.timeout)
+     * @returns {Promise<Object>} Série temporal horária processada
+     */
+    async getHistory({ lat, lon }, { startDate, endDate, pastDays, signal = null, timeout = this.timeout } = {}) {
+        try {
+            const rangeParams = this._buildHistoryRangeParams({ startDate, endDate, pastDays });
+
+            console.log(`🌬️ AirQualityService: Fetching history for ${lat}, ${lon}`, rangeParams);
+
+            const rawData = await this._fetchData({
+                latitude: lat,
+                longitude: lon,
+                hourly: this.variables.join(','),
+                ...rangeParams,
+                timezone: this.defaultParams.timezone
+            }, { signal, timeout });
+
+            if (!rawData.hourly || !Array.isArray(rawData.hourly.time) || rawData.hourly.time.length === 0) {
+                throw new AirQualityDataError('Histórico de qualidade do ar não disponível para esta localização');
+            }
+
+            // Horas futuras são previsão, não histórico
+            const now = Date.now();
+            const hours = this._processHourlyData(rawData)
+                .filter(entry => this._parseObservationTime(entry.metadata.timestamp, rawData) <= now);
+
+            const history = {
+                hours,
+                metadata: {
+                    ...this._buildMetadata(rawData),
+                    startDate: startDate || null,
+                    endDate: endDate || null,
+                    pastDays: pastDays || null
+                },
+                raw: rawData
+            };
+
+            console.log(`✅ AirQualityService: History retrieved (${history.hours.length} hours)`);
+            return history;
+
+        } catch (error) {
+            console.error('❌ AirQualityService: Error fetching air quality history', {
+                coordinates: { lat, lon },
+                error: error.message
+            });
+
+            if (error instanceof AirQualityDataError || RequestSignal.isCancellation(error)) {
+                throw error;
+            }
+
+            throw new AirQualityError(`Erro ao buscar histórico de qualidade do ar: ${error.message}`, error);
+        }
+    }
+
+    /**
+     * Valida o período do histórico e converte para parâmetros da API
+     * @param {Object} range - startDate/endDate ou pastDays
+     * @returns {Object} Parâmetros de período para a API
+     */
+    _buildHistoryRangeParams({ startDate, endDate, pastDays }) {
+        const datePattern = /^\d{4}-\d{2}-\d{2}$/;
+
+        if (pastDays !== undefined && (startDate || endDate)) {
+            throw new AirQualityDataError('Informe pastDays ou startDate/endDate, não ambos');
+        }
+
+        if (pastDays !== undefined) {
+            if (!Number.isInteger(pastDays) || pastDays < 1 || pastDays > this.maxPastDays) {
+                throw new AirQualityDataError(
+                    `Número de dias passados inválido: ${pastDays} (permitido: 1 a ${this.maxPastDays})`
+                );
+            }
+            // forecast_days mínimo para incluir as horas do dia atual
+            return { past_days: pastDays, forecast_days: 1 };
+        }
+
+        if (!startDate || !endDate) {
+            throw new AirQualityDataError('Período do histórico deve ter startDate e endDate');
+        }
+
+        if (!datePattern.test(startDate) || !datePattern.test(endDate) ||
+            isNaN(Date.parse(startDate)) || isNaN(Date.parse(endDate))) {
+            throw new AirQualityDataError(`Datas inválidas: ${startDate} a ${endDate} (formato YYYY-MM-DD)`);
+        }
+
+        if (startDate > endDate) {
+            throw new AirQualityDataError(`Data inicial ${startDate} é posterior à data final ${endDate}`);
+        }
+
+        return { start_date: startDate, end_date: endDate };
+    }
+
+    /**
+     * Executa requisição à API e retorna o JSON bruto
+     * @param {Object} params - Parâmetros da query
+     * @param {Object} options - Opções da requisição
+     * @param {AbortSignal} options.signal - Cancela a requisição (opcional)
+     * @param {number} options.timeout - Tempo limite em ms
+     * @returns {Promise<Object>} Resposta bruta da API
+     * @throws {RequestCancelledError} Se o chamador cancelar
+     * @throws {RequestTimeoutError} Se o tempo limite for excedido
+     */
+    async _fetchData(params, { signal = null, timeout = this.timeout } = {}) {
+        return RequestSignal.run(async (requestSignal) => {
+            const response = await fetch(this._buildURL(params), {
+                method: 'GET',
+                headers: {
+                    'Accept': 'application/json'
+                },
+                signal: requestSignal
+            });
+
+            if (!response.ok) {
+                throw new Error(`Air Quality API returned ${response.status}: ${response.statusText}`);
+            }
+
+            return response.json();
+        }, { signal, timeout, label: 'Air Quality API' });
+    }
+
+    /**
+     * Processa série horária aplicando o mesmo pipeline dos dados atuais a cada hora
+     * @param {Object} rawData - Dados brutos da API com bloco hourly
+     * @returns {Array<Object>} Uma entrada processada por hora
+     */
+    _processHourlyData(rawData) {
+        const { hourly, hourly_units: units = {} } = rawData;
+
+        // Janela deslizante do NowCast: a série vem ordenada por horário, então cada
+        // hora só acrescenta o próprio valor e descarta o mais antigo
+        const trailing = Object.fromEntries(
+            NOWCAST_POLLUTANTS.filter(key => Array.isArray(hourly[key])).map(key => [key, []])
+        );
+
+        return hourly.time.map((time, index) => {
+            const snapshot = { time };
+
+            Object.keys(hourly).forEach(key => {
+                if (key !== 'time') {
+                    snapshot[key] = hourly[key][index];
+                }
+            });
+
+            Object.entries(trailing).forEach(([key, window]) => {
+                window.unshift(hourly[key][index]);
+                window.length = Math.min(window.length, NOWCAST_HOURS);
+            });
+
+            const entry = this._processAirQualityData({
+                ...rawData,
+                current: snapshot,
+                current_units: units
+            }, { trailing });
+
+            // Dados brutos ficam apenas no nível da série
+            delete entry.raw;
+            return entry;
+        });
+    }
+
     /**
      * Processa dados brutos da API em formato padronizado
      * @param {Object} rawData - Dados brutos da API
+     * @param {Object} options - Opções do processamento
+     * @param {Object} options.trailing - Janelas NowCast já montadas (séries horárias)
      * @returns {Object} Dados processados e enriquecidos
      */
-    _processAirQualityData(rawData) {
+    _processAirQualityData(rawData, { trailing = null } = {}) {
         const current = rawData.current;
         const units = rawData.current_units || {};
 
@@ -86,13 +473,28 @@ class AirQualityService {
 
         // Processa poluentes individuais
         const pollutants = this._processPollutants(current, units);
+
+        // Processa alérgenos (pólen), quando disponíveis para a localização
+        const allergens = this._processAllergens(current, units);
+
+        // Variáveis estendidas (UV, poeira, aerossóis), quando solicitadas
+        const extended = this._processExtended(current, units);
+
+        // Sub-índices EPA calculados localmente (NowCast para PM quando há série horária)
+        const epa = this.calculateEPAAQI(current, rawData.hourly, units, trailing);
         
         // Determina poluente dominante
-        const dominantPollutant = this._findDominantPollutant(pollutants);
+        const dominantPollutant = this._findDominantPollutant(pollutants, epa.subIndices);
+
+        // Calcula índices dos padrões configurados a partir das concentrações
+        const indices = this._calculateIndices(current, units, epa);
+
+        // Comparação com as diretrizes da OMS (2021)
+        const guidelines = this.whoGuidelines.evaluate(current, units);
         
         // Gera classificação e recomendações
         const classification = this._classifyAQI(primaryAQI, aqiType);
-        const healthRecommendation = this._getHealthRecommendation(classification);
+        const healthRecommendation = this._getHealthRecommendation(classification, aqiType, epa.dominantPollutant);
 
         return {
             aqi: {
@@ -100,24 +502,87 @@ class AirQualityService {
                 type: aqiType,
                 classification: classification.level,
                 color: classification.color,
-                description: classification.description
+                description: classification.description,
+                dominantPollutant: epa.dominantPollutant,
+                subIndices: epa.subIndices
             },
             pollutants,
+            allergens,
+            extended,
             dominantPollutant,
+            indices,
+            guidelines,
             healthRecommendation,
+            quality: this._assessDataQuality(current, rawData),
             metadata: {
                 timestamp: current.time,
-                timezone: rawData.timezone,
-                coordinates: {
-                    latitude: rawData.latitude,
-                    longitude: rawData.longitude
-                },
-                elevation: rawData.elevation
+                ...this._buildMetadata(rawData)
             },
             raw: rawData // Manter dados brutos para debug
         };
     }
 
+    /**
+     * Avalia atualidade da observação e completude dos poluentes
+     * @param {Object} current - Dados atuais da API
+     * @param {Object} rawData - Dados brutos (para o fuso horário)
+     * @returns {Object} Indicadores de qualidade dos dados
+     */
+    _assessDataQuality(current, rawData) {
+        const { maxObservationAge, expectedPollutants } = this.qualityThresholds;
+        const observedAt = this._parseObservationTime(current.time, rawData);
+        const observationAge = observedAt === null ? null : Date.now() - observedAt;
+
+        const missing = expectedPollutants.filter(key => current[key] === undefined || current[key] === null);
+        const available = expectedPollutants.length - missing.length;
+
+        return {
+            observedAt: observedAt === null ? null : new Date(observedAt).toISOString(),
+            observationAge,
+            isObservationStale: observationAge === null || observationAge > maxObservationAge,
+            completeness: {
+                expected: [...expectedPollutants],
+                missing,
+                ratio: expectedPollutants.length ? available / expectedPollutants.length : 1,
+                isComplete: missing.length === 0
+            }
+        };
+    }
+
+    /**
+     * Converte o horário da API em timestamp (ms)
+     * Horários locais da Open-Meteo não têm fuso; usa utc_offset_seconds da resposta
+     * @param {string} time - Horário ISO (local ou com fuso)
+     * @param {Object} rawData - Dados brutos da API
+     * @returns {number|null} Timestamp em milissegundos ou null se inválido
+     */
+    _parseObservationTime(time, rawData = {}) {
+        if (!time) return null;
+
+        const hasZone = /(Z|[+-]\d{2}:?\d{2})$/.test(time);
+        const parsed = hasZone
+            ? Date.parse(time)
+            : Date.parse(`${time}Z`) - (rawData.utc_offset_seconds || 0) * 1000;
+
+        return isNaN(parsed) ? null : parsed;
+    }
+
+    /**
+     * Extrai metadados de localização da resposta da API
+     * @param {Object} rawData - Dados brutos da API
+     * @returns {Object} Metadados padronizados
+     */
+    _buildMetadata(rawData) {
+        return {
+            timezone: rawData.timezone,
+            coordinates: {
+                latitude: rawData.latitude,
+                longitude: rawData.longitude
+            },
+            elevation: rawData.elevation
+        };
+    }
+
     /**
      * Processa dados de poluentes individuais
      * @param {Object} current - Dados atuais da API
@@ -138,11 +603,19 @@ class AirQualityService {
 
         Object.entries(pollutantMap).forEach(([key, info]) => {
             if (current[key] !== undefined && current[key] !== null) {
+                const sourceUnit = UnitConverter.normalizeUnit(units[key]) || 'µg/m³';
+                const { value, unit } = this._convertToPreferredUnit(key, current[key], sourceUnit);
+
                 pollutants[key] = {
                     ...info,
-                    value: current[key],
-                    unit: units[key] || 'µg/m³',
-                    level: this._categorizePollutantLevel(key, current[key])
+                    value,
+                    unit,
+                    sourceValue: current[key],
+                    sourceUnit,
+                    level: this._categorizePollutantLevel(
+                        key,
+                        this._safeConvert(key, current[key], sourceUnit, 'µg/m³') ?? current[key]
+                    )
                 };
             }
         });
@@ -151,43 +624,379 @@ class AirQualityService {
     }
 
     /**
-     * Encontra o poluente dominante (com maior concentração relativa)
+     * Converte uma concentração para a unidade preferida do poluente
+     * @param {string} key - Chave do poluente
+     * @param {number} value - Valor na unidade da API
+     * @param {string} sourceUnit - Unidade da API
+     * @returns {Object} Valor e unidade resultantes
+     */
+    _convertToPreferredUnit(key, value, sourceUnit) {
+        const preferredUnit = this.unitPreferences[key];
+        if (!preferredUnit) {
+            return { value, unit: sourceUnit };
+        }
+
+        const converted = this._safeConvert(key, value, sourceUnit, preferredUnit);
+        return converted === null
+            ? { value, unit: sourceUnit }
+            : { value: converted, unit: UnitConverter.normalizeUnit(preferredUnit) };
+    }
+
+    /**
+     * Converte sem lançar erro; retorna null quando a conversão não é suportada
+     * @param {string} key - Chave do poluente
+     * @param {number} value - Valor a converter
+     * @param {string} from - Unidade de origem
+     * @param {string} to - Unidade de destino
+     * @returns {number|null} Valor convertido
+     */
+    _safeConvert(key, value, from, to) {
+        if (!UnitConverter.canConvert(key, from, to)) {
+            return null;
+        }
+        return UnitConverter.convert(value, from, to, { pollutant: key, ...this.referenceConditions });
+    }
+
+    /**
+     * Processa concentrações de pólen em uma categoria de alérgenos
+     * @param {Object} current - Dados atuais da API
+     * @param {Object} units - Unidades dos dados
+     * @returns {Object|null} Alérgenos processados ou null se não houver dados
+     */
+    _processAllergens(current, units) {
+        const allergenMap = {
+            alder_pollen: { name: 'Amieiro', description: 'Pólen de amieiro (Alnus)' },
+            birch_pollen: { name: 'Bétula', description: 'Pólen de bétula (Betula)' },
+            grass_pollen: { name: 'Gramíneas', description: 'Pólen de gramíneas (Poaceae)' },
+            mugwort_pollen: { name: 'Artemísia', description: 'Pólen de artemísia (Artemisia)' },
+            olive_pollen: { name: 'Oliveira', description: 'Pólen de oliveira (Olea)' },
+            ragweed_pollen: { name: 'Ambrósia', description: 'Pólen de ambrósia (Ambrosia)' }
+        };
+        const levelOrder = ['none', 'low', 'moderate', 'high', 'very-high'];
+
+        const items = {};
+        let overallLevel = 'none';
+        let dominant = null;
+
+        Object.entries(allergenMap).forEach(([key, info]) => {
+            if (current[key] === undefined || current[key] === null) {
+                return;
+            }
+
+            const level = this._categorizeAllergenLevel(key, current[key]);
+            items[key] = {
+                ...info,
+                value: current[key],
+                unit: units[key] || 'grãos/m³',
+                level
+            };
+
+            if (levelOrder.indexOf(level) > levelOrder.indexOf(overallLevel)) {
+                overallLevel = level;
+                dominant = key;
+            }
+        });
+
+        if (Object.keys(items).length === 0) {
+            return null;
+        }
+
+        return {
+            items,
+            level: overallLevel,
+            dominant,
+            recommendation: this._getAllergenRecommendation(overallLevel)
+        };
+    }
+
+    /**
+     * Processa as variáveis do conjunto estendido com classificação própria
+     * @param {Object} current - Dados atuais da API
+     * @param {Object} units - Unidades dos dados
+     * @returns {Object|null} Variáveis estendidas ou null se não solicitadas
+     */
+    _processExtended(current, units) {
+        const extendedMap = {
+            uv_index: { name: 'Índice UV', description: 'Radiação ultravioleta (escala OMS)', unit: '' },
+            dust: { name: 'Poeira', description: 'Poeira mineral em suspensão', unit: 'µg/m³' },
+            aerosol_optical_depth: { name: 'AOD', description: 'Profundidade óptica de aerossóis (550 nm) - fumaça e névoa seca', unit: '' },
+            ammonia: { name: 'NH₃', description: 'Amônia', unit: 'µg/m³' }
+        };
+
+        const items = {};
+
+        Object.entries(extendedMap).forEach(([key, info]) => {
+            if (current[key] === undefined || current[key] === null) {
+                return;
+            }
+
+            items[key] = {
+                ...info,
+                value: current[key],
+                unit: UnitConverter.normalizeUnit(units[key]) || info.unit,
+                level: this._categorizeExtendedLevel(key, current[key])
+            };
+        });
+
+        if (Object.keys(items).length === 0) {
+            return null;
+        }
+
+        return {
+            items,
+            recommendations: this._getExtendedRecommendations(items)
+        };
+    }
+
+    /**
+     * Categoriza as variáveis estendidas
+     * UV segue as categorias da OMS; poeira e AOD seguem níveis usuais de eventos de poeira e fumaça
+     * @param {string} key - Variável
+     * @param {number} value - Valor
+     * @returns {string} low, moderate, high, very-high ou extreme
+     */
+    _categorizeExtendedLevel(key, value) {
+        const thresholds = {
+            uv_index: [2, 5, 7, 10],                  // OMS: 0-2, 3-5, 6-7, 8-10, 11+
+            dust: [50, 200, 500, 1000],               // µg/m³: >500 evento intenso, >1000 tempestade
+            aerosol_optical_depth: [0.1, 0.3, 0.6, 1.0]
+        };
+
+        const limits = thresholds[key];
+        if (!limits) {
+            return this._categorizePollutantLevel(key, value);
+        }
+
+        // Índice UV é publicado com decimais; a OMS usa valores inteiros
+        const level = key === 'uv_index' ? Math.round(value) : value;
+
+        if (level <= limits[0]) return 'low';
+        if (level <= limits[1]) return 'moderate';
+        if (level <= limits[2]) return 'high';
+        if (level <= limits[3]) return 'very-high';
+        return 'extreme';
+    }
+
+    /**
+     * Gera recomendações para UV, poeira e fumaça
+     * @param {Object} items - Variáveis estendidas processadas
+     * @returns {Array<string>} Recomendações aplicáveis
+     */
+    _getExtendedRecommendations(items) {
+        const uvRecommendations = {
+            'moderate': 'UV moderado: use protetor solar e procure sombra perto do meio-dia.',
+            'high': 'UV alto: reduza a exposição entre 10h e 16h; use chapéu, óculos escuros e protetor solar.',
+            'very-high': 'UV muito alto: evite o sol entre 10h e 16h e reaplique protetor solar a cada 2 horas.',
+            'extreme': 'UV extremo: evite ficar ao sol; a pele desprotegida queima em poucos minutos.'
+        };
+        const elevated = ['high', 'very-high', 'extreme'];
+        const recommendations = [];
+
+        if (items.uv_index && uvRecommendations[items.uv_index.level]) {
+            recommendations.push(uvRecommendations[items.uv_index.level]);
+        }
+
+        if (items.dust && elevated.includes(items.dust.level)) {
+            recommendations.push('Evento de poeira: mantenha janelas fechadas e use máscara PFF2 ao ar livre.');
+        }
+
+        if (items.aerosol_optical_depth && elevated.includes(items.aerosol_optical_depth.level)) {
+            recommendations.push('Alta carga de aerossóis (fumaça ou névoa seca): reduza esforços físicos ao ar livre.');
+        }
+
+        return recommendations;
+    }
+
+    /**
+     * Categoriza nível de pólen por espécie
+     * @param {string} allergen - Tipo de pólen
+     * @param {number} value - Concentração em grãos/m³
+     * @returns {string} Categoria do nível
+     */
+    _categorizeAllergenLevel(allergen, value) {
+        // Limites em grãos/m³ - espécies mais alergênicas têm limites menores
+        const thresholds = {
+            alder_pollen: [10, 50, 100],
+            birch_pollen: [10, 50, 100],
+            olive_pollen: [10, 50, 200],
+            grass_pollen: [5, 20, 50],
+            mugwort_pollen: [5, 15, 50],
+            ragweed_pollen: [5, 10, 50]
+        };
+
+        const limits = thresholds[allergen] || [10, 50, 100];
+
+        if (value <= 0) return 'none';
+        if (value <= limits[0]) return 'low';
+        if (value <= limits[1]) return 'moderate';
+        if (value <= limits[2]) return 'high';
+        return 'very-high';
+    }
+
+    /**
+     * Gera recomendações para pessoas alérgicas baseadas no nível de pólen
+     * @param {string} level - Nível geral de pólen
+     * @returns {Object} Recomendações para alérgicos
+     */
+    _getAllergenRecommendation(level) {
+        const recommendations = {
+            'none': {
+                general: 'Sem pólen detectado no momento.',
+                allergic: 'Nenhum cuidado especial necessário.'
+            },
+            'low': {
+                general: 'Concentração de pólen baixa.',
+                allergic: 'Apenas pessoas muito sensíveis devem notar sintomas.'
+            },
+            'moderate': {
+                general: 'Concentração de pólen moderada.',
+                allergic: 'Tenha a medicação antialérgica à mão e evite secar roupas ao ar livre.'
+            },
+            'high': {
+                general: 'Concentração de pólen alta.',
+                allergic: 'Mantenha janelas fechadas, use óculos de sol ao sair e tome banho ao voltar para casa.'
+            },
+            'very-high': {
+                general: 'Concentração de pólen muito alta.',
+                allergic: 'Evite atividades ao ar livre, principalmente pela manhã, e siga o tratamento indicado pelo médico.'
+            }
+        };
+
+        return recommendations[level] || recommendations['none'];
+    }
+
+    /**
+     * Encontra o poluente dominante (com maior sub-índice EPA)
      * @param {Object} pollutants - Poluentes processados
+     * @param {Object} subIndices - Sub-índices EPA por poluente
      * @returns {Object|null} Poluente dominante
      */
-    _findDominantPollutant(pollutants) {
+    _findDominantPollutant(pollutants, subIndices = {}) {
         let dominant = null;
-        let highestRatio = 0;
-
-        // Limites seguros para comparação (WHO guidelines)
-        const safetyLimits = {
-            pm10: 50,    // µg/m³
-            pm2_5: 25,   // µg/m³
-            carbon_monoxide: 10000, // µg/m³
-            nitrogen_dioxide: 40,    // µg/m³
-            sulphur_dioxide: 125,    // µg/m³
-            ozone: 120   // µg/m³
-        };
 
         Object.entries(pollutants).forEach(([key, pollutant]) => {
-            const limit = safetyLimits[key];
-            if (limit && pollutant.value > 0) {
-                const ratio = pollutant.value / limit;
-                if (ratio > highestRatio) {
-                    highestRatio = ratio;
-                    dominant = {
-                        ...pollutant,
-                        key,
-                        exceedsLimit: ratio > 1,
-                        ratio
-                    };
-                }
+            const subIndex = subIndices[key];
+            if (subIndex && (!dominant || subIndex.value > dominant.subIndex)) {
+                dominant = {
+                    ...pollutant,
+                    key,
+                    subIndex: subIndex.value,
+                    // AQI 100 corresponde ao padrão nacional de qualidade do ar (NAAQS)
+                    exceedsLimit: subIndex.value > 100,
+                    ratio: subIndex.value / 100
+                };
             }
         });
 
         return dominant;
     }
 
+    /**
+     * Calcula o US EPA AQI local com sub-índice por poluente
+     * PM2.5 e PM10 usam o NowCast das últimas 12 horas quando há série horária
+     * @param {Object} current - Valores de um instante da API
+     * @param {Object} hourly - Bloco hourly da API (opcional)
+     * @param {Object} units - Unidades dos dados
+     * @param {Object} trailing - Últimas horas de cada poluente, da mais recente para a mais
+     * antiga (opcional; evita buscar a janela em hourly a cada hora de uma série)
+     * @returns {Object} Índice EPA, poluente dominante, sub-índices e valores NowCast
+     */
+    calculateEPAAQI(current, hourly = null, units = {}, trailing = null) {
+        const concentrations = {};
+        const nowCast = {};
+
+        Object.keys(current).forEach(key => {
+            if (current[key] !== undefined && current[key] !== null) {
+                concentrations[key] = { value: current[key], unit: units[key] || 'µg/m³' };
+            }
+        });
+
+        NOWCAST_POLLUTANTS.forEach(key => {
+            const series = trailing
+                ? trailing[key] || null
+                : this._getTrailingHours(hourly, key, current.time, NOWCAST_HOURS);
+            const value = series ? this._calculateNowCast(series) : null;
+
+            if (value !== null) {
+                nowCast[key] = value;
+                concentrations[key] = { value, unit: units[key] || 'µg/m³' };
+            }
+        });
+
+        return {
+            ...this.calculateAQI(concentrations, 'us-epa'),
+            nowCast
+        };
+    }
+
+    /**
+     * Calcula o NowCast da EPA para material particulado
+     * @param {Array<number|null>} values - Concentrações horárias, da mais recente para a mais antiga
+     * @returns {number|null} Concentração NowCast ou null se dados insuficientes
+     */
+    _calculateNowCast(values) {
+        // Exige ao menos 2 das 3 horas mais recentes
+        const recentValid = values.slice(0, 3).filter(value => value !== null && value !== undefined);
+        if (recentValid.length < 2) {
+            return null;
+        }
+
+        const valid = values.filter(value => value !== null && value !== undefined);
+        const max = Math.max(...valid);
+        const min = Math.min(...valid);
+        const weight = max > 0 ? Math.max(min / max, 0.5) : 1;
+
+        let weightedSum = 0;
+        let weightTotal = 0;
+
+        values.forEach((value, index) => {
+            if (value !== null && value !== undefined) {
+                const factor = weight ** index;
+                weightedSum += value * factor;
+                weightTotal += factor;
+            }
+        });
+
+        return weightedSum / weightTotal;
+    }
+
+    /**
+     * Obtém as últimas N horas de uma variável até o instante informado
+     * A série da API é ordenada por horário: a hora final é achada por busca binária
+     * @param {Object} hourly - Bloco hourly da API
+     * @param {string} key - Variável desejada
+     * @param {string} time - Instante de referência (ISO local da API)
+     * @param {number} count - Número de horas
+     * @returns {Array|null} Valores da hora mais recente para a mais antiga
+     */
+    _getTrailingHours(hourly, key, time, count) {
+        if (!hourly || !Array.isArray(hourly.time) || !Array.isArray(hourly[key]) || !time) {
+            return null;
+        }
+
+        let endIndex = -1;
+        let low = 0;
+        let high = hourly.time.length - 1;
+
+        while (low <= high) {
+            const middle = Math.floor((low + high) / 2);
+            if (hourly.time[middle] <= time) {
+                endIndex = middle;
+                low = middle + 1;
+            } else {
+                high = middle - 1;
+            }
+        }
+
+        if (endIndex < 0) {
+            return null;
+        }
+
+        return hourly[key]
+            .slice(Math.max(0, endIndex - count + 1), endIndex + 1)
+            .reverse();
+    }
+
     /**
      * Classifica nível de AQI
      * @param {number} aqi - Valor do AQI
@@ -203,65 +1012,72 @@ class AirQualityService {
             };
         }
 
-        // Classificação European AQI
-        if (type === 'european') {
-            if (aqi <= 20) return { level: 'good', color: '#00E400', description: 'Boa' };
-            if (aqi <= 40) return { level: 'fair', color: '#FFFF00', description: 'Razoável' };
-            if (aqi <= 60) return { level: 'moderate', color: '#FF7E00', description: 'Moderada' };
-            if (aqi <= 80) return { level: 'poor', color: '#FF0000', description: 'Ruim' };
-            if (aqi <= 100) return { level: 'very-poor', color: '#8F3F97', description: 'Muito Ruim' };
-            return { level: 'extremely-poor', color: '#7E0023', description: 'Extremamente Ruim' };
-        }
+        // Tipos desconhecidos seguem a escala US, como antes do registro de padrões
+        const requested = AQI_TYPE_STANDARDS[type] || type;
+        const standardId = this.standardsRegistry.has(requested) ? requested : AQI_TYPE_STANDARDS.us;
+        const { level, color, description } = this.standardsRegistry.classify(standardId, aqi);
 
-        // Classificação US AQI
-        if (aqi <= 50) return { level: 'good', color: '#00E400', description: 'Boa' };
-        if (aqi <= 100) return { level: 'moderate', color: '#FFFF00', description: 'Moderada' };
-        if (aqi <= 150) return { level: 'unhealthy-sensitive', color: '#FF7E00', description: 'Ruim para Grupos Sensíveis' };
-        if (aqi <= 200) return { level: 'unhealthy', color: '#FF0000', description: 'Ruim' };
-        if (aqi <= 300) return { level: 'very-unhealthy', color: '#8F3F97', description: 'Muito Ruim' };
-        return { level: 'hazardous', color: '#7E0023', description: 'Perigosa' };
+        return { level, color, description };
     }
 
     /**
-     * Gera recomendações de saúde baseadas na classificação
-     * @param {Object} classification - Classificação do AQI
-     * @returns {Object} Recomendações de saúde
+     * Calcula o índice de um padrão registrado a partir das concentrações brutas
+     * @param {Object} concentrations - Concentrações por poluente: número (µg/m³) ou { value, unit }
+     * @param {string} standardId - Identificador do padrão (us-epa, eea, conama, in-naqi, uk-daqi...)
+     * @returns {Object} Índice, categoria, sub-índices e poluente dominante
      */
-    _getHealthRecommendation(classification) {
-        const recommendations = {
-            'good': {
-                general: 'A qualidade do ar é considerada satisfatória. Aproveite atividades ao ar livre!',
-                sensitive: 'Excelente para pessoas com sensibilidades respiratórias.',
-                activities: 'Todas as atividades ao ar livre são recomendadas.'
-            },
-            'fair': {
-                general: 'Qualidade do ar aceitável. A maioria das pessoas pode realizar atividades normais.',
-                sensitive: 'Pessoas muito sensíveis devem considerar reduzir atividades prolongadas ao ar livre.',
-                activities: 'Atividades normais são adequadas.'
-            },
-            'moderate': {
-                general: 'Pessoas sensíveis podem experimentar sintomas respiratórios menores.',
-                sensitive: 'Grupos sensíveis devem limitar atividades prolongadas ao ar livre.',
-                activities: 'Reduza atividades extenuantes ao ar livre.'
-            },
-            'poor': {
-                general: 'Todos podem começar a experimentar efeitos na saúde.',
-                sensitive: 'Grupos sensíveis devem evitar atividades ao ar livre.',
-                activities: 'Evite exercícios ao ar livre. Prefira ambientes fechados.'
-            },
-            'very-poor': {
-                general: 'Alerta de saúde: todos podem experimentar efeitos mais sérios.',
-                sensitive: 'Grupos sensíveis devem permanecer em ambientes fechados.',
-                activities: 'Evite todas as atividades ao ar livre.'
-            },
-            'extremely-poor': {
-                general: 'Emergência de saúde: toda a população pode ser afetada.',
-                sensitive: 'Todos devem permanecer em ambientes fechados com ar filtrado.',
-                activities: 'Permaneça em casa. Use purificadores de ar se disponível.'
+    calculateAQI(concentrations, standardId) {
+        return this.standardsRegistry.calculate(standardId, concentrations);
+    }
+
+    /**
+     * Lista os padrões de AQI disponíveis
+     * @returns {Array<Object>} Padrões registrados (id, name, region)
+     */
+    getAvailableStandards() {
+        return this.standardsRegistry.list();
+    }
+
+    /**
+     * Calcula os índices dos padrões configurados para um conjunto de dados
+     * @param {Object} current - Valores de um instante da API
+     * @param {Object} units - Unidades dos dados
+     * @param {Object} epa - Resultado de calculateEPAAQI, reutilizado para o padrão us-epa
+     * @returns {Object} Resultado por identificador de padrão
+     */
+    _calculateIndices(current, units, epa = null) {
+        const concentrations = {};
+
+        Object.keys(current).forEach(key => {
+            if (current[key] !== undefined && current[key] !== null) {
+                concentrations[key] = { value: current[key], unit: units[key] || 'µg/m³' };
             }
-        };
+        });
+
+        const indices = {};
+        this.standards.forEach(standardId => {
+            indices[standardId] = standardId === 'us-epa' && epa
+                ? epa
+                : this.calculateAQI(concentrations, standardId);
+        });
+
+        return indices;
+    }
 
-        return recommendations[classification.level] || recommendations['good'];
+    /**
+     * Gera recomendações de saúde baseadas na classificação, no poluente dominante
+     * e no perfil de saúde do usuário
+     * @param {Object} classification - Classificação do AQI
+     * @param {string} aqiType - Escala do índice (european ou us)
+     * @param {string} dominantPollutant - Poluente dominante
+     * @returns {Object} Recomendações de saúde
+     */
+    _getHealthRecommendation(classification, aqiType = 'european', dominantPollutant = null) {
+        return this.healthAdvisor.getRecommendations({
+            level: classification.level === 'unknown' ? 'good' : classification.level,
+            scale: aqiType,
+            pollutant: dominantPollutant
+        });
     }
 
     /**
@@ -311,11 +1127,14 @@ class AirQualityService {
     async healthCheck() {
         try {
             // Testa com coordenadas de São Paulo
-            const response = await fetch(this._buildURL({
-                latitude: -23.5505,
-                longitude: -46.6333,
-                current: 'european_aqi'
-            }));
+            const response = await RequestSignal.run(
+                signal => fetch(this._buildURL({
+                    latitude: -23.5505,
+                    longitude: -46.6333,
+                    current: 'european_aqi'
+                }), { signal }),
+                { timeout: this.healthCheckTimeout, label: 'Health check da Air Quality API' }
+            );
             
             return response.ok;
         } catch (error) {
@@ -0,0 +1,221 @@
+/**
+ * AreaSampler - Qualidade do ar agregada sobre a área de uma localização
+ * Divide o bounding box da geocodificação em uma grade, consulta o centro de cada
+ * célula em uma única requisição em lote e resume mínimo, média e máximo por poluente,
+ * apontando a sub-área mais poluída. Cidades grandes variam bastante entre bairros e
+ * uma leitura no centróide pode enganar
+ */
+import { AirQualityService, AirQualityDataError } from './AirQualityService.js';
+
+/**
+ * Células por lado da grade (3 x 3 = 9 pontos)
+ */
+const DEFAULT_GRID_SIZE = 3;
+
+/**
+ * Limite de células por lado (7 x 7 = 49 pontos cabem em um lote da Open-Meteo)
+ */
+const MAX_GRID_SIZE = 7;
+
+/**
+ * Espaçamento mínimo entre pontos, em graus (~5 km)
+ * O modelo CAMS tem resolução de 0,1° a 0,4°: pontos mais próximos repetiriam o mesmo valor
+ */
+const MIN_SPACING_DEGREES = 0.05;
+
+class AreaSampler {
+    constructor(options = {}) {
+        this.airQualityService = options.airQualityService || new AirQualityService();
+        this.gridSize = options.gridSize ?? DEFAULT_GRID_SIZE;
+        this.minSpacing = options.minSpacing ?? MIN_SPACING_DEGREES;
+    }
+
+    /**
+     * Consulta a grade e resume os valores da área
+     * @param {Object} boundingBox - south, north, west e east (formato de GeocodingService.geocode)
+     * @param {Object} options - Opções da amostragem
+     * @param {number} options.gridSize - Células por lado (1 a 7)
+     * @param {AbortSignal} options.signal - Cancela a requisição em lote (opcional)
+     * @returns {Promise<Object>} grid, aqi, pollutants (min, mean, max e worst) e samples
+     * @throws {AirQualityDataError} Se a área for inválida ou nenhum ponto tiver dados
+     */
+    async sample(boundingBox, { gridSize = this.gridSize, signal = null } = {}) {
+        const cells = this.buildGrid(boundingBox, { gridSize });
+
+        console.log(`🗺️ AreaSampler: Sampling ${cells.length} points inside the bounding box`);
+
+        const results = await this.airQualityService.getAirQualityBatch(cells.map(({ lat, lon }) => ({ lat, lon })), { signal });
+        const samples = cells.map((cell, index) => ({ ...cell, data: results[index].data, error: results[index].error }));
+        const valid = samples.filter(sample => sample.data);
+
+        if (valid.length === 0) {
+            throw new AirQualityDataError('Nenhum ponto da área retornou dados de qualidade do ar');
+        }
+
+        const pollutantKeys = [...new Set(valid.flatMap(sample => Object.keys(sample.data.pollutants || {})))];
+        const pollutants = {};
+
+        pollutantKeys.forEach(key => {
+            const reference = valid.find(sample => sample.data.pollutants[key]).data.pollutants[key];
+
+            pollutants[key] = {
+                name: reference.name,
+                unit: reference.unit,
+                ...this._summarize(
+                    valid,
+                    sample => sample.data.pollutants[key]?.value,
+                    sample => ({ level: sample.data.pollutants[key].level })
+                )
+            };
+        });
+
+        const aqi = this._summarize(
+            valid,
+            sample => sample.data.aqi?.value,
+            sample => ({ type: sample.data.aqi.type, classification: sample.data.aqi.classification })
+        );
+
+        return {
+            boundingBox: { ...boundingBox },
+            grid: {
+                rows: Math.max(...cells.map(cell => cell.row)) + 1,
+                cols: Math.max(...cells.map(cell => cell.col)) + 1,
+                points: cells.length,
+                sampled: valid.length
+            },
+            aqi,
+            pollutants,
+            samples: samples.map(({ row, col, lat, lon, bounds, data, error }) => ({
+                row,
+                col,
+                lat,
+                lon,
+                bounds,
+                aqi: data?.aqi?.value ?? null,
+                pollutants: data ? Object.fromEntries(
+                    Object.entries(data.pollutants || {}).map(([key, pollutant]) => [key, pollutant.value])
+                ) : {},
+                error: error ? error.message : null
+            })),
+            metadata: {
+                timestamp: valid[0].data.metadata?.timestamp || null
+            }
+        };
+    }
+
+    /**
+     * Divide o bounding box em células e calcula o centro de cada uma
+     * A linha 0 fica ao sul e a coluna 0 a oeste; áreas pequenas recebem menos células,
+     * respeitando o espaçamento mínimo
+     * @param {Object} boundingBox - south, north, west e east em graus
+     * @param {Object} options - gridSize (células por lado)
+     * @returns {Array<Object>} Células com row, col, lat, lon e bounds
+     * @throws {AirQualityDataError} Se o bounding box ou o tamanho da grade forem inválidos
+     */
+    buildGrid(boundingBox, { gridSize = this.gridSize } = {}) {
+        if (!Number.isInteger(gridSize) || gridSize < 1 || gridSize > MAX_GRID_SIZE) {
+            throw new AirQualityDataError(`Tamanho de grade inválido: ${gridSize} (permitido: 1 a ${MAX_GRID_SIZE})`);
+        }
+
+        const { south, north, west } = boundingBox || {};
+        if (![south, north, west, boundingBox?.east].every(Number.isFinite) || south > north) {
+            throw new AirQualityDataError('Limites da área não disponíveis para esta localização');
+        }
+
+        // Áreas que cruzam o antimeridiano têm east menor que west
+        const east = boundingBox.east < west ? boundingBox.east + 360 : boundingBox.east;
+        const rows = this._divisions(north - south, gridSize);
+        const cols = this._divisions(east - west, gridSize);
+        const latStep = (north - south) / rows;
+        const lonStep = (east - west) / cols;
+
+        const cells = [];
+        for (let row = 0; row < rows; row++) {
+            for (let col = 0; col < cols; col++) {
+                const cellSouth = south + row * latStep;
+                const cellWest = west + col * lonStep;
+
+                cells.push({
+                    row,
+                    col,
+                    lat: this._round(cellSouth + latStep / 2),
+                    lon: this._round(this._normalizeLongitude(cellWest + lonStep / 2)),
+                    bounds: {
+                        south: this._round(cellSouth),
+                        north: this._round(cellSouth + latStep),
+                        west: this._round(this._normalizeLongitude(cellWest)),
+                        east: this._round(this._normalizeLongitude(cellWest + lonStep))
+                    }
+                });
+            }
+        }
+
+        return cells;
+    }
+
+    /**
+     * Mínimo, média, máximo e célula com o maior valor
+     * @param {Array<Object>} samples - Amostras com dados
+     * @param {Function} getValue - Extrai o valor de uma amostra
+     * @param {Function} describeWorst - Campos extras da pior célula (ex.: nível do poluente)
+     * @returns {Object|null} min, mean, max, count (amostras com valor) e worst
+     */
+    _summarize(samples, getValue, describeWorst) {
+        const readings = samples
+            .map(sample => ({ sample, value: getValue(sample) }))
+            .filter(({ value }) => Number.isFinite(value));
+
+        if (readings.length === 0) {
+            return null;
+        }
+
+        const values = readings.map(({ value }) => value);
+        const worst = readings.reduce((highest, reading) => (reading.value > highest.value ? reading : highest));
+
+        return {
+            min: Math.min(...values),
+            mean: Math.round((values.reduce((sum, value) => sum + value, 0) / values.length) * 100) / 100,
+            max: Math.max(...values),
+            count: readings.length,
+            worst: {
+                row: worst.sample.row,
+                col: worst.sample.col,
+                lat: worst.sample.lat,
+                lon: worst.sample.lon,
+                bounds: worst.sample.bounds,
+                value: worst.value,
+                ...describeWorst(worst.sample)
+            }
+        };
+    }
+
+    /**
+     * Número de células em um eixo
+     * @param {number} span - Extensão do eixo em graus
+     * @param {number} gridSize - Máximo de células
+     * @returns {number}
+     */
+    _divisions(span, gridSize) {
+        return Math.min(gridSize, Math.max(1, Math.floor(span / this.minSpacing)));
+    }
+
+    /**
+     * Traz a longitude de volta para -180..180
+     * @param {number} lon - Longitude
+     * @returns {number}
+     */
+    _normalizeLongitude(lon) {
+        return lon > 180 ? lon - 360 : lon;
+    }
+
+    /**
+     * Arredonda coordenadas para 6 casas decimais
+     * @param {number} value - Coordenada
+     * @returns {number}
+     */
+    _round(value) {
+        return Math.round(value * 1e6) / 1e6;
+    }
+}
+
+export { AreaSampler, DEFAULT_GRID_SIZE, MAX_GRID_SIZE };
@@ -12,6 +12,7 @@ class CacheService {
             enableMemoryCache: true,
             autoCleanup: true,
             cleanupInterval: 5 * 60 * 1000, // Limpeza a cada 5 minutos
+            staleRetention: 24 * 60 * 60 * 1000, // Expirados ficam 24h disponíveis como fallback
             ...options
         };
 
@@ -90,6 +91,18 @@ class CacheService {
      * @returns {Promise<*|null>} Dados do cache ou null se não encontrado/expirado
      */
     async get(key) {
+        const entry = await this.getEntry(key);
+        return entry ? entry.data : null;
+    }
+
+    /**
+     * Recupera item do cache com metadados de idade
+     * @param {string} key - Chave do cache
+     * @param {Object} options - Opções da leitura
+     * @param {boolean} options.allowStale - Aceita item expirado ainda dentro da retenção
+     * @returns {Promise<Object|null>} { data, createdAt, expiresAt, age, expired } ou null
+     */
+    async getEntry(key, { allowStale = false } = {}) {
         try {
             let cacheItem = null;
 
@@ -116,12 +129,19 @@ class CacheService {
                 }
             }
 
-            // Verifica se item existe e não expirou
-            if (!cacheItem || this._isExpired(cacheItem)) {
-                if (cacheItem) {
-                    console.log(`⏰ CacheService: Cache expired for key '${key}'`);
-                    await this.delete(key); // Remove item expirado
-                }
+            if (!cacheItem) {
+                return null;
+            }
+
+            // Itens além da retenção são removidos; expirados só servem como fallback
+            if (this._isDiscardable(cacheItem)) {
+                console.log(`⏰ CacheService: Cache expired for key '${key}'`);
+                await this.delete(key);
+                return null;
+            }
+
+            const expired = this._isExpired(cacheItem);
+            if (expired && !allowStale) {
                 return null;
             }
 
@@ -134,7 +154,13 @@ class CacheService {
                 accessCount: cacheItem.accessCount
             });
 
-            return cacheItem.data;
+            return {
+                data: cacheItem.data,
+                createdAt: cacheItem.createdAt,
+                expiresAt: cacheItem.expiresAt,
+                age: Date.now() - cacheItem.createdAt,
+                expired
+            };
 
         } catch (error) {
             console.error('❌ CacheService: Error getting cache', {
@@ -227,6 +253,15 @@ class CacheService {
         return Date.now() > cacheItem.expiresAt;
     }
 
+    /**
+     * Verifica se um item expirado já passou do período de retenção
+     * @param {Object} cacheItem - Item do cache
+     * @returns {boolean} True se pode ser descartado
+     */
+    _isDiscardable(cacheItem) {
+        return Date.now() > cacheItem.expiresAt + this.config.staleRetention;
+    }
+
     /**
      * Remove item menos recentemente usado (LRU eviction)
      */
@@ -256,7 +291,7 @@ class CacheService {
 
             // Limpa cache em memória
             for (const [key, item] of this.memoryCache.entries()) {
-                if (this._isExpired(item)) {
+                if (this._isDiscardable(item)) {
                     this.memoryCache.delete(key);
                     cleaned++;
                 }
@@ -270,7 +305,7 @@ class CacheService {
                     if (key && key.startsWith(this.config.storagePrefix)) {
                         try {
                             const item = JSON.parse(localStorage.getItem(key));
-                            if (this._isExpired(item)) {
+                            if (this._isDiscardable(item)) {
                                 keys.push(key);
                                 cleaned++;
                             }
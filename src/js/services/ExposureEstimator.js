@@ -0,0 +1,357 @@
+/**
+ * ExposureEstimator - Estimativa da dose diária inalada de PM2.5 e O₃
+ * Combina a agenda do usuário (blocos em ambiente fechado ou ao ar livre) com a
+ * série horária do AirQualityService, aplicando taxas de ventilação por atividade
+ * e fatores de infiltração para o tempo em ambientes fechados
+ */
+import { AirQualityService, AirQualityDataError } from './AirQualityService.js';
+import { UnitConverter } from '../utils/UnitConverter.js';
+
+const SCHEDULE_STORAGE_KEY = 'air_quality_activity_schedule';
+
+/**
+ * Tipos de bloco da agenda
+ * breathingMultiplier multiplica a ventilação de repouso (EPA Exposure Factors Handbook:
+ * ~2x em atividade leve e ~5x em exercício intenso)
+ */
+const ACTIVITY_TYPES = {
+    'indoor': { label: 'Ambiente fechado', icon: '🏠', breathingMultiplier: 1, outdoor: false },
+    'outdoor-light': { label: 'Ao ar livre (leve)', icon: '🚶', breathingMultiplier: 2, outdoor: true },
+    'outdoor-intense': { label: 'Ao ar livre (intenso)', icon: '🏃', breathingMultiplier: 5, outdoor: true }
+};
+
+/**
+ * Ventilação de um adulto em repouso (m³/h)
+ */
+const RESTING_BREATHING_RATE = 0.5;
+
+/**
+ * Fração da concentração externa encontrada em ambientes fechados sem filtragem
+ * O ozônio reage com superfícies internas e infiltra bem menos que as partículas finas
+ */
+const INFILTRATION_FACTORS = {
+    pm2_5: 0.5,
+    ozone: 0.3
+};
+
+/**
+ * Concentração média diária de PM2.5 (µg/m³) equivalente a fumar um cigarro (Berkeley Earth)
+ */
+const CIGARETTE_PM25_EQUIVALENT = 22;
+
+/**
+ * Agenda padrão: deslocamentos de manhã e exercício no fim da tarde; o restante do dia
+ * é considerado em ambiente fechado
+ */
+const DEFAULT_SCHEDULE = [
+    { start: '07:00', end: '08:00', activity: 'outdoor-light' },
+    { start: '18:00', end: '19:00', activity: 'outdoor-intense' }
+];
+
+class ExposureEstimator {
+    constructor(options = {}) {
+        this.airQualityService = options.airQualityService || new AirQualityService();
+        this.storageKey = options.storageKey || SCHEDULE_STORAGE_KEY;
+        this.breathingRate = options.breathingRate || RESTING_BREATHING_RATE;
+        this.infiltrationFactors = { ...INFILTRATION_FACTORS, ...(options.infiltrationFactors || {}) };
+        this.schedule = options.schedule ? this._validateSchedule(options.schedule) : this._loadSchedule();
+    }
+
+    /**
+     * Lista os tipos de bloco disponíveis
+     * @returns {Array<Object>} id, label, icon e multiplicador de cada tipo
+     */
+    static getActivityTypes() {
+        return Object.entries(ACTIVITY_TYPES).map(([id, info]) => ({ id, ...info }));
+    }
+
+    /**
+     * Obtém a agenda atual
+     * @returns {Array<Object>} Blocos { start, end, activity } ordenados
+     */
+    getSchedule() {
+        return this.schedule.map(block => ({ ...block }));
+    }
+
+    /**
+     * Define e salva a agenda
+     * @param {Array<Object>} blocks - Blocos { start: 'HH:MM', end: 'HH:MM', activity }
+     * @throws {AirQualityDataError} Se algum bloco for inválido ou houver sobreposição
+     */
+    setSchedule(blocks = []) {
+        this.schedule = this._validateSchedule(blocks);
+        this._saveSchedule();
+    }
+
+    /**
+     * Busca a previsão do dia e estima a exposição para a agenda
+     * @param {Object} coordinates - Objeto com lat e lon
+     * @param {Object} options - Opções da estimativa
+     * @param {Array<Object>} options.schedule - Agenda (padrão: agenda salva)
+     * @param {AbortSignal} options.signal - Cancela a busca da previsão (opcional)
+     * @returns {Promise<Object>} Estimativa diária e metadados da previsão
+     */
+    async estimateDaily(coordinates, options = {}) {
+        const schedule = options.schedule ? this._validateSchedule(options.schedule) : this.schedule;
+        const forecast = await this.airQualityService.getForecast(coordinates, { days: 1, signal: options.signal });
+
+        return {
+            ...this.estimate(this.extractConcentrations(forecast.hours), schedule),
+            metadata: forecast.metadata
+        };
+    }
+
+    /**
+     * Extrai as concentrações horárias (µg/m³) do primeiro dia local da série
+     * @param {Array<Object>} hours - Entradas de getForecast().hours ou getHistory().hours
+     * @returns {Object} date (YYYY-MM-DD) e hours (24 entradas { hour, pm2_5, ozone })
+     */
+    extractConcentrations(hours) {
+        const date = hours[0]?.metadata?.timestamp?.slice(0, 10) || null;
+        const series = Array.from({ length: 24 }, (_, hour) => ({ hour, pm2_5: null, ozone: null }));
+
+        hours
+            .filter(entry => entry.metadata?.timestamp?.slice(0, 10) === date)
+            .forEach(entry => {
+                const hour = parseInt(entry.metadata.timestamp.slice(11, 13), 10);
+                Object.keys(this.infiltrationFactors).forEach(key => {
+                    series[hour][key] = this._toMicrograms(key, entry.pollutants?.[key]);
+                });
+            });
+
+        return { date, hours: series };
+    }
+
+    /**
+     * Estima a exposição diária para uma agenda
+     * Horas sem bloco na agenda são consideradas em ambiente fechado
+     * @param {Object} concentrations - Resultado de extractConcentrations
+     * @param {Array<Object>} schedule - Agenda (padrão: agenda salva)
+     * @returns {Object} Doses, concentrações médias, divisão por atividade e equivalente em cigarros
+     * @throws {AirQualityDataError} Se não houver concentrações horárias
+     */
+    estimate(concentrations, schedule = this.schedule) {
+        const blocks = this._validateSchedule(schedule);
+        const timeline = this._buildTimeline(blocks);
+        const keys = Object.keys(this.infiltrationFactors);
+
+        const pollutants = {};
+        keys.forEach(key => {
+            pollutants[key] = { dose: 0, exposureSum: 0, ambientSum: 0, hoursCovered: 0 };
+        });
+
+        const byActivity = {};
+        Object.keys(ACTIVITY_TYPES).forEach(activity => {
+            byActivity[activity] = { hours: 0, volume: 0, doses: Object.fromEntries(keys.map(key => [key, 0])) };
+        });
+
+        let totalVolume = 0;
+
+        concentrations.hours.forEach(({ hour, ...values }) => {
+            Object.entries(timeline[hour]).forEach(([activity, minutes]) => {
+                const type = ACTIVITY_TYPES[activity];
+                const duration = minutes / 60;
+                const volume = this.breathingRate * type.breathingMultiplier * duration;
+
+                totalVolume += volume;
+                byActivity[activity].hours += duration;
+                byActivity[activity].volume += volume;
+
+                keys.forEach(key => {
+                    const ambient = values[key];
+                    if (ambient === null || ambient === undefined) return;
+
+                    const effective = type.outdoor ? ambient : ambient * this.infiltrationFactors[key];
+                    const dose = effective * volume;
+
+                    pollutants[key].dose += dose;
+                    pollutants[key].exposureSum += effective * duration;
+                    pollutants[key].ambientSum += ambient * duration;
+                    pollutants[key].hoursCovered += duration;
+                    byActivity[activity].doses[key] += dose;
+                });
+            });
+        });
+
+        if (keys.every(key => pollutants[key].hoursCovered === 0)) {
+            throw new AirQualityDataError('Concentrações horárias não disponíveis para estimar a exposição');
+        }
+
+        const summary = {};
+        keys.forEach(key => {
+            const { dose, exposureSum, ambientSum, hoursCovered } = pollutants[key];
+            summary[key] = {
+                dose: this._round(dose, 1),
+                doseUnit: 'µg',
+                averageExposure: hoursCovered > 0 ? this._round(exposureSum / hoursCovered, 1) : null,
+                averageAmbient: hoursCovered > 0 ? this._round(ambientSum / hoursCovered, 1) : null,
+                concentrationUnit: 'µg/m³',
+                hoursCovered: this._round(hoursCovered, 2)
+            };
+        });
+
+        Object.values(byActivity).forEach(entry => {
+            entry.hours = this._round(entry.hours, 2);
+            entry.volume = this._round(entry.volume, 2);
+            keys.forEach(key => {
+                entry.doses[key] = this._round(entry.doses[key], 1);
+            });
+        });
+
+        const pm25Exposure = summary.pm2_5?.averageExposure;
+
+        return {
+            date: concentrations.date,
+            schedule: blocks,
+            totalVolume: this._round(totalVolume, 2),
+            pollutants: summary,
+            byActivity,
+            cigaretteEquivalent: pm25Exposure !== null && pm25Exposure !== undefined
+                ? this._round(pm25Exposure / CIGARETTE_PM25_EQUIVALENT, 2)
+                : null,
+            concentrations
+        };
+    }
+
+    /**
+     * Distribui os minutos de cada hora do dia entre os tipos de bloco
+     * @param {Array<Object>} blocks - Agenda validada
+     * @returns {Array<Object>} 24 entradas { [activity]: minutos }
+     */
+    _buildTimeline(blocks) {
+        return Array.from({ length: 24 }, (_, hour) => {
+            const hourStart = hour * 60;
+            const hourEnd = hourStart + 60;
+            const minutes = {};
+            let scheduled = 0;
+
+            blocks.forEach(block => {
+                const overlap = Math.min(hourEnd, this._parseTime(block.end)) - Math.max(hourStart, this._parseTime(block.start));
+                if (overlap > 0) {
+                    minutes[block.activity] = (minutes[block.activity] || 0) + overlap;
+                    scheduled += overlap;
+                }
+            });
+
+            if (scheduled < 60) {
+                minutes.indoor = (minutes.indoor || 0) + 60 - scheduled;
+            }
+
+            return minutes;
+        });
+    }
+
+    /**
+     * Valida e ordena os blocos da agenda
+     * @param {Array<Object>} blocks - Blocos informados
+     * @returns {Array<Object>} Blocos normalizados
+     * @throws {AirQualityDataError} Se algum bloco for inválido ou houver sobreposição
+     */
+    _validateSchedule(blocks) {
+        if (!Array.isArray(blocks)) {
+            throw new AirQualityDataError('Agenda inválida: esperado um array de blocos');
+        }
+
+        const normalized = blocks
+            .map(({ start, end, activity }) => {
+                const startMinutes = this._parseTime(start);
+                const endMinutes = this._parseTime(end);
+
+                if (!ACTIVITY_TYPES[activity]) {
+                    throw new AirQualityDataError(`Atividade desconhecida: ${activity}`);
+                }
+
+                if (startMinutes === null || endMinutes === null || startMinutes >= endMinutes) {
+                    throw new AirQualityDataError(`Horário inválido: ${start} – ${end}`);
+                }
+
+                return { start, end, activity, startMinutes, endMinutes };
+            })
+            .sort((a, b) => a.startMinutes - b.startMinutes);
+
+        normalized.forEach((block, index) => {
+            const previous = normalized[index - 1];
+            if (previous && block.startMinutes < previous.endMinutes) {
+                throw new AirQualityDataError(`Blocos sobrepostos: ${previous.start} – ${previous.end} e ${block.start} – ${block.end}`);
+            }
+        });
+
+        return normalized.map(({ start, end, activity }) => ({ start, end, activity }));
+    }
+
+    /**
+     * Converte 'HH:MM' em minutos desde a meia-noite (00:00 a 24:00)
+     * @param {string} time - Horário
+     * @returns {number|null} Minutos ou null se inválido
+     */
+    _parseTime(time) {
+        const match = /^(\d{1,2}):(\d{2})$/.exec(String(time ?? '').trim());
+        if (!match) return null;
+
+        const minutes = parseInt(match[1], 10) * 60 + parseInt(match[2], 10);
+        return parseInt(match[2], 10) < 60 && minutes <= 24 * 60 ? minutes : null;
+    }
+
+    /**
+     * Obtém a concentração de um poluente processado em µg/m³
+     * @param {string} key - Chave do poluente
+     * @param {Object} pollutant - Poluente processado (com sourceValue e sourceUnit)
+     * @returns {number|null} Concentração ou null se indisponível
+     */
+    _toMicrograms(key, pollutant) {
+        if (!pollutant) return null;
+
+        const value = pollutant.sourceValue ?? pollutant.value;
+        const unit = pollutant.sourceUnit || pollutant.unit || 'µg/m³';
+
+        try {
+            const converted = UnitConverter.convert(value, unit, 'µg/m³', { pollutant: key });
+            return converted === null || converted === undefined || isNaN(converted) ? null : converted;
+        } catch (error) {
+            return null;
+        }
+    }
+
+    /**
+     * Arredonda um valor
+     * @param {number} value - Valor
+     * @param {number} decimals - Casas decimais
+     * @returns {number}
+     */
+    _round(value, decimals) {
+        const factor = Math.pow(10, decimals);
+        return Math.round(value * factor) / factor;
+    }
+
+    /**
+     * Carrega a agenda do LocalStorage
+     * @returns {Array<Object>} Agenda salva ou a agenda padrão
+     */
+    _loadSchedule() {
+        try {
+            const stored = localStorage.getItem(this.storageKey);
+            return stored ? this._validateSchedule(JSON.parse(stored)) : this._validateSchedule(DEFAULT_SCHEDULE);
+        } catch (error) {
+            console.warn('⚠️ Could not load activity schedule:', error);
+            return this._validateSchedule(DEFAULT_SCHEDULE);
+        }
+    }
+
+    /**
+     * Salva a agenda no LocalStorage
+     */
+    _saveSchedule() {
+        try {
+            localStorage.setItem(this.storageKey, JSON.stringify(this.schedule));
+        } catch (error) {
+            console.warn('⚠️ Could not save activity schedule:', error);
+        }
+    }
+}
+
+export {
+    ExposureEstimator,
+    ACTIVITY_TYPES,
+    INFILTRATION_FACTORS,
+    CIGARETTE_PM25_EQUIVALENT
+};
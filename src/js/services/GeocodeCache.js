@@ -0,0 +1,90 @@
+/**
+ * GeocodeCache - Cache de longa duração para resultados de geocodificação
+ * Coordenadas de uma cidade praticamente não mudam: a chave é a consulta normalizada
+ * (caixa, acentos, espaços e aliases de país) e a validade é medida em dias, separada
+ * dos 15 minutos dos dados de qualidade do ar
+ */
+import CacheService from './CacheService.js';
+import { CountryNormalizer } from '../utils/CountryNormalizer.js';
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+class GeocodeCache {
+    /**
+     * @param {Object} options - Opções do cache
+     * @param {number} options.ttlDays - Validade das coordenadas em dias (padrão: 30)
+     * @param {number} options.maxMemoryItems - Máximo de consultas em memória
+     * @param {boolean} options.autoCleanup - Limpeza periódica do localStorage (padrão: true)
+     */
+    constructor(options = {}) {
+        this.ttlDays = options.ttlDays ?? 30;
+        this.cache = new CacheService({
+            storagePrefix: 'geocode_cache_',
+            defaultTTL: this.ttlDays * DAY_MS,
+            maxMemoryItems: options.maxMemoryItems ?? 200,
+            staleRetention: 0,
+            autoCleanup: options.autoCleanup ?? true,
+            cleanupInterval: 60 * 60 * 1000 // Itens vivem dias; uma limpeza por hora basta
+        });
+    }
+
+    /**
+     * Gera a chave normalizada de uma consulta
+     * "São Paulo, SP, Brasil" e "sao  paulo, sp, BR" compartilham a mesma entrada
+     * @param {Object} location - city, state, country ou postalCode, country
+     * @returns {string} Chave do cache
+     */
+    static key({ city, state, country, postalCode } = {}) {
+        const normalize = value => CountryNormalizer.normalizeText(value).replace(/ /g, '-');
+        const countryKey = CountryNormalizer.toCode(country) || normalize(country) || 'any';
+
+        if (postalCode) {
+            const code = String(postalCode).replace(/[\s.-]/g, '').toUpperCase();
+            return `postal_${code}_${countryKey}`;
+        }
+
+        return `place_${normalize(city)}_${normalize(state)}_${countryKey}`;
+    }
+
+    /**
+     * Obtém coordenadas já geocodificadas
+     * @param {Object} location - Consulta (city, state, country ou postalCode, country)
+     * @returns {Promise<Object|null>} Resultado no formato de GeocodingService.geocode ou null
+     */
+    async get(location) {
+        return this.cache.get(GeocodeCache.key(location));
+    }
+
+    /**
+     * Armazena o resultado de uma geocodificação
+     * Resultados do gazetteer offline não são guardados, para que a próxima consulta
+     * com rede obtenha a localização precisa
+     * @param {Object} location - Consulta original
+     * @param {Object} result - Resultado de GeocodingService.geocode
+     * @returns {Promise<boolean>} True se armazenado
+     */
+    async set(location, result) {
+        if (!result || result.source === 'offline-gazetteer') {
+            return false;
+        }
+
+        return this.cache.set(GeocodeCache.key(location), result);
+    }
+
+    /**
+     * Remove todas as coordenadas armazenadas
+     * @returns {Promise<void>}
+     */
+    async clear() {
+        await this.cache.clear();
+    }
+
+    /**
+     * Libera o timer de limpeza
+     */
+    destroy() {
+        this.cache.destroy();
+    }
+}
+
+export { GeocodeCache };
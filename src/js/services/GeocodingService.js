@@ -1,66 +1,75 @@
 /**
  * GeocodingService - Serviço para conversão de endereços em coordenadas
- * Utiliza a API Nominatim do OpenStreetMap
+ * Consulta uma cadeia ordenada de provedores (Nominatim, Photon e Open-Meteo por padrão)
+ * e recorre ao gazetteer embutido quando nenhum está acessível
  */
+import { NominatimRequestQueue } from './NominatimRequestQueue.js';
+import { OfflineGazetteer } from './OfflineGazetteer.js';
+import { GeocoderChain } from './geocoders/GeocoderChain.js';
+import { GeocoderNotFoundError } from './geocoders/GeocoderProvider.js';
+import { NominatimGeocoder } from './geocoders/NominatimGeocoder.js';
+import { PhotonGeocoder } from './geocoders/PhotonGeocoder.js';
+import { OpenMeteoGeocoder } from './geocoders/OpenMeteoGeocoder.js';
+import { PostalCodeParser } from '../utils/PostalCodeParser.js';
+import { CountryNormalizer } from '../utils/CountryNormalizer.js';
+import { RequestSignal } from '../utils/RequestSignal.js';
+
 class GeocodingService {
-    constructor() {
-        this.baseURL = 'https://nominatim.openstreetmap.org';
-        this.defaultParams = {
-            format: 'json',
-            limit: 1,
-            addressdetails: 1
-        };
+    /**
+     * @param {Object} options - Opções do serviço
+     * @param {Object} options.baseURLs - URLs por provedor ({ nominatim, photon, 'open-meteo' }),
+     * para instâncias próprias ou servidores de teste
+     * @param {Array<GeocoderProvider>} options.providers - Substitui a cadeia padrão (em ordem)
+     * @param {string} options.email - Contato enviado ao Nominatim
+     * @param {string} options.referer - Referer enviado ao Nominatim
+     * @param {number} options.timeout - Tempo limite de cada requisição aos provedores (ms)
+     * @param {number} options.healthCheckTimeout - Tempo limite do health check (ms)
+     */
+    constructor(options = {}) {
+        const baseURLs = options.baseURLs || {};
+        const timeout = options.timeout ?? 10000;
+
+        // Todas as chamadas ao Nominatim passam pela fila (1 requisição/s, política de uso);
+        // email e referer identificam a aplicação para os operadores do serviço
+        this.requestQueue = options.requestQueue || new NominatimRequestQueue({
+            email: options.email,
+            referer: options.referer,
+            timeout
+        });
+        const nominatim = new NominatimGeocoder({ baseURL: baseURLs.nominatim, requestQueue: this.requestQueue, timeout });
+        this.baseURL = nominatim.baseURL;
+        this.healthCheckTimeout = options.healthCheckTimeout ?? 5000;
+
+        // Provedores em ordem de tentativa
+        this.geocoders = new GeocoderChain(options.providers || [
+            nominatim,
+            new PhotonGeocoder({ baseURL: baseURLs.photon, timeout }),
+            new OpenMeteoGeocoder({ baseURL: baseURLs['open-meteo'], timeout })
+        ]);
+        // Limite de candidatos por busca aceito pelo Nominatim
+        this.maxSearchResults = 40;
+        // Fallback quando nenhum provedor está acessível (false desativa)
+        this.gazetteer = options.gazetteer === false ? null : (options.gazetteer || new OfflineGazetteer());
     }
 
     /**
      * Converte endereço em coordenadas geográficas
-     * @param {Object} location - Objeto com city, state, country
-     * @returns {Promise<Object>} Coordenadas e informações de localização
+     * @param {Object} location - Objeto com city, state e country (código ou nome, opcional;
+     * sem país, a busca considera todos os países)
+     * @param {Object} options - Opções da consulta
+     * @param {AbortSignal} options.signal - Cancela a consulta (opcional)
+     * @returns {Promise<Object>} Coordenadas e informações de localização; source indica o
+     * provedor que respondeu
      */
-    async geocode({ city, state, country = 'US' }) {
-        try {
-            const query = this._buildQuery(city, state, country);
-            const url = this._buildURL('search', { q: query, ...this.defaultParams });
-            
-            console.log(`🗺️ GeocodingService: Searching for "${query}"`);
-            
-            const response = await fetch(url, {
-                method: 'GET',
-                headers: {
-                    'User-Agent': 'AirQualityChecker/1.0 (Educational Project)'
-                }
-            });
+    async geocode({ city, state, country = null }, { signal = null } = {}) {
+        const description = [city, state, country].filter(Boolean).join(', ');
 
-            if (!response.ok) {
-                throw new Error(`Geocoding API returned ${response.status}: ${response.statusText}`);
-            }
+        try {
+            console.log(`🗺️ GeocodingService: Searching for "${description}"`);
 
-            const data = await response.json();
-            
-            if (!data || data.length === 0) {
-                throw new LocationNotFoundError(
-                    `Localização não encontrada: ${city}, ${state}, ${country}`
-                );
-            }
+            const result = await this.geocoders.geocode({ city, state, country }, { signal });
 
-            const location = data[0];
-            
-            const result = {
-                lat: parseFloat(location.lat),
-                lon: parseFloat(location.lon),
-                display_name: location.display_name,
-                address: this._extractAddress(location),
-                boundingBox: location.boundingbox ? {
-                    south: parseFloat(location.boundingbox[0]),
-                    north: parseFloat(location.boundingbox[1]),
-                    west: parseFloat(location.boundingbox[2]),
-                    east: parseFloat(location.boundingbox[3])
-                } : null,
-                importance: location.importance,
-                place_id: location.place_id
-            };
-
-            console.log(`✅ GeocodingService: Found location`, result);
+            console.log(`✅ GeocodingService: Found location via ${result.source}`, result);
             return result;
 
         } catch (error) {
@@ -68,131 +77,161 @@ class GeocodingService {
                 location: { city, state, country },
                 error: error.message
             });
-            
-            if (error instanceof LocationNotFoundError) {
+
+            // Cancelamento não é falha dos provedores: sem gazetteer nem erro de geocodificação
+            if (RequestSignal.isCancellation(error)) {
                 throw error;
             }
             
+            if (error instanceof GeocoderNotFoundError) {
+                throw new LocationNotFoundError(
+                    `Localização não encontrada: ${description}`
+                );
+            }
+
+            const fallback = this.gazetteer?.geocode({ city, state, country });
+            if (fallback) {
+                console.warn(`📚 GeocodingService: Geocoders unavailable, using offline gazetteer for "${fallback.display_name}"`);
+                return fallback;
+            }
+            
             throw new GeocodingError(`Erro ao buscar localização: ${error.message}`, error);
         }
     }
 
     /**
-     * Busca detalhes de uma localização por coordenadas (geocodificação reversa)
-     * @param {number} lat - Latitude
-     * @param {number} lon - Longitude
-     * @returns {Promise<Object>} Detalhes da localização
+     * Converte um código postal em coordenadas
+     * @param {string} postalCode - Código digitado (ex.: CEP 01310-100)
+     * @param {string} country - Código ISO do país; sem ele, o formato identifica o país
+     * quando possível
+     * @param {Object} options - Opções da consulta
+     * @param {AbortSignal} options.signal - Cancela a consulta (opcional)
+     * @returns {Promise<Object>} Coordenadas e informações de localização
+     * @throws {PostalCodeError} Se o código não corresponder ao formato do país
      */
-    async reverseGeocode(lat, lon) {
+    async geocodePostalCode(postalCode, country = null, { signal = null } = {}) {
+        const parsed = PostalCodeParser.parse(postalCode, country);
+
         try {
-            const url = this._buildURL('reverse', {
-                lat: lat.toString(),
-                lon: lon.toString(),
-                ...this.defaultParams
-            });
+            console.log(`🗺️ GeocodingService: Searching postal code "${parsed.postalCode}" (${parsed.country || 'any country'})`);
 
-            const response = await fetch(url, {
-                headers: {
-                    'User-Agent': 'AirQualityChecker/1.0 (Educational Project)'
-                }
+            const result = await this.geocoders.geocodePostalCode(parsed.postalCode, parsed.country, { signal });
+            result.address.postcode = result.address.postcode || parsed.postalCode;
+
+            console.log(`✅ GeocodingService: Found postal code via ${result.source}`, result);
+            return result;
+
+        } catch (error) {
+            console.error('❌ GeocodingService: Error during postal code geocoding', {
+                postalCode: parsed.postalCode,
+                country: parsed.country,
+                error: error.message
             });
 
-            if (!response.ok) {
-                throw new Error(`Reverse geocoding API returned ${response.status}: ${response.statusText}`);
+            if (RequestSignal.isCancellation(error)) {
+                throw error;
             }
 
-            const data = await response.json();
-            
-            if (!data || data.error) {
+            if (error instanceof GeocoderNotFoundError) {
                 throw new LocationNotFoundError(
-                    `Não foi possível encontrar endereço para as coordenadas: ${lat}, ${lon}`
+                    `Código postal não encontrado: ${parsed.postalCode}${parsed.country ? `, ${parsed.country}` : ''}`
                 );
             }
 
-            return {
-                display_name: data.display_name,
-                address: this._extractAddress(data),
-                place_id: data.place_id
-            };
-
-        } catch (error) {
-            console.error('❌ GeocodingService: Error during reverse geocoding', {
-                coordinates: { lat, lon },
-                error: error.message
-            });
-            throw new GeocodingError(`Erro na geocodificação reversa: ${error.message}`, error);
+            throw new GeocodingError(`Erro ao buscar código postal: ${error.message}`, error);
         }
     }
 
     /**
-     * Constrói a query de busca
-     * @param {string} city - Cidade
-     * @param {string} state - Estado
-     * @param {string} country - País
-     * @returns {string} Query formatada
+     * Busca candidatos para um texto livre (autocomplete)
+     * @param {string} query - Texto digitado pelo usuário
+     * @param {Object} options - Opções da busca
+     * @param {number} options.limit - Número máximo de candidatos (1 a 40)
+     * @param {string} options.country - Restringe os candidatos ao país (código ou nome)
+     * @param {AbortSignal} options.signal - Cancela a busca (opcional)
+     * @returns {Promise<Array<Object>>} Candidatos em ordem de relevância, no formato de geocode
      */
-    _buildQuery(city, state, country) {
-        const parts = [city, state];
-        
-        // Adiciona país se não for EUA ou se for especificado
-        if (country && country.toUpperCase() !== 'US') {
-            parts.push(country);
+    async search(query, { limit = 5, country = null, signal = null } = {}) {
+        const text = query?.trim() || '';
+        if (text.length < 2) {
+            return [];
         }
-        
-        return parts.filter(part => part && part.trim()).join(', ');
-    }
 
-    /**
-     * Constrói URL completa para a API
-     * @param {string} endpoint - Endpoint da API (search, reverse)
-     * @param {Object} params - Parâmetros da query
-     * @returns {string} URL completa
-     */
-    _buildURL(endpoint, params) {
-        const url = new URL(`${this.baseURL}/${endpoint}`);
-        
-        Object.entries(params).forEach(([key, value]) => {
-            if (value !== undefined && value !== null) {
-                url.searchParams.append(key, value.toString());
+        if (!Number.isInteger(limit) || limit < 1 || limit > this.maxSearchResults) {
+            throw new GeocodingError(`Limite inválido: ${limit} (permitido: 1 a ${this.maxSearchResults})`);
+        }
+
+        try {
+            console.log(`🗺️ GeocodingService: Searching candidates for "${text}"`);
+
+            const candidates = await this.geocoders.search(text, {
+                limit,
+                country: CountryNormalizer.toCode(country),
+                signal
+            });
+
+            return candidates.map((candidate, index) => ({ ...candidate, rank: index + 1 }));
+
+        } catch (error) {
+            console.error('❌ GeocodingService: Error searching candidates', {
+                query: text,
+                error: error.message
+            });
+
+            if (RequestSignal.isCancellation(error)) {
+                throw error;
             }
-        });
-        
-        return url.toString();
+
+            const fallback = this.gazetteer?.search(country ? `${text}, ${country}` : text, { limit }) || [];
+            if (fallback.length > 0) {
+                console.warn(`📚 GeocodingService: Geocoders unavailable, using offline gazetteer (${fallback.length} candidates)`);
+                return fallback;
+            }
+
+            throw new GeocodingError(`Erro ao buscar localizações: ${error.message}`, error);
+        }
     }
 
     /**
-     * Extrai informações de endereço padronizadas
-     * @param {Object} locationData - Dados da API Nominatim
-     * @returns {Object} Endereço padronizado
+     * Busca detalhes de uma localização por coordenadas (geocodificação reversa)
+     * @param {number} lat - Latitude
+     * @param {number} lon - Longitude
+     * @param {Object} options - Opções da consulta
+     * @param {AbortSignal} options.signal - Cancela a consulta (opcional)
+     * @returns {Promise<Object>} Detalhes da localização
      */
-    _extractAddress(locationData) {
-        const address = locationData.address || {};
-        
-        return {
-            city: address.city || address.town || address.village || address.hamlet,
-            state: address.state || address.province || address.region,
-            country: address.country,
-            countryCode: address.country_code?.toUpperCase(),
-            postcode: address.postcode,
-            county: address.county,
-            suburb: address.suburb || address.neighbourhood,
-            road: address.road,
-            houseNumber: address.house_number
-        };
+    async reverseGeocode(lat, lon, { signal = null } = {}) {
+        try {
+            return await this.geocoders.reverseGeocode(lat, lon, { signal });
+
+        } catch (error) {
+            console.error('❌ GeocodingService: Error during reverse geocoding', {
+                coordinates: { lat, lon },
+                error: error.message
+            });
+
+            if (RequestSignal.isCancellation(error)) {
+                throw error;
+            }
+
+            throw new GeocodingError(`Erro na geocodificação reversa: ${error.message}`, error);
+        }
     }
 
     /**
      * Testa conectividade com a API
+     * Passa pela fila como as demais chamadas ao Nominatim (contato e limite de 1 requisição/s);
+     * o tempo limite inclui a espera na fila
      * @returns {Promise<boolean>} True se conectividade OK
      */
     async healthCheck() {
         try {
-            const response = await fetch(`${this.baseURL}/status`, {
-                method: 'GET',
-                timeout: 5000
-            });
+            const status = await RequestSignal.run(
+                signal => this.requestQueue.request(`${this.baseURL}/status?format=json`, { signal }),
+                { timeout: this.healthCheckTimeout, label: 'Health check do Nominatim' }
+            );
             
-            return response.ok;
+            return status?.status === 0;
         } catch (error) {
             console.warn('⚠️ GeocodingService: Health check failed', error.message);
             return false;
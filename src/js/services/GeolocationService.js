@@ -0,0 +1,96 @@
+/**
+ * GeolocationService - Posição atual do usuário via Geolocation API do navegador
+ * Converte os erros da API (permissão, tempo esgotado, precisão baixa) em
+ * mensagens amigáveis para exibição
+ */
+
+const GEOLOCATION_MESSAGES = {
+    'unsupported': 'Seu navegador não oferece geolocalização. Informe a cidade manualmente.',
+    'permission-denied': 'Permissão de localização negada. Autorize o acesso nas configurações do navegador ou informe a cidade manualmente.',
+    'position-unavailable': 'Não foi possível determinar sua localização. Verifique o GPS ou a conexão e tente novamente.',
+    'timeout': 'A localização demorou demais para responder. Tente novamente em um local com melhor sinal.',
+    'low-accuracy': 'A localização obtida é imprecisa demais para consultar a qualidade do ar. Ative o GPS ou informe a cidade manualmente.'
+};
+
+// Códigos do GeolocationPositionError
+const POSITION_ERROR_CODES = {
+    1: 'permission-denied',
+    2: 'position-unavailable',
+    3: 'timeout'
+};
+
+class GeolocationService {
+    constructor(options = {}) {
+        this.geolocation = options.geolocation || (typeof navigator !== 'undefined' ? navigator.geolocation : null);
+        this.timeout = options.timeout ?? 10000; // ms
+        this.maximumAge = options.maximumAge ?? 5 * 60 * 1000; // aceita posição de até 5 minutos
+        this.maxAccuracy = options.maxAccuracy ?? 10000; // metros
+    }
+
+    /**
+     * Verifica se o navegador oferece geolocalização
+     * @returns {boolean}
+     */
+    isSupported() {
+        return Boolean(this.geolocation?.getCurrentPosition);
+    }
+
+    /**
+     * Obtém a posição atual
+     * @param {Object} options - Opções da consulta
+     * @param {number} options.timeout - Tempo máximo em ms
+     * @param {number} options.maxAccuracy - Raio de incerteza máximo aceito, em metros
+     * @returns {Promise<Object>} lat, lon, accuracy (m) e timestamp
+     * @throws {GeolocationError} Permissão negada, indisponível, tempo esgotado ou precisão baixa
+     */
+    getCurrentPosition({ timeout = this.timeout, maxAccuracy = this.maxAccuracy } = {}) {
+        if (!this.isSupported()) {
+            return Promise.reject(new GeolocationError('unsupported'));
+        }
+
+        return new Promise((resolve, reject) => {
+            this.geolocation.getCurrentPosition(
+                position => {
+                    const { latitude, longitude, accuracy } = position.coords;
+
+                    if (accuracy > maxAccuracy) {
+                        reject(new GeolocationError('low-accuracy', { accuracy }));
+                        return;
+                    }
+
+                    console.log(`📍 GeolocationService: Position found (±${Math.round(accuracy)}m)`);
+                    resolve({
+                        lat: latitude,
+                        lon: longitude,
+                        accuracy,
+                        timestamp: new Date(position.timestamp || Date.now()).toISOString()
+                    });
+                },
+                error => {
+                    console.warn('⚠️ GeolocationService: Could not get position', error.message);
+                    reject(new GeolocationError(POSITION_ERROR_CODES[error.code] || 'position-unavailable'));
+                },
+                {
+                    enableHighAccuracy: false,
+                    timeout,
+                    maximumAge: this.maximumAge
+                }
+            );
+        });
+    }
+}
+
+/**
+ * Erro de geolocalização com mensagem amigável
+ */
+class GeolocationError extends Error {
+    constructor(code, details = {}) {
+        super(GEOLOCATION_MESSAGES[code] || GEOLOCATION_MESSAGES['position-unavailable']);
+        this.name = 'GeolocationError';
+        this.code = code;
+        this.details = details;
+        this.userFriendly = true;
+    }
+}
+
+export { GeolocationService, GeolocationError };
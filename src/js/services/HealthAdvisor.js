@@ -0,0 +1,264 @@
+/**
+ * HealthAdvisor - Fonte única de recomendações de saúde
+ * Gera recomendações por nível do índice, poluente dominante e perfil de saúde
+ * do usuário (grupos sensíveis), usadas pelo serviço e pelos componentes de UI
+ */
+
+const PROFILE_STORAGE_KEY = 'air_quality_health_profile';
+
+/**
+ * Grupos sensíveis suportados
+ */
+const HEALTH_PROFILES = {
+    'asthma-copd': { label: 'Asma / DPOC', icon: '🫁' },
+    'heart-disease': { label: 'Doença cardíaca', icon: '❤️' },
+    'pregnancy': { label: 'Gestantes', icon: '🤰' },
+    'children': { label: 'Crianças', icon: '🧒' },
+    'older-adults': { label: 'Idosos', icon: '🧓' },
+    'outdoor-athletes': { label: 'Atletas ao ar livre', icon: '🏃' }
+};
+
+/**
+ * Nível de severidade (0 a 5) por classificação em cada escala
+ * A categoria "moderate" tem significados diferentes na escala europeia e na EPA
+ */
+const SEVERITY_BY_SCALE = {
+    european: { 'good': 0, 'fair': 1, 'moderate': 2, 'poor': 3, 'very-poor': 4, 'extremely-poor': 5 },
+    us: { 'good': 0, 'moderate': 1, 'unhealthy-sensitive': 2, 'unhealthy': 3, 'very-unhealthy': 4, 'hazardous': 5 }
+};
+
+/**
+ * Recomendações gerais por severidade
+ */
+const GENERAL_RECOMMENDATIONS = [
+    {
+        type: 'good', iconText: '😊',
+        general: 'A qualidade do ar é considerada satisfatória. Aproveite atividades ao ar livre!',
+        sensitive: 'Excelente para pessoas com sensibilidades respiratórias.',
+        activities: 'Todas as atividades ao ar livre são recomendadas.'
+    },
+    {
+        type: 'moderate', iconText: '😐',
+        general: 'Qualidade do ar aceitável. A maioria das pessoas pode realizar atividades normais.',
+        sensitive: 'Pessoas muito sensíveis devem considerar reduzir atividades prolongadas ao ar livre.',
+        activities: 'Atividades normais são adequadas.'
+    },
+    {
+        type: 'unhealthy-sensitive', iconText: '😷',
+        general: 'Pessoas sensíveis podem experimentar sintomas respiratórios menores.',
+        sensitive: 'Grupos sensíveis devem limitar atividades prolongadas ao ar livre.',
+        activities: 'Reduza atividades extenuantes ao ar livre.'
+    },
+    {
+        type: 'unhealthy', iconText: '🚨',
+        general: 'Todos podem começar a experimentar efeitos na saúde.',
+        sensitive: 'Grupos sensíveis devem evitar atividades ao ar livre.',
+        activities: 'Evite exercícios ao ar livre. Prefira ambientes fechados.'
+    },
+    {
+        type: 'very-unhealthy', iconText: '🚨',
+        general: 'Alerta de saúde: todos podem experimentar efeitos mais sérios.',
+        sensitive: 'Grupos sensíveis devem permanecer em ambientes fechados.',
+        activities: 'Evite todas as atividades ao ar livre.'
+    },
+    {
+        type: 'hazardous', iconText: '☠️',
+        general: 'Emergência de saúde: toda a população pode ser afetada.',
+        sensitive: 'Todos devem permanecer em ambientes fechados com ar filtrado.',
+        activities: 'Permaneça em casa. Use purificadores de ar se disponível.'
+    }
+];
+
+/**
+ * Orientações específicas do poluente dominante
+ * O ozônio se forma à tarde e é baixo em ambientes fechados; partículas entram em casa
+ * e são reduzidas por filtros e máscaras
+ */
+const POLLUTANT_ADVICE = {
+    ozone: 'Ozônio atinge o pico à tarde: prefira atividades no início da manhã. Ambientes fechados protegem bem; máscaras não filtram ozônio.',
+    pm2_5: 'Partículas finas entram em casa: mantenha janelas fechadas, use purificador com filtro HEPA e máscara PFF2/N95 ao sair.',
+    pm10: 'Partículas inaláveis (poeira, fumaça): feche janelas e use máscara PFF2/N95 em deslocamentos longos.',
+    nitrogen_dioxide: 'NO₂ vem do tráfego: evite vias movimentadas e horários de pico; prefira ruas secundárias e parques.',
+    sulphur_dioxide: 'SO₂ vem de fontes industriais: evite áreas próximas a indústrias e refinarias.',
+    carbon_monoxide: 'CO vem de combustão: evite tráfego intenso e ambientes fechados com motores ou queima sem ventilação.'
+};
+
+/**
+ * Recomendações por perfil em três faixas: baixa (0-1), elevada (2-3) e alta (4-5)
+ */
+const PROFILE_ADVICE = {
+    'asthma-copd': [
+        'Mantenha a medicação de controle em dia.',
+        'Tenha o broncodilatador de resgate à mão e reduza esforços ao ar livre.',
+        'Permaneça em ambientes fechados e siga o plano de ação combinado com seu médico.'
+    ],
+    'heart-disease': [
+        'Atividades normais são seguras.',
+        'Evite esforço intenso ao ar livre; procure atendimento se sentir dor no peito ou palpitações.',
+        'Evite qualquer esforço ao ar livre e fique atento a dor no peito, falta de ar ou cansaço incomum.'
+    ],
+    'pregnancy': [
+        'Caminhadas ao ar livre são recomendadas.',
+        'Reduza o tempo ao ar livre em locais de tráfego intenso.',
+        'Permaneça em ambientes fechados com ar filtrado sempre que possível.'
+    ],
+    'children': [
+        'Brincadeiras ao ar livre são liberadas.',
+        'Prefira brincadeiras calmas e recreio em áreas cobertas.',
+        'Mantenha as crianças em ambientes fechados e suspenda atividades esportivas ao ar livre.'
+    ],
+    'older-adults': [
+        'Atividades ao ar livre são seguras.',
+        'Reduza caminhadas longas e mantenha medicamentos de uso contínuo à mão.',
+        'Permaneça em casa e peça ajuda para tarefas externas.'
+    ],
+    'outdoor-athletes': [
+        'Bom momento para treinar ao ar livre.',
+        'Reduza intensidade e duração dos treinos ou treine em ambiente fechado.',
+        'Transfira o treino para ambiente fechado.'
+    ]
+};
+
+class HealthAdvisor {
+    constructor(options = {}) {
+        this.storageKey = options.storageKey || PROFILE_STORAGE_KEY;
+
+        // Perfil passado nas opções é fixo; o salvo é relido a cada consulta
+        this.persistent = !options.profile;
+        this.profile = options.profile || this._loadProfile();
+    }
+
+    /**
+     * Lista os grupos de perfil disponíveis
+     * @returns {Array<Object>} id, label e icon de cada grupo
+     */
+    static getAvailableProfiles() {
+        return Object.entries(HEALTH_PROFILES).map(([id, info]) => ({ id, ...info }));
+    }
+
+    /**
+     * Obtém os grupos do perfil atual
+     * Outras instâncias (display, serviço, planejador) podem ter alterado o perfil salvo
+     * @returns {Array<string>} Ids dos grupos selecionados
+     */
+    getProfile() {
+        if (this.persistent) {
+            this.profile = this._loadProfile(this.profile);
+        }
+        return [...this.profile];
+    }
+
+    /**
+     * Define e salva os grupos do perfil
+     * @param {Array<string>} groups - Ids dos grupos (desconhecidos são ignorados)
+     */
+    setProfile(groups = []) {
+        this.profile = groups.filter(group => HEALTH_PROFILES[group]);
+        this._saveProfile();
+    }
+
+    /**
+     * Converte uma classificação em severidade (0 a 5)
+     * @param {string} level - Classificação (good, moderate, poor...)
+     * @param {string} scale - Escala da classificação (european ou us)
+     * @returns {number} Severidade
+     */
+    getSeverity(level, scale = 'us') {
+        const severity = (SEVERITY_BY_SCALE[scale] || SEVERITY_BY_SCALE.us)[level];
+        return severity === undefined ? 0 : severity;
+    }
+
+    /**
+     * Converte um valor do US AQI em severidade (0 a 5)
+     * @param {number} value - Valor do AQI
+     * @returns {number} Severidade
+     */
+    getSeverityFromValue(value) {
+        if (value === null || value === undefined || isNaN(value)) return 0;
+
+        const limits = [50, 100, 150, 200, 300];
+        const index = limits.findIndex(limit => value <= limit);
+        return index === -1 ? 5 : index;
+    }
+
+    /**
+     * Gera recomendações para um resultado de qualidade do ar
+     * @param {Object} context - Contexto da recomendação
+     * @param {string} context.level - Classificação do índice
+     * @param {string} context.scale - Escala da classificação (european ou us)
+     * @param {number} context.value - Valor do US AQI (alternativa a level)
+     * @param {string} context.pollutant - Poluente dominante
+     * @param {Array<string>} context.profile - Grupos do perfil (padrão: perfil salvo)
+     * @returns {Object} general, sensitive, activities, pollutant, profiles e items para exibição
+     */
+    getRecommendations({ level, scale = 'us', value, pollutant = null, profile = this.getProfile() } = {}) {
+        const severity = level ? this.getSeverity(level, scale) : this.getSeverityFromValue(value);
+        const base = GENERAL_RECOMMENDATIONS[severity];
+        const band = severity <= 1 ? 0 : severity <= 3 ? 1 : 2;
+
+        const pollutantAdvice = severity >= 2 || (severity === 1 && profile.length > 0)
+            ? POLLUTANT_ADVICE[pollutant] || null
+            : null;
+
+        const profiles = profile
+            .filter(group => HEALTH_PROFILES[group])
+            .map(group => ({
+                profile: group,
+                label: HEALTH_PROFILES[group].label,
+                icon: HEALTH_PROFILES[group].icon,
+                text: PROFILE_ADVICE[group][band]
+            }));
+
+        const items = [
+            { type: base.type, icon: 'general-icon', iconText: base.iconText, text: base.general },
+            { type: base.type, icon: 'activity-icon', iconText: severity <= 1 ? '🏃' : '🏠', text: base.activities }
+        ];
+
+        if (pollutantAdvice) {
+            items.push({ type: base.type, icon: 'pollutant-icon', iconText: '🧪', text: pollutantAdvice });
+        }
+
+        profiles.forEach(({ label, icon, text }) => {
+            items.push({ type: base.type, icon: 'profile-icon', iconText: icon, text: `${label}: ${text}` });
+        });
+
+        return {
+            severity,
+            general: base.general,
+            sensitive: base.sensitive,
+            activities: base.activities,
+            pollutant: pollutantAdvice,
+            profiles,
+            items
+        };
+    }
+
+    /**
+     * Carrega o perfil do LocalStorage
+     * @param {Array<string>} fallback - Grupos usados se o LocalStorage falhar
+     * @returns {Array<string>} Grupos salvos
+     */
+    _loadProfile(fallback = []) {
+        try {
+            const stored = localStorage.getItem(this.storageKey);
+            const groups = stored ? JSON.parse(stored) : [];
+            return Array.isArray(groups) ? groups.filter(group => HEALTH_PROFILES[group]) : [];
+        } catch (error) {
+            console.warn('⚠️ Could not load health profile:', error);
+            return fallback;
+        }
+    }
+
+    /**
+     * Salva o perfil no LocalStorage
+     */
+    _saveProfile() {
+        try {
+            localStorage.setItem(this.storageKey, JSON.stringify(this.profile));
+        } catch (error) {
+            console.warn('⚠️ Could not save health profile:', error);
+        }
+    }
+}
+
+export { HealthAdvisor, HEALTH_PROFILES };
@@ -0,0 +1,249 @@
+/**
+ * NominatimRequestQueue - Fila de requisições conforme a política de uso do Nominatim
+ * Serializa as chamadas (no máximo 1 requisição por segundo), reaproveita a mesma
+ * promessa para URLs idênticas ainda pendentes e respeita o Retry-After das respostas 429
+ * Requisições abandonadas por todos os chamadores saem da fila ou são abortadas
+ * https://operations.osmfoundation.org/policies/nominatim/
+ */
+import { RequestSignal, RequestCancelledError } from '../utils/RequestSignal.js';
+
+class NominatimRequestQueue {
+    constructor(options = {}) {
+        this.minInterval = options.minInterval ?? 1000; // ms entre o início de duas requisições
+        this.maxRetries = options.maxRetries ?? 2; // novas tentativas após 429
+        this.defaultRetryAfter = options.defaultRetryAfter ?? 5000; // ms quando o 429 não traz Retry-After
+        this.maxRetryAfter = options.maxRetryAfter ?? 60000; // esperas maiores falham imediatamente
+        this.timeout = options.timeout ?? 10000; // ms por requisição, sem contar a espera na fila
+
+        // Identificação da aplicação: email vai na query; referer e User-Agent nos cabeçalhos
+        // (navegadores ignoram User-Agent e só enviam referrer da própria origem)
+        this.email = options.email || null;
+        this.referer = options.referer || null;
+        this.userAgent = options.userAgent || null;
+
+        this.fetch = options.fetch || ((...args) => fetch(...args));
+
+        this.queue = [];
+        this.pending = new Map();
+        this.isDraining = false;
+        this.lastRequestAt = -Infinity;
+        this.blockedUntil = 0;
+    }
+
+    /**
+     * Agenda uma requisição GET
+     * Sem signal, chamadas idênticas recebem a mesma promessa; com signal, o chamador
+     * pode desistir e a requisição só é descartada quando nenhum outro a aguarda
+     * @param {string} url - URL completa da API
+     * @param {Object} options - Opções da chamada
+     * @param {AbortSignal} options.signal - Sinal de cancelamento (opcional)
+     * @returns {Promise<Object>} Corpo JSON da resposta
+     * @throws {NominatimRequestError} Se a API responder com erro
+     * @throws {RequestCancelledError} Se o chamador cancelar
+     */
+    request(url, { signal = null } = {}) {
+        if (signal?.aborted) {
+            return Promise.reject(RequestSignal.reasonOf(signal));
+        }
+
+        const requestURL = this._withContact(url);
+
+        // Consultas idênticas ainda na fila ou em andamento compartilham o resultado
+        const job = this.pending.get(requestURL) || this._enqueue(requestURL);
+        job.waiters++;
+
+        if (!signal) {
+            return job.promise;
+        }
+
+        return RequestSignal.run(() => job.promise, { signal }).catch(error => {
+            if (signal.aborted) {
+                this._release(job);
+            }
+            throw error;
+        });
+    }
+
+    /**
+     * Número de requisições aguardando na fila
+     * @returns {number}
+     */
+    get size() {
+        return this.queue.length;
+    }
+
+    /**
+     * Cria e agenda uma requisição
+     * @param {string} url - URL com o contato
+     * @returns {Object} Requisição com a promessa compartilhada
+     */
+    _enqueue(url) {
+        const job = { url, attempts: 0, waiters: 0, controller: new AbortController() };
+
+        job.promise = new Promise((resolve, reject) => {
+            job.resolve = resolve;
+            job.reject = reject;
+        }).finally(() => {
+            if (this.pending.get(url) === job) {
+                this.pending.delete(url);
+            }
+        });
+
+        this.pending.set(url, job);
+        this.queue.push(job);
+        this._drain();
+
+        return job;
+    }
+
+    /**
+     * Desvincula um chamador que cancelou; sem chamadores restantes, a requisição
+     * sai da fila ou, se já foi enviada, é abortada
+     * @param {Object} job - Requisição compartilhada
+     */
+    _release(job) {
+        job.waiters--;
+        if (job.waiters > 0) return;
+
+        // Novas chamadas para a mesma URL não devem herdar a requisição cancelada
+        this.pending.delete(job.url);
+
+        const index = this.queue.indexOf(job);
+        if (index !== -1) {
+            this.queue.splice(index, 1);
+        }
+
+        const reason = new RequestCancelledError('Requisição ao Nominatim cancelada');
+        job.controller.abort(reason);
+        job.reject(reason);
+    }
+
+    /**
+     * Processa a fila, uma requisição por vez
+     */
+    async _drain() {
+        if (this.isDraining) return;
+        this.isDraining = true;
+
+        try {
+            while (this.queue.length > 0) {
+                await this._waitForTurn();
+
+                // A requisição pode ter sido cancelada durante a espera
+                const job = this.queue.shift();
+                if (!job) continue;
+
+                this.lastRequestAt = Date.now();
+
+                try {
+                    const response = await RequestSignal.run(
+                        signal => this.fetch(job.url, this._buildRequestInit(signal)),
+                        { signal: job.controller.signal, timeout: this.timeout, label: 'Nominatim' }
+                    );
+
+                    if (response.status === 429 && job.attempts < this.maxRetries) {
+                        const retryAfter = this._parseRetryAfter(response.headers?.get?.('Retry-After'));
+
+                        if (retryAfter <= this.maxRetryAfter) {
+                            console.warn(`⏳ NominatimRequestQueue: Rate limited, retrying in ${retryAfter}ms`);
+                            job.attempts++;
+                            this.blockedUntil = Date.now() + retryAfter;
+                            this.queue.unshift(job);
+                            continue;
+                        }
+                    }
+
+                    if (!response.ok) {
+                        throw new NominatimRequestError(
+                            `Geocoding API returned ${response.status}: ${response.statusText}`,
+                            response.status
+                        );
+                    }
+
+                    job.resolve(await response.json());
+                } catch (error) {
+                    job.reject(error);
+                }
+            }
+        } finally {
+            this.isDraining = false;
+        }
+    }
+
+    /**
+     * Aguarda o intervalo mínimo e eventuais bloqueios por Retry-After
+     * @returns {Promise<void>}
+     */
+    _waitForTurn() {
+        const wait = Math.max(this.lastRequestAt + this.minInterval, this.blockedUntil) - Date.now();
+        return wait > 0 ? new Promise(resolve => setTimeout(resolve, wait)) : Promise.resolve();
+    }
+
+    /**
+     * Converte o cabeçalho Retry-After (segundos ou data HTTP) em milissegundos
+     * @param {string} value - Valor do cabeçalho
+     * @returns {number} Espera em ms
+     */
+    _parseRetryAfter(value) {
+        if (value === null || value === undefined || value === '') {
+            return this.defaultRetryAfter;
+        }
+
+        const seconds = Number(value);
+        if (!isNaN(seconds)) {
+            return Math.max(0, seconds * 1000);
+        }
+
+        const date = Date.parse(value);
+        return isNaN(date) ? this.defaultRetryAfter : Math.max(0, date - Date.now());
+    }
+
+    /**
+     * Adiciona o email de contato à URL
+     * @param {string} url - URL da API
+     * @returns {string} URL com o parâmetro email
+     */
+    _withContact(url) {
+        if (!this.email) return url;
+
+        const requestURL = new URL(url);
+        requestURL.searchParams.set('email', this.email);
+        return requestURL.toString();
+    }
+
+    /**
+     * Monta as opções do fetch
+     * @param {AbortSignal} signal - Sinal que aborta a requisição (opcional)
+     * @returns {Object} Método, cabeçalhos, referrer e signal
+     */
+    _buildRequestInit(signal = null) {
+        const headers = { 'Accept': 'application/json' };
+        if (this.userAgent) {
+            headers['User-Agent'] = this.userAgent;
+        }
+
+        const init = { method: 'GET', headers };
+        if (this.referer) {
+            headers['Referer'] = this.referer;
+            init.referrer = this.referer;
+        }
+        if (signal) {
+            init.signal = signal;
+        }
+
+        return init;
+    }
+}
+
+/**
+ * Erro HTTP retornado pelo Nominatim
+ */
+class NominatimRequestError extends Error {
+    constructor(message, status) {
+        super(message);
+        this.name = 'NominatimRequestError';
+        this.status = status;
+    }
+}
+
+export { NominatimRequestQueue, NominatimRequestError };
@@ -0,0 +1,130 @@
+/**
+ * OfflineGazetteer - Geocodificação local para quando o Nominatim está inacessível
+ * Busca em uma lista embutida de cidades, ignorando acentos, caixa e pontuação,
+ * e aceita estado (código ISO 3166-2 ou nome) e país como filtros: "Campinas, SP"
+ */
+import { GAZETTEER_CITIES } from '../data/gazetteer-cities.js';
+import { CountryNormalizer } from '../utils/CountryNormalizer.js';
+
+class OfflineGazetteer {
+    constructor(options = {}) {
+        const minPopulation = options.minPopulation ?? 0;
+
+        this.cities = (options.cities || GAZETTEER_CITIES)
+            .filter(city => city.population >= minPopulation)
+            .map(city => ({
+                ...city,
+                keys: [city.name, ...(city.variants || [])].map(OfflineGazetteer.normalize)
+            }));
+    }
+
+    /**
+     * Normaliza texto para comparação (sem acentos, minúsculas, espaços simples)
+     * @param {string} text - Texto original
+     * @returns {string} Texto normalizado
+     */
+    static normalize(text) {
+        return CountryNormalizer.normalizeText(text);
+    }
+
+    /**
+     * Busca cidades por texto livre ("Campinas, SP", "sao paulo, brasil")
+     * @param {string} query - Texto digitado; partes após vírgulas filtram estado e país
+     * @param {Object} options - Opções da busca
+     * @param {number} options.limit - Número máximo de resultados
+     * @returns {Array<Object>} Candidatos no formato de GeocodingService.search
+     */
+    search(query, { limit = 5 } = {}) {
+        const [name, ...hints] = String(query ?? '').split(',');
+        return this._match(name, hints, { prefix: true }).slice(0, limit);
+    }
+
+    /**
+     * Geocodifica uma localização estruturada
+     * Se nenhum resultado atender ao país informado, o filtro de país é relaxado
+     * @param {Object} location - Objeto com city, state e country
+     * @returns {Object|null} Melhor resultado ou null
+     */
+    geocode({ city, state, country }) {
+        const strict = this._match(city, [state, country]);
+        if (strict.length > 0) {
+            return strict[0];
+        }
+
+        return this._match(city, [state])[0] || null;
+    }
+
+    /**
+     * Encontra e ordena as cidades que atendem ao nome e aos filtros
+     * @param {string} name - Nome da cidade
+     * @param {Array<string>} hints - Estado e/ou país
+     * @param {Object} options - prefix aceita nomes incompletos (autocomplete)
+     * @returns {Array<Object>} Resultados formatados
+     */
+    _match(name, hints, { prefix = false } = {}) {
+        const key = OfflineGazetteer.normalize(name);
+        if (key.length < 2) {
+            return [];
+        }
+
+        const filters = hints.map(OfflineGazetteer.normalize).filter(Boolean);
+
+        return this.cities
+            .map(city => ({ city, score: this._scoreName(city, key, prefix) }))
+            .filter(({ city, score }) => score > 0 && filters.every(filter => this._matchesHint(city, filter)))
+            .sort((a, b) => (b.score - a.score) || (b.city.population - a.city.population))
+            .map(({ city }, index) => ({ ...this._formatCity(city), rank: index + 1 }));
+    }
+
+    /**
+     * Pontua a correspondência do nome: exato (2) ou prefixo (1)
+     * @param {Object} city - Cidade do gazetteer
+     * @param {string} key - Nome normalizado
+     * @param {boolean} prefix - Aceita prefixo
+     * @returns {number} Pontuação (0 = sem correspondência)
+     */
+    _scoreName(city, key, prefix) {
+        if (city.keys.includes(key)) return 2;
+        if (prefix && city.keys.some(cityKey => cityKey.startsWith(key))) return 1;
+        return 0;
+    }
+
+    /**
+     * Verifica se um filtro corresponde ao estado ou ao país da cidade
+     * @param {Object} city - Cidade do gazetteer
+     * @param {string} hint - Filtro normalizado
+     * @returns {boolean}
+     */
+    _matchesHint(city, hint) {
+        return hint === OfflineGazetteer.normalize(city.admin1) ||
+            hint === OfflineGazetteer.normalize(city.admin1Name) ||
+            CountryNormalizer.toCode(hint) === city.country;
+    }
+
+    /**
+     * Converte uma cidade no formato de resultado do GeocodingService
+     * @param {Object} city - Cidade do gazetteer
+     * @returns {Object} Coordenadas, endereço e origem
+     */
+    _formatCity(city) {
+        return {
+            lat: city.lat,
+            lon: city.lon,
+            display_name: `${city.name}, ${city.admin1Name}, ${city.country}`,
+            address: {
+                city: city.name,
+                state: city.admin1Name,
+                stateCode: city.admin1,
+                country: city.country,
+                countryCode: city.country
+            },
+            boundingBox: null,
+            importance: null,
+            place_id: null,
+            population: city.population,
+            source: 'offline-gazetteer'
+        };
+    }
+}
+
+export { OfflineGazetteer };
@@ -0,0 +1,173 @@
+/**
+ * WHOGuidelines - Diretrizes de qualidade do ar da OMS (2021)
+ * Valores-guia (AQG) e metas intermediárias (IT) por período de média,
+ * conforme WHO Global Air Quality Guidelines, tabela 0.1
+ */
+import { UnitConverter } from '../utils/UnitConverter.js';
+
+const SOURCE = 'WHO Global Air Quality Guidelines (2021)';
+
+/**
+ * Metas intermediárias em ordem decrescente (IT-1 é a menos restritiva)
+ * CO em mg/m³; demais poluentes em µg/m³
+ */
+const WHO_2021_GUIDELINES = {
+    pm2_5: {
+        name: 'PM2.5',
+        unit: 'µg/m³',
+        defaultPeriod: '24h',
+        periods: {
+            annual: { guideline: 5, interimTargets: [35, 25, 15, 10] },
+            '24h': { guideline: 15, interimTargets: [75, 50, 37.5, 25] }
+        }
+    },
+    pm10: {
+        name: 'PM10',
+        unit: 'µg/m³',
+        defaultPeriod: '24h',
+        periods: {
+            annual: { guideline: 15, interimTargets: [70, 50, 30, 20] },
+            '24h': { guideline: 45, interimTargets: [150, 100, 75, 50] }
+        }
+    },
+    ozone: {
+        name: 'O₃',
+        unit: 'µg/m³',
+        defaultPeriod: '8h',
+        periods: {
+            // Média de 6 meses das máximas diárias de 8h
+            'peak-season': { guideline: 60, interimTargets: [100, 70] },
+            '8h': { guideline: 100, interimTargets: [160, 120] }
+        }
+    },
+    nitrogen_dioxide: {
+        name: 'NO₂',
+        unit: 'µg/m³',
+        defaultPeriod: '24h',
+        periods: {
+            annual: { guideline: 10, interimTargets: [40, 30, 20] },
+            '24h': { guideline: 25, interimTargets: [120, 50] },
+            '1h': { guideline: 200, interimTargets: [] }
+        }
+    },
+    sulphur_dioxide: {
+        name: 'SO₂',
+        unit: 'µg/m³',
+        defaultPeriod: '24h',
+        periods: {
+            '24h': { guideline: 40, interimTargets: [125, 50] },
+            '10min': { guideline: 500, interimTargets: [] }
+        }
+    },
+    carbon_monoxide: {
+        name: 'CO',
+        unit: 'mg/m³',
+        defaultPeriod: '24h',
+        periods: {
+            '24h': { guideline: 4, interimTargets: [7] },
+            '8h': { guideline: 10, interimTargets: [] },
+            '1h': { guideline: 35, interimTargets: [] }
+        }
+    }
+};
+
+class WHOGuidelines {
+    constructor(guidelines = WHO_2021_GUIDELINES) {
+        this.guidelines = guidelines;
+    }
+
+    /**
+     * Obtém os valores de um poluente para um período de média
+     * @param {string} pollutant - Chave do poluente
+     * @param {string} period - Período de média (ex.: 24h, annual, 8h)
+     * @returns {Object|null} { guideline, interimTargets, unit } ou null
+     */
+    getGuideline(pollutant, period) {
+        const definition = this.guidelines[pollutant];
+        const values = definition?.periods[period || definition.defaultPeriod];
+        return values ? { ...values, unit: definition.unit } : null;
+    }
+
+    /**
+     * Gera relatório de ultrapassagem das diretrizes por poluente
+     * @param {Object} concentrations - Concentrações por poluente
+     * @param {Object} units - Unidades por poluente (padrão µg/m³)
+     * @param {Object} options - Opções da avaliação
+     * @param {Object} options.periods - Período por poluente (padrão: curto prazo de cada um)
+     * @returns {Object} Relatório com poluentes avaliados e ultrapassagens
+     */
+    evaluate(concentrations, units = {}, { periods = {} } = {}) {
+        const pollutants = {};
+        let worst = null;
+
+        Object.entries(this.guidelines).forEach(([key, definition]) => {
+            const value = concentrations[key];
+            if (value === undefined || value === null || isNaN(value)) {
+                return;
+            }
+
+            const period = periods[key] || definition.defaultPeriod;
+            const guideline = this.getGuideline(key, period);
+            if (!guideline) {
+                return;
+            }
+
+            const sourceUnit = UnitConverter.normalizeUnit(units[key]) || 'µg/m³';
+            const concentration = UnitConverter.convert(value, sourceUnit, definition.unit, { pollutant: key });
+
+            pollutants[key] = this._evaluatePollutant(definition.name, concentration, period, guideline);
+
+            if (!worst || pollutants[key].ratio > pollutants[worst].ratio) {
+                worst = key;
+            }
+        });
+
+        const exceedances = Object.keys(pollutants).filter(key => pollutants[key].exceeds);
+
+        return {
+            source: SOURCE,
+            pollutants,
+            exceedances,
+            worst,
+            meetsAllGuidelines: Object.keys(pollutants).length > 0 && exceedances.length === 0
+        };
+    }
+
+    /**
+     * Avalia um poluente contra o valor-guia e as metas intermediárias
+     * @param {string} name - Nome do poluente
+     * @param {number} concentration - Concentração na unidade da diretriz
+     * @param {string} period - Período de média
+     * @param {Object} guideline - { guideline, interimTargets, unit }
+     * @returns {Object} Resultado da avaliação
+     */
+    _evaluatePollutant(name, concentration, period, guideline) {
+        const ratio = concentration / guideline.guideline;
+
+        // Meta mais restritiva atendida: AQG, depois IT-4 ... IT-1
+        let targetMet = concentration <= guideline.guideline ? 'AQG' : null;
+        if (!targetMet) {
+            for (let index = guideline.interimTargets.length - 1; index >= 0; index--) {
+                if (concentration <= guideline.interimTargets[index]) {
+                    targetMet = `IT-${index + 1}`;
+                    break;
+                }
+            }
+        }
+
+        return {
+            name,
+            concentration,
+            unit: guideline.unit,
+            period,
+            guideline: guideline.guideline,
+            interimTargets: guideline.interimTargets.map((value, index) => ({ id: `IT-${index + 1}`, value })),
+            exceeds: concentration > guideline.guideline,
+            ratio,
+            percentAbove: Math.max(0, (ratio - 1) * 100),
+            targetMet
+        };
+    }
+}
+
+export { WHOGuidelines, WHO_2021_GUIDELINES };
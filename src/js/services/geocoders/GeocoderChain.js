@@ -0,0 +1,162 @@
+/**
+ * GeocoderChain - Cadeia ordenada de provedores de geocodificação
+ * Tenta os provedores por prioridade e passa ao próximo quando um falha ou não
+ * encontra a localização
+ */
+import { GeocoderProviderError, GeocoderNotFoundError } from './GeocoderProvider.js';
+import { RequestSignal } from '../../utils/RequestSignal.js';
+
+class GeocoderChain {
+    constructor(providers = []) {
+        this.providers = new Map();
+        providers.forEach((provider, index) => this.register(provider, { priority: index }));
+    }
+
+    /**
+     * Registra um provedor
+     * @param {GeocoderProvider} provider - Instância do provedor
+     * @param {Object} options - Opções do registro
+     * @param {number} options.priority - Menor valor = tentado antes
+     */
+    register(provider, { priority = this.providers.size } = {}) {
+        if (!provider || !provider.id || typeof provider.geocode !== 'function') {
+            throw new GeocoderProviderError('Provedor de geocodificação inválido');
+        }
+
+        this.providers.set(provider.id, { provider, priority });
+    }
+
+    /**
+     * Remove um provedor
+     * @param {string} id - Identificador do provedor
+     * @returns {boolean} True se removido
+     */
+    unregister(id) {
+        return this.providers.delete(id);
+    }
+
+    /**
+     * Obtém um provedor registrado
+     * @param {string} id - Identificador do provedor
+     * @returns {GeocoderProvider|null}
+     */
+    get(id) {
+        return this.providers.get(id)?.provider || null;
+    }
+
+    /**
+     * Lista os provedores com suas capacidades
+     * @returns {Array<Object>} id, name, baseURL, priority e capabilities
+     */
+    list() {
+        return this._sorted().map(({ provider, priority }) => ({
+            id: provider.id,
+            name: provider.name,
+            baseURL: provider.baseURL,
+            priority,
+            capabilities: { ...provider.capabilities }
+        }));
+    }
+
+    /**
+     * Geocodifica cidade, estado e país
+     * @param {Object} location - Objeto com city, state e country
+     * @param {Object} options - signal para cancelamento
+     * @returns {Promise<Object>} Localização com source do provedor que respondeu
+     */
+    async geocode(location, options) {
+        return this._execute('geocode', provider => provider.geocode(location, options));
+    }
+
+    /**
+     * Geocodifica um código postal já validado
+     * @param {string} postalCode - Código normalizado
+     * @param {string|null} country - Código ISO do país
+     * @param {Object} options - signal para cancelamento
+     * @returns {Promise<Object>} Localização com source do provedor que respondeu
+     */
+    async geocodePostalCode(postalCode, country, options) {
+        return this._execute('postalCode', provider => provider.geocodePostalCode(postalCode, country, options));
+    }
+
+    /**
+     * Busca candidatos para o autocomplete
+     * Uma lista vazia é uma resposta válida e encerra a cadeia
+     * @param {string} query - Texto digitado
+     * @param {Object} options - limit, country e signal
+     * @returns {Promise<Array<Object>>} Candidatos do primeiro provedor que respondeu
+     */
+    async search(query, options) {
+        return this._execute('search', provider => provider.search(query, options));
+    }
+
+    /**
+     * Geocodificação reversa
+     * @param {number} lat - Latitude
+     * @param {number} lon - Longitude
+     * @param {Object} options - signal para cancelamento
+     * @returns {Promise<Object>} display_name, address, place_id e source
+     */
+    async reverseGeocode(lat, lon, options) {
+        return this._execute('reverse', provider => provider.reverseGeocode(lat, lon, options));
+    }
+
+    /**
+     * Tenta os provedores em ordem até um responder
+     * @param {string} capability - Capacidade necessária
+     * @param {Function} operation - Recebe o provedor e retorna a promessa do resultado
+     * @returns {Promise<Object>} Resultado do primeiro provedor bem-sucedido
+     * @throws {GeocoderNotFoundError} Se nenhum provedor encontrou a localização
+     * @throws {GeocoderProviderError} Se algum provedor falhou e nenhum respondeu
+     */
+    async _execute(capability, operation) {
+        const candidates = this._sorted()
+            .map(({ provider }) => provider)
+            .filter(provider => provider.supports(capability));
+
+        if (candidates.length === 0) {
+            throw new GeocoderProviderError(`Nenhum provedor de geocodificação disponível para ${capability}`);
+        }
+
+        const errors = [];
+
+        for (const provider of candidates) {
+            try {
+                return await operation(provider);
+            } catch (error) {
+                // Cancelamento pelo chamador encerra a cadeia
+                if (RequestSignal.isCancellation(error)) {
+                    throw error;
+                }
+
+                errors.push({ provider: provider.id, error });
+                console.warn(`⚠️ GeocoderChain: ${provider.id} failed, trying next provider`, {
+                    error: error.message
+                });
+            }
+        }
+
+        if (errors.length === 1) {
+            throw errors[0].error;
+        }
+
+        const summary = errors.map(({ provider, error }) => `${provider} (${error.message})`).join('; ');
+
+        // Só é "não encontrado" quando todos responderam sem resultado
+        if (errors.every(({ error }) => error instanceof GeocoderNotFoundError)) {
+            throw new GeocoderNotFoundError(`Nenhum provedor encontrou a localização: ${summary}`, null, errors);
+        }
+
+        throw new GeocoderProviderError(`Todos os provedores falharam: ${summary}`, null, errors);
+    }
+
+    /**
+     * Provedores ordenados por prioridade
+     * @returns {Array<Object>} Entradas { provider, priority }
+     */
+    _sorted() {
+        return [...this.providers.values()].sort((a, b) => a.priority - b.priority);
+    }
+}
+
+export { GeocoderChain };
@@ -0,0 +1,192 @@
+/**
+ * GeocoderProvider - Interface dos provedores de geocodificação
+ * Cada provedor converte a resposta da sua API no formato de GeocodingService.geocode
+ * (lat, lon, display_name, address, boundingBox, importance, place_id) e identifica
+ * a si mesmo em source
+ */
+import { CountryNormalizer } from '../../utils/CountryNormalizer.js';
+import { RequestSignal } from '../../utils/RequestSignal.js';
+
+/**
+ * Capacidades padrão de um provedor
+ */
+const DEFAULT_CAPABILITIES = {
+    geocode: true,
+    search: true,
+    reverse: false,
+    postalCode: false
+};
+
+/**
+ * Classe base abstrata para provedores
+ */
+class GeocoderProvider {
+    constructor(options = {}) {
+        this.id = options.id || 'unknown';
+        this.name = options.name || this.id;
+        this.baseURL = options.baseURL;
+        this.capabilities = { ...DEFAULT_CAPABILITIES, ...options.capabilities };
+        this.fetch = options.fetch || ((...args) => fetch(...args));
+        // Tempo limite por requisição (ms)
+        this.timeout = options.timeout ?? 10000;
+    }
+
+    /**
+     * Converte cidade, estado e país em coordenadas
+     * @param {Object} location - Objeto com city, state e country (código ISO ou nome, opcional)
+     * @param {Object} options - signal para cancelamento
+     * @returns {Promise<Object>} Localização no formato padrão
+     * @throws {GeocoderNotFoundError} Se a localização não for encontrada
+     */
+    async geocode(location, options) {
+        throw new Error('GeocoderProvider.geocode() must be implemented by subclass');
+    }
+
+    /**
+     * Converte um código postal já validado em coordenadas
+     * @param {string} postalCode - Código normalizado (ex.: 01310-100)
+     * @param {string|null} country - Código ISO do país ou null
+     * @param {Object} options - signal para cancelamento
+     * @returns {Promise<Object>} Localização no formato padrão
+     */
+    async geocodePostalCode(postalCode, country, options) {
+        throw new GeocoderProviderError(`${this.name} não oferece busca por código postal`, this.id);
+    }
+
+    /**
+     * Busca candidatos para um texto livre
+     * @param {string} query - Texto digitado
+     * @param {Object} options - limit, country (código ISO ou null) e signal
+     * @returns {Promise<Array<Object>>} Candidatos no formato padrão, em ordem de relevância
+     */
+    async search(query, options) {
+        throw new GeocoderProviderError(`${this.name} não oferece busca de candidatos`, this.id);
+    }
+
+    /**
+     * Busca o endereço de coordenadas
+     * @param {number} lat - Latitude
+     * @param {number} lon - Longitude
+     * @param {Object} options - signal para cancelamento
+     * @returns {Promise<Object>} display_name, address e place_id
+     */
+    async reverseGeocode(lat, lon, options) {
+        throw new GeocoderProviderError(`${this.name} não oferece geocodificação reversa`, this.id);
+    }
+
+    /**
+     * Verifica se o provedor oferece uma capacidade
+     * @param {string} capability - geocode, search, reverse ou postalCode
+     * @returns {boolean}
+     */
+    supports(capability) {
+        return Boolean(this.capabilities[capability]);
+    }
+
+    /**
+     * Constrói a URL de um endpoint do provedor
+     * @param {string} endpoint - Caminho relativo a baseURL
+     * @param {Object} params - Parâmetros da query (valores vazios são omitidos)
+     * @returns {string} URL completa
+     */
+    _buildURL(endpoint, params = {}) {
+        const url = new URL(`${this.baseURL}/${endpoint}`);
+
+        Object.entries(params).forEach(([key, value]) => {
+            if (value !== undefined && value !== null && value !== '') {
+                url.searchParams.append(key, value.toString());
+            }
+        });
+
+        return url.toString();
+    }
+
+    /**
+     * Executa uma requisição GET e devolve o corpo JSON
+     * @param {string} url - URL completa
+     * @param {Object} options - signal para cancelamento
+     * @returns {Promise<Object>} Corpo da resposta
+     * @throws {GeocoderProviderError} Se a API responder com erro
+     * @throws {RequestTimeoutError} Se o tempo limite for excedido
+     */
+    async _request(url, { signal = null } = {}) {
+        return RequestSignal.run(async (requestSignal) => {
+            const response = await this.fetch(url, { headers: { Accept: 'application/json' }, signal: requestSignal });
+
+            if (!response.ok) {
+                throw new GeocoderProviderError(`${this.name} respondeu HTTP ${response.status}`, this.id);
+            }
+
+            return response.json();
+        }, { signal, timeout: this.timeout, label: this.name });
+    }
+
+    /**
+     * Monta um resultado no formato padrão, identificando o provedor
+     * @param {Object} fields - lat, lon, display_name, address, boundingBox, importance, place_id
+     * @returns {Object} Localização no formato de GeocodingService.geocode
+     */
+    _result({ lat, lon, display_name, address = {}, boundingBox = null, importance, place_id }) {
+        return {
+            lat: parseFloat(lat),
+            lon: parseFloat(lon),
+            display_name,
+            address: {
+                city: address.city,
+                state: address.state,
+                country: address.country,
+                countryCode: address.countryCode?.toUpperCase(),
+                postcode: address.postcode,
+                county: address.county,
+                suburb: address.suburb,
+                road: address.road,
+                houseNumber: address.houseNumber
+            },
+            boundingBox,
+            importance,
+            place_id,
+            source: this.id
+        };
+    }
+
+    /**
+     * Escolhe o candidato cujo estado corresponde ao informado (nome completo ou início)
+     * Sem correspondência, prevalece a ordem de relevância da API
+     * @param {Array<Object>} results - Resultados no formato padrão
+     * @param {string} state - Estado digitado (opcional)
+     * @returns {Object|undefined} Melhor resultado
+     */
+    _pickByState(results, state) {
+        const wanted = CountryNormalizer.normalizeText(state);
+        if (!wanted) return results[0];
+
+        return results.find(result => {
+            const candidate = CountryNormalizer.normalizeText(result.address.state);
+            return candidate && (candidate === wanted || candidate.startsWith(wanted));
+        }) || results[0];
+    }
+}
+
+/**
+ * Erro de provedor indisponível ou sem a capacidade solicitada
+ */
+class GeocoderProviderError extends Error {
+    constructor(message, providerId = null, errors = []) {
+        super(message);
+        this.name = 'GeocoderProviderError';
+        this.providerId = providerId;
+        this.errors = errors;
+    }
+}
+
+/**
+ * Erro de provedor que respondeu, mas não encontrou a localização
+ */
+class GeocoderNotFoundError extends GeocoderProviderError {
+    constructor(message, providerId = null, errors = []) {
+        super(message, providerId, errors);
+        this.name = 'GeocoderNotFoundError';
+    }
+}
+
+export { GeocoderProvider, GeocoderProviderError, GeocoderNotFoundError, DEFAULT_CAPABILITIES };
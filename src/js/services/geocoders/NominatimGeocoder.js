@@ -0,0 +1,207 @@
+/**
+ * NominatimGeocoder - Provedor baseado na API Nominatim do OpenStreetMap
+ * Todas as chamadas passam pela fila de 1 requisição/s exigida pela política de uso
+ */
+import { GeocoderProvider, GeocoderNotFoundError } from './GeocoderProvider.js';
+import { NominatimRequestQueue } from '../NominatimRequestQueue.js';
+import { CountryNormalizer } from '../../utils/CountryNormalizer.js';
+
+class NominatimGeocoder extends GeocoderProvider {
+    constructor(options = {}) {
+        super({
+            id: 'nominatim',
+            name: 'Nominatim (OpenStreetMap)',
+            baseURL: options.baseURL || 'https://nominatim.openstreetmap.org',
+            fetch: options.fetch,
+            timeout: options.timeout,
+            capabilities: { geocode: true, search: true, reverse: true, postalCode: true }
+        });
+
+        // email e referer identificam a aplicação para os operadores do serviço;
+        // o tempo limite vale para cada requisição, não para a espera na fila
+        this.requestQueue = options.requestQueue || new NominatimRequestQueue({
+            email: options.email,
+            referer: options.referer,
+            fetch: options.fetch,
+            timeout: this.timeout
+        });
+        this.defaultParams = {
+            format: 'json',
+            limit: 1,
+            addressdetails: 1
+        };
+    }
+
+    /**
+     * Busca estruturada (city, state) restrita ao país (countrycodes); se ela não
+     * encontrar nada, repete como texto livre no mesmo país
+     * @param {Object} location - Objeto com city, state e country
+     * @param {Object} options - signal para cancelamento
+     * @returns {Promise<Object>} Localização no formato padrão
+     */
+    async geocode({ city, state, country = null }, { signal = null } = {}) {
+        const structured = this._buildStructuredQuery(city, state, country);
+
+        let data = await this._request(this._buildURL('search', { ...this.defaultParams, ...structured }), { signal });
+
+        // Estados abreviados ("SP", "NY") nem sempre casam na busca estruturada
+        if (!data || data.length === 0) {
+            data = await this._request(this._buildURL('search', {
+                ...this.defaultParams,
+                q: this._buildQuery(city, state, structured.country),
+                countrycodes: structured.countrycodes
+            }), { signal });
+        }
+
+        if (!data || data.length === 0) {
+            throw new GeocoderNotFoundError(`${this.name} não encontrou ${[city, state, country].filter(Boolean).join(', ')}`, this.id);
+        }
+
+        return this._formatLocation(data[0]);
+    }
+
+    /**
+     * Consulta estruturada postalcode
+     * @param {string} postalCode - Código normalizado
+     * @param {string|null} country - Código ISO do país
+     * @param {Object} options - signal para cancelamento
+     * @returns {Promise<Object>} Localização no formato padrão
+     */
+    async geocodePostalCode(postalCode, country, { signal = null } = {}) {
+        const data = await this._request(this._buildURL('search', {
+            ...this.defaultParams,
+            postalcode: postalCode,
+            countrycodes: country?.toLowerCase()
+        }), { signal });
+
+        if (!data || data.length === 0) {
+            throw new GeocoderNotFoundError(`${this.name} não encontrou o código postal ${postalCode}`, this.id);
+        }
+
+        return this._formatLocation(data[0]);
+    }
+
+    /**
+     * Busca candidatos por texto livre
+     * @param {string} query - Texto digitado
+     * @param {Object} options - limit, country (código ISO) e signal
+     * @returns {Promise<Array<Object>>} Candidatos ordenados por importância
+     */
+    async search(query, { limit = 5, country = null, signal = null } = {}) {
+        const data = await this._request(this._buildURL('search', {
+            ...this.defaultParams,
+            q: query,
+            limit,
+            countrycodes: country?.toLowerCase()
+        }), { signal });
+
+        // Nominatim já ordena por relevância; a importância desempata candidatos homônimos
+        return (Array.isArray(data) ? data : [])
+            .map((location, index) => ({ location: this._formatLocation(location), index }))
+            .sort((a, b) => ((b.location.importance ?? 0) - (a.location.importance ?? 0)) || (a.index - b.index))
+            .map(({ location }) => location);
+    }
+
+    /**
+     * Geocodificação reversa
+     * @param {number} lat - Latitude
+     * @param {number} lon - Longitude
+     * @param {Object} options - signal para cancelamento
+     * @returns {Promise<Object>} display_name, address, place_id e source
+     */
+    async reverseGeocode(lat, lon, { signal = null } = {}) {
+        const data = await this._request(this._buildURL('reverse', {
+            lat: lat.toString(),
+            lon: lon.toString(),
+            ...this.defaultParams
+        }), { signal });
+
+        if (!data || data.error) {
+            throw new GeocoderNotFoundError(`${this.name} não encontrou endereço para ${lat}, ${lon}`, this.id);
+        }
+
+        const { display_name, address, place_id, source } = this._formatLocation(data);
+        return { display_name, address, place_id, source };
+    }
+
+    /**
+     * Envia a requisição pela fila do Nominatim
+     * @param {string} url - URL completa
+     * @param {Object} options - signal para cancelamento
+     * @returns {Promise<Object>} Corpo JSON da resposta
+     */
+    async _request(url, { signal = null } = {}) {
+        return this.requestQueue.request(url, { signal });
+    }
+
+    /**
+     * Constrói os parâmetros da busca estruturada
+     * Países reconhecidos viram filtro countrycodes; nomes desconhecidos vão como texto
+     * no parâmetro country
+     * @param {string} city - Cidade
+     * @param {string} state - Estado
+     * @param {string} country - Código ou nome do país (opcional)
+     * @returns {Object} Parâmetros city, state e countrycodes ou country
+     */
+    _buildStructuredQuery(city, state, country) {
+        const params = {};
+        if (city?.trim()) params.city = city.trim();
+        if (state?.trim()) params.state = state.trim();
+
+        const countryCode = CountryNormalizer.toCode(country);
+        if (countryCode) {
+            params.countrycodes = countryCode.toLowerCase();
+        } else if (country?.trim()) {
+            params.country = country.trim();
+        }
+
+        return params;
+    }
+
+    /**
+     * Constrói a query de texto livre
+     * @param {string} city - Cidade
+     * @param {string} state - Estado
+     * @param {string} country - País não reconhecido (os reconhecidos vão em countrycodes)
+     * @returns {string} Query formatada
+     */
+    _buildQuery(city, state, country) {
+        return [city, state, country].filter(part => part && part.trim()).join(', ');
+    }
+
+    /**
+     * Converte um resultado do Nominatim no formato padrão
+     * @param {Object} location - Resultado da API Nominatim
+     * @returns {Object} Coordenadas, endereço, bounding box e importância
+     */
+    _formatLocation(location) {
+        const address = location.address || {};
+
+        return this._result({
+            lat: location.lat,
+            lon: location.lon,
+            display_name: location.display_name,
+            address: {
+                city: address.city || address.town || address.village || address.hamlet,
+                state: address.state || address.province || address.region,
+                country: address.country,
+                countryCode: address.country_code,
+                postcode: address.postcode,
+                county: address.county,
+                suburb: address.suburb || address.neighbourhood,
+                road: address.road,
+                houseNumber: address.house_number
+            },
+            boundingBox: location.boundingbox ? {
+                south: parseFloat(location.boundingbox[0]),
+                north: parseFloat(location.boundingbox[1]),
+                west: parseFloat(location.boundingbox[2]),
+                east: parseFloat(location.boundingbox[3])
+            } : null,
+            importance: location.importance,
+            place_id: location.place_id
+        });
+    }
+}
+
+export { NominatimGeocoder };
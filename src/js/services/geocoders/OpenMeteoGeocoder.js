@@ -0,0 +1,95 @@
+/**
+ * OpenMeteoGeocoder - Provedor baseado na Geocoding API do Open-Meteo (dados GeoNames)
+ * Busca por nome de localidade ou código postal, com filtro de país nativo;
+ * não oferece geocodificação reversa nem bounding box
+ */
+import { GeocoderProvider, GeocoderNotFoundError } from './GeocoderProvider.js';
+import { CountryNormalizer } from '../../utils/CountryNormalizer.js';
+
+// Candidatos pedidos para escolher o estado informado entre homônimos
+const CANDIDATE_POOL = 10;
+
+class OpenMeteoGeocoder extends GeocoderProvider {
+    constructor(options = {}) {
+        super({
+            id: 'open-meteo',
+            name: 'Open-Meteo Geocoding',
+            baseURL: options.baseURL || 'https://geocoding-api.open-meteo.com/v1',
+            fetch: options.fetch,
+            timeout: options.timeout,
+            capabilities: { geocode: true, search: true, reverse: false, postalCode: true }
+        });
+
+        this.language = options.language || 'pt';
+    }
+
+    async geocode({ city, state, country = null }, { signal = null } = {}) {
+        const results = await this._searchNames(city, { count: CANDIDATE_POOL, country: CountryNormalizer.toCode(country), signal });
+        const result = this._pickByState(results, state);
+
+        if (!result) {
+            throw new GeocoderNotFoundError(`${this.name} não encontrou ${[city, state, country].filter(Boolean).join(', ')}`, this.id);
+        }
+
+        return result;
+    }
+
+    async geocodePostalCode(postalCode, country, { signal = null } = {}) {
+        const [result] = await this._searchNames(postalCode, { count: 1, country, signal });
+
+        if (!result) {
+            throw new GeocoderNotFoundError(`${this.name} não encontrou o código postal ${postalCode}`, this.id);
+        }
+
+        return result;
+    }
+
+    async search(query, { limit = 5, country = null, signal = null } = {}) {
+        // A API busca apenas o nome da localidade; estado e país após vírgulas são ignorados
+        const [name] = String(query).split(',');
+        return this._searchNames(name, { count: limit, country, signal });
+    }
+
+    /**
+     * Consulta o endpoint /search
+     * @param {string} name - Nome da localidade ou código postal
+     * @param {Object} options - count, country (código ISO) e signal
+     * @returns {Promise<Array<Object>>} Resultados no formato padrão
+     */
+    async _searchNames(name, { count, country = null, signal = null } = {}) {
+        const data = await this._request(this._buildURL('search', {
+            name: name?.trim(),
+            count,
+            language: this.language,
+            format: 'json',
+            countryCode: country
+        }), { signal });
+
+        // Sem resultados, a API omite o campo results
+        return (data?.results || []).map(result => this._formatResult(result));
+    }
+
+    /**
+     * Converte um resultado do Open-Meteo no formato padrão
+     * @param {Object} result - Resultado com latitude, longitude, admin1..4 e country_code
+     * @returns {Object} Localização no formato padrão
+     */
+    _formatResult(result) {
+        return this._result({
+            lat: result.latitude,
+            lon: result.longitude,
+            display_name: [result.name, result.admin1, result.country].filter(Boolean).join(', '),
+            address: {
+                city: result.name,
+                state: result.admin1,
+                country: result.country,
+                countryCode: result.country_code,
+                postcode: result.postcodes?.[0],
+                county: result.admin2
+            },
+            place_id: result.id
+        });
+    }
+}
+
+export { OpenMeteoGeocoder };
@@ -0,0 +1,110 @@
+/**
+ * PhotonGeocoder - Provedor baseado no Photon (komoot), busca tolerante a erros de
+ * digitação sobre os dados do OpenStreetMap
+ * Respostas em GeoJSON; o Photon não filtra por país, então o filtro é aplicado aqui
+ */
+import { GeocoderProvider, GeocoderNotFoundError } from './GeocoderProvider.js';
+import { CountryNormalizer } from '../../utils/CountryNormalizer.js';
+
+// Candidatos pedidos a mais para compensar o filtro de país local
+const CANDIDATE_POOL = 10;
+
+class PhotonGeocoder extends GeocoderProvider {
+    constructor(options = {}) {
+        super({
+            id: 'photon',
+            name: 'Photon (komoot)',
+            baseURL: options.baseURL || 'https://photon.komoot.io',
+            fetch: options.fetch,
+            timeout: options.timeout,
+            capabilities: { geocode: true, search: true, reverse: true, postalCode: false }
+        });
+    }
+
+    async geocode({ city, state, country = null }, { signal = null } = {}) {
+        const countryCode = CountryNormalizer.toCode(country);
+        // Países desconhecidos entram no texto da busca
+        const query = [city, state, countryCode ? null : country].filter(part => part && part.trim()).join(', ');
+
+        const results = await this._searchFeatures(query, { limit: CANDIDATE_POOL, country: countryCode, osm_tag: 'place', signal });
+        const result = this._pickByState(results, state);
+
+        if (!result) {
+            throw new GeocoderNotFoundError(`${this.name} não encontrou ${[city, state, country].filter(Boolean).join(', ')}`, this.id);
+        }
+
+        return result;
+    }
+
+    async search(query, { limit = 5, country = null, signal = null } = {}) {
+        const results = await this._searchFeatures(query, { limit: country ? CANDIDATE_POOL : limit, country, signal });
+        return results.slice(0, limit);
+    }
+
+    async reverseGeocode(lat, lon, { signal = null } = {}) {
+        const data = await this._request(this._buildURL('reverse', { lat, lon }), { signal });
+        const feature = data?.features?.[0];
+
+        if (!feature) {
+            throw new GeocoderNotFoundError(`${this.name} não encontrou endereço para ${lat}, ${lon}`, this.id);
+        }
+
+        const { display_name, address, place_id, source } = this._formatFeature(feature);
+        return { display_name, address, place_id, source };
+    }
+
+    /**
+     * Consulta o endpoint /api e filtra pelo país
+     * @param {string} query - Texto da busca
+     * @param {Object} options - limit, country (código ISO), osm_tag e signal
+     * @returns {Promise<Array<Object>>} Resultados no formato padrão
+     */
+    async _searchFeatures(query, { limit, country = null, osm_tag, signal = null } = {}) {
+        const data = await this._request(this._buildURL('api', { q: query, limit, osm_tag }), { signal });
+
+        return (data?.features || [])
+            .map(feature => this._formatFeature(feature))
+            .filter(result => !country || result.address.countryCode === country);
+    }
+
+    /**
+     * Converte uma feature GeoJSON do Photon no formato padrão
+     * extent vem como [oeste, norte, leste, sul]
+     * @param {Object} feature - Feature com geometry.coordinates [lon, lat] e properties
+     * @returns {Object} Localização no formato padrão
+     */
+    _formatFeature(feature) {
+        const [lon, lat] = feature.geometry.coordinates;
+        const properties = feature.properties || {};
+        const city = properties.type === 'city' ? properties.name : properties.city;
+        const extent = properties.extent;
+
+        return this._result({
+            lat,
+            lon,
+            display_name: [properties.name, city, properties.state, properties.country]
+                .filter((part, index, parts) => part && parts.indexOf(part) === index)
+                .join(', '),
+            address: {
+                city,
+                state: properties.state,
+                country: properties.country,
+                countryCode: properties.countrycode,
+                postcode: properties.postcode,
+                county: properties.county,
+                suburb: properties.district || properties.locality,
+                road: properties.street,
+                houseNumber: properties.housenumber
+            },
+            boundingBox: Array.isArray(extent) ? {
+                south: extent[3],
+                north: extent[1],
+                west: extent[0],
+                east: extent[2]
+            } : null,
+            place_id: properties.osm_id ? `${properties.osm_type || ''}${properties.osm_id}` : undefined
+        });
+    }
+}
+
+export { PhotonGeocoder };
@@ -0,0 +1,121 @@
+/**
+ * AirQualityProvider - Interface dos provedores de dados de qualidade do ar
+ * Cada provedor declara suas capacidades e retorna o mesmo formato normalizado
+ * produzido por AirQualityService._processAirQualityData
+ */
+import { AirQualityService } from '../AirQualityService.js';
+
+/**
+ * Capacidades padrão de um provedor
+ */
+const DEFAULT_CAPABILITIES = {
+    current: true,
+    forecast: false,
+    history: false,
+    batch: false,
+    allergens: false,
+    extended: false,
+    requiresApiKey: false,
+    pollutants: [],
+    // Área coberta: 'global' ou bounding box { minLat, maxLat, minLon, maxLon }
+    coverage: 'global'
+};
+
+/**
+ * Classe base abstrata para provedores
+ */
+class AirQualityProvider {
+    constructor(options = {}) {
+        this.id = options.id || 'unknown';
+        this.name = options.name || this.id;
+        this.capabilities = { ...DEFAULT_CAPABILITIES, ...options.capabilities };
+        // Pipeline compartilhado de processamento (índices, poluentes, recomendações)
+        this.processor = options.processor || new AirQualityService();
+    }
+
+    /**
+     * Obtém dados atuais de qualidade do ar
+     * @param {Object} coordinates - Objeto com lat e lon
+     * @param {Object} options - Opções da consulta (ex.: extended)
+     * @returns {Promise<Object>} Dados normalizados
+     */
+    async getAirQuality(coordinates, options) {
+        throw new Error('AirQualityProvider.getAirQuality() must be implemented by subclass');
+    }
+
+    /**
+     * Obtém previsão horária
+     * @param {Object} coordinates - Objeto com lat e lon
+     * @param {Object} options - Opções da previsão
+     * @returns {Promise<Object>} Série temporal normalizada
+     */
+    async getForecast(coordinates, options) {
+        throw new AirQualityProviderError(`${this.name} não oferece previsão`, this.id);
+    }
+
+    /**
+     * Obtém histórico horário
+     * @param {Object} coordinates - Objeto com lat e lon
+     * @param {Object} range - Período do histórico
+     * @returns {Promise<Object>} Série temporal normalizada
+     */
+    async getHistory(coordinates, range) {
+        throw new AirQualityProviderError(`${this.name} não oferece histórico`, this.id);
+    }
+
+    /**
+     * Verifica se o provedor oferece uma capacidade
+     * @param {string} capability - Nome da capacidade (current, forecast, history, batch...)
+     * @returns {boolean}
+     */
+    supports(capability) {
+        return Boolean(this.capabilities[capability]);
+    }
+
+    /**
+     * Verifica se as coordenadas estão na área de cobertura
+     * @param {Object} coordinates - Objeto com lat e lon
+     * @returns {boolean}
+     */
+    covers({ lat, lon } = {}) {
+        const { coverage } = this.capabilities;
+        if (coverage === 'global' || lat === undefined || lon === undefined) {
+            return true;
+        }
+
+        return lat >= coverage.minLat && lat <= coverage.maxLat
+            && lon >= coverage.minLon && lon <= coverage.maxLon;
+    }
+
+    /**
+     * Converte dados no formato Open-Meteo (current/current_units) para o formato normalizado
+     * Fontes sem índice próprio recebem o US AQI calculado a partir das concentrações
+     * @param {Object} rawData - Dados com current, current_units e metadados de localização
+     * @returns {Object} Dados normalizados com metadata.provider
+     */
+    _normalize(rawData) {
+        const current = { ...rawData.current };
+
+        if (!current.european_aqi && !current.us_aqi) {
+            current.us_aqi = this.processor.calculateEPAAQI(current, null, rawData.current_units || {}).value;
+        }
+
+        const processedData = this.processor._processAirQualityData({ ...rawData, current });
+        processedData.metadata.provider = this.id;
+        return processedData;
+    }
+}
+
+/**
+ * Erro de provedor indisponível ou sem a capacidade solicitada
+ */
+class AirQualityProviderError extends Error {
+    constructor(message, providerId = null, errors = []) {
+        super(message);
+        this.name = 'AirQualityProviderError';
+        this.providerId = providerId;
+        this.errors = errors;
+    }
+}
+
+export { AirQualityProvider, AirQualityProviderError, DEFAULT_CAPABILITIES };
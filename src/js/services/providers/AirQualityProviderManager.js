@@ -0,0 +1,169 @@
+/**
+ * AirQualityProviderManager - Seleção e fallback entre provedores de qualidade do ar
+ * Ordena os provedores por prioridade, capacidade e cobertura e tenta o próximo
+ * quando um deles falha
+ */
+import { AirQualityProviderError } from './AirQualityProvider.js';
+import { RequestSignal } from '../../utils/RequestSignal.js';
+
+class AirQualityProviderManager {
+    constructor(providers = []) {
+        this.providers = new Map();
+        providers.forEach((provider, index) => this.register(provider, { priority: index }));
+    }
+
+    /**
+     * Registra um provedor
+     * @param {AirQualityProvider} provider - Instância do provedor
+     * @param {Object} options - Opções do registro
+     * @param {number} options.priority - Menor valor = maior prioridade
+     */
+    register(provider, { priority = this.providers.size } = {}) {
+        if (!provider || !provider.id || typeof provider.getAirQuality !== 'function') {
+            throw new AirQualityProviderError('Provedor de qualidade do ar inválido');
+        }
+
+        this.providers.set(provider.id, { provider, priority });
+    }
+
+    /**
+     * Remove um provedor
+     * @param {string} id - Identificador do provedor
+     * @returns {boolean} True se removido
+     */
+    unregister(id) {
+        return this.providers.delete(id);
+    }
+
+    /**
+     * Obtém um provedor registrado
+     * @param {string} id - Identificador do provedor
+     * @returns {AirQualityProvider|null}
+     */
+    get(id) {
+        return this.providers.get(id)?.provider || null;
+    }
+
+    /**
+     * Lista os provedores com suas capacidades
+     * @returns {Array<Object>} id, name, priority e capabilities
+     */
+    list() {
+        return this._sorted().map(({ provider, priority }) => ({
+            id: provider.id,
+            name: provider.name,
+            priority,
+            capabilities: { ...provider.capabilities }
+        }));
+    }
+
+    /**
+     * Ordena os provedores aptos para uma requisição
+     * @param {string} capability - Capacidade necessária (current, forecast, history...)
+     * @param {Object} coordinates - Coordenadas da consulta (para checar cobertura)
+     * @param {Array<string>} preferred - Ids na ordem desejada; os demais entram como fallback
+     * @returns {Array<AirQualityProvider>} Provedores em ordem de tentativa
+     */
+    rank(capability, coordinates = {}, preferred = []) {
+        const eligible = this._sorted()
+            .map(({ provider }) => provider)
+            .filter(provider => provider.supports(capability) && provider.covers(coordinates));
+
+        const preferredProviders = preferred
+            .map(id => eligible.find(provider => provider.id === id))
+            .filter(Boolean);
+
+        return [...preferredProviders, ...eligible.filter(provider => !preferredProviders.includes(provider))];
+    }
+
+    /**
+     * Obtém dados atuais com fallback entre provedores
+     * @param {Object} coordinates - Objeto com lat e lon
+     * @param {Object} options - Opções da seleção
+     * @param {Array<string>} options.providers - Provedores preferidos para esta requisição
+     * @param {boolean} options.extended - Solicita o conjunto estendido (UV, poeira, aerossóis)
+     * @param {AbortSignal} options.signal - Cancela a consulta sem passar aos demais provedores
+     * @returns {Promise<Object>} Dados normalizados com metadata.provider
+     */
+    async getAirQuality(coordinates, { providers, ...options } = {}) {
+        return this._execute('current', coordinates, { providers },
+            provider => provider.getAirQuality(coordinates, options));
+    }
+
+    /**
+     * Obtém previsão com fallback entre provedores
+     * @param {Object} coordinates - Objeto com lat e lon
+     * @param {Object} options - Opções da previsão e providers preferidos
+     * @returns {Promise<Object>} Série temporal normalizada
+     */
+    async getForecast(coordinates, { providers, ...options } = {}) {
+        return this._execute('forecast', coordinates, { providers },
+            provider => provider.getForecast(coordinates, options));
+    }
+
+    /**
+     * Obtém histórico com fallback entre provedores
+     * @param {Object} coordinates - Objeto com lat e lon
+     * @param {Object} range - Período do histórico e providers preferidos
+     * @returns {Promise<Object>} Série temporal normalizada
+     */
+    async getHistory(coordinates, { providers, ...range } = {}) {
+        return this._execute('history', coordinates, { providers },
+            provider => provider.getHistory(coordinates, range));
+    }
+
+    /**
+     * Tenta os provedores em ordem até um responder
+     * @param {string} capability - Capacidade necessária
+     * @param {Object} coordinates - Coordenadas da consulta
+     * @param {Object} options - providers preferidos
+     * @param {Function} operation - Recebe o provedor e retorna a promessa de dados
+     * @returns {Promise<Object>} Resultado do primeiro provedor bem-sucedido
+     */
+    async _execute(capability, coordinates, { providers = [] } = {}, operation) {
+        const candidates = this.rank(capability, coordinates, providers);
+
+        if (candidates.length === 0) {
+            throw new AirQualityProviderError(`Nenhum provedor disponível para ${capability}`);
+        }
+
+        const errors = [];
+
+        for (const provider of candidates) {
+            try {
+                return await operation(provider);
+            } catch (error) {
+                // Cancelamento pelo chamador encerra a cadeia
+                if (RequestSignal.isCancellation(error)) {
+                    throw error;
+                }
+
+                errors.push({ provider: provider.id, error });
+                console.warn(`⚠️ AirQualityProviderManager: ${provider.id} failed, trying next provider`, {
+                    error: error.message
+                });
+            }
+        }
+
+        // Erros de dados do único provedor são repassados sem alteração
+        if (errors.length === 1) {
+            throw errors[0].error;
+        }
+
+        throw new AirQualityProviderError(
+            `Todos os provedores falharam: ${errors.map(({ provider, error }) => `${provider} (${error.message})`).join('; ')}`,
+            null,
+            errors
+        );
+    }
+
+    /**
+     * Provedores ordenados por prioridade
+     * @returns {Array<Object>} Entradas { provider, priority }
+     */
+    _sorted() {
+        return [...this.providers.values()].sort((a, b) => a.priority - b.priority);
+    }
+}
+
+export { AirQualityProviderManager };
@@ -0,0 +1,126 @@
+/**
+ * OpenAQProvider - Provedor de medições de estações no estilo OpenAQ (API v3)
+ * Busca a estação mais próxima e suas últimas leituras por sensor
+ */
+import { AirQualityProvider, AirQualityProviderError } from './AirQualityProvider.js';
+
+/**
+ * Nomes de parâmetros da OpenAQ → chaves usadas no pipeline
+ */
+const PARAMETER_MAP = {
+    pm25: 'pm2_5',
+    pm10: 'pm10',
+    o3: 'ozone',
+    no2: 'nitrogen_dioxide',
+    so2: 'sulphur_dioxide',
+    co: 'carbon_monoxide'
+};
+
+class OpenAQProvider extends AirQualityProvider {
+    constructor(options = {}) {
+        super({
+            id: 'openaq',
+            name: 'OpenAQ',
+            processor: options.processor,
+            capabilities: {
+                current: true,
+                requiresApiKey: true,
+                pollutants: Object.values(PARAMETER_MAP),
+                coverage: 'global',
+                ...options.capabilities
+            }
+        });
+
+        this.baseURL = options.baseURL || 'https://api.openaq.org/v3';
+        this.apiKey = options.apiKey || null;
+        this.searchRadius = options.searchRadius || 25000; // metros (máximo da API)
+    }
+
+    async getAirQuality({ lat, lon }, { signal } = {}) {
+        const locations = await this._request('/locations', {
+            coordinates: `${lat},${lon}`,
+            radius: this.searchRadius,
+            limit: 1
+        }, signal);
+
+        const station = locations.results?.[0];
+        if (!station) {
+            throw new AirQualityProviderError('Nenhuma estação OpenAQ próxima desta localização', this.id);
+        }
+
+        const latest = await this._request(`/locations/${station.id}/latest`, {}, signal);
+
+        return this._normalize(this._toRawData(station, latest.results || []));
+    }
+
+    /**
+     * Converte estação e leituras para o formato current/current_units
+     * @param {Object} station - Estação retornada por /locations
+     * @param {Array<Object>} readings - Leituras retornadas por /latest
+     * @returns {Object} Dados brutos no formato do pipeline
+     */
+    _toRawData(station, readings) {
+        const sensors = new Map((station.sensors || []).map(sensor => [sensor.id, sensor.parameter]));
+        const current = {};
+        const units = {};
+        let latestTime = null;
+
+        readings.forEach(reading => {
+            const parameter = sensors.get(reading.sensorsId);
+            const key = parameter && PARAMETER_MAP[parameter.name];
+            if (!key || reading.value === null || reading.value === undefined) {
+                return;
+            }
+
+            current[key] = reading.value;
+            units[key] = parameter.units;
+
+            const time = reading.datetime?.utc;
+            if (time && (!latestTime || time > latestTime)) {
+                latestTime = time;
+            }
+        });
+
+        if (Object.keys(current).length === 0) {
+            throw new AirQualityProviderError('Estação OpenAQ sem leituras recentes', this.id);
+        }
+
+        current.time = latestTime;
+
+        return {
+            latitude: station.coordinates?.latitude,
+            longitude: station.coordinates?.longitude,
+            timezone: station.timezone,
+            station: { id: station.id, name: station.name },
+            current,
+            current_units: units
+        };
+    }
+
+    /**
+     * Executa requisição GET na API
+     * @param {string} path - Caminho do endpoint
+     * @param {Object} params - Parâmetros da query
+     * @param {AbortSignal} signal - Cancela a requisição (opcional)
+     * @returns {Promise<Object>} Resposta JSON
+     */
+    async _request(path, params = {}, signal = null) {
+        const url = new URL(`${this.baseURL}${path}`);
+        Object.entries(params).forEach(([key, value]) => url.searchParams.append(key, value.toString()));
+
+        const headers = { 'Accept': 'application/json' };
+        if (this.apiKey) {
+            headers['X-API-Key'] = this.apiKey;
+        }
+
+        const response = await fetch(url.toString(), { method: 'GET', headers, signal });
+
+        if (!response.ok) {
+            throw new AirQualityProviderError(`OpenAQ API returned ${response.status}: ${response.statusText}`, this.id);
+        }
+
+        return response.json();
+    }
+}
+
+export { OpenAQProvider };
@@ -0,0 +1,54 @@
+/**
+ * OpenMeteoProvider - Provedor baseado na API Open-Meteo Air Quality
+ * Modelo CAMS com cobertura global, previsão, histórico e pólen (Europa)
+ */
+import { AirQualityProvider } from './AirQualityProvider.js';
+import { AirQualityService } from '../AirQualityService.js';
+
+class OpenMeteoProvider extends AirQualityProvider {
+    constructor(options = {}) {
+        const service = options.service || new AirQualityService(options);
+
+        super({
+            id: 'open-meteo',
+            name: 'Open-Meteo Air Quality',
+            processor: service,
+            capabilities: {
+                current: true,
+                forecast: true,
+                history: true,
+                batch: true,
+                allergens: true,
+                extended: true,
+                pollutants: ['pm2_5', 'pm10', 'ozone', 'nitrogen_dioxide', 'sulphur_dioxide', 'carbon_monoxide'],
+                coverage: 'global'
+            }
+        });
+
+        this.service = service;
+    }
+
+    async getAirQuality(coordinates, options) {
+        return this._withProvider(await this.service.getAirQuality(coordinates, options));
+    }
+
+    async getForecast(coordinates, options) {
+        return this._withProvider(await this.service.getForecast(coordinates, options));
+    }
+
+    async getHistory(coordinates, range) {
+        return this._withProvider(await this.service.getHistory(coordinates, range));
+    }
+
+    /**
+     * Identifica o provedor nos metadados do resultado
+     * @param {Object} data - Dados retornados pelo serviço
+     * @returns {Object} Mesmos dados com metadata.provider
+     */
+    _withProvider(data) {
+        data.metadata = { ...data.metadata, provider: this.id };
+        return data;
+    }
+}
+
+export { OpenMeteoProvider };
@@ -0,0 +1,93 @@
+/**
+ * WAQIProvider - Provedor de feeds no estilo World Air Quality Index (aqicn.org)
+ * O feed publica sub-índices US EPA por poluente; as concentrações são estimadas
+ * invertendo os breakpoints do padrão
+ */
+import { AirQualityProvider, AirQualityProviderError } from './AirQualityProvider.js';
+
+/**
+ * Chaves do iaqi → chaves usadas no pipeline
+ */
+const IAQI_MAP = {
+    pm25: 'pm2_5',
+    pm10: 'pm10',
+    o3: 'ozone',
+    no2: 'nitrogen_dioxide',
+    so2: 'sulphur_dioxide',
+    co: 'carbon_monoxide'
+};
+
+class WAQIProvider extends AirQualityProvider {
+    constructor(options = {}) {
+        super({
+            id: 'waqi',
+            name: 'World Air Quality Index',
+            processor: options.processor,
+            capabilities: {
+                current: true,
+                requiresApiKey: true,
+                pollutants: Object.values(IAQI_MAP),
+                coverage: 'global',
+                ...options.capabilities
+            }
+        });
+
+        this.baseURL = options.baseURL || 'https://api.waqi.info';
+        this.token = options.token || 'demo';
+    }
+
+    async getAirQuality({ lat, lon }, { signal } = {}) {
+        const url = `${this.baseURL}/feed/geo:${lat};${lon}/?token=${encodeURIComponent(this.token)}`;
+        const response = await fetch(url, {
+            method: 'GET',
+            headers: { 'Accept': 'application/json' },
+            signal
+        });
+
+        if (!response.ok) {
+            throw new AirQualityProviderError(`WAQI API returned ${response.status}: ${response.statusText}`, this.id);
+        }
+
+        const body = await response.json();
+        if (body.status !== 'ok' || !body.data) {
+            throw new AirQualityProviderError(`WAQI feed indisponível: ${body.data || body.status}`, this.id);
+        }
+
+        return this._normalize(this._toRawData(body.data));
+    }
+
+    /**
+     * Converte o feed para o formato current/current_units
+     * @param {Object} feed - Campo data do feed
+     * @returns {Object} Dados brutos no formato do pipeline
+     */
+    _toRawData(feed) {
+        const registry = this.processor.standardsRegistry;
+        const current = { time: feed.time?.iso };
+        const units = {};
+
+        Object.entries(IAQI_MAP).forEach(([iaqiKey, key]) => {
+            const concentration = registry.calculateConcentration('us-epa', key, feed.iaqi?.[iaqiKey]?.v);
+            if (concentration) {
+                current[key] = concentration.value;
+                units[key] = concentration.unit;
+            }
+        });
+
+        // O índice geral do feed segue a escala US EPA
+        if (typeof feed.aqi === 'number') {
+            current.us_aqi = feed.aqi;
+        }
+
+        return {
+            latitude: feed.city?.geo?.[0],
+            longitude: feed.city?.geo?.[1],
+            timezone: feed.time?.tz,
+            station: { id: feed.idx, name: feed.city?.name },
+            current,
+            current_units: units
+        };
+    }
+}
+
+export { WAQIProvider };
@@ -2,6 +2,13 @@
  * CommandManager - Implementação do Command Pattern
  * Gerencia comandos executáveis com suporte a undo/redo e histórico
  */
+import { CountryNormalizer } from './CountryNormalizer.js';
+import { RequestCancelledError } from './RequestSignal.js';
+
+/**
+ * Busca em andamento por facade: uma nova busca cancela a anterior
+ */
+const activeSearches = new WeakMap();
 
 /**
  * Classe base abstrata para comandos
@@ -72,33 +79,79 @@ class SearchCommand extends Command {
         this.apiFacade = apiFacade;
         this.result = null;
         this.previousResult = null; // Para undo
+        this.abortController = null;
     }
 
     /**
      * Executa busca de qualidade do ar
+     * Cancela a busca ainda em andamento no mesmo facade, que deixa de disputar a interface
      * @returns {Promise<Object>} Resultado da busca
+     * @throws {RequestCancelledError} Se uma busca mais recente substituir esta
      */
     async execute() {
+        activeSearches.get(this.apiFacade)?.cancel(new RequestCancelledError('Busca substituída por uma mais recente'));
+
+        const controller = new AbortController();
+        this.abortController = controller;
+        activeSearches.set(this.apiFacade, this);
+
         try {
             console.log(`🔧 Executing SearchCommand: ${this.getDescription()}`, this.searchParams);
             
             // Salva resultado anterior se houver
             this.previousResult = this.result;
             
-            // Executa busca através do facade
-            this.result = await this.apiFacade.getAirQualityData(this.searchParams);
+            // Executa busca através do facade (coordenadas do navegador dispensam a geocodificação)
+            const options = { signal: controller.signal };
+            this.result = this.searchParams.currentLocation
+                ? await this.apiFacade.getAirQualityForCoordinates(this.searchParams.coordinates, options)
+                : await this.apiFacade.getAirQualityData(this.searchParams, options);
             this.executed = true;
             
             console.log(`✅ SearchCommand executed successfully: ${this.getDescription()}`);
             return this.result;
 
         } catch (error) {
-            console.error(`❌ SearchCommand execution failed: ${this.getDescription()}`, error);
+            if (controller.signal.aborted) {
+                console.log(`⏹️ SearchCommand cancelled: ${this.getDescription()}`);
+            } else {
+                console.error(`❌ SearchCommand execution failed: ${this.getDescription()}`, error);
+            }
             this.executed = false;
             throw error;
+        } finally {
+            if (activeSearches.get(this.apiFacade) === this && this.abortController === controller) {
+                activeSearches.delete(this.apiFacade);
+            }
+            if (this.abortController === controller) {
+                this.abortController = null;
+            }
         }
     }
 
+    /**
+     * Cancela a busca em andamento, se houver
+     * @param {Error} reason - Motivo do cancelamento (padrão: RequestCancelledError)
+     * @returns {boolean} True se havia uma busca para cancelar
+     */
+    cancel(reason = new RequestCancelledError('Busca cancelada')) {
+        if (!this.abortController) {
+            return false;
+        }
+
+        this.abortController.abort(reason);
+        this.abortController = null;
+        return true;
+    }
+
+    /**
+     * Verifica se a busca está em andamento
+     * @returns {boolean}
+     */
+    isRunning() {
+        return this.abortController !== null;
+    }
+
     /**
      * Desfaz a busca (limpa resultados)
      * @returns {Promise<void>}
@@ -130,10 +183,25 @@ class SearchCommand extends Command {
         const params1 = this.searchParams;
         const params2 = other.searchParams;
 
+        if (params1.currentLocation || params2.currentLocation) {
+            return Boolean(params1.currentLocation && params2.currentLocation) &&
+                params1.coordinates.lat.toFixed(3) === params2.coordinates.lat.toFixed(3) &&
+                params1.coordinates.lon.toFixed(3) === params2.coordinates.lon.toFixed(3);
+        }
+
+        // "Brasil", "BR" e "BRA" são o mesmo país
+        const countryKey = country => CountryNormalizer.toCode(country) || country?.toLowerCase() || null;
+        const sameCountry = countryKey(params1.country) === countryKey(params2.country);
+
+        if (params1.postalCode || params2.postalCode) {
+            const normalize = code => code?.replace(/[\s.-]/g, '').toUpperCase();
+            return normalize(params1.postalCode) === normalize(params2.postalCode) && sameCountry;
+        }
+
         return (
             params1.city?.toLowerCase() === params2.city?.toLowerCase() &&
             params1.state?.toLowerCase() === params2.state?.toLowerCase() &&
-            params1.country?.toLowerCase() === params2.country?.toLowerCase()
+            sameCountry
         );
     }
 
@@ -142,7 +210,13 @@ class SearchCommand extends Command {
      * @returns {string}
      */
     getDescription() {
-        const { city, state, country } = this.searchParams;
+        const { city, state, country, postalCode, currentLocation, coordinates } = this.searchParams;
+        if (currentLocation) {
+            return `SearchCommand: 📍 ${coordinates.lat.toFixed(4)}, ${coordinates.lon.toFixed(4)}`;
+        }
+        if (postalCode) {
+            return `SearchCommand: 📮 ${postalCode}${country ? ', ' + country : ''}`;
+        }
         return `SearchCommand: ${city}, ${state}${country ? ', ' + country : ''}`;
     }
 
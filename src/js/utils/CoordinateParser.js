@@ -0,0 +1,363 @@
+/**
+ * CoordinateParser - Reconhece coordenadas digitadas no lugar do nome da cidade
+ * Formatos: graus decimais ("-23.55, -46.63", "23.55 S 46.63 W"), graus-minutos-segundos
+ * ("23°33'S 46°38'W"), Open Location Code / plus code ("588MC9X8+QQ") e geohash ("6gyf4bf")
+ */
+
+// Open Location Code (https://github.com/google/open-location-code)
+const OLC_ALPHABET = '23456789CFGHJMPQRVWX';
+const OLC_SEPARATOR_POSITION = 8;
+const OLC_PAIR_RESOLUTIONS = [20, 1, 0.05, 0.0025, 0.000125];
+const OLC_GRID_ROWS = 5;
+const OLC_GRID_COLUMNS = 4;
+
+// Geohash: base 32 sem a, i, l e o
+const GEOHASH_ALPHABET = '0123456789bcdefghjkmnpqrstuvwxyz';
+
+// Hemisférios aceitos, incluindo L (leste) e O (oeste)
+const HEMISPHERES = { N: 'lat', S: 'lat', E: 'lon', W: 'lon', L: 'lon', O: 'lon' };
+const NEGATIVE_HEMISPHERES = ['S', 'W', 'O'];
+
+const DECIMAL_PART = '([NSEWLO])?\\s*([-+]?\\d{1,3}(?:\\.\\d+)?)\\s*°?\\s*([NSEWLO])?';
+const DECIMAL_PATTERN = new RegExp(`^${DECIMAL_PART}\\s*[,;\\s]\\s*${DECIMAL_PART}$`, 'i');
+
+const DMS_PART = '([NSEWLO])?\\s*(\\d{1,3})\\s*[°º]\\s*(?:(\\d{1,2}(?:\\.\\d+)?)\\s*[\'′’]\\s*)?(?:(\\d{1,2}(?:\\.\\d+)?)\\s*(?:["″”]|\'\')\\s*)?([NSEWLO])?';
+const DMS_PATTERN = new RegExp(`^${DMS_PART}\\s*[,;]?\\s*${DMS_PART}$`, 'i');
+
+const PLUS_CODE_PATTERN = /^([23456789CFGHJMPQRVWX0]{2,8}\+[23456789CFGHJMPQRVWX]*)(?:[\s,]+(.+))?$/i;
+const GEOHASH_PATTERN = /^(?:(?:geohash|gh):\s*)?([0-9bcdefghjkmnpqrstuvwxyz]{4,12})$/i;
+
+class CoordinateParser {
+    /**
+     * Interpreta um texto como coordenadas
+     * @param {string} text - Texto digitado
+     * @param {Object} options - Opções da interpretação
+     * @param {Object} options.reference - Posição de referência (lat, lon) para plus codes curtos
+     * @returns {Object|null} lat, lon e format; plus codes curtos sem referência trazem shortCode
+     * e locality no lugar de lat/lon; null se o texto não for uma coordenada
+     * @throws {CoordinateParseError} Se o formato for reconhecido mas os valores forem inválidos
+     */
+    static parse(text, { reference = null } = {}) {
+        const input = String(text ?? '').trim();
+        if (!input) return null;
+
+        return CoordinateParser._parsePlusCode(input, reference)
+            || CoordinateParser._parseGeohash(input)
+            || CoordinateParser._parseDMS(input)
+            || CoordinateParser._parseDecimal(input);
+    }
+
+    /**
+     * Verifica se o texto parece uma coordenada (sem validar os valores)
+     * @param {string} text - Texto digitado
+     * @returns {boolean}
+     */
+    static isCoordinate(text) {
+        try {
+            return CoordinateParser.parse(text) !== null;
+        } catch (error) {
+            return true;
+        }
+    }
+
+    /**
+     * Recupera um plus code curto a partir de uma posição de referência próxima
+     * @param {string} shortCode - Plus code curto (ex.: "C9X8+QQ")
+     * @param {Object} reference - Objeto com lat e lon
+     * @returns {Object} lat, lon e format
+     */
+    static recoverPlusCode(shortCode, { lat, lon }) {
+        const code = shortCode.toUpperCase();
+        const paddingLength = OLC_SEPARATOR_POSITION - code.indexOf('+');
+        const resolution = Math.pow(20, 2 - paddingLength / 2);
+        const halfResolution = resolution / 2;
+
+        const prefix = CoordinateParser._encodePlusCodePrefix(lat, lon, paddingLength);
+        const decoded = CoordinateParser._decodePlusCode(prefix + code);
+
+        // O código completo mais próximo da referência pode estar na célula vizinha
+        let latitude = decoded.lat;
+        if (lat + halfResolution < latitude && latitude - resolution >= -90) {
+            latitude -= resolution;
+        } else if (lat - halfResolution > latitude && latitude + resolution <= 90) {
+            latitude += resolution;
+        }
+
+        let longitude = decoded.lon;
+        if (lon + halfResolution < longitude) {
+            longitude -= resolution;
+        } else if (lon - halfResolution > longitude) {
+            longitude += resolution;
+        }
+
+        return CoordinateParser._result(latitude, CoordinateParser._normalizeLongitude(longitude), 'plus-code');
+    }
+
+    /**
+     * Graus decimais, com sinal ou hemisfério
+     * @param {string} input - Texto
+     * @returns {Object|null}
+     */
+    static _parseDecimal(input) {
+        // Sem ponto decimal, vírgulas entre dígitos são separadores decimais ("-23,55 -46,63")
+        const text = input.includes('.') ? input : input.replace(/(\d),(\d)/g, '$1.$2');
+        const match = DECIMAL_PATTERN.exec(text);
+        if (!match) return null;
+
+        const first = { value: parseFloat(match[2]), hemisphere: (match[1] || match[3] || '').toUpperCase() };
+        const second = { value: parseFloat(match[5]), hemisphere: (match[4] || match[6] || '').toUpperCase() };
+
+        return CoordinateParser._combine(first, second, 'decimal');
+    }
+
+    /**
+     * Graus, minutos e segundos ("23°33'12\"S 46°38'W")
+     * @param {string} input - Texto
+     * @returns {Object|null}
+     */
+    static _parseDMS(input) {
+        const match = DMS_PATTERN.exec(input.replace(/,(\d)/g, '.$1'));
+        if (!match) return null;
+
+        const toDegrees = (degrees, minutes, seconds, position) => {
+            if (parseFloat(minutes || 0) >= 60 || parseFloat(seconds || 0) >= 60) {
+                throw new CoordinateParseError(`Minutos e segundos devem ser menores que 60 (${position}ª coordenada)`);
+            }
+            return parseInt(degrees, 10) + parseFloat(minutes || 0) / 60 + parseFloat(seconds || 0) / 3600;
+        };
+
+        const first = {
+            value: toDegrees(match[2], match[3], match[4], 1),
+            hemisphere: (match[1] || match[5] || '').toUpperCase()
+        };
+        const second = {
+            value: toDegrees(match[7], match[8], match[9], 2),
+            hemisphere: (match[6] || match[10] || '').toUpperCase()
+        };
+
+        return CoordinateParser._combine(first, second, 'dms');
+    }
+
+    /**
+     * Plus code completo ou curto seguido da localidade ("C9X8+QQ Campinas")
+     * @param {string} input - Texto
+     * @param {Object} reference - Posição de referência para códigos curtos
+     * @returns {Object|null}
+     */
+    static _parsePlusCode(input, reference) {
+        const match = PLUS_CODE_PATTERN.exec(input);
+        if (!match) return null;
+
+        const code = match[1].toUpperCase();
+        const locality = match[2]?.trim() || null;
+        const separator = code.indexOf('+');
+
+        if (!CoordinateParser._isValidPlusCode(code)) {
+            throw new CoordinateParseError(`Plus code inválido: ${code}`);
+        }
+
+        if (separator === OLC_SEPARATOR_POSITION) {
+            const { lat, lon } = CoordinateParser._decodePlusCode(code);
+            return CoordinateParser._result(lat, lon, 'plus-code');
+        }
+
+        if (reference) {
+            return CoordinateParser.recoverPlusCode(code, reference);
+        }
+
+        // Código curto: a localidade precisa ser geocodificada para servir de referência
+        return { format: 'plus-code', shortCode: code, locality };
+    }
+
+    /**
+     * Geohash; sem o prefixo "geohash:", exige dígitos e letras para não confundir com nomes
+     * de lugares ("utrecht") nem com códigos postais ("90210", "01310100")
+     * @param {string} input - Texto
+     * @returns {Object|null}
+     */
+    static _parseGeohash(input) {
+        const match = GEOHASH_PATTERN.exec(input);
+        if (!match) return null;
+
+        const hasPrefix = /^(geohash|gh):/i.test(input);
+        const hash = match[1].toLowerCase();
+        if (!hasPrefix && !(/\d/.test(hash) && /[a-z]/.test(hash))) return null;
+
+        const latRange = [-90, 90];
+        const lonRange = [-180, 180];
+        let isLongitude = true;
+
+        for (const char of hash) {
+            const value = GEOHASH_ALPHABET.indexOf(char);
+            for (let bit = 4; bit >= 0; bit--) {
+                const range = isLongitude ? lonRange : latRange;
+                const middle = (range[0] + range[1]) / 2;
+                if ((value >> bit) & 1) {
+                    range[0] = middle;
+                } else {
+                    range[1] = middle;
+                }
+                isLongitude = !isLongitude;
+            }
+        }
+
+        return CoordinateParser._result((latRange[0] + latRange[1]) / 2, (lonRange[0] + lonRange[1]) / 2, 'geohash');
+    }
+
+    /**
+     * Ordena e valida um par de valores conforme os hemisférios informados
+     * @param {Object} first - value e hemisphere do primeiro valor
+     * @param {Object} second - value e hemisphere do segundo valor
+     * @param {string} format - Formato reconhecido
+     * @returns {Object} lat, lon e format
+     */
+    static _combine(first, second, format) {
+        // "46°38'W 23°33'S": longitude primeiro
+        const [latPart, lonPart] = HEMISPHERES[first.hemisphere] === 'lon' || HEMISPHERES[second.hemisphere] === 'lat'
+            ? [second, first]
+            : [first, second];
+
+        if (HEMISPHERES[latPart.hemisphere] === 'lon' || HEMISPHERES[lonPart.hemisphere] === 'lat') {
+            throw new CoordinateParseError('Informe uma latitude (N/S) e uma longitude (E/W)');
+        }
+
+        const signed = ({ value, hemisphere }) => {
+            if (!hemisphere) return value;
+            return NEGATIVE_HEMISPHERES.includes(hemisphere) ? -Math.abs(value) : Math.abs(value);
+        };
+
+        return CoordinateParser._result(signed(latPart), signed(lonPart), format);
+    }
+
+    /**
+     * Valida os limites e monta o resultado
+     * @param {number} lat - Latitude
+     * @param {number} lon - Longitude
+     * @param {string} format - Formato reconhecido
+     * @returns {Object} lat, lon e format
+     */
+    static _result(lat, lon, format) {
+        if (!Number.isFinite(lat) || lat < -90 || lat > 90) {
+            throw new CoordinateParseError(`Latitude fora do intervalo -90 a 90: ${lat}`);
+        }
+        if (!Number.isFinite(lon) || lon < -180 || lon > 180) {
+            throw new CoordinateParseError(`Longitude fora do intervalo -180 a 180: ${lon}`);
+        }
+
+        return {
+            lat: Math.round(lat * 1e6) / 1e6,
+            lon: Math.round(lon * 1e6) / 1e6,
+            format
+        };
+    }
+
+    /**
+     * Valida a estrutura de um plus code (completo ou curto)
+     * @param {string} code - Código em maiúsculas
+     * @returns {boolean}
+     */
+    static _isValidPlusCode(code) {
+        const separator = code.indexOf('+');
+        if (separator !== code.lastIndexOf('+') || separator > OLC_SEPARATOR_POSITION || separator % 2 === 1) {
+            return false;
+        }
+
+        const [before, after] = code.split('+');
+        if (after.length === 1) return false;
+
+        // Preenchimento com zeros só em códigos completos e sem dígitos após o separador
+        const padding = before.indexOf('0');
+        if (padding !== -1) {
+            if (separator < OLC_SEPARATOR_POSITION || after.length > 0 || padding % 2 === 1 || !/^0+$/.test(before.slice(padding))) {
+                return false;
+            }
+        }
+
+        if (separator === OLC_SEPARATOR_POSITION) {
+            // Primeiro par limitado a 180° de latitude e 360° de longitude
+            return OLC_ALPHABET.indexOf(code[0]) < 9 && OLC_ALPHABET.indexOf(code[1]) < 18;
+        }
+
+        return true;
+    }
+
+    /**
+     * Decodifica um plus code completo para o centro da célula
+     * @param {string} code - Código completo
+     * @returns {Object} lat e lon do centro
+     */
+    static _decodePlusCode(code) {
+        const digits = code.replace('+', '').replace(/0+$/, '');
+
+        let lat = -90;
+        let lon = -180;
+        let latSize = 0;
+        let lonSize = 0;
+
+        for (let index = 0; index < Math.min(digits.length, 10); index += 2) {
+            const resolution = OLC_PAIR_RESOLUTIONS[index / 2];
+            lat += OLC_ALPHABET.indexOf(digits[index]) * resolution;
+            lon += OLC_ALPHABET.indexOf(digits[index + 1]) * resolution;
+            latSize = lonSize = resolution;
+        }
+
+        for (let index = 10; index < digits.length; index++) {
+            const value = OLC_ALPHABET.indexOf(digits[index]);
+            latSize /= OLC_GRID_ROWS;
+            lonSize /= OLC_GRID_COLUMNS;
+            lat += Math.floor(value / OLC_GRID_COLUMNS) * latSize;
+            lon += (value % OLC_GRID_COLUMNS) * lonSize;
+        }
+
+        return { lat: lat + latSize / 2, lon: lon + lonSize / 2 };
+    }
+
+    /**
+     * Codifica os primeiros dígitos do plus code de uma posição
+     * @param {number} lat - Latitude
+     * @param {number} lon - Longitude
+     * @param {number} length - Número de dígitos (par, até 8)
+     * @returns {string} Prefixo do código
+     */
+    static _encodePlusCodePrefix(lat, lon, length) {
+        let latitude = Math.min(Math.max(lat, -90), 90) + 90;
+        let longitude = CoordinateParser._normalizeLongitude(lon) + 180;
+        let prefix = '';
+
+        for (let pair = 0; pair < length / 2; pair++) {
+            const resolution = OLC_PAIR_RESOLUTIONS[pair];
+            const latDigit = Math.min(Math.floor(latitude / resolution), OLC_ALPHABET.length - 1);
+            const lonDigit = Math.min(Math.floor(longitude / resolution), OLC_ALPHABET.length - 1);
+            latitude -= latDigit * resolution;
+            longitude -= lonDigit * resolution;
+            prefix += OLC_ALPHABET[latDigit] + OLC_ALPHABET[lonDigit];
+        }
+
+        return prefix;
+    }
+
+    /**
+     * Normaliza longitude para -180 a 180
+     * @param {number} lon - Longitude
+     * @returns {number}
+     */
+    static _normalizeLongitude(lon) {
+        let longitude = lon;
+        while (longitude < -180) longitude += 360;
+        while (longitude >= 180) longitude -= 360;
+        return longitude;
+    }
+}
+
+/**
+ * Erro de coordenada reconhecida porém inválida
+ */
+class CoordinateParseError extends Error {
+    constructor(message) {
+        super(message);
+        this.name = 'CoordinateParseError';
+        this.userFriendly = true;
+    }
+}
+
+export { CoordinateParser, CoordinateParseError };
@@ -0,0 +1,105 @@
+/**
+ * CountryNormalizer - Converte nomes de país em códigos ISO 3166-1 alpha-2
+ * Aceita códigos alpha-2 e alpha-3, nomes em inglês, português e espanhol e aliases
+ * ("EUA", "UK", "Holanda"), ignorando acentos, caixa e pontuação
+ */
+import { COUNTRIES } from '../data/countries.js';
+
+const LOCALES = ['pt', 'en', 'es'];
+
+// Índice nome normalizado → código, montado no primeiro uso
+let countryIndex = null;
+let countriesByCode = null;
+
+class CountryNormalizer {
+    /**
+     * Normaliza texto para comparação (sem acentos, minúsculas, espaços simples)
+     * @param {string} text - Texto original
+     * @returns {string} Texto normalizado
+     */
+    static normalizeText(text) {
+        return String(text ?? '')
+            .normalize('NFD')
+            .replace(/[\u0300-\u036f]/g, '')
+            .replace(/ı/g, 'i')
+            .toLowerCase()
+            .replace(/[^a-z0-9\s]/g, ' ')
+            .replace(/\s+/g, ' ')
+            .trim();
+    }
+
+    /**
+     * Converte um país digitado em código ISO alpha-2
+     * @param {string} value - Código, nome ou alias ("Brasil", "BRA", "br", "EUA")
+     * @returns {string|null} Código alpha-2 em maiúsculas ou null se desconhecido
+     */
+    static toCode(value) {
+        const key = CountryNormalizer.normalizeText(value);
+        if (!key) return null;
+
+        return CountryNormalizer._getIndex().get(key) || null;
+    }
+
+    /**
+     * Nome do país no idioma solicitado
+     * @param {string} value - Código ou nome do país
+     * @param {string} locale - pt, en ou es (padrão: pt)
+     * @returns {string|null} Nome ou null se desconhecido
+     */
+    static getName(value, locale = 'pt') {
+        const code = CountryNormalizer.toCode(value);
+        if (!code) return null;
+
+        const country = countriesByCode.get(code);
+        return country[LOCALES.includes(locale) ? locale : 'pt'];
+    }
+
+    /**
+     * Verifica se o país é reconhecido
+     * @param {string} value - Código, nome ou alias
+     * @returns {boolean}
+     */
+    static isKnown(value) {
+        return CountryNormalizer.toCode(value) !== null;
+    }
+
+    /**
+     * Lista os países com código e nome no idioma solicitado
+     * @param {string} locale - pt, en ou es (padrão: pt)
+     * @returns {Array<Object>} code e name, em ordem alfabética do nome
+     */
+    static getCountries(locale = 'pt') {
+        const key = LOCALES.includes(locale) ? locale : 'pt';
+        return COUNTRIES
+            .map(country => ({ code: country.code, name: country[key] }))
+            .sort((a, b) => a.name.localeCompare(b.name, locale));
+    }
+
+    /**
+     * Monta o índice de nomes, códigos e aliases
+     * @returns {Map<string, string>}
+     */
+    static _getIndex() {
+        if (countryIndex) return countryIndex;
+
+        countryIndex = new Map();
+        countriesByCode = new Map();
+
+        COUNTRIES.forEach(country => {
+            countriesByCode.set(country.code, country);
+
+            const names = [country.code, country.alpha3, country.en, country.pt, country.es, ...(country.aliases || [])];
+            names.forEach(name => {
+                const key = CountryNormalizer.normalizeText(name);
+                // O primeiro país a usar um nome prevalece
+                if (!countryIndex.has(key)) {
+                    countryIndex.set(key, country.code);
+                }
+            });
+        });
+
+        return countryIndex;
+    }
+}
+
+export { CountryNormalizer };
@@ -209,6 +209,7 @@ EventManager.EVENTS = {
     FORM_SUBMIT: 'form:submit',
     FORM_VALIDATE: 'form:validate',
     FORM_CLEAR: 'form:clear',
+    FORM_CURRENT_LOCATION: 'form:current-location',
     
     // API events
     API_LOADING_START: 'api:loading:start',
@@ -226,10 +227,20 @@ EventManager.EVENTS = {
     UI_SHOW_ERROR: 'ui:show:error',
     UI_CLEAR_RESULTS: 'ui:clear:results',
     UI_UPDATE_LOADING: 'ui:update:loading',
+    UI_SHOW_ACTIVITY_WINDOWS: 'ui:show:activity-windows',
+    UI_SHOW_EXPOSURE: 'ui:show:exposure',
+    UI_SHOW_AREA_SUMMARY: 'ui:show:area-summary',
+    
+    // Display events
+    AQI_UNIT_CHANGED: 'aqi:unit:changed',
+    AQI_HEALTH_PROFILE_CHANGED: 'aqi:health-profile:changed',
+    AQI_EXPOSURE_SCHEDULE_CHANGED: 'aqi:exposure:schedule:changed',
+    AQI_AREA_MODE_CHANGED: 'aqi:area-mode:changed',
     
     // Data events
     DATA_CACHED: 'data:cached',
-    DATA_RETRIEVED: 'data:retrieved'
+    DATA_RETRIEVED: 'data:retrieved',
+    DATA_STALE: 'data:stale'
 };
 
 export default EventManager;
@@ -0,0 +1,152 @@
+/**
+ * PostalCodeParser - Valida e normaliza códigos postais (CEP e formatos de outros países)
+ * Sem país informado, o formato identifica o país quando é exclusivo (ex.: 00000-000 → BR)
+ */
+import { CountryNormalizer } from './CountryNormalizer.js';
+
+// Formatos por código ISO 3166-1 alpha-2; format recebe o resultado do pattern
+const POSTAL_CODE_FORMATS = {
+    BR: { pattern: /^(\d{5})-?(\d{3})$/, format: m => `${m[1]}-${m[2]}`, example: '01310-100', label: 'CEP' },
+    US: { pattern: /^(\d{5})(?:-?(\d{4}))?$/, format: m => (m[2] ? `${m[1]}-${m[2]}` : m[1]), example: '10001', label: 'ZIP code' },
+    CA: { pattern: /^([A-Z]\d[A-Z]) ?(\d[A-Z]\d)$/, format: m => `${m[1]} ${m[2]}`, example: 'K1A 0B1' },
+    GB: { pattern: /^([A-Z]{1,2}\d[A-Z\d]?) ?(\d[A-Z]{2})$/, format: m => `${m[1]} ${m[2]}`, example: 'SW1A 1AA' },
+    PT: { pattern: /^(\d{4})-?(\d{3})$/, format: m => `${m[1]}-${m[2]}`, example: '1000-001' },
+    AR: { pattern: /^([A-Z]?\d{4}(?:[A-Z]{3})?)$/, format: m => m[1], example: 'C1002AAR' },
+    NL: { pattern: /^(\d{4}) ?([A-Z]{2})$/, format: m => `${m[1]} ${m[2]}`, example: '1012 JS' },
+    JP: { pattern: /^(\d{3})-?(\d{4})$/, format: m => `${m[1]}-${m[2]}`, example: '100-0001' },
+    MX: { pattern: /^(\d{5})$/, format: m => m[1], example: '06000' },
+    DE: { pattern: /^(\d{5})$/, format: m => m[1], example: '10115' },
+    FR: { pattern: /^(\d{5})$/, format: m => m[1], example: '75001' },
+    ES: { pattern: /^(\d{5})$/, format: m => m[1], example: '28001' },
+    IT: { pattern: /^(\d{5})$/, format: m => m[1], example: '00118' },
+    AU: { pattern: /^(\d{4})$/, format: m => m[1], example: '2000' },
+    CL: { pattern: /^(\d{7})$/, format: m => m[1], example: '8320000' },
+    CO: { pattern: /^(\d{6})$/, format: m => m[1], example: '110111' },
+    IN: { pattern: /^(\d{6})$/, format: m => m[1], example: '110001' },
+    CN: { pattern: /^(\d{6})$/, format: m => m[1], example: '100000' }
+};
+
+// Países sem formato cadastrado: letras, dígitos, espaço e hífen
+const GENERIC_POSTAL_CODE = /^[A-Z0-9][A-Z0-9 -]{1,9}$/;
+
+class PostalCodeParser {
+    /**
+     * Valida e normaliza um código postal
+     * @param {string} value - Código digitado
+     * @param {string} country - Código ou nome do país (opcional)
+     * @returns {Object} postalCode normalizado, country (null se ambíguo) e candidates
+     * (países cujo formato corresponde)
+     * @throws {PostalCodeError} Se o código não corresponder ao formato do país
+     */
+    static parse(value, country = null) {
+        const text = PostalCodeParser._clean(value);
+        const countryCode = CountryNormalizer.toCode(country);
+
+        if (!text) {
+            throw new PostalCodeError('Informe o código postal');
+        }
+
+        if (countryCode) {
+            const definition = POSTAL_CODE_FORMATS[countryCode];
+
+            if (!definition) {
+                if (!GENERIC_POSTAL_CODE.test(text)) {
+                    throw new PostalCodeError(`Código postal inválido: ${value}`);
+                }
+                return { postalCode: text, country: countryCode, candidates: [countryCode] };
+            }
+
+            const match = definition.pattern.exec(text);
+            if (!match) {
+                throw new PostalCodeError(
+                    `${definition.label || 'Código postal'} inválido para ${countryCode}: use o formato ${definition.example}`
+                );
+            }
+            return { postalCode: definition.format(match), country: countryCode, candidates: [countryCode] };
+        }
+
+        const candidates = Object.keys(POSTAL_CODE_FORMATS)
+            .filter(code => POSTAL_CODE_FORMATS[code].pattern.test(text));
+
+        if (candidates.length === 0) {
+            throw new PostalCodeError(`Código postal em formato não reconhecido: ${value}. Informe também o país`);
+        }
+
+        const definition = POSTAL_CODE_FORMATS[candidates[0]];
+        return {
+            postalCode: definition.format(definition.pattern.exec(text)),
+            country: candidates.length === 1 ? candidates[0] : null,
+            candidates
+        };
+    }
+
+    /**
+     * Verifica se o valor é um código postal válido
+     * @param {string} value - Código digitado
+     * @param {string} country - Código ou nome do país (opcional)
+     * @returns {boolean}
+     */
+    static isValid(value, country = null) {
+        try {
+            PostalCodeParser.parse(value, country);
+            return true;
+        } catch (error) {
+            return false;
+        }
+    }
+
+    /**
+     * Verifica se um texto livre (ex.: campo cidade) tem cara de código postal:
+     * só dígitos, com pontos ou hífens opcionais ("90210", "01.310-100")
+     * Não valida o formato do país; coordenadas devem ser verificadas antes
+     * @param {string} value - Texto digitado
+     * @returns {boolean}
+     */
+    static looksLikePostalCode(value) {
+        const text = String(value ?? '').trim();
+        return /^\d[\d.-]*\d$/.test(text) && text.replace(/\D/g, '').length >= 3;
+    }
+
+    /**
+     * Exemplo de código no formato do país (para placeholders e mensagens)
+     * @param {string} country - Código ou nome do país
+     * @returns {string|null}
+     */
+    static getExample(country) {
+        return POSTAL_CODE_FORMATS[CountryNormalizer.toCode(country)]?.example || null;
+    }
+
+    /**
+     * Lista os países com formato cadastrado
+     * @returns {Array<string>} Códigos ISO
+     */
+    static getSupportedCountries() {
+        return Object.keys(POSTAL_CODE_FORMATS);
+    }
+
+    /**
+     * Padroniza a digitação: maiúsculas, sem pontos ("01.310-100") e espaços simples
+     * @param {string} value - Código digitado
+     * @returns {string}
+     */
+    static _clean(value) {
+        return String(value ?? '')
+            .toUpperCase()
+            .replace(/\./g, '')
+            .replace(/\s+/g, ' ')
+            .trim();
+    }
+}
+
+/**
+ * Erro de código postal em formato inválido
+ */
+class PostalCodeError extends Error {
+    constructor(message) {
+        super(message);
+        this.name = 'PostalCodeError';
+        this.userFriendly = true;
+    }
+}
+
+export { PostalCodeParser, PostalCodeError, POSTAL_CODE_FORMATS };
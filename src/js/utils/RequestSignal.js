@@ -0,0 +1,124 @@
+/**
+ * RequestSignal - Cancelamento e tempo limite de requisições com AbortSignal
+ * Combina o sinal do chamador (ex.: busca substituída por uma mais recente) com um
+ * limite de tempo por chamada e distingue cancelamento de timeout: cancelamentos
+ * encerram a operação sem novas tentativas, timeouts contam como falha da API
+ */
+
+class RequestSignal {
+    /**
+     * Executa uma operação vinculada ao sinal do chamador e a um tempo limite
+     * A promessa é rejeitada assim que o sinal dispara, mesmo que a operação ignore o sinal
+     * @param {Function} operation - Recebe o AbortSignal combinado e retorna uma promessa
+     * @param {Object} options - Opções da execução
+     * @param {AbortSignal} options.signal - Sinal de cancelamento do chamador (opcional)
+     * @param {number} options.timeout - Tempo limite em ms (0 ou ausente = sem limite)
+     * @param {string} options.label - Descrição da operação para a mensagem de timeout
+     * @returns {Promise<*>} Resultado da operação
+     * @throws {RequestCancelledError} Se o chamador cancelar
+     * @throws {RequestTimeoutError} Se o tempo limite for excedido
+     */
+    static async run(operation, { signal = null, timeout = 0, label = 'Requisição' } = {}) {
+        RequestSignal.throwIfAborted(signal);
+
+        const controller = new AbortController();
+        let abortReason = null;
+        let rejectAborted;
+        const aborted = new Promise((resolve, reject) => {
+            rejectAborted = reject;
+        });
+
+        const abort = (reason) => {
+            if (abortReason) return;
+            abortReason = reason;
+            controller.abort(reason);
+            rejectAborted(reason);
+        };
+
+        const onCallerAbort = () => abort(RequestSignal.reasonOf(signal));
+        signal?.addEventListener('abort', onCallerAbort, { once: true });
+
+        const timer = timeout > 0
+            ? setTimeout(() => abort(new RequestTimeoutError(
+                `${label} excedeu o tempo limite de ${timeout / 1000}s`,
+                timeout
+            )), timeout)
+            : null;
+
+        try {
+            return await Promise.race([operation(controller.signal), aborted]);
+        } catch (error) {
+            // O fetch rejeita com um AbortError genérico; o motivo real é o cancelamento ou o timeout
+            throw abortReason || error;
+        } finally {
+            clearTimeout(timer);
+            signal?.removeEventListener('abort', onCallerAbort);
+        }
+    }
+
+    /**
+     * Interrompe a operação se o sinal já foi cancelado
+     * @param {AbortSignal} signal - Sinal do chamador (opcional)
+     * @throws {RequestCancelledError} Se o sinal estiver cancelado
+     */
+    static throwIfAborted(signal) {
+        if (signal?.aborted) {
+            throw RequestSignal.reasonOf(signal);
+        }
+    }
+
+    /**
+     * Motivo do cancelamento de um sinal
+     * @param {AbortSignal} signal - Sinal cancelado
+     * @returns {Error} signal.reason ou um RequestCancelledError
+     */
+    static reasonOf(signal) {
+        return signal?.reason instanceof Error ? signal.reason : new RequestCancelledError();
+    }
+
+    /**
+     * Verifica se o erro é um cancelamento pedido pelo chamador (não um timeout)
+     * @param {Error} error - Erro capturado
+     * @returns {boolean}
+     */
+    static isCancellation(error) {
+        return error instanceof RequestCancelledError || error?.name === 'AbortError';
+    }
+
+    /**
+     * Espera que termina antes se o sinal for cancelado
+     * @param {number} ms - Milissegundos para aguardar
+     * @param {AbortSignal} signal - Sinal do chamador (opcional)
+     * @returns {Promise<void>}
+     */
+    static delay(ms, signal = null) {
+        return RequestSignal.run(
+            () => new Promise(resolve => setTimeout(resolve, ms)),
+            { signal }
+        );
+    }
+}
+
+/**
+ * Erro de requisição cancelada pelo chamador
+ */
+class RequestCancelledError extends Error {
+    constructor(message = 'Requisição cancelada') {
+        super(message);
+        this.name = 'RequestCancelledError';
+    }
+}
+
+/**
+ * Erro de requisição que excedeu o tempo limite
+ */
+class RequestTimeoutError extends Error {
+    constructor(message, timeout) {
+        super(message);
+        this.name = 'RequestTimeoutError';
+        this.timeout = timeout;
+        this.userFriendly = true;
+    }
+}
+
+export { RequestSignal, RequestCancelledError, RequestTimeoutError };
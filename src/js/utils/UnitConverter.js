@@ -0,0 +1,180 @@
+/**
+ * UnitConverter - Conversão de unidades de concentração de poluentes
+ * Converte entre massa por volume (µg/m³, mg/m³) e razão de mistura (ppb, ppm)
+ * usando massas moleculares e, opcionalmente, temperatura e pressão do ar
+ */
+
+/**
+ * Massas moleculares (g/mol) dos gases suportados
+ */
+const MOLECULAR_WEIGHTS = {
+    ozone: 48.00,
+    nitrogen_dioxide: 46.01,
+    sulphur_dioxide: 64.07,
+    carbon_monoxide: 28.01,
+    ammonia: 17.03
+};
+
+/**
+ * Nomes alternativos usados pelos componentes de UI
+ */
+const POLLUTANT_ALIASES = {
+    o3: 'ozone',
+    no2: 'nitrogen_dioxide',
+    so2: 'sulphur_dioxide',
+    co: 'carbon_monoxide',
+    nh3: 'ammonia',
+    'pm2.5': 'pm2_5',
+    pm25: 'pm2_5'
+};
+
+/**
+ * Condições de referência dos padrões regulatórios (EPA): 25°C e 1 atm
+ */
+const REFERENCE_CONDITIONS = {
+    temperature: 25,     // °C
+    pressure: 1013.25    // hPa
+};
+
+const GAS_CONSTANT = 0.082057366; // L·atm/(K·mol)
+
+const MASS_UNITS = { 'µg/m³': 1, 'mg/m³': 1000 };
+const MIXING_RATIO_UNITS = { 'ppb': 1, 'ppm': 1000 };
+
+class UnitConverter {
+    /**
+     * Normaliza a grafia de uma unidade (μ grego, ug/m3, etc.)
+     * @param {string} unit - Unidade informada
+     * @returns {string} Unidade normalizada
+     */
+    static normalizeUnit(unit) {
+        if (!unit) return unit;
+
+        const normalized = unit.trim()
+            .replace('μ', 'µ')
+            .replace(/^ug/i, 'µg')
+            .replace(/m3$/, 'm³');
+
+        return normalized.toLowerCase() === 'ppb' || normalized.toLowerCase() === 'ppm'
+            ? normalized.toLowerCase()
+            : normalized;
+    }
+
+    /**
+     * Resolve a chave canônica de um poluente
+     * @param {string} pollutant - Chave ou alias do poluente
+     * @returns {string} Chave canônica (ex.: ozone, pm2_5)
+     */
+    static resolvePollutant(pollutant) {
+        if (!pollutant) return pollutant;
+        const key = pollutant.toLowerCase();
+        return POLLUTANT_ALIASES[key] || key;
+    }
+
+    /**
+     * Verifica se o poluente é um gás com massa molecular conhecida
+     * @param {string} pollutant - Chave ou alias do poluente
+     * @returns {boolean}
+     */
+    static isGas(pollutant) {
+        return MOLECULAR_WEIGHTS[UnitConverter.resolvePollutant(pollutant)] !== undefined;
+    }
+
+    /**
+     * Calcula o volume molar do ar
+     * @param {Object} conditions - Condições do ar
+     * @param {number} conditions.temperature - Temperatura em °C
+     * @param {number} conditions.pressure - Pressão em hPa
+     * @returns {number} Volume molar em L/mol
+     */
+    static molarVolume({ temperature = REFERENCE_CONDITIONS.temperature, pressure = REFERENCE_CONDITIONS.pressure } = {}) {
+        const kelvin = temperature + 273.15;
+        const atmospheres = pressure / 1013.25;
+        return (GAS_CONSTANT * kelvin) / atmospheres;
+    }
+
+    /**
+     * Converte uma concentração entre unidades
+     * @param {number} value - Valor a converter
+     * @param {string} from - Unidade de origem (µg/m³, mg/m³, ppb, ppm)
+     * @param {string} to - Unidade de destino
+     * @param {Object} options - Opções da conversão
+     * @param {string} options.pollutant - Poluente (obrigatório entre massa e razão de mistura)
+     * @param {number} options.temperature - Temperatura em °C (padrão 25)
+     * @param {number} options.pressure - Pressão em hPa (padrão 1013.25)
+     * @returns {number} Valor convertido
+     */
+    static convert(value, from, to, { pollutant, temperature, pressure } = {}) {
+        if (value === null || value === undefined || isNaN(value)) {
+            return value;
+        }
+
+        const source = UnitConverter.normalizeUnit(from);
+        const target = UnitConverter.normalizeUnit(to);
+
+        if (source === target) {
+            return value;
+        }
+
+        if (MASS_UNITS[source] && MASS_UNITS[target]) {
+            return value * MASS_UNITS[source] / MASS_UNITS[target];
+        }
+
+        if (MIXING_RATIO_UNITS[source] && MIXING_RATIO_UNITS[target]) {
+            return value * MIXING_RATIO_UNITS[source] / MIXING_RATIO_UNITS[target];
+        }
+
+        const key = UnitConverter.resolvePollutant(pollutant);
+        const weight = MOLECULAR_WEIGHTS[key];
+        const isMassToRatio = MASS_UNITS[source] && MIXING_RATIO_UNITS[target];
+        const isRatioToMass = MIXING_RATIO_UNITS[source] && MASS_UNITS[target];
+
+        if (!isMassToRatio && !isRatioToMass) {
+            throw new UnitConversionError(`Unidade não suportada: ${from} → ${to}`);
+        }
+
+        if (!weight) {
+            throw new UnitConversionError(`Conversão ${from} → ${to} requer um gás conhecido (recebido: ${pollutant})`);
+        }
+
+        const molarVolume = UnitConverter.molarVolume({ temperature, pressure });
+
+        if (isMassToRatio) {
+            const microgramsPerCubicMeter = value * MASS_UNITS[source];
+            const ppb = microgramsPerCubicMeter * molarVolume / weight;
+            return ppb / MIXING_RATIO_UNITS[target];
+        }
+
+        const ppb = value * MIXING_RATIO_UNITS[source];
+        const microgramsPerCubicMeter = ppb * weight / molarVolume;
+        return microgramsPerCubicMeter / MASS_UNITS[target];
+    }
+
+    /**
+     * Verifica se a conversão é possível para o poluente
+     * @param {string} pollutant - Chave ou alias do poluente
+     * @param {string} from - Unidade de origem
+     * @param {string} to - Unidade de destino
+     * @returns {boolean}
+     */
+    static canConvert(pollutant, from, to) {
+        try {
+            UnitConverter.convert(1, from, to, { pollutant });
+            return true;
+        } catch (error) {
+            return false;
+        }
+    }
+}
+
+/**
+ * Erro de conversão de unidade não suportada
+ */
+class UnitConversionError extends Error {
+    constructor(message) {
+        super(message);
+        this.name = 'UnitConversionError';
+    }
+}
+
+export { UnitConverter, UnitConversionError, MOLECULAR_WEIGHTS, REFERENCE_CONDITIONS };
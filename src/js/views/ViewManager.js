@@ -201,6 +201,18 @@ class ViewManager {
             this.displayResults(data);
         });
 
+        this.eventManager.subscribe(EventManager.EVENTS.UI_SHOW_ACTIVITY_WINDOWS, (data) => {
+            this.displayActivityWindows(data);
+        });
+
+        this.eventManager.subscribe(EventManager.EVENTS.UI_SHOW_EXPOSURE, (data) => {
+            this.displayExposure(data);
+        });
+
+        this.eventManager.subscribe(EventManager.EVENTS.UI_SHOW_AREA_SUMMARY, (data) => {
+            this.displayAreaSummary(data);
+        });
+
         // Error events
         this.eventManager.subscribe(EventManager.EVENTS.UI_SHOW_ERROR, (data) => {
             this.displayError(data);
@@ -348,6 +360,42 @@ class ViewManager {
         }
     }
 
+    /**
+     * Exibe as melhores janelas para atividades ao ar livre
+     * @param {Object} activityWindows - Janelas encontradas pelo ActivityPlanner
+     */
+    displayActivityWindows(activityWindows) {
+        const aqiComponent = this.components.get('aqiDisplay');
+        if (aqiComponent) {
+            aqiComponent.showActivityWindows(activityWindows);
+            console.log('🏃 ViewManager: Activity windows displayed', activityWindows);
+        }
+    }
+
+    /**
+     * Exibe a estimativa diária de exposição
+     * @param {Object} exposure - Estimativa do ExposureEstimator
+     */
+    displayExposure(exposure) {
+        const aqiComponent = this.components.get('aqiDisplay');
+        if (aqiComponent) {
+            aqiComponent.showExposureSummary(exposure);
+            console.log('🫁 ViewManager: Exposure displayed', exposure);
+        }
+    }
+
+    /**
+     * Exibe o resumo da qualidade do ar sobre a área (modo área)
+     * @param {Object} area - Resumo do AreaSampler
+     */
+    displayAreaSummary(area) {
+        const aqiComponent = this.components.get('aqiDisplay');
+        if (aqiComponent) {
+            aqiComponent.showAreaSummary(area);
+            console.log('🗺️ ViewManager: Area summary displayed', area);
+        }
+    }
+
     /**
      * Renderização de resultados sem componente (fallback)
      * @param {Object} data - Dados dos resultados
@@ -3,6 +3,21 @@
  * Implementa visualização interativa com gráficos e cartões informativos
  */
 import BaseComponent from './BaseComponent.js';
+import EventManager from '../../utils/EventManager.js';
+import { UnitConverter } from '../../utils/UnitConverter.js';
+import { HealthAdvisor } from '../../services/HealthAdvisor.js';
+import { ExposureEstimator } from '../../services/ExposureEstimator.js';
+
+const UNIT_PREFERENCE_KEY = 'air_quality_unit_preference';
+
+/**
+ * Opções de unidade para gases: concentração mássica ou razão de mistura
+ */
+const GAS_UNIT_OPTIONS = {
+    mass: { label: 'µg/m³', unit: 'µg/m³' },
+    ppb: { label: 'ppb', unit: 'ppb' },
+    ppm: { label: 'ppm', unit: 'ppm' }
+};
 
 class AQIDisplayComponent extends BaseComponent {
     constructor(element, options = {}) {
@@ -16,9 +31,17 @@ class AQIDisplayComponent extends BaseComponent {
             showPollutantDetails: true,
             enableComparison: false,
             showHealthRecommendations: true,
+            gasUnit: this._loadUnitPreference(),
+            areaMode: false,
             ...options
         };
 
+        // Recomendações pelo perfil salvo, compartilhado com o AirQualityService e o ActivityPlanner
+        this.healthAdvisor = this.config.healthAdvisor || new HealthAdvisor();
+
+        // Agenda diária usada na estimativa de exposição
+        this.exposureEstimator = this.config.exposureEstimator || new ExposureEstimator();
+
         // Estado do componente
         this.state = {
             currentData: null,
@@ -53,7 +76,13 @@ class AQIDisplayComponent extends BaseComponent {
         // Seções principais
         this.elements.header = this._getOrCreateElement('.aqi-header', 'div', 'aqi-header');
         this.elements.summary = this._getOrCreateElement('.aqi-summary', 'div', 'aqi-summary');
+        this.elements.area = this._getOrCreateElement('.aqi-area', 'div', 'aqi-area');
         this.elements.pollutants = this._getOrCreateElement('.aqi-pollutants', 'div', 'aqi-pollutants');
+        this.elements.exposure = this._getOrCreateElement('.aqi-exposure', 'div', 'aqi-exposure');
+        this.elements.allergens = this._getOrCreateElement('.aqi-allergens', 'div', 'aqi-allergens');
+        this.elements.extended = this._getOrCreateElement('.aqi-extended', 'div', 'aqi-extended');
+        this.elements.guidelines = this._getOrCreateElement('.aqi-guidelines', 'div', 'aqi-guidelines');
+        this.elements.activityWindows = this._getOrCreateElement('.aqi-activity-windows', 'div', 'aqi-activity-windows');
         this.elements.recommendations = this._getOrCreateElement('.aqi-recommendations', 'div', 'aqi-recommendations');
         this.elements.chart = this._getOrCreateElement('.aqi-chart', 'div', 'aqi-chart');
         this.elements.comparison = this._getOrCreateElement('.aqi-comparison', 'div', 'aqi-comparison');
@@ -63,6 +92,7 @@ class AQIDisplayComponent extends BaseComponent {
         this.elements.title = this._getOrCreateElement('.aqi-title', 'h2', 'aqi-title', this.elements.header);
         this.elements.location = this._getOrCreateElement('.aqi-location', 'p', 'aqi-location', this.elements.header);
         this.elements.timestamp = this._getOrCreateElement('.aqi-timestamp', 'p', 'aqi-timestamp', this.elements.header);
+        this.elements.qualityBadge = this._getOrCreateElement('.data-quality-badge', 'div', 'data-quality-badge', this.elements.header);
 
         // Elementos do summary
         this.elements.aqiValue = this._getOrCreateElement('.aqi-value', 'div', 'aqi-value', this.elements.summary);
@@ -157,7 +187,13 @@ class AQIDisplayComponent extends BaseComponent {
             // Atualiza seções
             this._updateHeader(data);
             this._updateSummary(data);
+            this._updateArea(data);
             this._updatePollutants(data);
+            this._updateExposure(data);
+            this._updateAllergens(data);
+            this._updateExtended(data);
+            this._updateGuidelines(data);
+            this._updateActivityWindows(data);
             
             if (this.config.showHealthRecommendations) {
                 this._updateRecommendations(data);
@@ -208,6 +244,69 @@ class AQIDisplayComponent extends BaseComponent {
             const timeText = this._formatTimestamp(data.timestamp);
             this.elements.timestamp.textContent = `Última atualização: ${timeText}`;
         }
+
+        this._updateQualityBadge(data.quality);
+    }
+
+    /**
+     * Exibe selo de dados desatualizados/incompletos
+     * Aceita os indicadores do APIFacade ou os do resultado processado
+     * @param {Object} quality - Indicadores de qualidade dos dados
+     */
+    _updateQualityBadge(quality) {
+        const badge = this.elements.qualityBadge;
+        badge.innerHTML = '';
+
+        const isStale = quality ? (quality.isStale ?? quality.isObservationStale) : false;
+        const missing = quality?.completeness?.missing || [];
+        const isIncomplete = quality ? (quality.isIncomplete ?? missing.length > 0) : false;
+
+        if (!isStale && !isIncomplete) {
+            badge.style.display = 'none';
+            return;
+        }
+
+        badge.style.display = '';
+        badge.className = `data-quality-badge ${isStale ? 'stale' : 'incomplete'}`;
+
+        const messages = [];
+        if (isStale) {
+            const age = quality.observationAge != null
+                ? ` (observação de ${this._formatAge(quality.observationAge)} atrás)`
+                : '';
+            messages.push(quality.staleFallback
+                ? `Dados desatualizados do cache: a API não respondeu${age}`
+                : `Dados desatualizados${age}`);
+        }
+        if (isIncomplete) {
+            const names = missing.map(key => this._getPollutantDisplayName(key)).join(', ');
+            messages.push(names ? `Dados incompletos: sem ${names}` : 'Dados incompletos');
+        }
+
+        messages.forEach(message => {
+            const item = document.createElement('span');
+            item.textContent = `⚠️ ${message}`;
+            badge.appendChild(item);
+        });
+
+        if (quality.cacheAge != null) {
+            badge.title = `Cache de ${this._formatAge(quality.cacheAge)} atrás`;
+        }
+    }
+
+    /**
+     * Formata uma duração para exibição
+     * @param {number} ms - Duração em milissegundos
+     * @returns {string} Duração legível (ex.: 5 min, 3 h, 2 dias)
+     */
+    _formatAge(ms) {
+        const minutes = Math.max(0, Math.round(ms / 60000));
+        if (minutes < 60) return `${minutes} min`;
+
+        const hours = Math.round(minutes / 60);
+        if (hours < 48) return `${hours} h`;
+
+        return `${Math.round(hours / 24)} dias`;
     }
 
     /**
@@ -238,6 +337,105 @@ class AQIDisplayComponent extends BaseComponent {
         this.elements.summary.className = `aqi-summary ${category.class}`;
     }
 
+    /**
+     * Exibe o resumo da qualidade do ar sobre a área da localização
+     * @param {Object} area - Resultado do AreaSampler ou { unavailable } se não houver área
+     */
+    showAreaSummary(area) {
+        this.state.currentData = { ...this.state.currentData, area };
+        this._updateArea(this.state.currentData);
+    }
+
+    /**
+     * Liga ou desliga o modo área
+     * @param {boolean} enabled - Se o resumo da área deve ser exibido
+     */
+    setAreaMode(enabled) {
+        this.config.areaMode = Boolean(enabled);
+        this._updateArea(this.state.currentData || {});
+
+        this.eventManager?.publish(EventManager.EVENTS.AQI_AREA_MODE_CHANGED, { enabled: this.config.areaMode });
+    }
+
+    /**
+     * Atualiza resumo da área (mínimo, média e máximo por poluente e pior sub-área)
+     * Exibido apenas no modo área
+     * @param {Object} data - Dados de AQI
+     */
+    _updateArea(data) {
+        this.elements.area.innerHTML = '';
+
+        if (!this.config.areaMode) {
+            this.elements.area.style.display = 'none';
+            return;
+        }
+
+        this.elements.area.style.display = '';
+
+        const title = document.createElement('h3');
+        title.textContent = 'Qualidade do ar na área';
+        title.className = 'area-title';
+        this.elements.area.appendChild(title);
+
+        const area = data.area;
+        if (!area || area.unavailable) {
+            const message = document.createElement('p');
+            message.className = area ? 'area-unavailable' : 'area-loading';
+            message.textContent = area ? `⚠️ ${area.unavailable}` : 'Amostrando pontos da área...';
+            this.elements.area.appendChild(message);
+            return;
+        }
+
+        const coverage = document.createElement('p');
+        coverage.className = 'area-coverage';
+        coverage.textContent = `${area.grid.sampled} de ${area.grid.points} pontos com dados (grade ${area.grid.rows} × ${area.grid.cols})`;
+        this.elements.area.appendChild(coverage);
+
+        const table = document.createElement('table');
+        table.className = 'area-table';
+
+        const header = document.createElement('tr');
+        ['', 'Mínimo', 'Média', 'Máximo'].forEach(text => {
+            const cell = document.createElement('th');
+            cell.textContent = text;
+            header.appendChild(cell);
+        });
+        table.appendChild(header);
+
+        const rows = area.aqi ? [{ key: 'aqi', name: 'AQI', summary: area.aqi, format: value => String(Math.round(value)) }] : [];
+        Object.entries(area.pollutants).forEach(([key, pollutant]) => {
+            rows.push({
+                key,
+                name: pollutant.name || this._getPollutantDisplayName(key),
+                summary: pollutant,
+                format: value => `${this._formatPollutantValue(key, { value, unit: pollutant.unit })} ${this._getPollutantUnit(key)}`
+            });
+        });
+
+        rows.forEach(({ key, name, summary, format }) => {
+            const row = document.createElement('tr');
+            row.dataset.pollutant = key;
+
+            [name, format(summary.min), format(summary.mean), format(summary.max)].forEach(text => {
+                const cell = document.createElement('td');
+                cell.textContent = text;
+                row.appendChild(cell);
+            });
+
+            table.appendChild(row);
+        });
+
+        this.elements.area.appendChild(table);
+
+        const worst = area.aqi?.worst;
+        if (worst) {
+            const item = document.createElement('p');
+            item.className = `area-worst ${worst.classification || ''}`.trim();
+            item.textContent = `📍 Pior sub-área: AQI ${Math.round(worst.value)} em ${worst.lat.toFixed(4)}, ${worst.lon.toFixed(4)}`;
+            this.elements.area.appendChild(item);
+        }
+    }
+
     /**
      * Atualiza seção de poluentes
      * @param {Object} data - Dados de AQI
@@ -274,6 +472,8 @@ class AQIDisplayComponent extends BaseComponent {
      * @returns {Element} Elemento do cartão
      */
     _createPollutantCard(pollutant, value) {
+        const concentration = this._toMassConcentration(pollutant, value);
+
         const card = document.createElement('div');
         card.className = 'pollutant-card';
         card.dataset.pollutant = pollutant;
@@ -292,8 +492,8 @@ class AQIDisplayComponent extends BaseComponent {
 
         // Status do poluente
         const status = document.createElement('div');
-        status.textContent = this._getPollutantStatus(pollutant, value);
-        status.className = `pollutant-status ${this._getPollutantStatusClass(pollutant, value)}`;
+        status.textContent = this._getPollutantStatus(pollutant, concentration);
+        status.className = `pollutant-status ${this._getPollutantStatusClass(pollutant, concentration)}`;
 
         card.appendChild(name);
         card.appendChild(valueElement);
@@ -303,6 +503,486 @@ class AQIDisplayComponent extends BaseComponent {
         return card;
     }
 
+    /**
+     * Atualiza seção de alérgenos (pólen)
+     * Exibida apenas quando há dados de pólen para a localização
+     * @param {Object} data - Dados de AQI
+     */
+    _updateAllergens(data) {
+        this.elements.allergens.innerHTML = '';
+
+        if (!data.allergens || !data.allergens.items) {
+            this.elements.allergens.style.display = 'none';
+            return;
+        }
+
+        this.elements.allergens.style.display = '';
+
+        const title = document.createElement('h3');
+        title.textContent = 'Pólen e Alérgenos';
+        title.className = 'allergens-title';
+        this.elements.allergens.appendChild(title);
+
+        const cardsContainer = document.createElement('div');
+        cardsContainer.className = 'allergens-grid';
+
+        Object.entries(data.allergens.items).forEach(([key, allergen]) => {
+            const card = document.createElement('div');
+            card.className = `allergen-card ${allergen.level}`;
+            card.dataset.allergen = key;
+
+            const name = document.createElement('h4');
+            name.textContent = allergen.name;
+            name.className = 'allergen-name';
+            name.title = allergen.description;
+
+            const value = document.createElement('div');
+            value.textContent = `${Math.round(allergen.value)} ${allergen.unit}`;
+            value.className = 'allergen-value';
+
+            const status = document.createElement('div');
+            status.textContent = this._getAllergenLevelLabel(allergen.level);
+            status.className = `allergen-status ${allergen.level}`;
+
+            card.appendChild(name);
+            card.appendChild(value);
+            card.appendChild(status);
+            cardsContainer.appendChild(card);
+        });
+
+        this.elements.allergens.appendChild(cardsContainer);
+
+        if (data.allergens.recommendation) {
+            const recommendation = document.createElement('p');
+            recommendation.className = 'allergen-recommendation';
+            recommendation.textContent = `🤧 ${data.allergens.recommendation.allergic}`;
+            this.elements.allergens.appendChild(recommendation);
+        }
+    }
+
+    /**
+     * Atualiza seção de variáveis estendidas (UV, poeira, aerossóis, amônia)
+     * Exibida apenas quando o conjunto estendido foi solicitado
+     * @param {Object} data - Dados de AQI
+     */
+    _updateExtended(data) {
+        this.elements.extended.innerHTML = '';
+
+        if (!data.extended || !data.extended.items) {
+            this.elements.extended.style.display = 'none';
+            return;
+        }
+
+        this.elements.extended.style.display = '';
+
+        const title = document.createElement('h3');
+        title.textContent = 'UV, Poeira e Aerossóis';
+        title.className = 'extended-title';
+        this.elements.extended.appendChild(title);
+
+        const cardsContainer = document.createElement('div');
+        cardsContainer.className = 'extended-grid';
+
+        Object.entries(data.extended.items).forEach(([key, item]) => {
+            const card = document.createElement('div');
+            card.className = `extended-card ${item.level}`;
+            card.dataset.variable = key;
+
+            const name = document.createElement('h4');
+            name.textContent = item.name;
+            name.className = 'extended-name';
+            name.title = item.description;
+
+            const value = document.createElement('div');
+            value.textContent = `${this._formatExtendedValue(key, item.value)} ${item.unit}`.trim();
+            value.className = 'extended-value';
+
+            const status = document.createElement('div');
+            status.textContent = this._getExtendedLevelLabel(item.level);
+            status.className = `extended-status ${item.level}`;
+
+            card.appendChild(name);
+            card.appendChild(value);
+            card.appendChild(status);
+            cardsContainer.appendChild(card);
+        });
+
+        this.elements.extended.appendChild(cardsContainer);
+
+        data.extended.recommendations?.forEach(text => {
+            const recommendation = document.createElement('p');
+            recommendation.className = 'extended-recommendation';
+            recommendation.textContent = `☀️ ${text}`;
+            this.elements.extended.appendChild(recommendation);
+        });
+    }
+
+    /**
+     * Atualiza relatório de ultrapassagem das diretrizes da OMS (2021)
+     * @param {Object} data - Dados de AQI
+     */
+    _updateGuidelines(data) {
+        this.elements.guidelines.innerHTML = '';
+
+        const report = data.guidelines;
+        if (!report || Object.keys(report.pollutants).length === 0) {
+            this.elements.guidelines.style.display = 'none';
+            return;
+        }
+
+        this.elements.guidelines.style.display = '';
+
+        const title = document.createElement('h3');
+        title.textContent = 'Diretrizes da OMS';
+        title.className = 'guidelines-title';
+        this.elements.guidelines.appendChild(title);
+
+        const table = document.createElement('table');
+        table.className = 'guidelines-table';
+
+        const header = document.createElement('tr');
+        ['Poluente', 'Concentração', 'Diretriz OMS', 'Situação'].forEach(text => {
+            const cell = document.createElement('th');
+            cell.textContent = text;
+            header.appendChild(cell);
+        });
+        table.appendChild(header);
+
+        Object.entries(report.pollutants).forEach(([key, item]) => {
+            const row = document.createElement('tr');
+            row.className = item.exceeds ? 'exceeds' : 'within';
+            row.dataset.pollutant = key;
+
+            const decimals = item.unit === 'mg/m³' ? 2 : 1;
+            [
+                item.name,
+                `${item.concentration.toFixed(decimals)} ${item.unit}`,
+                `${item.guideline} ${item.unit} (${item.period})`,
+                this._formatGuidelineStatus(item)
+            ].forEach(text => {
+                const cell = document.createElement('td');
+                cell.textContent = text;
+                row.appendChild(cell);
+            });
+
+            table.appendChild(row);
+        });
+
+        this.elements.guidelines.appendChild(table);
+
+        const source = document.createElement('p');
+        source.className = 'guidelines-source';
+        source.textContent = `Fonte: ${report.source}. Valores horários comparados a médias de referência são indicativos.`;
+        this.elements.guidelines.appendChild(source);
+    }
+
+    /**
+     * Descreve a situação de um poluente frente à diretriz
+     * @param {Object} item - Avaliação do poluente
+     * @returns {string} Texto da situação
+     */
+    _formatGuidelineStatus(item) {
+        if (!item.exceeds) {
+            return 'Dentro da diretriz';
+        }
+
+        const excess = `${Math.round(item.percentAbove)}% acima`;
+        return item.targetMet
+            ? `${excess} · atende meta ${item.targetMet}`
+            : `${excess} · acima de todas as metas`;
+    }
+
+    /**
+     * Exibe as melhores janelas para atividades ao ar livre
+     * @param {Object} activityWindows - Resultado do ActivityPlanner ({ windows, metadata })
+     */
+    showActivityWindows(activityWindows) {
+        this.state.currentData = { ...this.state.currentData, activityWindows };
+        this._updateActivityWindows(this.state.currentData);
+    }
+
+    /**
+     * Atualiza lista "melhor horário para se exercitar"
+     * @param {Object} data - Dados de AQI
+     */
+    _updateActivityWindows(data) {
+        this.elements.activityWindows.innerHTML = '';
+
+        const windows = data.activityWindows?.windows;
+        if (!windows) {
+            this.elements.activityWindows.style.display = 'none';
+            return;
+        }
+
+        this.elements.activityWindows.style.display = '';
+
+        const title = document.createElement('h3');
+        title.textContent = 'Melhor horário para se exercitar';
+        title.className = 'activity-windows-title';
+        this.elements.activityWindows.appendChild(title);
+
+        if (windows.length === 0) {
+            const empty = document.createElement('p');
+            empty.className = 'activity-windows-empty';
+            empty.textContent = 'Nenhuma janela disponível na previsão.';
+            this.elements.activityWindows.appendChild(empty);
+            return;
+        }
+
+        const list = document.createElement('ol');
+        list.className = 'activity-windows-list';
+
+        windows.forEach(activityWindow => {
+            const item = document.createElement('li');
+            item.className = `activity-window ${activityWindow.level}${activityWindow.suitable ? '' : ' unsuitable'}`;
+
+            const time = document.createElement('span');
+            time.className = 'activity-window-time';
+            time.textContent = `${this._formatTimestamp(activityWindow.start)} – ${this._formatWindowHour(activityWindow.end)}`;
+
+            const details = document.createElement('span');
+            details.className = 'activity-window-details';
+            details.textContent = `AQI médio ${activityWindow.averageIndex} (máx. ${activityWindow.maxIndex}, ${activityWindow.description})`;
+
+            item.appendChild(time);
+            item.appendChild(details);
+
+            if (!activityWindow.suitable) {
+                const warning = document.createElement('span');
+                warning.className = 'activity-window-warning';
+                warning.textContent = '⚠️ Acima do recomendado para o seu perfil';
+                item.appendChild(warning);
+            }
+
+            list.appendChild(item);
+        });
+
+        this.elements.activityWindows.appendChild(list);
+    }
+
+    /**
+     * Formata apenas a hora de um timestamp
+     * @param {string} timestamp - Data ISO
+     * @returns {string} Hora formatada (HH:MM)
+     */
+    _formatWindowHour(timestamp) {
+        return new Date(timestamp).toLocaleTimeString('pt-BR', { hour: '2-digit', minute: '2-digit' });
+    }
+
+    /**
+     * Exibe a estimativa diária de exposição
+     * @param {Object} exposure - Resultado do ExposureEstimator
+     */
+    showExposureSummary(exposure) {
+        this.state.currentData = { ...this.state.currentData, exposure };
+        this._updateExposure(this.state.currentData);
+    }
+
+    /**
+     * Atualiza resumo de exposição diária e editor da agenda
+     * @param {Object} data - Dados de AQI
+     */
+    _updateExposure(data) {
+        this.elements.exposure.innerHTML = '';
+
+        const exposure = data.exposure;
+        if (!exposure) {
+            this.elements.exposure.style.display = 'none';
+            return;
+        }
+
+        this.elements.exposure.style.display = '';
+
+        const title = document.createElement('h3');
+        title.textContent = 'Exposição diária estimada';
+        title.className = 'exposure-title';
+        this.elements.exposure.appendChild(title);
+
+        const summary = document.createElement('div');
+        summary.className = 'exposure-summary';
+
+        [
+            { key: 'pm2_5', label: 'PM2.5' },
+            { key: 'ozone', label: 'O₃' }
+        ].forEach(({ key, label }) => {
+            const pollutant = exposure.pollutants[key];
+            if (!pollutant) return;
+
+            const item = document.createElement('div');
+            item.className = 'exposure-item';
+            item.dataset.pollutant = key;
+
+            const name = document.createElement('span');
+            name.className = 'exposure-name';
+            name.textContent = label;
+
+            const dose = document.createElement('span');
+            dose.className = 'exposure-dose';
+            dose.textContent = `${pollutant.dose.toFixed(1)} ${pollutant.doseUnit} inalados`;
+
+            const average = document.createElement('span');
+            average.className = 'exposure-average';
+            average.textContent = pollutant.averageExposure !== null
+                ? `Média respirada ${pollutant.averageExposure.toFixed(1)} ${pollutant.concentrationUnit} (externa ${pollutant.averageAmbient.toFixed(1)})`
+                : 'N/D';
+
+            item.appendChild(name);
+            item.appendChild(dose);
+            item.appendChild(average);
+            summary.appendChild(item);
+        });
+
+        if (exposure.cigaretteEquivalent !== null) {
+            const cigarettes = document.createElement('div');
+            cigarettes.className = 'exposure-item exposure-cigarettes';
+
+            const value = document.createElement('span');
+            value.className = 'exposure-dose';
+            value.textContent = `🚬 ≈ ${exposure.cigaretteEquivalent.toFixed(1)} cigarro(s)`;
+
+            const note = document.createElement('span');
+            note.className = 'exposure-average';
+            note.textContent = 'Equivalente em PM2.5 (22 µg/m³ por dia ≈ 1 cigarro)';
+
+            cigarettes.appendChild(value);
+            cigarettes.appendChild(note);
+            summary.appendChild(cigarettes);
+        }
+
+        this.elements.exposure.appendChild(summary);
+
+        const volume = document.createElement('p');
+        volume.className = 'exposure-volume';
+        volume.textContent = `Volume de ar inalado: ${exposure.totalVolume.toFixed(1)} m³ · ` +
+            ExposureEstimator.getActivityTypes()
+                .filter(({ id }) => exposure.byActivity[id]?.hours > 0)
+                .map(({ id, icon }) => `${icon} ${exposure.byActivity[id].hours}h`)
+                .join(' · ');
+        this.elements.exposure.appendChild(volume);
+
+        this.elements.exposure.appendChild(this._createScheduleEditor(exposure.schedule));
+    }
+
+    /**
+     * Cria o editor da agenda diária
+     * @param {Array<Object>} schedule - Blocos { start, end, activity }
+     * @returns {Element} Fieldset com uma linha por bloco
+     */
+    _createScheduleEditor(schedule) {
+        const fieldset = document.createElement('fieldset');
+        fieldset.className = 'exposure-schedule';
+
+        const legend = document.createElement('legend');
+        legend.textContent = 'Minha agenda (fora dos blocos: ambiente fechado)';
+        fieldset.appendChild(legend);
+
+        const rows = document.createElement('div');
+        rows.className = 'exposure-schedule-rows';
+        schedule.forEach(block => rows.appendChild(this._createScheduleRow(block, fieldset)));
+        fieldset.appendChild(rows);
+
+        const error = document.createElement('p');
+        error.className = 'exposure-schedule-error';
+        fieldset.appendChild(error);
+
+        const addButton = document.createElement('button');
+        addButton.type = 'button';
+        addButton.className = 'exposure-schedule-add';
+        addButton.textContent = '+ Adicionar bloco';
+        addButton.onclick = () => {
+            rows.appendChild(this._createScheduleRow({ start: '12:00', end: '13:00', activity: 'outdoor-light' }, fieldset));
+        };
+        fieldset.appendChild(addButton);
+
+        const applyButton = document.createElement('button');
+        applyButton.type = 'button';
+        applyButton.className = 'exposure-schedule-apply';
+        applyButton.textContent = 'Recalcular';
+        applyButton.onclick = () => this._handleScheduleChange(fieldset);
+        fieldset.appendChild(applyButton);
+
+        return fieldset;
+    }
+
+    /**
+     * Cria a linha de um bloco da agenda
+     * @param {Object} block - Bloco { start, end, activity }
+     * @param {Element} fieldset - Editor da agenda
+     * @returns {Element} Linha com horários, atividade e botão de remoção
+     */
+    _createScheduleRow(block, fieldset) {
+        const row = document.createElement('div');
+        row.className = 'exposure-schedule-row';
+
+        const start = document.createElement('input');
+        start.type = 'time';
+        start.className = 'schedule-start';
+        start.value = block.start;
+
+        const end = document.createElement('input');
+        end.type = 'time';
+        end.className = 'schedule-end';
+        // O input de horário não aceita 24:00: o fim do dia é exibido como 23:59
+        end.value = block.end === '24:00' ? '23:59' : block.end;
+
+        const activity = document.createElement('select');
+        activity.className = 'schedule-activity';
+        ExposureEstimator.getActivityTypes().forEach(({ id, label, icon }) => {
+            const option = document.createElement('option');
+            option.value = id;
+            option.textContent = `${icon} ${label}`;
+            option.selected = id === block.activity;
+            activity.appendChild(option);
+        });
+
+        const remove = document.createElement('button');
+        remove.type = 'button';
+        remove.className = 'schedule-remove';
+        remove.textContent = '✕';
+        remove.setAttribute('aria-label', 'Remover bloco');
+        remove.onclick = () => {
+            row.remove();
+            this._handleScheduleChange(fieldset);
+        };
+
+        row.appendChild(start);
+        row.appendChild(end);
+        row.appendChild(activity);
+        row.appendChild(remove);
+        return row;
+    }
+
+    /**
+     * Salva a agenda editada e recalcula a exposição com as concentrações já carregadas
+     * @param {Element} fieldset - Editor da agenda
+     */
+    _handleScheduleChange(fieldset) {
+        const schedule = Array.from(fieldset.querySelectorAll('.exposure-schedule-row')).map(row => ({
+            start: row.querySelector('.schedule-start').value,
+            end: row.querySelector('.schedule-end').value === '23:59' ? '24:00' : row.querySelector('.schedule-end').value,
+            activity: row.querySelector('.schedule-activity').value
+        }));
+
+        try {
+            this.exposureEstimator.setSchedule(schedule);
+        } catch (error) {
+            fieldset.querySelector('.exposure-schedule-error').textContent = `⚠️ ${error.message}`;
+            return;
+        }
+
+        this.eventManager?.publish(EventManager.EVENTS.AQI_EXPOSURE_SCHEDULE_CHANGED, {
+            schedule: this.exposureEstimator.getSchedule()
+        });
+
+        const concentrations = this.state.currentData?.exposure?.concentrations;
+        if (concentrations) {
+            this.showExposureSummary({
+                ...this.state.currentData.exposure,
+                ...this.exposureEstimator.estimate(concentrations)
+            });
+        }
+    }
+
     /**
      * Atualiza recomendações de saúde
      * @param {Object} data - Dados de AQI
@@ -319,8 +999,11 @@ class AQIDisplayComponent extends BaseComponent {
         title.className = 'recommendations-title';
         this.elements.recommendations.appendChild(title);
 
-        // Obtém recomendações baseadas no AQI
-        const recommendations = this._getHealthRecommendations(data.aqi.value);
+        // Perfil de saúde do usuário
+        this.elements.recommendations.appendChild(this._createHealthProfileSelector());
+
+        // Obtém recomendações baseadas no AQI, poluente dominante e perfil
+        const recommendations = this._getHealthRecommendations(data.aqi);
         
         // Container para recomendações
         const container = document.createElement('div');
@@ -434,12 +1117,98 @@ class AQIDisplayComponent extends BaseComponent {
             controls.appendChild(exportButton);
         }
 
+        controls.appendChild(this._createUnitSelect());
+        controls.appendChild(this._createAreaModeToggle());
         controls.appendChild(refreshButton);
         
         this.elements.footer.appendChild(source);
         this.elements.footer.appendChild(controls);
     }
 
+    /**
+     * Cria seletor de unidade dos gases
+     * @returns {Element} Elemento select
+     */
+    _createUnitSelect() {
+        const select = document.createElement('select');
+        select.className = 'unit-select';
+        select.setAttribute('aria-label', 'Unidade dos gases');
+
+        Object.entries(GAS_UNIT_OPTIONS).forEach(([key, option]) => {
+            const element = document.createElement('option');
+            element.value = key;
+            element.textContent = option.label;
+            element.selected = key === this.config.gasUnit;
+            select.appendChild(element);
+        });
+
+        select.onchange = (event) => this.setGasUnit(event.target.value);
+
+        return select;
+    }
+
+    /**
+     * Cria a chave do modo área
+     * @returns {Element} Label com checkbox
+     */
+    _createAreaModeToggle() {
+        const label = document.createElement('label');
+        label.className = 'area-mode-toggle';
+
+        const checkbox = document.createElement('input');
+        checkbox.type = 'checkbox';
+        checkbox.checked = this.config.areaMode;
+        checkbox.onchange = (event) => this.setAreaMode(event.target.checked);
+
+        label.appendChild(checkbox);
+        label.appendChild(document.createTextNode(' 🗺️ Modo área'));
+
+        return label;
+    }
+
+    /**
+     * Define a unidade preferida dos gases e re-renderiza os poluentes
+     * @param {string} gasUnit - mass, ppb ou ppm
+     */
+    setGasUnit(gasUnit) {
+        if (!GAS_UNIT_OPTIONS[gasUnit]) return;
+
+        this.config.gasUnit = gasUnit;
+        this._saveUnitPreference(gasUnit);
+
+        if (this.state.currentData) {
+            this._updatePollutants(this.state.currentData);
+        }
+
+        this.eventManager?.publish(EventManager.EVENTS.AQI_UNIT_CHANGED, { gasUnit });
+    }
+
+    /**
+     * Carrega a unidade preferida do LocalStorage
+     * @returns {string} Preferência salva ou 'mass'
+     */
+    _loadUnitPreference() {
+        try {
+            const stored = localStorage.getItem(UNIT_PREFERENCE_KEY);
+            return GAS_UNIT_OPTIONS[stored] ? stored : 'mass';
+        } catch (error) {
+            console.warn('⚠️ Could not load unit preference:', error);
+            return 'mass';
+        }
+    }
+
+    /**
+     * Salva a unidade preferida no LocalStorage
+     * @param {string} gasUnit - Preferência selecionada
+     */
+    _saveUnitPreference(gasUnit) {
+        try {
+            localStorage.setItem(UNIT_PREFERENCE_KEY, gasUnit);
+        } catch (error) {
+            console.warn('⚠️ Could not save unit preference:', error);
+        }
+    }
+
     /**
      * Manipula clique em poluente
      * @param {Element} pollutantCard - Cartão do poluente
@@ -709,7 +1478,13 @@ class AQIDisplayComponent extends BaseComponent {
             'no2': 'NO₂',
             'so2': 'SO₂',
             'co': 'CO',
-            'nh3': 'NH₃'
+            'nh3': 'NH₃',
+            'pm2_5': 'PM2.5',
+            'ozone': 'Ozônio (O₃)',
+            'nitrogen_dioxide': 'NO₂',
+            'sulphur_dioxide': 'SO₂',
+            'carbon_monoxide': 'CO',
+            'ammonia': 'NH₃'
         };
         return names[pollutant.toLowerCase()] || pollutant.toUpperCase();
     }
@@ -720,6 +1495,10 @@ class AQIDisplayComponent extends BaseComponent {
      * @returns {string} Unidade
      */
     _getPollutantUnit(pollutant) {
+        if (UnitConverter.isGas(pollutant) && this.config.gasUnit !== 'mass') {
+            return GAS_UNIT_OPTIONS[this.config.gasUnit].unit;
+        }
+
         const units = {
             'pm2.5': 'μg/m³',
             'pm10': 'μg/m³',
@@ -729,18 +1508,54 @@ class AQIDisplayComponent extends BaseComponent {
             'co': 'mg/m³',
             'nh3': 'μg/m³'
         };
-        return units[pollutant.toLowerCase()] || 'μg/m³';
+        return units[pollutant.toLowerCase()] || this._getMassUnit(pollutant);
     }
 
     /**
      * Formata valor do poluente
      * @param {string} pollutant - Nome do poluente
-     * @param {number} value - Valor
-     * @returns {string} Valor formatado
+     * @param {number|Object} value - Valor na unidade mássica ou objeto { value, unit }
+     * @returns {string} Valor formatado na unidade preferida
      */
     _formatPollutantValue(pollutant, value) {
-        if (value == null) return '--';
-        return pollutant.toLowerCase() === 'co' ? value.toFixed(2) : Math.round(value);
+        const source = typeof value === 'object' && value !== null
+            ? value
+            : { value, unit: this._getMassUnit(pollutant) };
+        if (source.value == null) return '--';
+
+        const targetUnit = UnitConverter.normalizeUnit(this._getPollutantUnit(pollutant));
+        const converted = UnitConverter.canConvert(pollutant, source.unit, targetUnit)
+            ? UnitConverter.convert(source.value, source.unit, targetUnit, { pollutant })
+            : source.value;
+
+        return ['mg/m³', 'ppm'].includes(targetUnit) ? converted.toFixed(2) : Math.round(converted);
+    }
+
+    /**
+     * Obtém a unidade mássica de exibição do poluente (mg/m³ para CO)
+     * @param {string} pollutant - Nome do poluente
+     * @returns {string} Unidade mássica
+     */
+    _getMassUnit(pollutant) {
+        return UnitConverter.resolvePollutant(pollutant) === 'carbon_monoxide' ? 'mg/m³' : 'µg/m³';
+    }
+
+    /**
+     * Obtém a concentração em µg/m³ usada nos limites de status
+     * @param {string} pollutant - Nome do poluente
+     * @param {number|Object} value - Valor ou objeto { value, unit, sourceValue, sourceUnit }
+     * @returns {number|null} Concentração em µg/m³ (mg/m³ para CO)
+     */
+    _toMassConcentration(pollutant, value) {
+        if (value === null || typeof value !== 'object') return value;
+
+        const amount = value.sourceValue ?? value.value;
+        const unit = value.sourceUnit || value.unit || 'µg/m³';
+        const targetUnit = this._getMassUnit(pollutant);
+
+        return UnitConverter.canConvert(pollutant, unit, targetUnit)
+            ? UnitConverter.convert(amount, unit, targetUnit, { pollutant })
+            : amount;
     }
 
     /**
@@ -783,39 +1598,113 @@ class AQIDisplayComponent extends BaseComponent {
     }
 
     /**
-     * Obtém recomendações de saúde baseadas no AQI
-     * @param {number} aqiValue - Valor do AQI
-     * @returns {Array} Lista de recomendações
+     * Obtém rótulo do nível de pólen
+     * @param {string} level - Nível do pólen
+     * @returns {string} Rótulo para exibição
      */
-    _getHealthRecommendations(aqiValue) {
-        if (aqiValue <= 50) {
-            return [
-                { type: 'good', icon: 'good-icon', iconText: '😊', text: 'Qualidade do ar excelente para atividades ao ar livre' },
-                { type: 'good', icon: 'exercise-icon', iconText: '🏃', text: 'Ideal para exercícios e caminhadas' }
-            ];
-        } else if (aqiValue <= 100) {
-            return [
-                { type: 'moderate', icon: 'moderate-icon', iconText: '😐', text: 'Qualidade do ar aceitável para a maioria das pessoas' },
-                { type: 'moderate', icon: 'sensitive-icon', iconText: '⚠️', text: 'Pessoas muito sensíveis devem limitar exercícios prolongados ao ar livre' }
-            ];
-        } else if (aqiValue <= 150) {
-            return [
-                { type: 'unhealthy-sensitive', icon: 'warning-icon', iconText: '😷', text: 'Grupos sensíveis devem evitar atividades ao ar livre' },
-                { type: 'unhealthy-sensitive', icon: 'indoor-icon', iconText: '🏠', text: 'Prefira atividades em ambientes fechados' }
-            ];
-        } else if (aqiValue <= 200) {
-            return [
-                { type: 'unhealthy', icon: 'danger-icon', iconText: '🚨', text: 'Evite atividades ao ar livre' },
-                { type: 'unhealthy', icon: 'mask-icon', iconText: '😷', text: 'Use máscara ao sair' }
-            ];
-        } else {
-            return [
-                { type: 'hazardous', icon: 'extreme-icon', iconText: '☠️', text: 'Permaneça em casa com janelas fechadas' },
-                { type: 'hazardous', icon: 'emergency-icon', iconText: '🚨', text: 'Evite qualquer atividade ao ar livre' }
-            ];
+    _getAllergenLevelLabel(level) {
+        const labels = {
+            'none': 'Ausente',
+            'low': 'Baixo',
+            'moderate': 'Moderado',
+            'high': 'Alto',
+            'very-high': 'Muito alto'
+        };
+        return labels[level] || 'N/D';
+    }
+
+    /**
+     * Formata valor de variável estendida
+     * @param {string} key - Variável
+     * @param {number} value - Valor
+     * @returns {string} Valor formatado
+     */
+    _formatExtendedValue(key, value) {
+        if (value == null) return '--';
+        if (key === 'aerosol_optical_depth') return value.toFixed(2);
+        if (key === 'uv_index') return value.toFixed(1);
+        return String(Math.round(value));
+    }
+
+    /**
+     * Obtém rótulo do nível de variável estendida
+     * @param {string} level - Nível
+     * @returns {string} Rótulo para exibição
+     */
+    _getExtendedLevelLabel(level) {
+        const labels = {
+            'low': 'Baixo',
+            'moderate': 'Moderado',
+            'high': 'Alto',
+            'very-high': 'Muito alto',
+            'extreme': 'Extremo'
+        };
+        return labels[level] || 'N/D';
+    }
+
+    /**
+     * Cria seletor dos grupos do perfil de saúde
+     * @returns {Element} Fieldset com um checkbox por grupo
+     */
+    _createHealthProfileSelector() {
+        const fieldset = document.createElement('fieldset');
+        fieldset.className = 'health-profile';
+
+        const legend = document.createElement('legend');
+        legend.textContent = 'Meu perfil de saúde';
+        fieldset.appendChild(legend);
+
+        const selected = this.healthAdvisor.getProfile();
+
+        HealthAdvisor.getAvailableProfiles().forEach(({ id, label, icon }) => {
+            const option = document.createElement('label');
+            option.className = 'health-profile-option';
+
+            const checkbox = document.createElement('input');
+            checkbox.type = 'checkbox';
+            checkbox.value = id;
+            checkbox.checked = selected.includes(id);
+            checkbox.onchange = () => this._handleHealthProfileChange(fieldset);
+
+            option.appendChild(checkbox);
+            option.appendChild(document.createTextNode(` ${icon} ${label}`));
+            fieldset.appendChild(option);
+        });
+
+        return fieldset;
+    }
+
+    /**
+     * Salva o perfil selecionado e atualiza as recomendações
+     * @param {Element} fieldset - Seletor do perfil
+     */
+    _handleHealthProfileChange(fieldset) {
+        const groups = Array.from(fieldset.querySelectorAll('input:checked')).map(input => input.value);
+        this.healthAdvisor.setProfile(groups);
+
+        this.eventManager?.publish(EventManager.EVENTS.AQI_HEALTH_PROFILE_CHANGED, { profile: groups });
+
+        if (this.state.currentData) {
+            this._updateRecommendations(this.state.currentData);
         }
     }
 
+    /**
+     * Obtém recomendações de saúde baseadas no AQI e no perfil do usuário
+     * @param {Object} aqi - Dados do índice (classification, type, value, dominantPollutant)
+     * @returns {Array} Lista de recomendações
+     */
+    _getHealthRecommendations(aqi) {
+        const context = aqi.classification && aqi.classification !== 'unknown'
+            ? { level: aqi.classification, scale: aqi.type }
+            : { value: aqi.value };
+
+        return this.healthAdvisor.getRecommendations({
+            ...context,
+            pollutant: aqi.dominantPollutant
+        }).items;
+    }
+
     /**
      * Atualiza configuração
      * @param {Object} newConfig - Nova configuração
@@ -3,6 +3,10 @@
  * Implementa validação em tempo real e controle de eventos
  */
 import BaseComponent from './BaseComponent.js';
+import { GeolocationService } from '../../services/GeolocationService.js';
+import { CoordinateParser } from '../../utils/CoordinateParser.js';
+import { PostalCodeParser } from '../../utils/PostalCodeParser.js';
+import { CountryNormalizer } from '../../utils/CountryNormalizer.js';
 
 class FormComponent extends BaseComponent {
     constructor(element, options = {}) {
@@ -15,9 +19,17 @@ class FormComponent extends BaseComponent {
             submitOnEnter: true,
             autoFocus: true,
             clearOnSubmit: false,
+            autocompleteDelay: 300, // ms sem digitação antes de buscar candidatos
+            autocompleteMinLength: 3,
+            autocompleteLimit: 5,
+            searchLocations: null, // (query, { limit }) => Promise<Array>, ex.: APIFacade.searchLocations
+            currentLocation: true, // Botão "Usar minha localização"
+            postalCodeMode: true, // Alternância entre busca por cidade e por CEP/código postal
             ...options
         };
 
+        this.geolocationService = this.config.geolocationService || new GeolocationService();
+
         // Estado do formulário
         this.state = {
             isValid: true,
@@ -25,12 +37,23 @@ class FormComponent extends BaseComponent {
             isSubmitting: false,
             values: {},
             errors: {},
-            touchedFields: new Set()
+            touchedFields: new Set(),
+            suggestions: [],
+            activeSuggestion: -1,
+            selectedPlace: null,
+            mode: 'city'
         };
 
         // Cache de elementos
         this.fields = {};
         this.errorElements = {};
+        this.suggestionList = null;
+        this.locationButton = null;
+        this.modeButtons = [];
+
+        // Controle do autocomplete (debounce e descarte de respostas antigas)
+        this.autocompleteTimer = null;
+        this.autocompleteRequest = 0;
 
         // Inicialização
         this._initializeForm();
@@ -48,6 +71,7 @@ class FormComponent extends BaseComponent {
             city: this.element.querySelector('#city, input[name="city"]'),
             state: this.element.querySelector('#state, input[name="state"]'),
             country: this.element.querySelector('#country, input[name="country"]'),
+            postalCode: this.element.querySelector('#postalCode, input[name="postalCode"]'),
             submit: this.element.querySelector('button[type="submit"], #submitButton')
         };
 
@@ -55,9 +79,21 @@ class FormComponent extends BaseComponent {
         this.errorElements = {
             city: this.element.querySelector('#cityError, .city-error'),
             state: this.element.querySelector('#stateError, .state-error'),
-            country: this.element.querySelector('#countryError, .country-error')
+            country: this.element.querySelector('#countryError, .country-error'),
+            postalCode: this.element.querySelector('#postalCodeError, .postal-code-error'),
+            location: this.element.querySelector('#locationError, .location-error')
         };
 
+        // Botão de localização atual (fora de this.fields: não é um valor do formulário)
+        if (this.config.currentLocation) {
+            this._initializeLocationButton();
+        }
+
+        // Busca por CEP/código postal
+        if (this.config.postalCodeMode) {
+            this._initializePostalCodeMode();
+        }
+
         // Define valores iniciais
         Object.entries(this.fields).forEach(([key, field]) => {
             if (field && field.value !== undefined) {
@@ -65,12 +101,161 @@ class FormComponent extends BaseComponent {
             }
         });
 
+        // Lista de sugestões do campo cidade
+        if (this.config.searchLocations && this.fields.city) {
+            this._initializeAutocomplete();
+        }
+
         // Auto-focus no primeiro campo
         if (this.config.autoFocus && this.fields.city) {
             this.fields.city.focus();
         }
     }
 
+    /**
+     * Obtém ou cria o botão "Usar minha localização" e sua mensagem de erro
+     */
+    _initializeLocationButton() {
+        this.locationButton = this.element.querySelector('#useLocationButton, .location-btn');
+
+        if (!this.locationButton) {
+            this.locationButton = document.createElement('button');
+            this.locationButton.type = 'button';
+            this.locationButton.id = 'useLocationButton';
+            this.locationButton.className = 'location-btn';
+            this.locationButton.textContent = '📍 Usar minha localização';
+
+            const submit = this.fields.submit;
+            if (submit) {
+                submit.insertAdjacentElement('beforebegin', this.locationButton);
+            } else {
+                this.element.appendChild(this.locationButton);
+            }
+        }
+
+        if (!this.errorElements.location) {
+            this.errorElements.location = document.createElement('div');
+            this.errorElements.location.id = 'locationError';
+            this.errorElements.location.className = 'error-message location-error';
+            this.locationButton.insertAdjacentElement('afterend', this.errorElements.location);
+        }
+
+        if (!this.geolocationService.isSupported()) {
+            this.locationButton.hidden = true;
+        }
+    }
+
+    /**
+     * Obtém ou cria o campo de código postal e os botões de tipo de busca
+     */
+    _initializePostalCodeMode() {
+        if (!this.fields.postalCode) {
+            const group = document.createElement('div');
+            group.className = 'form-group postal-code-group';
+            group.innerHTML = `
+                <label for="postalCode">CEP / código postal</label>
+                <input type="text" id="postalCode" name="postalCode" placeholder="Ex: 01310-100"
+                    autocomplete="postal-code" aria-describedby="postalCodeError">
+                <div class="error-message postal-code-error" id="postalCodeError" aria-live="polite"></div>
+            `;
+
+            const anchor = this._getFieldContainer('state') || this._getFieldContainer('city');
+            if (anchor) {
+                anchor.insertAdjacentElement('afterend', group);
+            } else {
+                this.element.appendChild(group);
+            }
+
+            this.fields.postalCode = group.querySelector('input');
+            this.errorElements.postalCode = group.querySelector('.error-message');
+        }
+
+        this.modeButtons = Array.from(this.element.querySelectorAll('.search-mode-btn'));
+
+        if (this.modeButtons.length === 0) {
+            const switcher = document.createElement('div');
+            switcher.className = 'search-mode';
+            switcher.setAttribute('role', 'group');
+            switcher.setAttribute('aria-label', 'Tipo de busca');
+            switcher.innerHTML = `
+                <button type="button" class="search-mode-btn" data-mode="city">🏙️ Cidade</button>
+                <button type="button" class="search-mode-btn" data-mode="postalCode">📮 CEP / código postal</button>
+            `;
+
+            const first = this._getFieldContainer('city');
+            if (first) {
+                first.insertAdjacentElement('beforebegin', switcher);
+            } else {
+                this.element.prepend(switcher);
+            }
+
+            this.modeButtons = Array.from(switcher.querySelectorAll('.search-mode-btn'));
+        }
+
+        this._applyMode();
+    }
+
+    /**
+     * Obtém o grupo (.form-group) de um campo, ou o próprio campo
+     * @param {string} fieldName - Nome do campo
+     * @returns {HTMLElement|null}
+     */
+    _getFieldContainer(fieldName) {
+        const field = this.fields[fieldName];
+        return field ? (field.closest('.form-group') || field) : null;
+    }
+
+    /**
+     * Exibe os campos do tipo de busca atual e marca o botão ativo
+     */
+    _applyMode() {
+        const isPostalCode = this.state.mode === 'postalCode';
+
+        ['city', 'state'].forEach(key => {
+            const container = this._getFieldContainer(key);
+            if (container) container.hidden = isPostalCode;
+        });
+
+        const postalContainer = this._getFieldContainer('postalCode');
+        if (postalContainer) postalContainer.hidden = !isPostalCode;
+
+        this.modeButtons.forEach(button => {
+            const isActive = button.dataset.mode === this.state.mode;
+            button.classList.toggle('active', isActive);
+            button.setAttribute('aria-pressed', String(isActive));
+        });
+    }
+
+    /**
+     * Campos enviados no tipo de busca atual
+     * @returns {Array<string>} Nomes dos campos
+     */
+    _getActiveFields() {
+        return this.state.mode === 'postalCode'
+            ? ['postalCode', 'country']
+            : ['city', 'state', 'country'];
+    }
+
+    /**
+     * Cria a lista de sugestões e os atributos ARIA do combobox
+     */
+    _initializeAutocomplete() {
+        const city = this.fields.city;
+
+        this.suggestionList = document.createElement('ul');
+        this.suggestionList.id = `${city.id || 'city'}Suggestions`;
+        this.suggestionList.className = 'autocomplete-list';
+        this.suggestionList.setAttribute('role', 'listbox');
+        this.suggestionList.hidden = true;
+        city.insertAdjacentElement('afterend', this.suggestionList);
+
+        city.setAttribute('role', 'combobox');
+        city.setAttribute('autocomplete', 'off');
+        city.setAttribute('aria-autocomplete', 'list');
+        city.setAttribute('aria-controls', this.suggestionList.id);
+        city.setAttribute('aria-expanded', 'false');
+    }
+
     /**
      * Configura event listeners do formulário
      */
@@ -101,6 +286,23 @@ class FormComponent extends BaseComponent {
             });
         }
 
+        // Autocomplete do campo cidade
+        if (this.suggestionList) {
+            this._setupAutocompleteListeners();
+        }
+
+        // Localização atual
+        this.locationButton?.addEventListener('click', () => {
+            this._handleUseCurrentLocation();
+        });
+
+        // Tipo de busca (cidade ou código postal)
+        this.modeButtons.forEach(button => {
+            button.addEventListener('click', () => {
+                this.setMode(button.dataset.mode);
+            });
+        });
+
         // Enter para submit
         if (this.config.submitOnEnter) {
             this.element.addEventListener('keydown', (e) => {
@@ -121,6 +323,263 @@ class FormComponent extends BaseComponent {
         });
     }
 
+    /**
+     * Obtém a posição do navegador e solicita a busca pelas coordenadas
+     */
+    async _handleUseCurrentLocation() {
+        if (this.state.isSubmitting) {
+            return;
+        }
+
+        const button = this.locationButton;
+        const label = button.textContent;
+
+        try {
+            this.state.isSubmitting = true;
+            button.disabled = true;
+            button.textContent = 'Obtendo localização...';
+            this._clearFieldError('location');
+
+            const position = await this.geolocationService.getCurrentPosition();
+
+            this.eventManager?.publish('form:current-location', { coordinates: position });
+            console.log('📍 FormComponent: Current location submitted', position);
+
+        } catch (error) {
+            this._showFieldError('location', error.message);
+            this.eventManager?.publish('form:current-location:error', { error });
+            console.warn('⚠️ FormComponent: Current location failed', error.code || error.message);
+        } finally {
+            this.state.isSubmitting = false;
+            button.disabled = false;
+            button.textContent = label;
+        }
+    }
+
+    /**
+     * Configura busca com debounce, navegação por teclado e seleção de sugestões
+     */
+    _setupAutocompleteListeners() {
+        const city = this.fields.city;
+
+        // Editar a localização descarta o candidato escolhido
+        ['city', 'state', 'country'].forEach(key => {
+            this.fields[key]?.addEventListener('input', () => {
+                this.state.selectedPlace = null;
+            });
+        });
+
+        city.addEventListener('input', () => {
+            this._scheduleAutocomplete();
+        });
+
+        // Registrado no campo: roda antes do Enter para submit do formulário
+        city.addEventListener('keydown', (e) => {
+            this._handleAutocompleteKeydown(e);
+        });
+
+        city.addEventListener('blur', () => {
+            this._closeSuggestions();
+        });
+
+        // mousedown evita o blur do campo antes da seleção
+        this.suggestionList.addEventListener('mousedown', (e) => {
+            e.preventDefault();
+            const item = e.target.closest('[data-index]');
+            if (item) {
+                this._selectSuggestion(Number(item.dataset.index));
+            }
+        });
+    }
+
+    /**
+     * Agenda a busca de sugestões após o intervalo de digitação
+     */
+    _scheduleAutocomplete() {
+        clearTimeout(this.autocompleteTimer);
+
+        const query = this.fields.city.value.trim();
+        // Coordenadas e códigos postais não passam pelo autocomplete de nomes
+        if (query.length < this.config.autocompleteMinLength || this._isCoordinateInput(query) || this._isPostalCodeInput(query)) {
+            this.autocompleteRequest++;
+            this._closeSuggestions();
+            return;
+        }
+
+        this.autocompleteTimer = setTimeout(() => {
+            this._fetchSuggestions();
+        }, this.config.autocompleteDelay);
+    }
+
+    /**
+     * Busca candidatos para o texto atual (cidade, estado e país preenchidos)
+     */
+    async _fetchSuggestions() {
+        const requestId = ++this.autocompleteRequest;
+        const query = ['city', 'state']
+            .map(key => this.fields[key]?.value?.trim())
+            .filter(Boolean)
+            .join(', ');
+
+        // País reconhecido restringe os candidatos; texto desconhecido entra na busca livre
+        const country = this.fields.country?.value?.trim();
+        const options = { limit: this.config.autocompleteLimit };
+        let text = query;
+        if (country && CountryNormalizer.isKnown(country)) {
+            options.country = CountryNormalizer.toCode(country);
+        } else if (country) {
+            text = `${query}, ${country}`;
+        }
+
+        try {
+            const candidates = await this.config.searchLocations(text, options);
+
+            // Ignora respostas de buscas já superadas pela digitação
+            if (requestId !== this.autocompleteRequest) {
+                return;
+            }
+
+            this._showSuggestions(candidates || []);
+        } catch (error) {
+            if (requestId === this.autocompleteRequest) {
+                console.warn('⚠️ FormComponent: Autocomplete search failed', error.message);
+                this._closeSuggestions();
+            }
+        }
+    }
+
+    /**
+     * Exibe a lista de candidatos
+     * @param {Array<Object>} candidates - Candidatos no formato de GeocodingService.search
+     */
+    _showSuggestions(candidates) {
+        this.state.suggestions = candidates;
+        this.state.activeSuggestion = -1;
+        this.suggestionList.innerHTML = '';
+
+        if (candidates.length === 0) {
+            this._closeSuggestions();
+            return;
+        }
+
+        candidates.forEach((candidate, index) => {
+            const [name, ...details] = (candidate.display_name || '').split(', ');
+
+            const item = document.createElement('li');
+            item.id = `${this.suggestionList.id}-${index}`;
+            item.className = 'autocomplete-item';
+            item.dataset.index = index;
+            item.setAttribute('role', 'option');
+            item.setAttribute('aria-selected', 'false');
+
+            const title = document.createElement('span');
+            title.className = 'autocomplete-name';
+            title.textContent = name;
+
+            const detail = document.createElement('span');
+            detail.className = 'autocomplete-detail';
+            detail.textContent = details.join(', ');
+
+            item.appendChild(title);
+            item.appendChild(detail);
+            this.suggestionList.appendChild(item);
+        });
+
+        this.suggestionList.hidden = false;
+        this.fields.city.setAttribute('aria-expanded', 'true');
+    }
+
+    /**
+     * Fecha a lista de sugestões
+     */
+    _closeSuggestions() {
+        if (!this.suggestionList) return;
+
+        this.state.suggestions = [];
+        this.state.activeSuggestion = -1;
+        this.suggestionList.hidden = true;
+        this.suggestionList.innerHTML = '';
+        this.fields.city?.setAttribute('aria-expanded', 'false');
+        this.fields.city?.removeAttribute('aria-activedescendant');
+    }
+
+    /**
+     * Navegação por teclado na lista (setas, Enter e Esc)
+     * @param {KeyboardEvent} e - Evento de teclado do campo cidade
+     */
+    _handleAutocompleteKeydown(e) {
+        const count = this.state.suggestions.length;
+        if (this.suggestionList.hidden || count === 0) {
+            return;
+        }
+
+        switch (e.key) {
+            case 'ArrowDown':
+                e.preventDefault();
+                this._setActiveSuggestion((this.state.activeSuggestion + 1) % count);
+                break;
+
+            case 'ArrowUp':
+                e.preventDefault();
+                this._setActiveSuggestion((this.state.activeSuggestion - 1 + count) % count);
+                break;
+
+            case 'Enter':
+                if (this.state.activeSuggestion >= 0) {
+                    e.preventDefault();
+                    e.stopPropagation();
+                    this._selectSuggestion(this.state.activeSuggestion);
+                }
+                break;
+
+            case 'Escape':
+                e.preventDefault();
+                this._closeSuggestions();
+                break;
+        }
+    }
+
+    /**
+     * Destaca uma sugestão
+     * @param {number} index - Posição da sugestão
+     */
+    _setActiveSuggestion(index) {
+        this.state.activeSuggestion = index;
+
+        Array.from(this.suggestionList.children).forEach((item, itemIndex) => {
+            const isActive = itemIndex === index;
+            item.classList.toggle('active', isActive);
+            item.setAttribute('aria-selected', isActive ? 'true' : 'false');
+            if (isActive) {
+                this.fields.city.setAttribute('aria-activedescendant', item.id);
+                item.scrollIntoView?.({ block: 'nearest' });
+            }
+        });
+    }
+
+    /**
+     * Preenche o formulário com o candidato escolhido
+     * @param {number} index - Posição da sugestão
+     */
+    _selectSuggestion(index) {
+        const candidate = this.state.suggestions[index];
+        if (!candidate) return;
+
+        const address = candidate.address || {};
+        this.setValues({
+            city: address.city || (candidate.display_name || '').split(', ')[0],
+            state: address.state || '',
+            country: address.countryCode || address.country || ''
+        });
+
+        this.state.selectedPlace = candidate;
+        this._closeSuggestions();
+        this._clearAllErrors();
+
+        this.eventManager?.publish('form:location:selected', { place: candidate });
+        console.log('📍 FormComponent: Location selected', candidate.display_name);
+    }
+
     /**
      * Manipula input em campo
      * @param {string} fieldName - Nome do campo
@@ -241,13 +700,20 @@ class FormComponent extends BaseComponent {
      */
     _collectFormData() {
         const formData = {};
+        const activeFields = this._getActiveFields();
         
         Object.entries(this.fields).forEach(([key, field]) => {
-            if (field && field.type !== 'submit') {
+            if (field && field.type !== 'submit' && activeFields.includes(key)) {
                 formData[key] = field.value?.trim() || '';
             }
         });
 
+        // Coordenadas do candidato escolhido: APIFacade dispensa a geocodificação
+        if (this.state.selectedPlace && this.state.mode === 'city') {
+            const { rank, ...place } = this.state.selectedPlace;
+            formData.coordinates = place;
+        }
+
         return formData;
     }
 
@@ -260,18 +726,29 @@ class FormComponent extends BaseComponent {
         const errors = {};
         let isValid = true;
 
-        // Validação de cidade
-        const cityValidation = this._validateField('city', formData.city);
-        if (!cityValidation.isValid) {
-            errors.city = cityValidation.errors;
-            isValid = false;
-        }
+        if (this.state.mode === 'postalCode') {
+            // Validação do código postal (formato conforme o país, se informado)
+            const postalCodeValidation = this._validateField('postalCode', formData.postalCode);
+            if (!postalCodeValidation.isValid) {
+                errors.postalCode = postalCodeValidation.errors;
+                isValid = false;
+            }
+        } else {
+            // Validação de cidade
+            const cityValidation = this._validateField('city', formData.city);
+            if (!cityValidation.isValid) {
+                errors.city = cityValidation.errors;
+                isValid = false;
+            }
 
-        // Validação de estado
-        const stateValidation = this._validateField('state', formData.state);
-        if (!stateValidation.isValid) {
-            errors.state = stateValidation.errors;
-            isValid = false;
+            // Validação de estado (dispensada quando a cidade traz coordenadas ou código postal)
+            const stateValidation = this._validateField('state', formData.state, {
+                optional: this._isCoordinateInput(formData.city) || this._isPostalCodeInput(formData.city)
+            });
+            if (!stateValidation.isValid) {
+                errors.state = stateValidation.errors;
+                isValid = false;
+            }
         }
 
         // Validação de país (opcional)
@@ -290,14 +767,41 @@ class FormComponent extends BaseComponent {
      * Valida campo individual
      * @param {string} fieldName - Nome do campo
      * @param {string} value - Valor do campo
+     * @param {Object} options - optional dispensa o preenchimento do estado
+     * (padrão: quando a cidade traz coordenadas ou código postal)
      * @returns {Object} Resultado da validação
      */
-    _validateField(fieldName, value) {
+    _validateField(fieldName, value, {
+        optional = this._isCoordinateInput(this.state.values.city) || this._isPostalCodeInput(this.state.values.city)
+    } = {}) {
         const errors = [];
         
         switch (fieldName) {
             case 'city':
+                // Coordenadas (decimais, GMS, plus code, geohash) dispensam a validação de nome
+                if (this._isCoordinateInput(value)) {
+                    try {
+                        CoordinateParser.parse(value);
+                    } catch (error) {
+                        errors.push(error.message);
+                    }
+                    break;
+                }
+                // Só dígitos: buscado como código postal do país informado
+                if (this._isPostalCodeInput(value)) {
+                    try {
+                        PostalCodeParser.parse(value, this.fields.country?.value);
+                    } catch (error) {
+                        errors.push(error.message);
+                    }
+                    break;
+                }
+                // falls through
             case 'state':
+                if (fieldName === 'state' && optional && !value) {
+                    break;
+                }
+
                 // Campos obrigatórios
                 if (!value || value.length === 0) {
                     errors.push(`${fieldName === 'city' ? 'Cidade' : 'Estado'} é obrigatório`);
@@ -308,6 +812,14 @@ class FormComponent extends BaseComponent {
                 }
                 break;
                 
+            case 'postalCode':
+                try {
+                    PostalCodeParser.parse(value, this.fields.country?.value);
+                } catch (error) {
+                    errors.push(error.message);
+                }
+                break;
+
             case 'country':
                 // Campo opcional
                 if (value && value.length > 0) {
@@ -315,6 +827,8 @@ class FormComponent extends BaseComponent {
                         errors.push('País deve ter pelo menos 2 caracteres');
                     } else if (this._hasInvalidCharacters(value)) {
                         errors.push('País contém caracteres inválidos');
+                    } else if (!CountryNormalizer.isKnown(value)) {
+                        errors.push('País não reconhecido: informe o nome ou o código ISO (ex.: Brasil ou BR)');
                     }
                 }
                 break;
@@ -341,6 +855,24 @@ class FormComponent extends BaseComponent {
         return { isValid, errors };
     }
 
+    /**
+     * Verifica se o valor digitado é uma coordenada
+     * @param {string} value - Valor do campo cidade
+     * @returns {boolean}
+     */
+    _isCoordinateInput(value) {
+        return Boolean(value) && CoordinateParser.isCoordinate(value);
+    }
+
+    /**
+     * Verifica se o campo cidade traz um código postal (só dígitos, ex.: "90210")
+     * @param {string} value - Valor do campo cidade
+     * @returns {boolean}
+     */
+    _isPostalCodeInput(value) {
+        return !this._isCoordinateInput(value) && PostalCodeParser.looksLikePostalCode(value);
+    }
+
     /**
      * Verifica caracteres inválidos
      * @param {string} value - Valor para verificar
@@ -484,6 +1016,8 @@ class FormComponent extends BaseComponent {
         this.state.values = {};
         this.state.isDirty = false;
         this.state.touchedFields.clear();
+        this.state.selectedPlace = null;
+        this._closeSuggestions();
         
         // Limpa erros
         this._clearAllErrors();
@@ -508,13 +1042,42 @@ class FormComponent extends BaseComponent {
             isSubmitting: false,
             values: {},
             errors: {},
-            touchedFields: new Set()
+            touchedFields: new Set(),
+            suggestions: [],
+            activeSuggestion: -1,
+            selectedPlace: null,
+            mode: 'city'
         };
+        this._applyMode();
 
         console.log('🔄 FormComponent: Form reset');
         this.eventManager?.publish('form:reset');
     }
 
+    /**
+     * Alterna o tipo de busca
+     * @param {string} mode - 'city' ou 'postalCode'
+     */
+    setMode(mode) {
+        if (!['city', 'postalCode'].includes(mode) || mode === this.state.mode) {
+            return;
+        }
+        if (mode === 'postalCode' && !this.fields.postalCode) {
+            return;
+        }
+
+        this.state.mode = mode;
+        this.state.selectedPlace = null;
+        this._closeSuggestions();
+        this._clearAllErrors();
+        this._applyMode();
+
+        this.fields[mode === 'postalCode' ? 'postalCode' : 'city']?.focus();
+
+        console.log(`📝 FormComponent: Search mode changed to ${mode}`);
+        this.eventManager?.publish('form:mode:changed', { mode });
+    }
+
     /**
      * Define valores do formulário
      * @param {Object} values - Valores para definir
@@ -582,6 +1145,10 @@ class FormComponent extends BaseComponent {
     destroy() {
         // Remove event listeners se necessário
         this.element.removeEventListener('submit', this._handleSubmit);
+        clearTimeout(this.autocompleteTimer);
+        this.suggestionList?.remove();
+        this.locationButton = null;
+        this.modeButtons = [];
         
         // Limpa referencias
         this.fields = {};